@@ -1,10 +1,93 @@
 const vscode = require("vscode");
-const { executeArtisanCommand, showInputBox } = require("../utils/helpers");
+const {
+  executeArtisanCommand,
+  showInputBox,
+  toKebabCase,
+  getLaravelVersion,
+} = require("../utils/helpers");
 
 /**
  * Additional Laravel Commands
  */
 
+/**
+ * Validates a class name, optionally in a subdirectory (e.g: Admin/UserPolicy)
+ */
+function validateClassName(value) {
+  if (!value) return "Name is required";
+  if (!/^([A-Z][a-zA-Z0-9]*[/\\])*[A-Z][a-zA-Z0-9]*$/.test(value)) {
+    return "Name must be in PascalCase (e.g: OrderShipped, Admin/OrderShipped)";
+  }
+  return null;
+}
+
+/**
+ * Asks for the companion test of make:job, make:listener, make:mail,
+ * make:notification and make:command
+ *
+ * @returns {Promise<string|undefined>} "", "--test" or "--pest";
+ *   undefined when cancelled
+ */
+async function pickTestOption() {
+  const test = await vscode.window.showQuickPick(
+    [
+      { label: "No test", value: "" },
+      { label: "PHPUnit test", description: "--test", value: "--test" },
+      { label: "Pest test", description: "--pest", value: "--pest" },
+    ],
+    { placeHolder: "Generate a companion test?" }
+  );
+
+  return test ? test.value : undefined;
+}
+
+/**
+ * Markdown view name for a mail or notification, e.g. "mail.order-shipped"
+ *
+ * @returns {Promise<string|null|undefined>} The view, null for a plain
+ *   class, undefined when cancelled
+ */
+async function pickMarkdownView(className, folder) {
+  const format = await vscode.window.showQuickPick(
+    [
+      { label: "Class only", value: false },
+      {
+        label: "With Markdown template",
+        description: "--markdown",
+        value: true,
+      },
+    ],
+    { placeHolder: "Template" }
+  );
+
+  if (!format) return undefined;
+  if (!format.value) return null;
+
+  const baseName = className.split(/[/\\]/).pop();
+  return showInputBox({
+    prompt: "Markdown view name",
+    value: `${folder}.${toKebabCase(baseName)}`,
+    validateInput: (value) =>
+      /^[a-z0-9_-]+(\.[a-z0-9_-]+)*$/.test(value || "")
+        ? null
+        : "Use a dotted view name (e.g: mail.orders.shipped)",
+  });
+}
+
+function getLaravelMajorVersion() {
+  const version = getLaravelVersion();
+  return version ? parseInt(version.replace(/^v/, ""), 10) : null;
+}
+
+async function runMakeCommand(command, successMessage) {
+  try {
+    await executeArtisanCommand(command);
+    vscode.window.showInformationMessage(successMessage);
+  } catch (error) {
+    vscode.window.showErrorMessage(`❌ Error: ${error.message}`);
+  }
+}
+
 /**
  * Create a Factory
  */
@@ -12,18 +95,27 @@ async function makeFactory() {
   const factoryName = await showInputBox({
     prompt: "Factory name (e.g: ProductFactory)",
     placeHolder: "ProductFactory",
+    validateInput: validateClassName,
   });
 
   if (!factoryName) return;
 
-  try {
-    await executeArtisanCommand(`make:factory ${factoryName}`);
-    vscode.window.showInformationMessage(
-      `✅ Factory ${factoryName} created successfully`
-    );
-  } catch (error) {
-    vscode.window.showErrorMessage(`❌ Error: ${error.message}`);
-  }
+  const modelName = await showInputBox({
+    prompt: "Model the factory creates (optional)",
+    placeHolder: "Product",
+    value: factoryName.replace(/Factory$/, ""),
+  });
+
+  if (modelName === undefined) return;
+
+  const command = modelName
+    ? `make:factory ${factoryName} --model=${modelName}`
+    : `make:factory ${factoryName}`;
+
+  await runMakeCommand(
+    command,
+    `✅ Factory ${factoryName} created successfully`
+  );
 }
 
 /**
@@ -33,6 +125,7 @@ async function makeResource() {
   const resourceName = await showInputBox({
     prompt: "Resource name (e.g: ProductResource)",
     placeHolder: "ProductResource",
+    validateInput: validateClassName,
   });
 
   if (!resourceName) return;
@@ -51,14 +144,10 @@ async function makeResource() {
     ? `make:resource ${resourceName} --collection`
     : `make:resource ${resourceName}`;
 
-  try {
-    await executeArtisanCommand(command);
-    vscode.window.showInformationMessage(
-      `✅ Resource ${resourceName} created successfully`
-    );
-  } catch (error) {
-    vscode.window.showErrorMessage(`❌ Error: ${error.message}`);
-  }
+  await runMakeCommand(
+    command,
+    `✅ Resource ${resourceName} created successfully`
+  );
 }
 
 /**
@@ -68,18 +157,28 @@ async function makePolicy() {
   const policyName = await showInputBox({
     prompt: "Policy name (e.g: ProductPolicy)",
     placeHolder: "ProductPolicy",
+    validateInput: validateClassName,
   });
 
   if (!policyName) return;
 
-  try {
-    await executeArtisanCommand(`make:policy ${policyName}`);
-    vscode.window.showInformationMessage(
-      `✅ Policy ${policyName} created successfully`
-    );
-  } catch (error) {
-    vscode.window.showErrorMessage(`❌ Error: ${error.message}`);
-  }
+  // --model generates the viewAny/view/create/update/delete methods
+  const modelName = await showInputBox({
+    prompt: "Model the policy authorizes (optional, adds CRUD methods)",
+    placeHolder: "Product",
+    value: policyName.split(/[/\\]/).pop().replace(/Policy$/, ""),
+  });
+
+  if (modelName === undefined) return;
+
+  const command = modelName
+    ? `make:policy ${policyName} --model=${modelName}`
+    : `make:policy ${policyName}`;
+
+  await runMakeCommand(
+    command,
+    `✅ Policy ${policyName} created successfully`
+  );
 }
 
 /**
@@ -89,18 +188,15 @@ async function makeEvent() {
   const eventName = await showInputBox({
     prompt: "Event name (e.g: OrderShipped)",
     placeHolder: "OrderShipped",
+    validateInput: validateClassName,
   });
 
   if (!eventName) return;
 
-  try {
-    await executeArtisanCommand(`make:event ${eventName}`);
-    vscode.window.showInformationMessage(
-      `✅ Event ${eventName} created successfully`
-    );
-  } catch (error) {
-    vscode.window.showErrorMessage(`❌ Error: ${error.message}`);
-  }
+  await runMakeCommand(
+    `make:event ${eventName}`,
+    `✅ Event ${eventName} created successfully`
+  );
 }
 
 /**
@@ -110,6 +206,7 @@ async function makeListener() {
   const listenerName = await showInputBox({
     prompt: "Listener name (e.g: SendShipmentNotification)",
     placeHolder: "SendShipmentNotification",
+    validateInput: validateClassName,
   });
 
   if (!listenerName) return;
@@ -119,18 +216,38 @@ async function makeListener() {
     placeHolder: "OrderShipped",
   });
 
-  const command = eventName
-    ? `make:listener ${listenerName} --event=${eventName}`
-    : `make:listener ${listenerName}`;
+  if (eventName === undefined) return;
 
-  try {
-    await executeArtisanCommand(command);
-    vscode.window.showInformationMessage(
-      `✅ Listener ${listenerName} created successfully`
-    );
-  } catch (error) {
-    vscode.window.showErrorMessage(`❌ Error: ${error.message}`);
-  }
+  const mode = await vscode.window.showQuickPick(
+    [
+      { label: "Synchronous listener", value: "" },
+      {
+        label: "Queued listener",
+        description: "--queued (implements ShouldQueue)",
+        value: "--queued",
+      },
+    ],
+    { placeHolder: "How should the listener run?" }
+  );
+
+  if (!mode) return;
+
+  const test = await pickTestOption();
+  if (test === undefined) return;
+
+  const command = [
+    `make:listener ${listenerName}`,
+    eventName && `--event=${eventName}`,
+    mode.value,
+    test,
+  ]
+    .filter(Boolean)
+    .join(" ");
+
+  await runMakeCommand(
+    command,
+    `✅ Listener ${listenerName} created successfully`
+  );
 }
 
 /**
@@ -140,18 +257,33 @@ async function makeJob() {
   const jobName = await showInputBox({
     prompt: "Job name (e.g: ProcessPodcast)",
     placeHolder: "ProcessPodcast",
+    validateInput: validateClassName,
   });
 
   if (!jobName) return;
 
-  try {
-    await executeArtisanCommand(`make:job ${jobName}`);
-    vscode.window.showInformationMessage(
-      `✅ Job ${jobName} created successfully`
-    );
-  } catch (error) {
-    vscode.window.showErrorMessage(`❌ Error: ${error.message}`);
-  }
+  const mode = await vscode.window.showQuickPick(
+    [
+      { label: "Queued job", description: "implements ShouldQueue", value: "" },
+      {
+        label: "Synchronous job",
+        description: "--sync",
+        value: "--sync",
+      },
+    ],
+    { placeHolder: "Job type" }
+  );
+
+  if (!mode) return;
+
+  const test = await pickTestOption();
+  if (test === undefined) return;
+
+  const command = [`make:job ${jobName}`, mode.value, test]
+    .filter(Boolean)
+    .join(" ");
+
+  await runMakeCommand(command, `✅ Job ${jobName} created successfully`);
 }
 
 /**
@@ -161,18 +293,26 @@ async function makeMail() {
   const mailName = await showInputBox({
     prompt: "Mail name (e.g: OrderShipped)",
     placeHolder: "OrderShipped",
+    validateInput: validateClassName,
   });
 
   if (!mailName) return;
 
-  try {
-    await executeArtisanCommand(`make:mail ${mailName}`);
-    vscode.window.showInformationMessage(
-      `✅ Mail ${mailName} created successfully`
-    );
-  } catch (error) {
-    vscode.window.showErrorMessage(`❌ Error: ${error.message}`);
-  }
+  const markdown = await pickMarkdownView(mailName, "mail");
+  if (markdown === undefined) return;
+
+  const test = await pickTestOption();
+  if (test === undefined) return;
+
+  const command = [
+    `make:mail ${mailName}`,
+    markdown && `--markdown=${markdown}`,
+    test,
+  ]
+    .filter(Boolean)
+    .join(" ");
+
+  await runMakeCommand(command, `✅ Mail ${mailName} created successfully`);
 }
 
 /**
@@ -182,18 +322,29 @@ async function makeNotification() {
   const notificationName = await showInputBox({
     prompt: "Notification name (e.g: InvoicePaid)",
     placeHolder: "InvoicePaid",
+    validateInput: validateClassName,
   });
 
   if (!notificationName) return;
 
-  try {
-    await executeArtisanCommand(`make:notification ${notificationName}`);
-    vscode.window.showInformationMessage(
-      `✅ Notification ${notificationName} created successfully`
-    );
-  } catch (error) {
-    vscode.window.showErrorMessage(`❌ Error: ${error.message}`);
-  }
+  const markdown = await pickMarkdownView(notificationName, "notifications");
+  if (markdown === undefined) return;
+
+  const test = await pickTestOption();
+  if (test === undefined) return;
+
+  const command = [
+    `make:notification ${notificationName}`,
+    markdown && `--markdown=${markdown}`,
+    test,
+  ]
+    .filter(Boolean)
+    .join(" ");
+
+  await runMakeCommand(
+    command,
+    `✅ Notification ${notificationName} created successfully`
+  );
 }
 
 /**
@@ -203,18 +354,38 @@ async function makeCommand() {
   const commandName = await showInputBox({
     prompt: "Command name (e.g: SendEmails)",
     placeHolder: "SendEmails",
+    validateInput: validateClassName,
   });
 
   if (!commandName) return;
 
-  try {
-    await executeArtisanCommand(`make:command ${commandName}`);
-    vscode.window.showInformationMessage(
-      `✅ Command ${commandName} created successfully`
-    );
-  } catch (error) {
-    vscode.window.showErrorMessage(`❌ Error: ${error.message}`);
-  }
+  const signature = await showInputBox({
+    prompt: "Command signature (optional)",
+    placeHolder: "app:send-emails",
+    value: `app:${toKebabCase(commandName.split(/[/\\]/).pop())}`,
+    validateInput: (value) =>
+      !value || /^[a-z0-9:_-]+$/.test(value)
+        ? null
+        : "Use lowercase letters, digits, ':' and '-' (e.g: app:send-emails)",
+  });
+
+  if (signature === undefined) return;
+
+  const test = await pickTestOption();
+  if (test === undefined) return;
+
+  const command = [
+    `make:command ${commandName}`,
+    signature && `--command=${signature}`,
+    test,
+  ]
+    .filter(Boolean)
+    .join(" ");
+
+  await runMakeCommand(
+    command,
+    `✅ Command ${commandName} created successfully`
+  );
 }
 
 /**
@@ -224,18 +395,47 @@ async function makeRule() {
   const ruleName = await showInputBox({
     prompt: "Rule name (e.g: Uppercase)",
     placeHolder: "Uppercase",
+    validateInput: validateClassName,
   });
 
   if (!ruleName) return;
 
-  try {
-    await executeArtisanCommand(`make:rule ${ruleName}`);
-    vscode.window.showInformationMessage(
-      `✅ Rule ${ruleName} created successfully`
-    );
-  } catch (error) {
-    vscode.window.showErrorMessage(`❌ Error: ${error.message}`);
-  }
+  // Rules are invokable by default since Laravel 10, which dropped --invokable
+  const major = getLaravelMajorVersion();
+  const types =
+    major && major < 10
+      ? [
+          { label: "Rule object", value: "" },
+          {
+            label: "Invokable rule",
+            description: "--invokable",
+            value: "--invokable",
+          },
+          {
+            label: "Implicit invokable rule",
+            description: "--invokable --implicit (runs on empty values)",
+            value: "--invokable --implicit",
+          },
+        ]
+      : [
+          { label: "Invokable rule", value: "" },
+          {
+            label: "Implicit rule",
+            description: "--implicit (runs on empty values)",
+            value: "--implicit",
+          },
+        ];
+
+  const type = await vscode.window.showQuickPick(types, {
+    placeHolder: "Rule type",
+  });
+
+  if (!type) return;
+
+  await runMakeCommand(
+    `make:rule ${ruleName} ${type.value}`.trim(),
+    `✅ Rule ${ruleName} created successfully`
+  );
 }
 
 module.exports = {
@@ -0,0 +1,205 @@
+const vscode = require("vscode");
+const {
+  getLaravelRootPath,
+  executeArtisanCommand,
+} = require("../utils/helpers");
+const { resolveClassFile, findMethodLine } = require("../utils/phpClasses");
+const { LaravelTreeItem } = require("./treeProvider");
+
+/**
+ * Events explorer
+ *
+ * Built from `php artisan event:list`: one node per event with the
+ * listeners handling it as children, whether they come from
+ * EventServiceProvider, event discovery or Event::listen(). Application
+ * classes open at their handle method.
+ */
+class LaravelEventsTreeDataProvider {
+  constructor() {
+    this._onDidChangeTreeData = new vscode.EventEmitter();
+    this.onDidChangeTreeData = this._onDidChangeTreeData.event;
+    this.events = null;
+    this.error = null;
+  }
+
+  refresh() {
+    this.events = null;
+    this._onDidChangeTreeData.fire();
+  }
+
+  getTreeItem(element) {
+    return element;
+  }
+
+  async getChildren(element) {
+    const rootPath = getLaravelRootPath();
+    if (!rootPath) {
+      return [];
+    }
+
+    if (element) {
+      return element.children || [];
+    }
+
+    if (!this.events) {
+      await this.loadEvents();
+    }
+
+    if (this.error) {
+      const item = new LaravelTreeItem(
+        "Could not load events",
+        vscode.TreeItemCollapsibleState.None,
+        "eventsError"
+      );
+      item.description = this.error;
+      item.tooltip = this.error;
+      item.iconPath = new vscode.ThemeIcon("warning");
+      return [item];
+    }
+
+    return this.events.map((event) => this.createEvent(rootPath, event));
+  }
+
+  async loadEvents() {
+    try {
+      const { stdout } = await vscode.window.withProgress(
+        { location: { viewId: "laravelToolkitEvents" } },
+        (progress, token) =>
+          executeArtisanCommand("event:list", false, { token })
+      );
+      this.events = parseEventList(stdout);
+      this.error = null;
+    } catch (error) {
+      this.events = [];
+      this.error = error.message;
+    }
+  }
+
+  createEvent(rootPath, event) {
+    const item = new LaravelTreeItem(
+      shortName(event.name),
+      event.listeners.length
+        ? vscode.TreeItemCollapsibleState.Collapsed
+        : vscode.TreeItemCollapsibleState.None,
+      "event",
+      openClass(rootPath, event.name)
+    );
+    item.event = event;
+    item.description = [namespaceOf(event.name), event.flag]
+      .filter(Boolean)
+      .join(" · ");
+    item.tooltip = `${event.name}\n${event.listeners.length} listener(s)`;
+    item.iconPath = new vscode.ThemeIcon("symbol-event");
+    item.children = event.listeners.map((listener) =>
+      this.createListener(rootPath, listener)
+    );
+    return item;
+  }
+
+  createListener(rootPath, listener) {
+    const [className, method = "handle"] = listener.name.split("@");
+    const isClass = /^[\w\\]+$/.test(className);
+    const item = new LaravelTreeItem(
+      isClass ? shortName(className) : listener.name,
+      vscode.TreeItemCollapsibleState.None,
+      "eventListener",
+      isClass ? openClass(rootPath, className, method) : undefined
+    );
+    item.description = listener.queued ? "queued" : "";
+    item.tooltip = listener.name;
+    item.iconPath = new vscode.ThemeIcon(
+      listener.queued ? "layers" : "symbol-method"
+    );
+    return item;
+  }
+}
+
+// String events such as "eloquent.created: App\Models\User" keep their name
+function shortName(name) {
+  return /^[\w\\]+$/.test(name) ? name.split("\\").pop() : name;
+}
+
+function namespaceOf(name) {
+  return /^[\w\\]+$/.test(name) && name.includes("\\")
+    ? name.slice(0, name.lastIndexOf("\\"))
+    : "";
+}
+
+/**
+ * Opens an application class at a method; vendor classes are not opened
+ */
+function openClass(rootPath, className, method) {
+  const filePath = /^[\w\\]+$/.test(className)
+    ? resolveClassFile(rootPath, className)
+    : null;
+  if (!filePath) {
+    return undefined;
+  }
+
+  const line = findMethodLine(filePath, method);
+  return {
+    command: "vscode.open",
+    title: "Open Class",
+    arguments: [
+      vscode.Uri.file(filePath),
+      { selection: new vscode.Range(line, 0, line, 0) },
+    ],
+  };
+}
+
+/**
+ * Parses `event:list` output: the Laravel 9+ list
+ * ("App\Events\OrderShipped ....." followed by "⇂ App\Listeners\X@handle
+ * (ShouldQueue)" lines) and the older two-column table
+ *
+ * @param {string} output
+ * @returns {Array<{name: string, flag: string, listeners: Array<object>}>}
+ *   Listeners are {name, queued}
+ */
+function parseEventList(output) {
+  const events = [];
+  let current = null;
+
+  const addListener = (text) => {
+    const queued = /\(ShouldQueue\)\s*$/.test(text);
+    current.listeners.push({
+      name: text.replace(/\s*\(ShouldQueue\)\s*$/, "").trim(),
+      queued,
+    });
+  };
+
+  for (const rawLine of output.replace(/\x1b\[[0-9;]*m/g, "").split("\n")) {
+    const line = rawLine.trimEnd();
+
+    const listener = line.match(/^\s*⇂\s*(.+)$/);
+    if (listener && current) {
+      addListener(listener[1]);
+      continue;
+    }
+
+    const event = line.match(/^\s*(\S.*?)(?:\s+\((\w+)\))?\s*\.{2,}$/);
+    if (event) {
+      current = { name: event[1], flag: event[2] || "", listeners: [] };
+      events.push(current);
+      continue;
+    }
+
+    const row = line.match(/^\|\s*(.*?)\s*\|\s*(.*?)\s*\|$/);
+    if (row && row[1] !== "Event") {
+      if (row[1]) {
+        current = { name: row[1], flag: "", listeners: [] };
+        events.push(current);
+      }
+      if (row[2] && current) {
+        addListener(row[2]);
+      }
+    }
+  }
+
+  return events;
+}
+
+module.exports = {
+  LaravelEventsTreeDataProvider,
+  parseEventList,
+};
@@ -0,0 +1,343 @@
+const vscode = require("vscode");
+const fs = require("fs");
+const path = require("path");
+const {
+  getLaravelRootPath,
+  getLaravelVersion,
+  executeArtisanCommand,
+} = require("../utils/helpers");
+const { LaravelTreeItem } = require("./treeProvider");
+
+/**
+ * Migrations explorer
+ *
+ * Lists database/migrations with the state reported by
+ * `php artisan migrate:status`: ran (with its batch) or pending. Pending
+ * migrations are highlighted and counted in the view badge, and files
+ * created while VS Code is open (e.g. by the migration generator) are
+ * marked as new.
+ */
+class LaravelMigrationsTreeDataProvider {
+  constructor() {
+    this._onDidChangeTreeData = new vscode.EventEmitter();
+    this.onDidChangeTreeData = this._onDidChangeTreeData.event;
+    this.statuses = null;
+    this.error = null;
+    this.created = new Set();
+    this.view = null;
+  }
+
+  refresh() {
+    this.statuses = null;
+    this._onDidChangeTreeData.fire();
+  }
+
+  /**
+   * Remembers a migration file created during this session
+   */
+  markCreated(filePath) {
+    this.created.add(path.basename(filePath, ".php"));
+    this.refresh();
+  }
+
+  getTreeItem(element) {
+    return element;
+  }
+
+  async getChildren(element) {
+    const rootPath = getLaravelRootPath();
+    if (!rootPath || element) {
+      return [];
+    }
+
+    if (!this.statuses) {
+      await this.loadStatuses();
+    }
+
+    const migrations = this.getMigrations(rootPath);
+    this.updateBadge(migrations);
+
+    const items = migrations.map((migration) => this.createItem(migration));
+    if (this.error) {
+      const item = new LaravelTreeItem(
+        "Could not read migration status",
+        vscode.TreeItemCollapsibleState.None,
+        "migrationsError"
+      );
+      item.description = this.error;
+      item.tooltip = this.error;
+      item.iconPath = new vscode.ThemeIcon("warning");
+      items.unshift(item);
+    }
+    return items;
+  }
+
+  async loadStatuses() {
+    try {
+      const { stdout } = await vscode.window.withProgress(
+        { location: { viewId: "laravelToolkitMigrations" } },
+        (progress, token) =>
+          executeArtisanCommand("migrate:status", false, { token })
+      );
+      this.statuses = parseMigrateStatus(stdout);
+      this.error = null;
+    } catch (error) {
+      this.statuses = new Map();
+      this.error = error.message;
+    }
+  }
+
+  /**
+   * Migration files merged with their status, in run order
+   */
+  getMigrations(rootPath) {
+    const migrationsPath = path.join(rootPath, "database", "migrations");
+    const files = fs.existsSync(migrationsPath)
+      ? fs.readdirSync(migrationsPath).filter((file) => file.endsWith(".php"))
+      : [];
+
+    return files.sort().map((file) => {
+      const name = path.basename(file, ".php");
+      const status = this.statuses && this.statuses.get(name);
+      return {
+        name,
+        filePath: path.join(migrationsPath, file),
+        ran: Boolean(status && status.ran),
+        batch: status ? status.batch : null,
+        state: getState(status, this.error),
+      };
+    });
+  }
+
+  createItem(migration) {
+    const item = new LaravelTreeItem(
+      migration.name,
+      vscode.TreeItemCollapsibleState.None,
+      `migration.${migration.state}`,
+      {
+        command: "vscode.open",
+        title: "Open Migration",
+        arguments: [vscode.Uri.file(migration.filePath)],
+      }
+    );
+    item.migration = migration;
+    item.resourceUri = vscode.Uri.file(migration.filePath);
+
+    if (migration.state === "unknown") {
+      item.description = "";
+      item.iconPath = new vscode.ThemeIcon("question");
+    } else if (migration.ran) {
+      item.description = migration.batch ? `Batch ${migration.batch}` : "Ran";
+      item.iconPath = new vscode.ThemeIcon(
+        "pass",
+        new vscode.ThemeColor("testing.iconPassed")
+      );
+    } else {
+      const isNew = this.created.has(migration.name);
+      item.description = isNew ? "Pending · new" : "Pending";
+      item.iconPath = new vscode.ThemeIcon(
+        isNew ? "circle-large-filled" : "circle-large-outline",
+        new vscode.ThemeColor("list.warningForeground")
+      );
+    }
+    item.tooltip = [migration.name, item.description].filter(Boolean).join("\n");
+    return item;
+  }
+
+  updateBadge(migrations) {
+    if (!this.view || this.error) return;
+
+    const pending = migrations.filter(
+      (migration) => migration.state === "pending"
+    ).length;
+    this.view.badge = pending
+      ? { value: pending, tooltip: `${pending} pending migration(s)` }
+      : undefined;
+  }
+}
+
+/**
+ * Files missing from migrate:status are pending, unless artisan failed
+ */
+function getState(status, error) {
+  if (status) return status.ran ? "ran" : "pending";
+  return error ? "unknown" : "pending";
+}
+
+/**
+ * Parses `migrate:status` output: the Laravel 9+ dotted list
+ * ("name ..... [2] Ran" / "name ..... Pending") and the older table
+ * ("| Yes | name | 2 |")
+ *
+ * @param {string} output
+ * @returns {Map<string, {ran: boolean, batch: number|null}>}
+ */
+function parseMigrateStatus(output) {
+  const statuses = new Map();
+
+  for (const line of output.split(/\r?\n/)) {
+    const dotted = line.match(
+      /^\s*(\S+)\s+\.+\s+(?:\[(\d+)\]\s+)?(Ran|Pending)\s*$/
+    );
+    if (dotted) {
+      statuses.set(dotted[1], {
+        ran: dotted[3] === "Ran",
+        batch: dotted[2] ? parseInt(dotted[2], 10) : null,
+      });
+      continue;
+    }
+
+    const table = line.match(
+      /^\|\s*(Yes|No|Y|N)\s*\|\s*(\S+)\s*\|(?:\s*(\d+)\s*\|)?/
+    );
+    if (table) {
+      statuses.set(table[2], {
+        ran: table[1].startsWith("Y"),
+        batch: table[3] ? parseInt(table[3], 10) : null,
+      });
+    }
+  }
+
+  return statuses;
+}
+
+function relativePath(filePath) {
+  return path
+    .relative(getLaravelRootPath(), filePath)
+    .split(path.sep)
+    .join("/");
+}
+
+/**
+ * Runs every pending migration up to and including this one, in one batch
+ */
+async function runMigrationsUpTo(item, provider) {
+  const pending = provider
+    .getMigrations(getLaravelRootPath())
+    .filter(
+      (migration) =>
+        migration.state === "pending" && migration.name <= item.migration.name
+    );
+
+  if (pending.length === 0) {
+    vscode.window.showInformationMessage("Nothing to migrate");
+    return;
+  }
+
+  const paths = pending
+    .map((migration) => `--path=${relativePath(migration.filePath)}`)
+    .join(" ");
+
+  try {
+    await executeArtisanCommand(`migrate ${paths}`);
+    vscode.window.showInformationMessage(
+      `✅ Ran ${pending.length} migration(s) up to ${item.migration.name}`
+    );
+  } catch (error) {
+    vscode.window.showErrorMessage(`❌ Error: ${error.message}`);
+  }
+  provider.refresh();
+}
+
+/**
+ * Rolls back the batch the migration ran in
+ */
+async function rollbackMigrationBatch(item, provider) {
+  const { batch, name } = item.migration;
+  const rollback = batch
+    ? getBatchRollback(batch, provider.getMigrations(getLaravelRootPath()))
+    : { options: " --step=1", warning: "" };
+
+  const answer = await vscode.window.showWarningMessage(
+    batch
+      ? `Roll back batch ${batch}, which includes ${name}?`
+      : `Roll back the last migration (${name})?`,
+    {
+      modal: true,
+      detail: `The down() method of each migration will run.${rollback.warning}`,
+    },
+    "Roll Back"
+  );
+  if (answer !== "Roll Back") return;
+
+  try {
+    await executeArtisanCommand(`migrate:rollback${rollback.options}`);
+    vscode.window.showInformationMessage(
+      batch ? `✅ Batch ${batch} rolled back` : "✅ Migration rolled back"
+    );
+  } catch (error) {
+    vscode.window.showErrorMessage(`❌ Error: ${error.message}`);
+  }
+  provider.refresh();
+}
+
+/**
+ * Shows the SQL a migration would run (pending) or the rollback of its
+ * batch would run (ran), without touching the database
+ */
+async function previewMigrationSql(item, provider) {
+  const { batch, ran, filePath } = item.migration;
+  const rollback = batch
+    ? getBatchRollback(batch, provider.getMigrations(getLaravelRootPath()))
+    : { options: "" };
+  const command = ran
+    ? `migrate:rollback --pretend${rollback.options}`
+    : `migrate --pretend --path=${relativePath(filePath)}`;
+
+  try {
+    const { stdout } = await executeArtisanCommand(command, false);
+    const document = await vscode.workspace.openTextDocument({
+      content: `-- php artisan ${command}\n\n${stdout.trim()}\n`,
+      language: "sql",
+    });
+    await vscode.window.showTextDocument(document, { preview: true });
+  } catch (error) {
+    vscode.window.showErrorMessage(`❌ Error: ${error.message}`);
+  }
+}
+
+/**
+ * migrate:rollback options for a batch
+ *
+ * --batch needs Laravel 11. Before that, and when the version cannot be
+ * read, only the latest batch can be rolled back on its own, an older one
+ * goes with the batches after it.
+ *
+ * @param {number} batch
+ * @param {object[]} migrations From getMigrations()
+ * @param {string|null} version Installed laravel/framework version
+ * @returns {{options: string, warning: string}}
+ */
+function getBatchRollback(batch, migrations, version = getLaravelVersion()) {
+  const major = version ? parseInt(version.replace(/^v/, ""), 10) : null;
+  if (major >= 11) {
+    return { options: ` --batch=${batch}`, warning: "" };
+  }
+
+  const rolledBack = migrations.filter(
+    (migration) => migration.ran && migration.batch >= batch
+  );
+  const latest = Math.max(batch, ...rolledBack.map((m) => m.batch));
+  if (latest === batch) {
+    return { options: "", warning: "" };
+  }
+
+  const reason = major
+    ? `Laravel ${major} has no --batch option`
+    : "The Laravel version is unknown, so --batch is not used";
+  return {
+    options: ` --step=${rolledBack.length}`,
+    warning:
+      ` ${reason}: batches ${batch} to ` +
+      `${latest} (${rolledBack.length} migrations) are rolled back.`,
+  };
+}
+
+module.exports = {
+  LaravelMigrationsTreeDataProvider,
+  runMigrationsUpTo,
+  rollbackMigrationBatch,
+  previewMigrationSql,
+  parseMigrateStatus,
+  getBatchRollback,
+};
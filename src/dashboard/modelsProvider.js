@@ -0,0 +1,143 @@
+const vscode = require("vscode");
+const { getLaravelRootPath } = require("../utils/helpers");
+const { findModelFiles, inspectModel } = require("../utils/modelInspector");
+const { LaravelTreeItem } = require("./treeProvider");
+
+/**
+ * Models explorer
+ *
+ * One node per Eloquent model under app/Models, with its fillable
+ * attributes, casts, traits and relationships as children. Every node opens
+ * the model at the line it describes.
+ */
+class LaravelModelsTreeDataProvider {
+  constructor() {
+    this._onDidChangeTreeData = new vscode.EventEmitter();
+    this.onDidChangeTreeData = this._onDidChangeTreeData.event;
+  }
+
+  refresh() {
+    this._onDidChangeTreeData.fire();
+  }
+
+  getTreeItem(element) {
+    return element;
+  }
+
+  getChildren(element) {
+    const rootPath = getLaravelRootPath();
+    if (!rootPath) {
+      return Promise.resolve([]);
+    }
+
+    if (!element) {
+      return Promise.resolve(this.getModelItems(rootPath));
+    }
+    if (element.contextValue === "model") {
+      return Promise.resolve(this.getSectionItems(element.model));
+    }
+    if (element.contextValue === "modelSection") {
+      return Promise.resolve(element.children);
+    }
+    return Promise.resolve([]);
+  }
+
+  getModelItems(rootPath) {
+    return findModelFiles(rootPath)
+      .map((filePath) => inspectModel(filePath, rootPath))
+      .filter(Boolean)
+      .map((model) => {
+        const item = new LaravelTreeItem(
+          model.name,
+          vscode.TreeItemCollapsibleState.Collapsed,
+          "model",
+          openAt(model.filePath, model.line)
+        );
+        item.model = model;
+        item.description = model.subdirectory;
+        item.tooltip = model.filePath;
+        item.iconPath = new vscode.ThemeIcon("symbol-class");
+        return item;
+      });
+  }
+
+  getSectionItems(model) {
+    const sections = [
+      {
+        label: "Fillable",
+        icon: "symbol-field",
+        children: model.fillable.map((attribute) =>
+          this.createLeaf(model, attribute.name, "", attribute.line)
+        ),
+      },
+      {
+        label: "Casts",
+        icon: "symbol-type-parameter",
+        children: model.casts.map((cast) =>
+          this.createLeaf(model, cast.name, cast.cast, cast.line)
+        ),
+      },
+      {
+        label: "Traits",
+        icon: "symbol-interface",
+        children: model.traits.map((trait) =>
+          this.createLeaf(model, trait.name, "", trait.line)
+        ),
+      },
+      {
+        label: "Relationships",
+        icon: "references",
+        children: model.relationships.map((relationship) =>
+          this.createLeaf(
+            model,
+            relationship.method,
+            relationship.related
+              ? `${relationship.type} → ${relationship.related}`
+              : relationship.type,
+            relationship.line
+          )
+        ),
+      },
+    ];
+
+    return sections
+      .filter((section) => section.children.length > 0)
+      .map((section) => {
+        const item = new LaravelTreeItem(
+          section.label,
+          vscode.TreeItemCollapsibleState.Collapsed,
+          "modelSection"
+        );
+        item.description = String(section.children.length);
+        item.iconPath = new vscode.ThemeIcon(section.icon);
+        item.children = section.children;
+        return item;
+      });
+  }
+
+  createLeaf(model, label, description, line) {
+    const item = new LaravelTreeItem(
+      label,
+      vscode.TreeItemCollapsibleState.None,
+      "modelMember",
+      openAt(model.filePath, line)
+    );
+    item.description = description;
+    return item;
+  }
+}
+
+function openAt(filePath, line) {
+  return {
+    command: "vscode.open",
+    title: "Open Model",
+    arguments: [
+      vscode.Uri.file(filePath),
+      { selection: new vscode.Range(line, 0, line, 0) },
+    ],
+  };
+}
+
+module.exports = {
+  LaravelModelsTreeDataProvider,
+};
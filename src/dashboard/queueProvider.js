@@ -0,0 +1,275 @@
+const vscode = require("vscode");
+const {
+  getLaravelRootPath,
+  executeArtisanCommand,
+  showInputBox,
+} = require("../utils/helpers");
+const { runInTerminal } = require("../utils/runtime");
+const { resolveClassFile } = require("../utils/phpClasses");
+const { LaravelTreeItem } = require("./treeProvider");
+
+/**
+ * Queue panel
+ *
+ * Lists the failed jobs reported by `php artisan queue:failed`, counted in
+ * the view badge, with retry and forget actions per job and retry all /
+ * flush for the whole table.
+ */
+class LaravelQueueTreeDataProvider {
+  constructor() {
+    this._onDidChangeTreeData = new vscode.EventEmitter();
+    this.onDidChangeTreeData = this._onDidChangeTreeData.event;
+    this.failedJobs = null;
+    this.error = null;
+    this.view = null;
+  }
+
+  refresh() {
+    this.failedJobs = null;
+    this._onDidChangeTreeData.fire();
+  }
+
+  getTreeItem(element) {
+    return element;
+  }
+
+  async getChildren(element) {
+    const rootPath = getLaravelRootPath();
+    if (!rootPath || element) {
+      return [];
+    }
+
+    if (!this.failedJobs) {
+      await this.loadFailedJobs();
+    }
+
+    if (this.error) {
+      const item = new LaravelTreeItem(
+        "Could not read failed jobs",
+        vscode.TreeItemCollapsibleState.None,
+        "queueError"
+      );
+      item.description = this.error;
+      item.tooltip = this.error;
+      item.iconPath = new vscode.ThemeIcon("warning");
+      return [item];
+    }
+
+    if (this.failedJobs.length === 0) {
+      const item = new LaravelTreeItem(
+        "No failed jobs",
+        vscode.TreeItemCollapsibleState.None,
+        "queueEmpty"
+      );
+      item.iconPath = new vscode.ThemeIcon(
+        "pass",
+        new vscode.ThemeColor("testing.iconPassed")
+      );
+      return [item];
+    }
+
+    return this.failedJobs.map((job) => this.createItem(rootPath, job));
+  }
+
+  async loadFailedJobs() {
+    try {
+      const { stdout } = await vscode.window.withProgress(
+        { location: { viewId: "laravelToolkitQueue" } },
+        (progress, token) =>
+          executeArtisanCommand("queue:failed", false, { token })
+      );
+      this.failedJobs = parseFailedJobs(stdout);
+      this.error = null;
+    } catch (error) {
+      this.failedJobs = [];
+      this.error = error.message;
+    }
+    this.updateBadge();
+  }
+
+  createItem(rootPath, job) {
+    const filePath = resolveClassFile(rootPath, job.className);
+    const item = new LaravelTreeItem(
+      job.className.split("\\").pop(),
+      vscode.TreeItemCollapsibleState.None,
+      "failedJob",
+      filePath
+        ? {
+            command: "vscode.open",
+            title: "Open Job",
+            arguments: [vscode.Uri.file(filePath)],
+          }
+        : undefined
+    );
+    item.job = job;
+    item.description = `${job.connection}@${job.queue} · ${job.failedAt}`;
+    item.tooltip = [
+      job.className,
+      `ID: ${job.id}`,
+      `Queue: ${job.connection}@${job.queue}`,
+      `Failed at: ${job.failedAt}`,
+    ].join("\n");
+    item.iconPath = new vscode.ThemeIcon(
+      "error",
+      new vscode.ThemeColor("list.errorForeground")
+    );
+    return item;
+  }
+
+  updateBadge() {
+    if (!this.view) return;
+
+    const count = this.error ? 0 : this.failedJobs.length;
+    this.view.badge = count
+      ? { value: count, tooltip: `${count} failed job(s)` }
+      : undefined;
+  }
+}
+
+/**
+ * Parses `queue:failed` output: the Laravel 9+ list
+ * ("2024-05-01 10:00:00 <id> ..... database@default App\Jobs\X") and the
+ * older table ("| id | connection | queue | class | failed at |")
+ *
+ * @param {string} output
+ * @returns {Array<object>} {id, connection, queue, className, failedAt}
+ */
+function parseFailedJobs(output) {
+  const jobs = [];
+
+  for (const line of output.split(/\r?\n/)) {
+    const listed = line.match(
+      /^\s*(\d[\d-]+ [\d:]+)\s+(\S+)\s+\.+\s+([^@\s]+)@(\S+)\s+(\S+)\s*$/
+    );
+    if (listed) {
+      jobs.push({
+        failedAt: listed[1],
+        id: listed[2],
+        connection: listed[3],
+        queue: listed[4],
+        className: listed[5],
+      });
+      continue;
+    }
+
+    const cells = line.match(
+      /^\|\s*(\S+)\s*\|\s*(\S+)\s*\|\s*(\S+)\s*\|\s*(\S+)\s*\|\s*(.+?)\s*\|$/
+    );
+    if (cells && cells[1] !== "ID") {
+      jobs.push({
+        id: cells[1],
+        connection: cells[2],
+        queue: cells[3],
+        className: cells[4],
+        failedAt: cells[5],
+      });
+    }
+  }
+
+  return jobs;
+}
+
+async function runQueueCommand(command, successMessage, provider) {
+  try {
+    await executeArtisanCommand(command);
+    vscode.window.showInformationMessage(successMessage);
+  } catch (error) {
+    vscode.window.showErrorMessage(`❌ Error: ${error.message}`);
+  }
+  provider.refresh();
+}
+
+/**
+ * Pushes a failed job back onto its queue
+ */
+async function retryFailedJob(item, provider) {
+  await runQueueCommand(
+    `queue:retry ${item.job.id}`,
+    `✅ ${item.label} pushed back onto the queue`,
+    provider
+  );
+}
+
+/**
+ * Deletes a failed job without retrying it
+ */
+async function forgetFailedJob(item, provider) {
+  await runQueueCommand(
+    `queue:forget ${item.job.id}`,
+    `✅ Failed job ${item.label} deleted`,
+    provider
+  );
+}
+
+async function retryAllFailedJobs(provider) {
+  await runQueueCommand(
+    "queue:retry all",
+    "✅ Failed jobs pushed back onto their queues",
+    provider
+  );
+}
+
+async function flushFailedJobs(provider) {
+  const answer = await vscode.window.showWarningMessage(
+    "Delete all failed jobs?",
+    { modal: true, detail: "They can no longer be retried." },
+    "Flush"
+  );
+  if (answer !== "Flush") return;
+
+  await runQueueCommand("queue:flush", "✅ Failed jobs deleted", provider);
+}
+
+/**
+ * Starts queue:work (or queue:listen) in a terminal
+ */
+async function startQueueWorker() {
+  const mode = await vscode.window.showQuickPick(
+    [
+      {
+        label: "queue:work",
+        description: "Long-running worker, restart it after code changes",
+        args: ["queue:work"],
+      },
+      {
+        label: "queue:work --stop-when-empty",
+        description: "Processes the pending jobs, then exits",
+        args: ["queue:work", "--stop-when-empty"],
+      },
+      {
+        label: "queue:listen",
+        description: "Reloads the code for every job (slower)",
+        args: ["queue:listen"],
+      },
+    ],
+    { placeHolder: "Worker mode" }
+  );
+
+  if (!mode) return;
+
+  const queues = await showInputBox({
+    prompt: "Queues to process, by priority (leave empty for the default)",
+    placeHolder: "high,default",
+    validateInput: (value) =>
+      !value || /^[\w.-]+(\s*,\s*[\w.-]+)*$/.test(value)
+        ? null
+        : "Comma separated queue names",
+  });
+
+  if (queues === undefined) return;
+
+  const args = queues
+    ? [...mode.args, `--queue=${queues.replace(/\s+/g, "")}`]
+    : mode.args;
+  runInTerminal("Queue Worker", "artisan", args);
+}
+
+module.exports = {
+  LaravelQueueTreeDataProvider,
+  retryFailedJob,
+  forgetFailedJob,
+  retryAllFailedJobs,
+  flushFailedJobs,
+  startQueueWorker,
+  parseFailedJobs,
+};
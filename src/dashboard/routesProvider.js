@@ -0,0 +1,197 @@
+const vscode = require("vscode");
+const {
+  getLaravelRootPath,
+  executeArtisanCommand,
+} = require("../utils/helpers");
+const { resolveClassFile, findMethodLine } = require("../utils/phpClasses");
+const { LaravelTreeItem } = require("./treeProvider");
+
+/**
+ * Routes explorer
+ *
+ * Built from `php artisan route:list --json`, grouped by the first URI
+ * segment or by middleware, with a text filter. Routes are loaded once and
+ * reloaded by refresh() (the routes/ watcher or the refresh button).
+ */
+class LaravelRoutesTreeDataProvider {
+  constructor() {
+    this._onDidChangeTreeData = new vscode.EventEmitter();
+    this.onDidChangeTreeData = this._onDidChangeTreeData.event;
+    this.routes = null;
+    this.error = null;
+    this.groupBy = "prefix";
+    this.filter = "";
+  }
+
+  refresh() {
+    this.routes = null;
+    this._onDidChangeTreeData.fire();
+  }
+
+  /**
+   * @param {"prefix"|"middleware"} groupBy
+   */
+  setGroupBy(groupBy) {
+    this.groupBy = groupBy;
+    this._onDidChangeTreeData.fire();
+  }
+
+  setFilter(filter) {
+    this.filter = filter.trim();
+    this._onDidChangeTreeData.fire();
+  }
+
+  getTreeItem(element) {
+    return element;
+  }
+
+  async getChildren(element) {
+    if (!getLaravelRootPath()) {
+      return [];
+    }
+
+    if (element) {
+      return element.children || [];
+    }
+
+    if (!this.routes) {
+      await this.loadRoutes();
+    }
+
+    if (this.error) {
+      const item = new LaravelTreeItem(
+        "Could not load routes",
+        vscode.TreeItemCollapsibleState.None,
+        "routesError"
+      );
+      item.description = this.error;
+      item.tooltip = this.error;
+      item.iconPath = new vscode.ThemeIcon("warning");
+      return [item];
+    }
+
+    return this.getGroupItems(this.getFilteredRoutes());
+  }
+
+  async loadRoutes() {
+    try {
+      const { stdout } = await vscode.window.withProgress(
+        { location: { viewId: "laravelToolkitRoutes" } },
+        (progress, token) =>
+          executeArtisanCommand("route:list --json", false, { token })
+      );
+      const start = stdout.indexOf("[");
+      this.routes = start === -1 ? [] : JSON.parse(stdout.slice(start));
+      this.error = null;
+    } catch (error) {
+      this.routes = [];
+      this.error = error.message;
+    }
+  }
+
+  getFilteredRoutes() {
+    const filter = this.filter.toLowerCase();
+    if (!filter) {
+      return this.routes;
+    }
+
+    return this.routes.filter((route) =>
+      [
+        route.method,
+        route.uri,
+        route.name,
+        route.action,
+        ...(route.middleware || []),
+      ]
+        .filter(Boolean)
+        .some((value) => String(value).toLowerCase().includes(filter))
+    );
+  }
+
+  getGroupItems(routes) {
+    const groups = new Map();
+    const add = (group, route) => {
+      if (!groups.has(group)) groups.set(group, []);
+      groups.get(group).push(route);
+    };
+
+    for (const route of routes) {
+      if (this.groupBy === "middleware") {
+        const middleware = route.middleware || [];
+        if (middleware.length === 0) add("(no middleware)", route);
+        middleware.forEach((name) => add(name, route));
+      } else {
+        add(`/${route.uri.split("/")[0]}`, route);
+      }
+    }
+
+    // Expand the groups while filtering so matches are visible
+    const state = this.filter
+      ? vscode.TreeItemCollapsibleState.Expanded
+      : vscode.TreeItemCollapsibleState.Collapsed;
+
+    return [...groups.keys()].sort().map((group) => {
+      const item = new LaravelTreeItem(group, state, "routeGroup");
+      item.description = String(groups.get(group).length);
+      item.iconPath = new vscode.ThemeIcon(
+        this.groupBy === "middleware" ? "shield" : "folder"
+      );
+      item.children = groups.get(group).map((route) => this.createRoute(route));
+      return item;
+    });
+  }
+
+  createRoute(route) {
+    const methods = route.method.replace("|HEAD", "");
+    const canOpen = route.action && route.action !== "Closure";
+    const item = new LaravelTreeItem(
+      `${methods} /${route.uri.replace(/^\//, "")}`,
+      vscode.TreeItemCollapsibleState.None,
+      "route",
+      canOpen
+        ? {
+            command: "laravel-toolkit.openRouteAction",
+            title: "Open Controller Action",
+            arguments: [route],
+          }
+        : undefined
+    );
+    item.description = route.name || "";
+    item.tooltip = [
+      `${route.method} /${route.uri.replace(/^\//, "")}`,
+      route.name && `Name: ${route.name}`,
+      `Action: ${route.action}`,
+      route.middleware &&
+        route.middleware.length > 0 &&
+        `Middleware: ${route.middleware.join(", ")}`,
+    ]
+      .filter(Boolean)
+      .join("\n");
+    item.iconPath = new vscode.ThemeIcon("symbol-method");
+    return item;
+  }
+}
+
+/**
+ * Opens the controller method handling a route, e.g.
+ * App\Http\Controllers\UserController@index
+ */
+async function openRouteAction(route) {
+  const [className, method = "__invoke"] = route.action.split("@");
+  const filePath = resolveClassFile(getLaravelRootPath(), className);
+
+  if (!filePath) {
+    vscode.window.showWarningMessage(`Source of ${className} not found`);
+    return;
+  }
+
+  const line = findMethodLine(filePath, method);
+  await vscode.window.showTextDocument(vscode.Uri.file(filePath), {
+    selection: new vscode.Range(line, 0, line, 0),
+  });
+}
+
+module.exports = {
+  LaravelRoutesTreeDataProvider,
+  openRouteAction,
+};
@@ -31,6 +31,11 @@ class LaravelTreeDataProvider {
           vscode.TreeItemCollapsibleState.Collapsed,
           "artisan"
         ),
+        new LaravelTreeItem(
+          "🧱 Application Classes",
+          vscode.TreeItemCollapsibleState.Collapsed,
+          "classes"
+        ),
         new LaravelTreeItem(
           "⚡ Generators",
           vscode.TreeItemCollapsibleState.Collapsed,
@@ -125,6 +130,15 @@ class LaravelTreeDataProvider {
               title: "Create Seeder",
             }
           ),
+          new LaravelTreeItem(
+            "🌱 Generate Seeder",
+            vscode.TreeItemCollapsibleState.None,
+            "command",
+            {
+              command: "laravel-toolkit.generateSeeder",
+              title: "Generate Seeder",
+            }
+          ),
           new LaravelTreeItem(
             "📍 List Routes",
             vscode.TreeItemCollapsibleState.None,
@@ -136,6 +150,145 @@ class LaravelTreeDataProvider {
           ),
         ];
 
+      case "classes":
+        return [
+          new LaravelTreeItem(
+            "🏭 Create Factory",
+            vscode.TreeItemCollapsibleState.None,
+            "command",
+            {
+              command: "laravel-toolkit.makeFactory",
+              title: "Create Factory",
+            }
+          ),
+          new LaravelTreeItem(
+            "📄 Create API Resource",
+            vscode.TreeItemCollapsibleState.None,
+            "command",
+            {
+              command: "laravel-toolkit.makeResource",
+              title: "Create API Resource",
+            }
+          ),
+          new LaravelTreeItem(
+            "🔐 Create Policy",
+            vscode.TreeItemCollapsibleState.None,
+            "command",
+            {
+              command: "laravel-toolkit.makePolicy",
+              title: "Create Policy",
+            }
+          ),
+          new LaravelTreeItem(
+            "🛡️ Generate Policy",
+            vscode.TreeItemCollapsibleState.None,
+            "command",
+            {
+              command: "laravel-toolkit.generatePolicy",
+              title: "Generate Policy",
+            }
+          ),
+          new LaravelTreeItem(
+            "📣 Create Event",
+            vscode.TreeItemCollapsibleState.None,
+            "command",
+            {
+              command: "laravel-toolkit.makeEvent",
+              title: "Create Event",
+            }
+          ),
+          new LaravelTreeItem(
+            "🔗 Generate Event & Listeners",
+            vscode.TreeItemCollapsibleState.None,
+            "command",
+            {
+              command: "laravel-toolkit.generateEventListeners",
+              title: "Generate Event & Listeners",
+            }
+          ),
+          new LaravelTreeItem(
+            "👂 Create Listener",
+            vscode.TreeItemCollapsibleState.None,
+            "command",
+            {
+              command: "laravel-toolkit.makeListener",
+              title: "Create Listener",
+            }
+          ),
+          new LaravelTreeItem(
+            "⚙️ Create Job",
+            vscode.TreeItemCollapsibleState.None,
+            "command",
+            {
+              command: "laravel-toolkit.makeJob",
+              title: "Create Job",
+            }
+          ),
+          new LaravelTreeItem(
+            "✉️ Create Mailable",
+            vscode.TreeItemCollapsibleState.None,
+            "command",
+            {
+              command: "laravel-toolkit.makeMail",
+              title: "Create Mailable",
+            }
+          ),
+          new LaravelTreeItem(
+            "📧 Generate Mailable",
+            vscode.TreeItemCollapsibleState.None,
+            "command",
+            {
+              command: "laravel-toolkit.generateMailable",
+              title: "Generate Mailable",
+            }
+          ),
+          new LaravelTreeItem(
+            "👁️ Preview Mailable",
+            vscode.TreeItemCollapsibleState.None,
+            "command",
+            {
+              command: "laravel-toolkit.previewMailable",
+              title: "Preview Mailable",
+            }
+          ),
+          new LaravelTreeItem(
+            "🔔 Create Notification",
+            vscode.TreeItemCollapsibleState.None,
+            "command",
+            {
+              command: "laravel-toolkit.makeNotification",
+              title: "Create Notification",
+            }
+          ),
+          new LaravelTreeItem(
+            "📨 Generate Notification",
+            vscode.TreeItemCollapsibleState.None,
+            "command",
+            {
+              command: "laravel-toolkit.generateNotification",
+              title: "Generate Notification",
+            }
+          ),
+          new LaravelTreeItem(
+            "💻 Create Console Command",
+            vscode.TreeItemCollapsibleState.None,
+            "command",
+            {
+              command: "laravel-toolkit.makeCommand",
+              title: "Create Console Command",
+            }
+          ),
+          new LaravelTreeItem(
+            "✔️ Create Validation Rule",
+            vscode.TreeItemCollapsibleState.None,
+            "command",
+            {
+              command: "laravel-toolkit.makeRule",
+              title: "Create Validation Rule",
+            }
+          ),
+        ];
+
       case "generators":
         const framework = detectFrontendFramework() || "Blade";
         return [
@@ -184,6 +337,15 @@ class LaravelTreeDataProvider {
               title: "Generate REST API",
             }
           ),
+          new LaravelTreeItem(
+            "🧩 Build from Blueprint",
+            vscode.TreeItemCollapsibleState.None,
+            "command",
+            {
+              command: "laravel-toolkit.buildFromBlueprint",
+              title: "Build from Blueprint",
+            }
+          ),
           new LaravelTreeItem(
             "💚 Vue 3 CRUD (Complete SPA)",
             vscode.TreeItemCollapsibleState.None,
@@ -247,6 +409,24 @@ class LaravelTreeDataProvider {
               title: "Generate Vue View/Page",
             }
           ),
+          new LaravelTreeItem(
+            "↩️ Undo Last Generation",
+            vscode.TreeItemCollapsibleState.None,
+            "command",
+            {
+              command: "laravel-toolkit.undoLastGeneration",
+              title: "Undo Last Generation",
+            }
+          ),
+          new LaravelTreeItem(
+            "🕘 Generation History",
+            vscode.TreeItemCollapsibleState.None,
+            "command",
+            {
+              command: "laravel-toolkit.generationHistory",
+              title: "Generation History",
+            }
+          ),
         ];
 
       case "assets":
@@ -398,6 +578,15 @@ class LaravelTreeDataProvider {
 
       case "utilities":
         return [
+          new LaravelTreeItem(
+            "🔀 Select Laravel Project",
+            vscode.TreeItemCollapsibleState.None,
+            "command",
+            {
+              command: "laravel-toolkit.selectProject",
+              title: "Select Laravel Project",
+            }
+          ),
           new LaravelTreeItem(
             "🗑️ Clear Cache",
             vscode.TreeItemCollapsibleState.None,
@@ -452,6 +641,15 @@ class LaravelTreeDataProvider {
               title: "Start Development Server",
             }
           ),
+          new LaravelTreeItem(
+            "📬 Start Queue Worker",
+            vscode.TreeItemCollapsibleState.None,
+            "command",
+            {
+              command: "laravel-toolkit.startQueueWorker",
+              title: "Start Queue Worker",
+            }
+          ),
         ];
 
       case "testing":
@@ -474,6 +672,15 @@ class LaravelTreeDataProvider {
               title: "Generate Service Class",
             }
           ),
+          new LaravelTreeItem(
+            "📦 Generate Queued Job",
+            vscode.TreeItemCollapsibleState.None,
+            "command",
+            {
+              command: "laravel-toolkit.generateJob",
+              title: "Generate Queued Job",
+            }
+          ),
         ];
 
       default:
@@ -494,4 +701,5 @@ class LaravelTreeItem extends vscode.TreeItem {
 
 module.exports = {
   LaravelTreeDataProvider,
+  LaravelTreeItem,
 };
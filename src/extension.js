@@ -1,9 +1,41 @@
 const vscode = require("vscode");
 const { LaravelTreeDataProvider } = require("./dashboard/treeProvider");
-const { isLaravelProject } = require("./utils/helpers");
+const { LaravelModelsTreeDataProvider } = require("./dashboard/modelsProvider");
+const {
+  LaravelRoutesTreeDataProvider,
+  openRouteAction,
+} = require("./dashboard/routesProvider");
+const {
+  LaravelMigrationsTreeDataProvider,
+  runMigrationsUpTo,
+  rollbackMigrationBatch,
+  previewMigrationSql,
+} = require("./dashboard/migrationsProvider");
+const { LaravelEventsTreeDataProvider } = require("./dashboard/eventsProvider");
+const {
+  LaravelQueueTreeDataProvider,
+  retryFailedJob,
+  forgetFailedJob,
+  retryAllFailedJobs,
+  flushFailedJobs,
+  startQueueWorker,
+} = require("./dashboard/queueProvider");
+const { runInTerminal } = require("./utils/runtime");
+const {
+  initProjects,
+  selectProject,
+  onDidChangeProject,
+} = require("./utils/projects");
+const { registerChangePlanPreview } = require("./utils/changePlan");
+const {
+  initJournal,
+  undoLastGeneration,
+  showGenerationHistory,
+} = require("./utils/journal");
 
 // Import Artisan commands
 const artisanCommands = require("./commands/artisan");
+const advancedCommands = require("./commands/advanced");
 
 // Importar generadores avanzados
 const { generateModel } = require("./generators/model");
@@ -30,13 +62,6 @@ const {
 function activate(context) {
   console.log("Laravel Toolkit activated!");
 
-  // Check if it's a Laravel project
-  if (!isLaravelProject()) {
-    vscode.window.showWarningMessage(
-      "Laravel Toolkit: No Laravel project detected in current workspace"
-    );
-  }
-
   // Crear el Tree Data Provider para el sidebar
   const treeDataProvider = new LaravelTreeDataProvider();
   const treeView = vscode.window.createTreeView("laravelToolkit", {
@@ -46,10 +71,120 @@ function activate(context) {
 
   context.subscriptions.push(treeView);
 
+  // Models explorer, refreshed whenever a model file changes
+  const modelsProvider = new LaravelModelsTreeDataProvider();
+  const modelsWatcher = vscode.workspace.createFileSystemWatcher(
+    "**/app/Models/**/*.php"
+  );
+  modelsWatcher.onDidCreate(() => modelsProvider.refresh());
+  modelsWatcher.onDidChange(() => modelsProvider.refresh());
+  modelsWatcher.onDidDelete(() => modelsProvider.refresh());
+  context.subscriptions.push(
+    vscode.window.createTreeView("laravelToolkitModels", {
+      treeDataProvider: modelsProvider,
+      showCollapseAll: true,
+    }),
+    modelsWatcher
+  );
+
+  // Routes explorer, reloaded (debounced) when a route file changes
+  const routesProvider = new LaravelRoutesTreeDataProvider();
+  const routesView = vscode.window.createTreeView("laravelToolkitRoutes", {
+    treeDataProvider: routesProvider,
+    showCollapseAll: true,
+  });
+  const routesWatcher = vscode.workspace.createFileSystemWatcher(
+    "**/routes/**/*.php"
+  );
+  let routesRefreshTimer = null;
+  const scheduleRoutesRefresh = () => {
+    clearTimeout(routesRefreshTimer);
+    routesRefreshTimer = setTimeout(() => routesProvider.refresh(), 500);
+  };
+  routesWatcher.onDidCreate(scheduleRoutesRefresh);
+  routesWatcher.onDidChange(scheduleRoutesRefresh);
+  routesWatcher.onDidDelete(scheduleRoutesRefresh);
+  context.subscriptions.push(routesView, routesWatcher);
+
+  // Migrations explorer; new migration files are highlighted as pending
+  const migrationsProvider = new LaravelMigrationsTreeDataProvider();
+  const migrationsView = vscode.window.createTreeView(
+    "laravelToolkitMigrations",
+    { treeDataProvider: migrationsProvider }
+  );
+  migrationsProvider.view = migrationsView;
+  const migrationsWatcher = vscode.workspace.createFileSystemWatcher(
+    "**/database/migrations/*.php"
+  );
+  migrationsWatcher.onDidCreate((uri) =>
+    migrationsProvider.markCreated(uri.fsPath)
+  );
+  migrationsWatcher.onDidDelete(() => migrationsProvider.refresh());
+  context.subscriptions.push(migrationsView, migrationsWatcher);
+
+  // Events explorer, reloaded (debounced) when events, listeners or their
+  // provider change
+  const eventsProvider = new LaravelEventsTreeDataProvider();
+  const eventsWatcher = vscode.workspace.createFileSystemWatcher(
+    "**/app/{Events,Listeners,Providers}/**/*.php"
+  );
+  let eventsRefreshTimer = null;
+  const scheduleEventsRefresh = () => {
+    clearTimeout(eventsRefreshTimer);
+    eventsRefreshTimer = setTimeout(() => eventsProvider.refresh(), 500);
+  };
+  eventsWatcher.onDidCreate(scheduleEventsRefresh);
+  eventsWatcher.onDidChange(scheduleEventsRefresh);
+  eventsWatcher.onDidDelete(scheduleEventsRefresh);
+  context.subscriptions.push(
+    vscode.window.createTreeView("laravelToolkitEvents", {
+      treeDataProvider: eventsProvider,
+      showCollapseAll: true,
+    }),
+    eventsWatcher
+  );
+
+  // Queue panel with the failed jobs table
+  const queueProvider = new LaravelQueueTreeDataProvider();
+  const queueView = vscode.window.createTreeView("laravelToolkitQueue", {
+    treeDataProvider: queueProvider,
+  });
+  queueProvider.view = queueView;
+  context.subscriptions.push(queueView);
+
+  // Find Laravel projects (multi-root and nested) and check there is one
+  context.subscriptions.push(
+    onDidChangeProject(() => {
+      treeDataProvider.refresh();
+      modelsProvider.refresh();
+      routesProvider.refresh();
+      migrationsProvider.refresh();
+      eventsProvider.refresh();
+      queueProvider.refresh();
+    })
+  );
+  initProjects(context).then((projects) => {
+    if (projects.length === 0) {
+      vscode.window.showWarningMessage(
+        "Laravel Toolkit: No Laravel project detected in current workspace"
+      );
+    }
+  });
+  registerCommand(context, "laravel-toolkit.selectProject", selectProject);
+
+  // Read-only documents for the generator change review
+  registerChangePlanPreview(context);
+  initJournal(context);
+
   // Register refresh command
   context.subscriptions.push(
     vscode.commands.registerCommand("laravel-toolkit.refresh", () => {
       treeDataProvider.refresh();
+      modelsProvider.refresh();
+      routesProvider.refresh();
+      migrationsProvider.refresh();
+      eventsProvider.refresh();
+      queueProvider.refresh();
     })
   );
 
@@ -107,6 +242,54 @@ function activate(context) {
     artisanCommands.optimize
   );
 
+  // ========== APPLICATION CLASSES ==========
+  registerCommand(
+    context,
+    "laravel-toolkit.makeFactory",
+    advancedCommands.makeFactory
+  );
+  registerCommand(
+    context,
+    "laravel-toolkit.makeResource",
+    advancedCommands.makeResource
+  );
+  registerCommand(
+    context,
+    "laravel-toolkit.makePolicy",
+    advancedCommands.makePolicy
+  );
+  registerCommand(
+    context,
+    "laravel-toolkit.makeEvent",
+    advancedCommands.makeEvent
+  );
+  registerCommand(
+    context,
+    "laravel-toolkit.makeListener",
+    advancedCommands.makeListener
+  );
+  registerCommand(context, "laravel-toolkit.makeJob", advancedCommands.makeJob);
+  registerCommand(
+    context,
+    "laravel-toolkit.makeMail",
+    advancedCommands.makeMail
+  );
+  registerCommand(
+    context,
+    "laravel-toolkit.makeNotification",
+    advancedCommands.makeNotification
+  );
+  registerCommand(
+    context,
+    "laravel-toolkit.makeCommand",
+    advancedCommands.makeCommand
+  );
+  registerCommand(
+    context,
+    "laravel-toolkit.makeRule",
+    advancedCommands.makeRule
+  );
+
   // ========== GENERADORES AVANZADOS ==========
   registerCommand(
     context,
@@ -130,6 +313,14 @@ function activate(context) {
   const { generateAPI } = require("./generators/api");
   registerCommand(context, "laravel-toolkit.generateAPI", generateAPI);
 
+  // ========== BLUEPRINT ==========
+  const { buildFromBlueprint } = require("./generators/blueprint");
+  registerCommand(
+    context,
+    "laravel-toolkit.buildFromBlueprint",
+    buildFromBlueprint
+  );
+
   // ========== SPA CRUD GENERATORS ==========
   const {
     generateVueCRUD,
@@ -211,11 +402,138 @@ function activate(context) {
     }
   );
 
+  // ========== EVENTS ==========
+  const { generateEventListeners } = require("./generators/events");
+  registerCommand(
+    context,
+    "laravel-toolkit.generateEventListeners",
+    generateEventListeners
+  );
+
+  // ========== NOTIFICATIONS ==========
+  const { generateNotification } = require("./generators/notifications");
+  registerCommand(
+    context,
+    "laravel-toolkit.generateNotification",
+    generateNotification
+  );
+
+  // ========== POLICIES ==========
+  const { generatePolicy } = require("./generators/policies");
+  registerCommand(context, "laravel-toolkit.generatePolicy", generatePolicy);
+
+  // ========== SEEDERS ==========
+  const { generateSeeder } = require("./generators/seeder");
+  registerCommand(context, "laravel-toolkit.generateSeeder", generateSeeder);
+
+  // ========== MAIL ==========
+  const { generateMailable, previewMailable } = require("./generators/mail");
+  registerCommand(
+    context,
+    "laravel-toolkit.generateMailable",
+    generateMailable
+  );
+  registerCommand(context, "laravel-toolkit.previewMailable", previewMailable);
+
   // ========== TESTING & SERVICES ==========
   const { generateTest, generateService } = require("./generators/tests");
   registerCommand(context, "laravel-toolkit.generateTest", generateTest);
   registerCommand(context, "laravel-toolkit.generateService", generateService);
 
+  const { generateJob } = require("./generators/jobs");
+  registerCommand(context, "laravel-toolkit.generateJob", generateJob);
+
+  // ========== MODELS EXPLORER ==========
+  const { generateFactory } = require("./generators/model");
+  const modelOptions = (item) => ({ modelName: item && item.model.name });
+  registerCommand(context, "laravel-toolkit.modelGenerateAPI", (item) =>
+    generateAPI(modelOptions(item))
+  );
+  registerCommand(context, "laravel-toolkit.modelGenerateTests", (item) =>
+    generateTest(modelOptions(item))
+  );
+  registerCommand(context, "laravel-toolkit.modelGenerateFactory", (item) =>
+    generateFactory(modelOptions(item))
+  );
+  registerCommand(context, "laravel-toolkit.modelGenerateSeeder", (item) =>
+    generateSeeder(modelOptions(item))
+  );
+
+  // ========== ROUTES EXPLORER ==========
+  registerCommand(context, "laravel-toolkit.filterRoutes", async () => {
+    const filter = await vscode.window.showInputBox({
+      prompt: "Filter routes by method, URI, name, action or middleware",
+      placeHolder: "api/users, POST, auth:sanctum... (empty to clear)",
+      value: routesProvider.filter,
+    });
+
+    if (filter === undefined) return;
+
+    routesProvider.setFilter(filter);
+    routesView.description = routesProvider.filter
+      ? `Filter: ${routesProvider.filter}`
+      : undefined;
+  });
+  registerCommand(context, "laravel-toolkit.groupRoutes", async () => {
+    const groupBy = await vscode.window.showQuickPick(
+      [
+        { label: "Prefix", description: "First URI segment", value: "prefix" },
+        { label: "Middleware", value: "middleware" },
+      ],
+      { placeHolder: "Group routes by" }
+    );
+
+    if (groupBy) {
+      routesProvider.setGroupBy(groupBy.value);
+    }
+  });
+  registerCommand(context, "laravel-toolkit.openRouteAction", openRouteAction);
+
+  // ========== MIGRATIONS EXPLORER ==========
+  registerCommand(context, "laravel-toolkit.openMigration", (item) =>
+    vscode.window.showTextDocument(vscode.Uri.file(item.migration.filePath))
+  );
+  registerCommand(context, "laravel-toolkit.runMigrationsUpTo", (item) =>
+    runMigrationsUpTo(item, migrationsProvider)
+  );
+  registerCommand(context, "laravel-toolkit.rollbackMigrationBatch", (item) =>
+    rollbackMigrationBatch(item, migrationsProvider)
+  );
+  registerCommand(context, "laravel-toolkit.previewMigrationSql", (item) =>
+    previewMigrationSql(item, migrationsProvider)
+  );
+
+  // ========== QUEUE ==========
+  registerCommand(context, "laravel-toolkit.retryFailedJob", (item) =>
+    retryFailedJob(item, queueProvider)
+  );
+  registerCommand(context, "laravel-toolkit.forgetFailedJob", (item) =>
+    forgetFailedJob(item, queueProvider)
+  );
+  registerCommand(context, "laravel-toolkit.retryAllFailedJobs", () =>
+    retryAllFailedJobs(queueProvider)
+  );
+  registerCommand(context, "laravel-toolkit.flushFailedJobs", () =>
+    flushFailedJobs(queueProvider)
+  );
+  registerCommand(
+    context,
+    "laravel-toolkit.startQueueWorker",
+    startQueueWorker
+  );
+
+  // ========== GENERATION HISTORY ==========
+  registerCommand(
+    context,
+    "laravel-toolkit.undoLastGeneration",
+    undoLastGeneration
+  );
+  registerCommand(
+    context,
+    "laravel-toolkit.generationHistory",
+    showGenerationHistory
+  );
+
   // ========== ASSETS & VITE ==========
   registerCommand(context, "laravel-toolkit.generateJS", generateJSFile);
   registerCommand(context, "laravel-toolkit.setupVite", setupVite);
@@ -231,15 +549,11 @@ function activate(context) {
   });
 
   registerCommand(context, "laravel-toolkit.viteStart", async () => {
-    const terminal = vscode.window.createTerminal("Vite Dev Server");
-    terminal.show();
-    terminal.sendText("npm run dev");
+    runInTerminal("Vite Dev Server", "npm", ["run", "dev"]);
   });
 
   registerCommand(context, "laravel-toolkit.viteBuild", async () => {
-    const terminal = vscode.window.createTerminal("Vite Build");
-    terminal.show();
-    terminal.sendText("npm run build");
+    runInTerminal("Vite Build", "npm", ["run", "build"]);
   });
 
   // ========== DATABASE ==========
@@ -264,28 +578,20 @@ function activate(context) {
   });
 
   registerCommand(context, "laravel-toolkit.tinker", async () => {
-    const terminal = vscode.window.createTerminal("Laravel Tinker");
-    terminal.show();
-    terminal.sendText("php artisan tinker");
+    runInTerminal("Laravel Tinker", "artisan", ["tinker"]);
   });
 
   // ========== UTILITIES ==========
   registerCommand(context, "laravel-toolkit.composerInstall", async () => {
-    const terminal = vscode.window.createTerminal("Composer Install");
-    terminal.show();
-    terminal.sendText("composer install");
+    runInTerminal("Composer Install", "composer", ["install"]);
   });
 
   registerCommand(context, "laravel-toolkit.npmInstall", async () => {
-    const terminal = vscode.window.createTerminal("NPM Install");
-    terminal.show();
-    terminal.sendText("npm install");
+    runInTerminal("NPM Install", "npm", ["install"]);
   });
 
   registerCommand(context, "laravel-toolkit.serve", async () => {
-    const terminal = vscode.window.createTerminal("Laravel Server");
-    terminal.show();
-    terminal.sendText("php artisan serve");
+    runInTerminal("Laravel Server", "artisan", ["serve"]);
   });
 
   vscode.window.showInformationMessage("✅ Laravel Toolkit ready!");
@@ -1,5 +1,4 @@
 const vscode = require("vscode");
-const fs = require("fs");
 const path = require("path");
 const {
   getLaravelRootPath,
@@ -7,16 +6,44 @@ const {
   toPascalCase,
   toSnakeCase,
   toKebabCase,
-  ensureDirectoryExists,
+  pluralize,
 } = require("../utils/helpers");
+const {
+  renderTemplate,
+  buildTemplateVariables,
+} = require("../utils/templates");
+const {
+  runGeneration,
+  writeFile,
+  readFile,
+  fileExists,
+  ensureDirectoryExists,
+} = require("../utils/changePlan");
+const {
+  parseFieldDefinitions,
+  validateFieldDefinitions,
+  getColumnDefinition,
+  getCastType,
+  getValidationRules,
+  generateRelationshipMethod,
+} = require("../utils/fields");
+const { pickExistingColumns } = require("../utils/migrationSchema");
+const {
+  pickPolicyOptions,
+  writePolicy,
+  registerPolicy,
+} = require("./policies");
 
 /**
  * Generates a complete REST API for a model
+ *
+ * @param {{modelName?: string}} options Model name to prefill
  */
-async function generateAPI() {
+async function generateAPI(options = {}) {
   const modelName = await showInputBox({
     prompt: "Model name for REST API (e.g: Product)",
     placeHolder: "Product",
+    value: options.modelName,
     validateInput: (value) => {
       if (!value) return "Model name is required";
       if (!/^[A-Z][a-zA-Z0-9]*$/.test(value)) {
@@ -28,6 +55,23 @@ async function generateAPI() {
 
   if (!modelName) return;
 
+  const existingTable = await pickExistingColumns(modelName);
+  if (existingTable === undefined) return;
+
+  const fieldsInput = await showInputBox({
+    prompt:
+      "Model fields (comma separated: name:string:unique,price:decimal(8,2),user_id:foreignId:constrained)",
+    placeHolder: "name:string",
+    value: existingTable ? existingTable.definitions : "name:string",
+    validateInput: (value) =>
+      validateFieldDefinitions(value, { required: true }),
+  });
+
+  if (!fieldsInput) return;
+
+  const { fields, relationships } = parseFieldDefinitions(fieldsInput);
+  const table = existingTable ? existingTable.table : null;
+
   // API configuration options
   const apiType = await vscode.window.showQuickPick(
     [
@@ -141,118 +185,155 @@ async function generateAPI() {
 
   if (!useAuth) return;
 
+  let policyOptions = null;
+  if (components.policy) {
+    policyOptions = await pickPolicyOptions(getLaravelRootPath(), modelName, {
+      ownerColumn: fields.some((f) => f.name === "user_id")
+        ? "user_id"
+        : undefined,
+    });
+    if (!policyOptions) return;
+  }
+
   try {
-    await vscode.window.withProgress(
-      {
-        location: vscode.ProgressLocation.Notification,
-        title: `Generating REST API for ${modelName}`,
-        cancellable: false,
-      },
-      async (progress) => {
-        const rootPath = getLaravelRootPath();
-
-        progress.report({ increment: 10, message: "Creating Model..." });
-        if (components.model) {
-          try {
-            await createModel(rootPath, modelName, components.migration);
-          } catch (error) {
-            vscode.window.showErrorMessage(
-              `Error creating model: ${error.message}`
-            );
+    const applied = await runGeneration(`API for ${modelName}`, () =>
+      vscode.window.withProgress(
+        {
+          location: vscode.ProgressLocation.Notification,
+          title: `Generating REST API for ${modelName}`,
+          cancellable: false,
+        },
+        async (progress) => {
+          const rootPath = getLaravelRootPath();
+
+          progress.report({ increment: 10, message: "Creating Model..." });
+          if (components.model) {
+            try {
+              await createModel(
+                rootPath,
+                modelName,
+                fields,
+                relationships,
+                table
+              );
+            } catch (error) {
+              vscode.window.showErrorMessage(
+                `Error creating model: ${error.message}`
+              );
+            }
           }
-        }
 
-        progress.report({ increment: 15, message: "Creating Controller..." });
-        if (components.controller) {
-          try {
-            await createAPIController(
-              rootPath,
-              modelName,
-              apiVersion,
-              useAuth.value
-            );
-          } catch (error) {
-            vscode.window.showErrorMessage(
-              `Error creating controller: ${error.message}`
-            );
+          if (components.migration && !existingTable) {
+            try {
+              await createMigration(rootPath, modelName, fields);
+            } catch (error) {
+              vscode.window.showErrorMessage(
+                `Error creating migration: ${error.message}`
+              );
+            }
           }
-        }
 
-        progress.report({ increment: 15, message: "Creating Resource..." });
-        if (components.resource) {
-          try {
-            await createAPIResource(rootPath, modelName, apiVersion);
-          } catch (error) {
-            vscode.window.showErrorMessage(
-              `Error creating resource: ${error.message}`
-            );
+          progress.report({ increment: 15, message: "Creating Controller..." });
+          if (components.controller) {
+            try {
+              await createAPIController(
+                rootPath,
+                modelName,
+                fields,
+                apiVersion,
+                useAuth.value,
+                table
+              );
+            } catch (error) {
+              vscode.window.showErrorMessage(
+                `Error creating controller: ${error.message}`
+              );
+            }
           }
-        }
 
-        progress.report({ increment: 15, message: "Creating Collection..." });
-        if (components.collection) {
-          try {
-            await createAPICollection(rootPath, modelName, apiVersion);
-          } catch (error) {
-            vscode.window.showErrorMessage(
-              `Error creating collection: ${error.message}`
-            );
+          progress.report({ increment: 15, message: "Creating Resource..." });
+          if (components.resource) {
+            try {
+              await createAPIResource(
+                rootPath,
+                modelName,
+                fields,
+                apiVersion
+              );
+            } catch (error) {
+              vscode.window.showErrorMessage(
+                `Error creating resource: ${error.message}`
+              );
+            }
           }
-        }
 
-        progress.report({ increment: 15, message: "Creating Requests..." });
-        if (components.requests) {
-          try {
-            await createFormRequests(rootPath, modelName);
-          } catch (error) {
-            vscode.window.showErrorMessage(
-              `Error creating requests: ${error.message}`
-            );
+          progress.report({ increment: 15, message: "Creating Collection..." });
+          if (components.collection) {
+            try {
+              await createAPICollection(rootPath, modelName, apiVersion);
+            } catch (error) {
+              vscode.window.showErrorMessage(
+                `Error creating collection: ${error.message}`
+              );
+            }
           }
-        }
 
-        progress.report({ increment: 10, message: "Creating Routes..." });
-        if (components.routes) {
-          try {
-            await createAPIRoutes(
-              rootPath,
-              modelName,
-              apiVersion,
-              useAuth.value
-            );
-          } catch (error) {
-            vscode.window.showErrorMessage(
-              `Error creating routes: ${error.message}`
-            );
+          progress.report({ increment: 15, message: "Creating Requests..." });
+          if (components.requests) {
+            try {
+              await createFormRequests(rootPath, modelName, fields, table);
+            } catch (error) {
+              vscode.window.showErrorMessage(
+                `Error creating requests: ${error.message}`
+              );
+            }
           }
-        }
 
-        progress.report({ increment: 10, message: "Creating Tests..." });
-        if (components.tests) {
-          try {
-            await createAPITests(rootPath, modelName, apiVersion);
-          } catch (error) {
-            vscode.window.showErrorMessage(
-              `Error creating tests: ${error.message}`
-            );
+          progress.report({ increment: 10, message: "Creating Routes..." });
+          if (components.routes) {
+            try {
+              await createAPIRoutes(
+                rootPath,
+                modelName,
+                apiVersion,
+                useAuth.value
+              );
+            } catch (error) {
+              vscode.window.showErrorMessage(
+                `Error creating routes: ${error.message}`
+              );
+            }
           }
-        }
 
-        progress.report({ increment: 10, message: "Creating Policy..." });
-        if (components.policy) {
-          try {
-            await createPolicy(rootPath, modelName);
-          } catch (error) {
-            vscode.window.showErrorMessage(
-              `Error creating policy: ${error.message}`
-            );
+          progress.report({ increment: 10, message: "Creating Tests..." });
+          if (components.tests) {
+            try {
+              await createAPITests(rootPath, modelName, apiVersion, table);
+            } catch (error) {
+              vscode.window.showErrorMessage(
+                `Error creating tests: ${error.message}`
+              );
+            }
           }
-        }
 
-        progress.report({ increment: 10, message: "Done!" });
-      }
+          progress.report({ increment: 10, message: "Creating Policy..." });
+          if (components.policy) {
+            try {
+              await createPolicy(rootPath, modelName, policyOptions);
+            } catch (error) {
+              vscode.window.showErrorMessage(
+                `Error creating policy: ${error.message}`
+              );
+            }
+          }
+
+          progress.report({ increment: 10, message: "Done!" });
+        }
+      )
     );
 
+    if (!applied) return;
+
     vscode.window.showInformationMessage(
       `✅ REST API for ${modelName} generated successfully`
     );
@@ -262,22 +343,35 @@ async function generateAPI() {
 }
 
 /**
- * Creates Model
+ * Creates Model, with $table when an existing table is unconventional
  */
-async function createModel(rootPath, modelName, withMigration) {
+async function createModel(
+  rootPath,
+  modelName,
+  fields,
+  relationships,
+  table = null
+) {
   const modelPath = path.join(rootPath, "app", "Models", `${modelName}.php`);
-
-  // Check if model already exists
-  if (fs.existsSync(modelPath)) {
-    const overwrite = await vscode.window.showWarningMessage(
-      `Model ${modelName} already exists. Overwrite?`,
-      "Yes",
-      "No"
-    );
-    if (overwrite !== "Yes") {
-      return;
-    }
-  }
+  const fillable = fields.map((f) => `\n        '${f.name}',`).join("");
+  const casts = fields
+    .filter((f) => getCastType(f))
+    .map((f) => `\n        '${f.name}' => '${getCastType(f)}',`)
+    .join("");
+  const relationshipMethods = relationships
+    .map((rel) => `\n${generateRelationshipMethod(rel)}`)
+    .join("");
+  const tableProperty =
+    table && table !== pluralize(toSnakeCase(modelName))
+      ? `
+    /**
+     * The table associated with the model.
+     *
+     * @var string
+     */
+    protected $table = '${table}';
+`
+      : "";
 
   const content = `<?php
 
@@ -289,15 +383,13 @@ use Illuminate\\Database\\Eloquent\\Model;
 class ${modelName} extends Model
 {
     use HasFactory;
-
+${tableProperty}
     /**
      * The attributes that are mass assignable.
      *
      * @var array<int, string>
      */
-    protected $fillable = [
-        'name',
-        // Add your fillable attributes here
+    protected $fillable = [${fillable}
     ];
 
     /**
@@ -305,21 +397,99 @@ class ${modelName} extends Model
      *
      * @var array<string, string>
      */
-    protected $casts = [
+    protected $casts = [${casts}
         'created_at' => 'datetime',
         'updated_at' => 'datetime',
-    ];
+    ];${relationshipMethods}
 }
 `;
 
   ensureDirectoryExists(path.dirname(modelPath));
-  fs.writeFileSync(modelPath, content);
+  writeFile(
+    modelPath,
+    renderTemplate(
+      "api.model",
+      content,
+      buildTemplateVariables(modelName, fields, {
+        relationships,
+        ...(table && { tableName: table, table }),
+      })
+    )
+  );
+}
+
+/**
+ * Creates the create-table migration
+ */
+async function createMigration(rootPath, modelName, fields) {
+  const tableName = toSnakeCase(modelName) + "s";
+  const timestamp = new Date()
+    .toISOString()
+    .replace(/[-:T.]/g, "")
+    .slice(0, 14);
+  const migrationPath = path.join(
+    rootPath,
+    "database",
+    "migrations",
+    `${timestamp}_create_${tableName}_table.php`
+  );
+
+  const fieldDefinitions = fields
+    .map((field) => `            ${getColumnDefinition(field)}`)
+    .join("\n");
+
+  const content = `<?php
+
+use Illuminate\\Database\\Migrations\\Migration;
+use Illuminate\\Database\\Schema\\Blueprint;
+use Illuminate\\Support\\Facades\\Schema;
+
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        Schema::create('${tableName}', function (Blueprint $table) {
+            $table->id();
+${fieldDefinitions}
+            $table->timestamps();
+        });
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::dropIfExists('${tableName}');
+    }
+};
+`;
+
+  ensureDirectoryExists(path.dirname(migrationPath));
+  writeFile(
+    migrationPath,
+    renderTemplate(
+      "api.migration.create",
+      content,
+      buildTemplateVariables(modelName, fields, { fieldDefinitions })
+    )
+  );
 }
 
 /**
  * Creates API Controller
  */
-async function createAPIController(rootPath, modelName, version, authType) {
+async function createAPIController(
+  rootPath,
+  modelName,
+  fields,
+  version,
+  authType,
+  table = null
+) {
   const controllerPath = path.join(
     rootPath,
     "app",
@@ -330,18 +500,6 @@ async function createAPIController(rootPath, modelName, version, authType) {
     `${modelName}Controller.php`
   );
 
-  // Check if controller already exists
-  if (fs.existsSync(controllerPath)) {
-    const overwrite = await vscode.window.showWarningMessage(
-      `Controller ${modelName}Controller already exists. Overwrite?`,
-      "Yes",
-      "No"
-    );
-    if (overwrite !== "Yes") {
-      return;
-    }
-  }
-
   const namespace = version
     ? `App\\Http\\Controllers\\Api\\${version.toUpperCase()}`
     : "App\\Http\\Controllers\\Api";
@@ -367,6 +525,10 @@ async function createAPIController(rootPath, modelName, version, authType) {
 `
     : "";
 
+  const tableName = table || toSnakeCase(modelName) + "s";
+  const storeRules = buildValidationRules(fields, tableName);
+  const updateRules = buildValidationRules(fields, tableName, true);
+
   const resourceImport = version
     ? `use App\\Http\\Resources\\${version.toUpperCase()}\\${modelName}Resource;`
     : `use App\\Http\\Resources\\${modelName}Resource;`;
@@ -407,7 +569,7 @@ class ${modelName}Controller extends Controller
     public function store(Request $request): JsonResponse
     {
         $validated = $request->validate([
-            'name' => 'required|string|max:255',
+${storeRules}
             // Add your validation rules here
         ]);
 
@@ -443,7 +605,7 @@ class ${modelName}Controller extends Controller
   )}): ${modelName}Resource
     {
         $validated = $request->validate([
-            'name' => 'sometimes|required|string|max:255',
+${updateRules}
             // Add your validation rules here
         ]);
 
@@ -472,13 +634,25 @@ class ${modelName}Controller extends Controller
 `;
 
   ensureDirectoryExists(path.dirname(controllerPath));
-  fs.writeFileSync(controllerPath, content);
+  writeFile(
+    controllerPath,
+    renderTemplate(
+      "api.controller.api",
+      content,
+      buildTemplateVariables(modelName, fields, {
+        class: `${modelName}Controller`,
+        namespace,
+        version,
+        authMiddleware,
+      })
+    )
+  );
 }
 
 /**
  * Creates API Resource
  */
-async function createAPIResource(rootPath, modelName, version) {
+async function createAPIResource(rootPath, modelName, fields, version) {
   const resourcePath = path.join(
     rootPath,
     "app",
@@ -488,22 +662,14 @@ async function createAPIResource(rootPath, modelName, version) {
     `${modelName}Resource.php`
   );
 
-  // Check if resource already exists
-  if (fs.existsSync(resourcePath)) {
-    const overwrite = await vscode.window.showWarningMessage(
-      `Resource ${modelName}Resource already exists. Overwrite?`,
-      "Yes",
-      "No"
-    );
-    if (overwrite !== "Yes") {
-      return;
-    }
-  }
-
   const namespace = version
     ? `App\\Http\\Resources\\${version.toUpperCase()}`
     : "App\\Http\\Resources";
 
+  const attributes = fields
+    .map((f) => `\n            '${f.name}' => $this->${f.name},`)
+    .join("");
+
   const content = `<?php
 
 namespace ${namespace};
@@ -522,8 +688,7 @@ class ${modelName}Resource extends JsonResource
     public function toArray(Request $request): array
     {
         return [
-            'id' => $this->id,
-            'name' => $this->name,
+            'id' => $this->id,${attributes}
             'created_at' => $this->created_at?->toIso8601String(),
             'updated_at' => $this->updated_at?->toIso8601String(),
             // Add your resource attributes here
@@ -533,7 +698,17 @@ class ${modelName}Resource extends JsonResource
 `;
 
   ensureDirectoryExists(path.dirname(resourcePath));
-  fs.writeFileSync(resourcePath, content);
+  writeFile(
+    resourcePath,
+    renderTemplate(
+      "api.resource",
+      content,
+      buildTemplateVariables(modelName, fields, {
+        class: `${modelName}Resource`,
+        namespace,
+      })
+    )
+  );
 }
 
 /**
@@ -549,18 +724,6 @@ async function createAPICollection(rootPath, modelName, version) {
     `${modelName}Collection.php`
   );
 
-  // Check if collection already exists
-  if (fs.existsSync(collectionPath)) {
-    const overwrite = await vscode.window.showWarningMessage(
-      `Collection ${modelName}Collection already exists. Overwrite?`,
-      "Yes",
-      "No"
-    );
-    if (overwrite !== "Yes") {
-      return;
-    }
-  }
-
   const namespace = version
     ? `App\\Http\\Resources\\${version.toUpperCase()}`
     : "App\\Http\\Resources";
@@ -597,13 +760,34 @@ class ${modelName}Collection extends ResourceCollection
 `;
 
   ensureDirectoryExists(path.dirname(collectionPath));
-  fs.writeFileSync(collectionPath, content);
+  writeFile(
+    collectionPath,
+    renderTemplate(
+      "api.collection",
+      content,
+      buildTemplateVariables(modelName, [], {
+        class: `${modelName}Collection`,
+        namespace,
+      })
+    )
+  );
 }
 
 /**
  * Creates Form Requests
  */
-async function createFormRequests(rootPath, modelName) {
+async function createFormRequests(rootPath, modelName, fields, table = null) {
+  const tableName = table || toSnakeCase(modelName) + "s";
+  const storeRules = buildValidationRules(fields, tableName);
+  const updateRules = buildValidationRules(fields, tableName, true);
+  const messages = fields
+    .filter((f) => !f.nullable)
+    .map(
+      (f) =>
+        `\n            '${f.name}.required' => 'The ${f.name} field is required.',`
+    )
+    .join("");
+
   // Store Request
   const storeRequestPath = path.join(
     rootPath,
@@ -637,7 +821,7 @@ class Store${modelName}Request extends FormRequest
     public function rules(): array
     {
         return [
-            'name' => 'required|string|max:255',
+${storeRules}
             // Add your validation rules here
         ];
     }
@@ -649,8 +833,7 @@ class Store${modelName}Request extends FormRequest
      */
     public function messages(): array
     {
-        return [
-            'name.required' => 'The name field is required.',
+        return [${messages}
             // Add your custom messages here
         ];
     }
@@ -690,7 +873,7 @@ class Update${modelName}Request extends FormRequest
     public function rules(): array
     {
         return [
-            'name' => 'sometimes|required|string|max:255',
+${updateRules}
             // Add your validation rules here
         ];
     }
@@ -702,8 +885,7 @@ class Update${modelName}Request extends FormRequest
      */
     public function messages(): array
     {
-        return [
-            'name.required' => 'The name field is required.',
+        return [${messages}
             // Add your custom messages here
         ];
     }
@@ -711,8 +893,28 @@ class Update${modelName}Request extends FormRequest
 `;
 
   ensureDirectoryExists(path.dirname(storeRequestPath));
-  fs.writeFileSync(storeRequestPath, storeContent);
-  fs.writeFileSync(updateRequestPath, updateContent);
+  writeFile(
+    storeRequestPath,
+    renderTemplate(
+      "api.request.store",
+      storeContent,
+      buildTemplateVariables(modelName, fields, {
+        class: `Store${modelName}Request`,
+        namespace: "App\\Http\\Requests",
+      })
+    )
+  );
+  writeFile(
+    updateRequestPath,
+    renderTemplate(
+      "api.request.update",
+      updateContent,
+      buildTemplateVariables(modelName, fields, {
+        class: `Update${modelName}Request`,
+        namespace: "App\\Http\\Requests",
+      })
+    )
+  );
 }
 
 /**
@@ -721,7 +923,7 @@ class Update${modelName}Request extends FormRequest
 async function createAPIRoutes(rootPath, modelName, version, authType) {
   const apiRoutesPath = path.join(rootPath, "routes", "api.php");
 
-  if (!fs.existsSync(apiRoutesPath)) {
+  if (!fileExists(apiRoutesPath)) {
     vscode.window.showWarningMessage("routes/api.php not found");
     return;
   }
@@ -740,19 +942,19 @@ Route::prefix('${versionPrefix}')->group(function () {
 });
 `;
 
-  let content = fs.readFileSync(apiRoutesPath, "utf8");
+  let content = readFile(apiRoutesPath);
 
   // Add route if not already present
   if (!content.includes(`${modelName} API Routes`)) {
     content += routeGroup;
-    fs.writeFileSync(apiRoutesPath, content);
+    writeFile(apiRoutesPath, content);
   }
 }
 
 /**
  * Creates API Tests
  */
-async function createAPITests(rootPath, modelName, version) {
+async function createAPITests(rootPath, modelName, version, table = null) {
   const testPath = path.join(
     rootPath,
     "tests",
@@ -762,6 +964,7 @@ async function createAPITests(rootPath, modelName, version) {
 
   const versionPrefix = version ? `/${version}` : "";
   const endpoint = `${versionPrefix}/${toKebabCase(modelName)}s`;
+  const tableName = table || toSnakeCase(modelName) + "s";
 
   const content = `<?php
 
@@ -808,7 +1011,7 @@ class ${modelName}ApiTest extends TestCase
                 'data' => ['id', 'name', 'created_at', 'updated_at']
             ]);
 
-        $this->assertDatabaseHas('${toSnakeCase(modelName)}s', [
+        $this->assertDatabaseHas('${tableName}', [
             'name' => 'Test ${modelName}',
         ]);
     }
@@ -870,7 +1073,7 @@ class ${modelName}ApiTest extends TestCase
 
         $response->assertStatus(204);
 
-        $this->assertDatabaseMissing('${toSnakeCase(modelName)}s', [
+        $this->assertDatabaseMissing('${tableName}', [
             'id' => $${toSnakeCase(modelName)}->id,
         ]);
     }
@@ -901,99 +1104,52 @@ class ${modelName}ApiTest extends TestCase
 `;
 
   ensureDirectoryExists(path.dirname(testPath));
-  fs.writeFileSync(testPath, content);
+  writeFile(
+    testPath,
+    renderTemplate(
+      "api.test.feature",
+      content,
+      buildTemplateVariables(modelName, [], {
+        class: `${modelName}ApiTest`,
+        namespace: "Tests\\Feature",
+        endpoint,
+      })
+    )
+  );
 }
 
 /**
- * Creates Policy
+ * Creates the policy from the chosen template and registers it
  */
-async function createPolicy(rootPath, modelName) {
-  const policyPath = path.join(
+async function createPolicy(rootPath, modelName, options) {
+  const model = { name: modelName, className: `App\\Models\\${modelName}` };
+
+  writePolicy(
     rootPath,
-    "app",
-    "Policies",
-    `${modelName}Policy.php`
+    model,
+    options,
+    "api.policy",
+    buildTemplateVariables(modelName, [], {
+      class: `${modelName}Policy`,
+      namespace: "App\\Policies",
+    })
   );
-
-  const content = `<?php
-
-namespace App\\Policies;
-
-use App\\Models\\${modelName};
-use App\\Models\\User;
-
-class ${modelName}Policy
-{
-    /**
-     * Determine whether the user can view any models.
-     */
-    public function viewAny(User $user): bool
-    {
-        return true;
-    }
-
-    /**
-     * Determine whether the user can view the model.
-     */
-    public function view(User $user, ${modelName} $${toSnakeCase(
-    modelName
-  )}): bool
-    {
-        return true;
-    }
-
-    /**
-     * Determine whether the user can create models.
-     */
-    public function create(User $user): bool
-    {
-        return true;
-    }
-
-    /**
-     * Determine whether the user can update the model.
-     */
-    public function update(User $user, ${modelName} $${toSnakeCase(
-    modelName
-  )}): bool
-    {
-        return true;
-    }
-
-    /**
-     * Determine whether the user can delete the model.
-     */
-    public function delete(User $user, ${modelName} $${toSnakeCase(
-    modelName
-  )}): bool
-    {
-        return true;
-    }
-
-    /**
-     * Determine whether the user can restore the model.
-     */
-    public function restore(User $user, ${modelName} $${toSnakeCase(
-    modelName
-  )}): bool
-    {
-        return true;
-    }
-
-    /**
-     * Determine whether the user can permanently delete the model.
-     */
-    public function forceDelete(User $user, ${modelName} $${toSnakeCase(
-    modelName
-  )}): bool
-    {
-        return true;
-    }
+  registerPolicy(rootPath, model.className, `${modelName}Policy`);
 }
-`;
 
-  ensureDirectoryExists(path.dirname(policyPath));
-  fs.writeFileSync(policyPath, content);
+/**
+ * Validation rules for the store/update endpoints
+ */
+function buildValidationRules(fields, tableName, isUpdate = false) {
+  return fields
+    .map(
+      (f) =>
+        `            '${f.name}' => '${getValidationRules(f, {
+          isUpdate,
+          table: tableName,
+        })}',`
+    )
+    .join("\n");
 }
 
 module.exports = {
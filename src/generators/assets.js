@@ -1,4 +1,3 @@
-const fs = require("fs");
 const path = require("path");
 const vscode = require("vscode");
 const {
@@ -8,9 +7,16 @@ const {
   toKebabCase,
   toCamelCase,
   toPascalCase,
-  ensureDirectoryExists,
   hasViteConfig,
 } = require("../utils/helpers");
+const { renderTemplate } = require("../utils/templates");
+const {
+  runGeneration,
+  writeFile,
+  readFile,
+  fileExists,
+  ensureDirectoryExists,
+} = require("../utils/changePlan");
 
 /**
  * Generate a JS file following Laravel + Vite best practices
@@ -48,23 +54,27 @@ async function generateJSFile() {
   if (!fileName) return;
 
   try {
-    switch (selectedType) {
-      case "component":
-        await createJSComponent(fileName);
-        break;
-      case "utility":
-        await createUtility(fileName);
-        break;
-      case "service":
-        await createAPIService(fileName);
-        break;
-      case "store":
-        await createStore(fileName);
-        break;
-      case "hook":
-        await createHook(fileName);
-        break;
-    }
+    const applied = await runGeneration(`${fileName}.js`, async () => {
+      switch (selectedType) {
+        case "component":
+          await createJSComponent(fileName);
+          break;
+        case "utility":
+          await createUtility(fileName);
+          break;
+        case "service":
+          await createAPIService(fileName);
+          break;
+        case "store":
+          await createStore(fileName);
+          break;
+        case "hook":
+          await createHook(fileName);
+          break;
+      }
+    });
+
+    if (!applied) return;
 
     vscode.window.showInformationMessage(
       `✅ File ${fileName}.js created successfully`
@@ -128,7 +138,10 @@ if (typeof document !== 'undefined') {
 `;
 
   const filePath = path.join(componentsPath, `${toKebabCase(name)}.js`);
-  fs.writeFileSync(filePath, content);
+  writeFile(
+    filePath,
+    renderTemplate("assets.js.component", content, { name })
+  );
 
   // Update app.js to import the component
   await updateAppJS(name, "component");
@@ -175,7 +188,10 @@ export default {
 `;
 
   const filePath = path.join(utilsPath, `${toKebabCase(name)}.js`);
-  fs.writeFileSync(filePath, content);
+  writeFile(
+    filePath,
+    renderTemplate("assets.js.utility", content, { name })
+  );
 
   // Update app.js to import the utility
   await updateAppJS(name, "utility");
@@ -279,7 +295,10 @@ export default {
 `;
 
   const filePath = path.join(servicesPath, `${toKebabCase(name)}.service.js`);
-  fs.writeFileSync(filePath, content);
+  writeFile(
+    filePath,
+    renderTemplate("assets.js.service", content, { name })
+  );
 
   // Update app.js to import the service
   await updateAppJS(name, "service");
@@ -401,7 +420,10 @@ export default new ${toPascalCase(name)}Store();
 `;
 
   const filePath = path.join(storePath, `${toKebabCase(name)}.store.js`);
-  fs.writeFileSync(filePath, content);
+  writeFile(
+    filePath,
+    renderTemplate("assets.js.store", content, { name })
+  );
 
   // Update app.js to import the store
   await updateAppJS(name, "store");
@@ -479,7 +501,10 @@ export function use${toPascalCase(name)}() {
 `;
 
   const filePath = path.join(hooksPath, `${toKebabCase(name)}.js`);
-  fs.writeFileSync(filePath, content);
+  writeFile(
+    filePath,
+    renderTemplate("assets.js.composable", content, { name })
+  );
 
   // Update app.js to import the hook
   await updateAppJS(name, "hook");
@@ -492,7 +517,7 @@ async function updateAppJS(name, type) {
   const rootPath = getLaravelRootPath();
   const appJsPath = path.join(rootPath, "resources", "js", "app.js");
 
-  if (!fs.existsSync(appJsPath)) {
+  if (!fileExists(appJsPath)) {
     return;
   }
 
@@ -528,7 +553,7 @@ async function updateAppJS(name, type) {
   const config = importConfig[type];
   if (!config) return;
 
-  let content = fs.readFileSync(appJsPath, "utf8");
+  let content = readFile(appJsPath);
   const importStatement = config.template(config.name, config.path);
 
   if (!content.includes(importStatement.trim())) {
@@ -545,7 +570,7 @@ async function updateAppJS(name, type) {
     lines.splice(lastImportIndex + 1, 0, importStatement);
     content = lines.join("\n");
 
-    fs.writeFileSync(appJsPath, content);
+    writeFile(appJsPath, content);
   }
 }
 
@@ -583,7 +608,12 @@ export default defineConfig({
 });
 `;
 
-  fs.writeFileSync(viteConfigPath, content);
+  const applied = await runGeneration("Vite configuration", async () => {
+    writeFile(viteConfigPath, renderTemplate("assets.vite.config", content));
+  });
+
+  if (!applied) return;
+
   vscode.window.showInformationMessage("✅ Vite configured successfully");
 }
 
@@ -604,21 +634,22 @@ async function setupJSStructure() {
     "pages",
   ];
 
-  folders.forEach((folder) => {
-    const folderPath = path.join(jsPath, folder);
-    ensureDirectoryExists(folderPath);
+  const applied = await runGeneration("JS structure", async () => {
+    folders.forEach((folder) => {
+      const folderPath = path.join(jsPath, folder);
+      ensureDirectoryExists(folderPath);
 
-    // Create .gitkeep file
-    const gitkeepPath = path.join(folderPath, ".gitkeep");
-    if (!fs.existsSync(gitkeepPath)) {
-      fs.writeFileSync(gitkeepPath, "");
-    }
-  });
+      // Create .gitkeep file
+      const gitkeepPath = path.join(folderPath, ".gitkeep");
+      if (!fileExists(gitkeepPath)) {
+        writeFile(gitkeepPath, "");
+      }
+    });
 
-  // Create app.js if it doesn't exist
-  const appJsPath = path.join(jsPath, "app.js");
-  if (!fs.existsSync(appJsPath)) {
-    const appJsContent = `/**
+    // Create app.js if it doesn't exist
+    const appJsPath = path.join(jsPath, "app.js");
+    if (!fileExists(appJsPath)) {
+      const appJsContent = `/**
  * Main Application Entry Point
  */
 
@@ -628,13 +659,13 @@ import '../css/app.css';
 // Importar componentes aquí
 console.log('Application loaded');
 `;
-    fs.writeFileSync(appJsPath, appJsContent);
-  }
+      writeFile(appJsPath, renderTemplate("assets.js.app", appJsContent));
+    }
 
-  // Create bootstrap.js if it doesn't exist
-  const bootstrapJsPath = path.join(jsPath, "bootstrap.js");
-  if (!fs.existsSync(bootstrapJsPath)) {
-    const bootstrapContent = `/**
+    // Create bootstrap.js if it doesn't exist
+    const bootstrapJsPath = path.join(jsPath, "bootstrap.js");
+    if (!fileExists(bootstrapJsPath)) {
+      const bootstrapContent = `/**
  * Bootstrap Application
  */
 
@@ -651,8 +682,14 @@ if (token) {
     console.error('CSRF token not found');
 }
 `;
-    fs.writeFileSync(bootstrapJsPath, bootstrapContent);
-  }
+      writeFile(
+        bootstrapJsPath,
+        renderTemplate("assets.js.bootstrap", bootstrapContent)
+      );
+    }
+  });
+
+  if (!applied) return;
 
   vscode.window.showInformationMessage(
     "✅ JS structure configured successfully"
@@ -719,10 +756,17 @@ async function generateCSSFile() {
       cssPath,
       `${toKebabCase(fileName)}.${extension}`
     );
-    fs.writeFileSync(filePath, content);
+    const applied = await runGeneration(`${fileName}.${extension}`, async () => {
+      writeFile(
+        filePath,
+        renderTemplate(`assets.css.${extension}`, content, { name: fileName })
+      );
+
+      // Add import to app.css
+      await addCSSImport(fileName, extension);
+    });
 
-    // Add import to app.css
-    await addCSSImport(fileName, extension);
+    if (!applied) return;
 
     vscode.window.showInformationMessage(
       `✅ ${extension.toUpperCase()} file ${fileName} created successfully`
@@ -739,11 +783,11 @@ async function addCSSImport(fileName, extension) {
   const rootPath = getLaravelRootPath();
   const appCssPath = path.join(rootPath, "resources", "css", "app.css");
 
-  if (!fs.existsSync(appCssPath)) {
+  if (!fileExists(appCssPath)) {
     return;
   }
 
-  let content = fs.readFileSync(appCssPath, "utf8");
+  let content = readFile(appCssPath);
   const importStatement = `@import './${toKebabCase(
     fileName
   )}.${extension}';\n`;
@@ -754,7 +798,7 @@ async function addCSSImport(fileName, extension) {
 
   // Add import at the end
   content = content.trimEnd() + `\n${importStatement}`;
-  fs.writeFileSync(appCssPath, content);
+  writeFile(appCssPath, content);
 }
 
 module.exports = {
@@ -0,0 +1,738 @@
+const path = require("path");
+const vscode = require("vscode");
+const {
+  getLaravelVersion,
+  showInputBox,
+  toCamelCase,
+  toPascalCase,
+  toSnakeCase,
+  pluralize,
+} = require("../utils/helpers");
+const { renderTemplate } = require("../utils/templates");
+const { writeFile, fileExists } = require("../utils/changePlan");
+
+// Built-in Eloquent casts offered for a field
+const CASTS = [
+  "array",
+  "collection",
+  "object",
+  "boolean",
+  "integer",
+  "float",
+  "decimal:2",
+  "date",
+  "datetime",
+  "immutable_datetime",
+  "timestamp",
+  "encrypted",
+  "encrypted:array",
+  "hashed",
+];
+
+/**
+ * Model attributes
+ *
+ * The model property step of the Advanced Model generator: $casts (with
+ * backed enums in app/Enums and cast classes in app/Casts), $hidden,
+ * $appends, $with, $table, $primaryKey/$keyType, $connection and
+ * Attribute::make() accessors and mutators.
+ */
+
+/**
+ * Prompts for the model properties
+ *
+ * @param {string} modelName
+ * @param {object[]} fields
+ * @param {object[]} relationships
+ * @param {{uuid?: boolean, table?: string}} options HasUuids already sets
+ *   the key type, table is the existing table the fields came from
+ * @returns {Promise<object|undefined>} The attributes, undefined when
+ *   cancelled
+ */
+async function pickModelAttributes(
+  modelName,
+  fields,
+  relationships,
+  options = {}
+) {
+  const attributes = {
+    casts: [],
+    hidden: [],
+    appends: [],
+    with: [],
+    table: null,
+    primaryKey: null,
+    connection: null,
+    accessors: [],
+  };
+  const conventionalTable = pluralize(toSnakeCase(modelName));
+  const unconventionalTable =
+    options.table && options.table !== conventionalTable;
+
+  const properties = await vscode.window.showQuickPick(
+    [
+      {
+        label: "$(symbol-enum) Casts",
+        description: "$casts, with backed enums and custom cast classes",
+        value: "casts",
+        fields: true,
+      },
+      {
+        label: "$(eye-closed) Hidden",
+        description: "$hidden",
+        value: "hidden",
+      },
+      {
+        label: "$(add) Appends",
+        description: "$appends, with their accessors",
+        value: "appends",
+      },
+      {
+        label: "$(references) Eager loading",
+        description: "$with",
+        value: "with",
+        relationships: true,
+      },
+      {
+        label: "$(table) Table name",
+        description: unconventionalTable ? options.table : "$table",
+        value: "table",
+        picked: unconventionalTable,
+      },
+      {
+        label: "$(key) Primary key",
+        description: "$primaryKey, $keyType",
+        value: "primaryKey",
+      },
+      {
+        label: "$(database) Connection",
+        description: "$connection",
+        value: "connection",
+      },
+      {
+        label: "$(symbol-property) Accessors & mutators",
+        description: "Attribute::make()",
+        value: "accessors",
+        fields: true,
+      },
+    ].filter(
+      (item) =>
+        (!item.fields || fields.length > 0) &&
+        (!item.relationships || relationships.length > 0)
+    ),
+    {
+      placeHolder: "Model properties (optional, multi-select)",
+      canPickMany: true,
+    }
+  );
+
+  const selected = (properties || []).map((property) => property.value);
+
+  if (selected.includes("casts")) {
+    attributes.casts = await pickCasts(modelName, fields);
+    if (!attributes.casts) return undefined;
+  }
+
+  if (selected.includes("hidden")) {
+    const hidden = await promptAttributeList(
+      "Hidden attributes (comma-separated)",
+      fields
+        .map((field) => field.name)
+        .filter((name) => /password|token|secret/.test(name))
+        .join(", ")
+    );
+    if (hidden === undefined) return undefined;
+    attributes.hidden = hidden;
+  }
+
+  if (selected.includes("appends")) {
+    const appends = await promptAttributeList(
+      "Appended attributes (comma-separated, e.g., full_name, is_overdue)",
+      ""
+    );
+    if (appends === undefined) return undefined;
+    attributes.appends = appends;
+  }
+
+  if (selected.includes("with")) {
+    const picked = await vscode.window.showQuickPick(
+      relationships.map((relationship) => ({
+        label: relationship.method,
+        description: `${relationship.type} ${relationship.model || ""}`,
+      })),
+      { placeHolder: "Relationships to always load", canPickMany: true }
+    );
+    if (!picked) return undefined;
+    attributes.with = picked.map((item) => item.label);
+  }
+
+  if (selected.includes("table")) {
+    attributes.table = await showInputBox({
+      prompt: "Table name",
+      value: options.table || conventionalTable,
+      validateInput: (value) =>
+        /^[a-z][a-z0-9_]*$/.test(value || "")
+          ? null
+          : "Table names are snake_case",
+    });
+    if (!attributes.table) return undefined;
+  }
+
+  if (selected.includes("primaryKey")) {
+    attributes.primaryKey = await pickPrimaryKey(options);
+    if (!attributes.primaryKey) return undefined;
+  }
+
+  if (selected.includes("connection")) {
+    attributes.connection = await showInputBox({
+      prompt: "Database connection (from config/database.php)",
+      placeHolder: "mysql",
+      validateInput: (value) => (value ? null : "Connection is required"),
+    });
+    if (!attributes.connection) return undefined;
+  }
+
+  if (selected.includes("accessors")) {
+    attributes.accessors = await pickAccessors(fields);
+    if (!attributes.accessors) return undefined;
+  }
+
+  return attributes;
+}
+
+async function promptAttributeList(prompt, value) {
+  const input = await showInputBox({
+    prompt,
+    value,
+    validateInput: (text) =>
+      (text || "")
+        .split(",")
+        .map((name) => name.trim())
+        .filter(Boolean)
+        .every((name) => /^[a-z][a-z0-9_]*$/.test(name))
+        ? null
+        : "Attribute names are snake_case",
+  });
+
+  return input === undefined
+    ? undefined
+    : input
+        .split(",")
+        .map((name) => name.trim())
+        .filter(Boolean);
+}
+
+/**
+ * Casts of the picked fields: a built-in cast, a backed enum or a cast class
+ *
+ * @returns {Promise<Array<object>|undefined>} {name, cast} for built-in
+ *   casts, {name, enum: {name, backing, cases}} or {name, castClass}
+ */
+async function pickCasts(modelName, fields) {
+  const picked = await vscode.window.showQuickPick(
+    fields.map((field) => ({
+      label: field.name,
+      description: field.type,
+      field,
+    })),
+    { placeHolder: "Fields to cast", canPickMany: true }
+  );
+  if (!picked) return undefined;
+
+  const casts = [];
+  for (const { field } of picked) {
+    const enumItem = {
+      label: "$(symbol-enum) Backed enum",
+      description: "app/Enums",
+      value: "enum",
+    };
+    const items = [
+      ...CASTS.map((cast) => ({ label: cast, value: cast })),
+      {
+        label: "$(symbol-class) Custom cast class",
+        description: "app/Casts",
+        value: "class",
+      },
+    ];
+
+    const type = await vscode.window.showQuickPick(
+      field.type === "enum" ? [enumItem, ...items] : [...items, enumItem],
+      { placeHolder: `Cast of ${field.name}` }
+    );
+    if (!type) return undefined;
+
+    if (type.value === "enum") {
+      const backedEnum = await pickEnum(modelName, field);
+      if (!backedEnum) return undefined;
+      casts.push({ name: field.name, enum: backedEnum });
+    } else if (type.value === "class") {
+      const castClass = await showInputBox({
+        prompt: `Cast class for ${field.name} in app/Casts`,
+        value: toPascalCase(field.name),
+        validateInput: validateClassName,
+      });
+      if (!castClass) return undefined;
+      casts.push({ name: field.name, castClass });
+    } else {
+      casts.push({ name: field.name, cast: type.value });
+    }
+  }
+
+  return casts;
+}
+
+function validateClassName(value) {
+  return /^[A-Z][a-zA-Z0-9]*$/.test(value || "")
+    ? null
+    : "Name must be in PascalCase";
+}
+
+/**
+ * Backed enum for a field, with its cases (the values of an enum column by
+ * default). The cases of an existing enum are left alone.
+ *
+ * @returns {Promise<{name: string, backing: string, cases: Array<{name: string, value: string|number}>}|undefined>}
+ */
+async function pickEnum(modelName, field) {
+  const name = await showInputBox({
+    prompt: `Enum for ${field.name} in app/Enums`,
+    value: `${modelName}${toPascalCase(field.name)}`,
+    validateInput: validateClassName,
+  });
+  if (!name) return undefined;
+
+  const backing = await vscode.window.showQuickPick(
+    [
+      { label: "string", description: "case Draft = 'draft'" },
+      { label: "int", description: "case Draft = 1" },
+    ],
+    { placeHolder: `${name} backing type` }
+  );
+  if (!backing) return undefined;
+
+  const values = await showInputBox({
+    prompt: "Cases (comma-separated values, Name=value to name a case)",
+    value: (field.values || []).join(", "),
+    validateInput: (value) => {
+      try {
+        parseEnumCases(value || "", backing.label);
+        return null;
+      } catch (error) {
+        return error.message;
+      }
+    },
+  });
+  if (!values) return undefined;
+
+  return {
+    name,
+    backing: backing.label,
+    cases: parseEnumCases(values, backing.label),
+  };
+}
+
+/**
+ * Parses "draft, in-stock, First=1st" into enum cases, naming each case
+ * after its value unless a name is given
+ *
+ * @param {string} input
+ * @param {string} backing int cases are numbered from 1
+ * @returns {Array<{name: string, value: string|number}>}
+ */
+function parseEnumCases(input, backing) {
+  const cases = input
+    .split(",")
+    .map((part) => part.trim())
+    .filter(Boolean)
+    .map((part, index) => {
+      const [, explicitName, rawValue] = part.match(/^(?:([^=]*)=)?(.*)$/);
+      const value = rawValue.trim();
+      if (!value) {
+        throw new Error(`Case "${part}" needs a value`);
+      }
+
+      const name =
+        explicitName !== undefined
+          ? explicitName.trim()
+          : toPascalCase(toSnakeCase(value.replace(/[^\w]+/g, "_")));
+      if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) {
+        throw new Error(
+          `"${name}" is not a valid case name, name it with Name=${value}`
+        );
+      }
+
+      return { name, value: backing === "int" ? index + 1 : value };
+    });
+
+  if (cases.length === 0) {
+    throw new Error("At least one case is required");
+  }
+
+  const names = cases.map((enumCase) => enumCase.name);
+  const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+  if (duplicate) {
+    throw new Error(`Case "${duplicate}" is defined twice`);
+  }
+
+  return cases;
+}
+
+async function pickPrimaryKey({ uuid = false } = {}) {
+  const name = await showInputBox({
+    prompt: "Primary key column",
+    value: "id",
+    validateInput: (value) =>
+      /^[a-z_][a-z0-9_]*$/.test(value || "")
+        ? null
+        : "Column names are snake_case",
+  });
+  if (!name) return undefined;
+
+  // HasUuids makes the key a non-incrementing string
+  if (uuid) {
+    return { name, type: "uuid" };
+  }
+
+  const type = await vscode.window.showQuickPick(
+    [
+      { label: "int", description: "Auto-incrementing", value: "int" },
+      {
+        label: "string",
+        description: "$keyType = 'string', $incrementing = false",
+        value: "string",
+      },
+    ],
+    { placeHolder: "Primary key type" }
+  );
+  if (!type) return undefined;
+
+  return { name, type: type.value };
+}
+
+async function pickAccessors(fields) {
+  const picked = await vscode.window.showQuickPick(
+    fields.map((field) => ({ label: field.name, description: field.type })),
+    { placeHolder: "Fields with an accessor or mutator", canPickMany: true }
+  );
+  if (!picked) return undefined;
+
+  const accessors = [];
+  for (const { label } of picked) {
+    const kind = await vscode.window.showQuickPick(
+      [
+        { label: "Accessor and mutator", get: true, set: true },
+        { label: "Accessor", description: "get", get: true, set: false },
+        { label: "Mutator", description: "set", get: false, set: true },
+      ],
+      { placeHolder: `Attribute::make() for ${label}` }
+    );
+    if (!kind) return undefined;
+
+    accessors.push({ name: label, get: kind.get, set: kind.set });
+  }
+
+  return accessors;
+}
+
+/**
+ * PHP of the attributes for the model file
+ *
+ * @param {object} attributes From pickModelAttributes()
+ * @returns {{imports: string[], header: string[], properties: string[], casts: Object<string, string>, methods: string[]}}
+ *   Properties before and after $fillable, cast expressions by field and
+ *   accessor methods
+ */
+function getAttributeCode(attributes = {}) {
+  const imports = [];
+  const header = [];
+  const properties = [];
+  const casts = {};
+
+  if (attributes.connection) {
+    header.push(`    /**
+     * The database connection that should be used by the model.
+     *
+     * @var string
+     */
+    protected $connection = '${attributes.connection}';`);
+  }
+
+  if (attributes.table) {
+    header.push(`    /**
+     * The table associated with the model.
+     *
+     * @var string
+     */
+    protected $table = '${attributes.table}';`);
+  }
+
+  const { primaryKey } = attributes;
+  if (primaryKey && primaryKey.name !== "id") {
+    header.push(`    /**
+     * The primary key associated with the table.
+     *
+     * @var string
+     */
+    protected $primaryKey = '${primaryKey.name}';`);
+  }
+  if (primaryKey && primaryKey.type === "string") {
+    header.push(`    /**
+     * The data type of the primary key.
+     *
+     * @var string
+     */
+    protected $keyType = 'string';
+
+    /**
+     * Indicates if the model's ID is auto-incrementing.
+     *
+     * @var bool
+     */
+    public $incrementing = false;`);
+  }
+
+  const list = (names) => names.map((name) => `'${name}'`).join(", ");
+  if ((attributes.hidden || []).length > 0) {
+    properties.push(`    /**
+     * The attributes that should be hidden for serialization.
+     *
+     * @var array<int, string>
+     */
+    protected $hidden = [
+        ${list(attributes.hidden)}
+    ];`);
+  }
+  if ((attributes.appends || []).length > 0) {
+    properties.push(`    /**
+     * The accessors to append to the model's array form.
+     *
+     * @var array<int, string>
+     */
+    protected $appends = [
+        ${list(attributes.appends)}
+    ];`);
+  }
+  if ((attributes.with || []).length > 0) {
+    properties.push(`    /**
+     * The relationships that should always be loaded.
+     *
+     * @var array<int, string>
+     */
+    protected $with = [
+        ${list(attributes.with)}
+    ];`);
+  }
+
+  for (const cast of attributes.casts || []) {
+    if (cast.enum) {
+      imports.push(`App\\Enums\\${cast.enum.name}`);
+      casts[cast.name] = `${cast.enum.name}::class`;
+    } else if (cast.castClass) {
+      imports.push(`App\\Casts\\${cast.castClass}`);
+      casts[cast.name] = `${cast.castClass}::class`;
+    } else {
+      casts[cast.name] = `'${cast.cast}'`;
+    }
+  }
+
+  // Appended attributes get a computed accessor unless they have one
+  const accessors = [...(attributes.accessors || [])];
+  for (const name of attributes.appends || []) {
+    if (!accessors.some((accessor) => accessor.name === name)) {
+      accessors.push({ name, get: true, set: false, computed: true });
+    }
+  }
+
+  const version = accessors.length > 0 ? getLaravelVersion() : null;
+  const major = version ? parseInt(version.replace(/^v/, ""), 10) : null;
+  const legacy = Boolean(major && major < 9);
+  if (accessors.length > 0 && !legacy) {
+    imports.push("Illuminate\\Database\\Eloquent\\Casts\\Attribute");
+  }
+
+  const methods = accessors.map((accessor) =>
+    legacy ? generateLegacyAccessor(accessor) : generateAccessor(accessor)
+  );
+
+  return { imports, header, properties, casts, methods };
+}
+
+/**
+ * The computed accessor of an appended attribute throws until it is
+ * written, instead of silently serializing null
+ */
+function getMissingAccessorError(accessor) {
+  return (
+    "throw new \\LogicException(" +
+    `'Compute the ${accessor.name} attribute')`
+  );
+}
+
+function generateAccessor(accessor) {
+  const readable = toSnakeCase(accessor.name).replace(/_/g, " ");
+  const get = accessor.computed
+    ? `get: fn (mixed $value, array $attributes) => ${getMissingAccessorError(
+        accessor
+      )},`
+    : "get: fn (mixed $value) => $value,";
+
+  return `    /**
+     * ${accessor.computed ? "Get" : "Interact with"} the model's ${readable}.
+     */
+    protected function ${toCamelCase(accessor.name)}(): Attribute
+    {
+        return Attribute::make(
+${[
+  ...(accessor.get ? [`            ${get}`] : []),
+  ...(accessor.set ? ["            set: fn (mixed $value) => $value,"] : []),
+].join("\n")}
+        );
+    }`;
+}
+
+/**
+ * get<Name>Attribute()/set<Name>Attribute() before Laravel 9
+ */
+function generateLegacyAccessor(accessor) {
+  const name = toPascalCase(accessor.name);
+  const readable = toSnakeCase(accessor.name).replace(/_/g, " ");
+  const methods = [];
+
+  if (accessor.get) {
+    methods.push(`    /**
+     * Get the model's ${readable}.
+     */
+    public function get${name}Attribute($value)
+    {
+        ${
+          accessor.computed
+            ? `${getMissingAccessorError(accessor)};`
+            : "return $value;"
+        }
+    }`);
+  }
+  if (accessor.set) {
+    methods.push(`    /**
+     * Set the model's ${readable}.
+     */
+    public function set${name}Attribute($value)
+    {
+        $this->attributes['${accessor.name}'] = $value;
+    }`);
+  }
+
+  return methods.join("\n\n");
+}
+
+/**
+ * Writes the enums and cast classes of the casts that do not exist yet
+ *
+ * @param {string} rootPath
+ * @param {object} attributes From pickModelAttributes()
+ * @returns {string[]} Created class names
+ */
+function writeAttributeClasses(rootPath, attributes = {}) {
+  const created = [];
+
+  for (const cast of attributes.casts || []) {
+    if (cast.enum) {
+      const filePath = path.join(
+        rootPath,
+        "app",
+        "Enums",
+        `${cast.enum.name}.php`
+      );
+      if (fileExists(filePath)) continue;
+
+      writeFile(
+        filePath,
+        renderTemplate("advanced.enum", generateEnumContent(cast.enum), {
+          class: cast.enum.name,
+          namespace: "App\\Enums",
+          ...cast.enum,
+        })
+      );
+      created.push(cast.enum.name);
+    } else if (cast.castClass) {
+      const filePath = path.join(
+        rootPath,
+        "app",
+        "Casts",
+        `${cast.castClass}.php`
+      );
+      if (fileExists(filePath)) continue;
+
+      writeFile(
+        filePath,
+        renderTemplate("advanced.cast", generateCastContent(cast.castClass), {
+          class: cast.castClass,
+          namespace: "App\\Casts",
+        })
+      );
+      created.push(cast.castClass);
+    }
+  }
+
+  return created;
+}
+
+function generateEnumContent({ name, backing, cases }) {
+  return `<?php
+
+namespace App\\Enums;
+
+enum ${name}: ${backing}
+{
+${cases
+  .map(
+    (enumCase) =>
+      `    case ${enumCase.name} = ${
+        backing === "int"
+          ? enumCase.value
+          : `'${enumCase.value.replace(/[\\']/g, "\\$&")}'`
+      };`
+  )
+  .join("\n")}
+}
+`;
+}
+
+function generateCastContent(name) {
+  return `<?php
+
+namespace App\\Casts;
+
+use Illuminate\\Contracts\\Database\\Eloquent\\CastsAttributes;
+use Illuminate\\Database\\Eloquent\\Model;
+
+class ${name} implements CastsAttributes
+{
+    /**
+     * Cast the given value.
+     *
+     * @param  array<string, mixed>  $attributes
+     */
+    public function get(Model $model, string $key, mixed $value, array $attributes): mixed
+    {
+        return $value;
+    }
+
+    /**
+     * Prepare the given value for storage.
+     *
+     * @param  array<string, mixed>  $attributes
+     */
+    public function set(Model $model, string $key, mixed $value, array $attributes): mixed
+    {
+        return $value;
+    }
+}
+`;
+}
+
+module.exports = {
+  pickModelAttributes,
+  getAttributeCode,
+  parseEnumCases,
+  writeAttributeClasses,
+};
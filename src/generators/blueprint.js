@@ -0,0 +1,948 @@
+const vscode = require("vscode");
+const fs = require("fs");
+const path = require("path");
+const yaml = require("js-yaml");
+const {
+  getLaravelRootPath,
+  detectFrontendFramework,
+  getConfig,
+  toSnakeCase,
+  pluralize,
+} = require("../utils/helpers");
+const {
+  runGeneration,
+  writeFile,
+  readFile,
+  fileExists,
+  getPlannedFiles,
+} = require("../utils/changePlan");
+const {
+  parseFieldDefinitions,
+  getReferencedTable,
+  getCastType,
+  getValidationRules,
+  generateRelationshipMethod,
+} = require("../utils/fields");
+const { addUseStatements } = require("../utils/phpClasses");
+const { createTimestampSequence } = require("../utils/migrationSchema");
+const { createModelFile } = require("./model");
+const { createMigrationFile } = require("./migration");
+const crud = require("./crud");
+const spa = require("./crud-spa");
+
+/**
+ * Blueprint builder
+ *
+ * Generates models, migrations, controllers and frontend scaffolding for a
+ * whole domain described in toolkit.yaml (or toolkit.json). What was built
+ * is stored in .laravel-toolkit/blueprint.lock.json so the next build only
+ * generates what changed in the blueprint: existing models and controllers
+ * are patched, and changes skipped in the review are generated again.
+ */
+
+const BLUEPRINT_FILES = ["toolkit.yaml", "toolkit.yml", "toolkit.json"];
+const LOCK_FILE = path.join(".laravel-toolkit", "blueprint.lock.json");
+const FRONTENDS = ["blade", "livewire", "vue", "react", "none"];
+const CONTROLLERS = ["web", "api", "none"];
+const FOREIGN_KEY_MODIFIERS = [
+  "constrained",
+  "cascadeOnDelete",
+  "restrictOnDelete",
+  "nullOnDelete",
+  "cascadeOnUpdate",
+];
+
+const SAMPLE_BLUEPRINT = `# Laravel Toolkit blueprint
+# Run "Toolkit: Build from Blueprint" after editing: only the changes are generated.
+# Columns and relationships use the generators' field syntax.
+
+frontend: blade # blade | livewire | vue | react | none
+routes: modular # modular | traditional
+
+models:
+  Category:
+    columns:
+      - name:string(100):unique
+      - slug:string:unique
+    relationships:
+      - posts:hasMany(Post)
+    controller: web # web | api | none
+
+  Post:
+    columns:
+      - title:string(150)
+      - body:text:nullable
+      - status:enum(draft,published):default(draft)
+      - category_id:foreignId:constrained:cascade
+    softDeletes: true
+    controller: api
+`;
+
+/**
+ * Builds (or updates) the application from the project blueprint
+ */
+async function buildFromBlueprint() {
+  const rootPath = getLaravelRootPath();
+  if (!rootPath) {
+    vscode.window.showErrorMessage("No Laravel project found");
+    return;
+  }
+
+  const blueprintPath = findBlueprint(rootPath);
+  if (!blueprintPath) {
+    await offerSampleBlueprint(rootPath);
+    return;
+  }
+
+  let blueprint;
+  try {
+    blueprint = loadBlueprint(blueprintPath);
+  } catch (error) {
+    vscode.window.showErrorMessage(`❌ Blueprint error: ${error.message}`);
+    return;
+  }
+
+  const lockPath = path.join(rootPath, LOCK_FILE);
+  const lock = loadLock(lockPath);
+  const steps = planBuild(blueprint, lock);
+  const removed = Object.keys(lock.models).filter(
+    (name) => !blueprint.models.some((model) => model.name === name),
+  );
+
+  if (steps.length === 0) {
+    vscode.window.showInformationMessage(
+      "✅ Blueprint is up to date, nothing to generate",
+    );
+    warnRemovedModels(removed);
+    return;
+  }
+
+  if (!(await confirmColumnChanges(steps))) return;
+
+  // Files each step planned, to lock only the models fully applied
+  const plannedFiles = new Map();
+  let skipped = [];
+
+  try {
+    const applied = await runGeneration(
+      "Blueprint build",
+      () =>
+        vscode.window.withProgress(
+          {
+            location: vscode.ProgressLocation.Notification,
+            title: "Building from blueprint",
+            cancellable: false,
+          },
+          async (progress) => {
+            const nextTimestamp = createTimestampSequence();
+
+            for (const step of steps) {
+              progress.report({
+                increment: 100 / steps.length,
+                message: `${step.model.name}...`,
+              });
+              const before = getPlannedFiles();
+              await runStep(rootPath, blueprint, step, nextTimestamp);
+              plannedFiles.set(
+                step,
+                [...getPlannedFiles()]
+                  .filter(
+                    ([filePath, content]) => before.get(filePath) !== content,
+                  )
+                  .map(([filePath]) => filePath),
+              );
+            }
+          },
+        ),
+      (files) => {
+        const written = new Set(files.map((file) => file.filePath));
+        skipped = steps
+          .filter((step) =>
+            plannedFiles.get(step).some((filePath) => !written.has(filePath)),
+          )
+          .map((step) => step.model.name);
+
+        // Reading the lock marks the write below as an update of a file
+        // the build owns, not an overwrite conflict
+        if (fs.existsSync(lockPath)) {
+          readFile(lockPath);
+        }
+        writeFile(
+          lockPath,
+          JSON.stringify(toLock(blueprint, lock, skipped), null, 2),
+        );
+      },
+    );
+
+    if (!applied) return;
+
+    const created = steps.filter(
+      (step) => step.create && !skipped.includes(step.model.name),
+    ).length;
+    vscode.window.showInformationMessage(
+      `✅ Blueprint built: ${created} model(s) created, ${
+        steps.length - skipped.length - created
+      } updated`,
+    );
+    if (skipped.length > 0) {
+      vscode.window.showWarningMessage(
+        `Changes of ${skipped.join(
+          ", ",
+        )} were skipped and are generated again by the next build`,
+      );
+    }
+    warnRemovedModels(removed);
+  } catch (error) {
+    vscode.window.showErrorMessage(`❌ Error: ${error.message}`);
+  }
+}
+
+function findBlueprint(rootPath) {
+  return (
+    BLUEPRINT_FILES.map((file) => path.join(rootPath, file)).find((file) =>
+      fs.existsSync(file),
+    ) || null
+  );
+}
+
+async function offerSampleBlueprint(rootPath) {
+  const answer = await vscode.window.showInformationMessage(
+    "No toolkit.yaml blueprint found in the project",
+    "Create toolkit.yaml",
+  );
+  if (answer !== "Create toolkit.yaml") return;
+
+  const blueprintPath = path.join(rootPath, "toolkit.yaml");
+  writeFile(blueprintPath, SAMPLE_BLUEPRINT);
+
+  const document = await vscode.workspace.openTextDocument(blueprintPath);
+  await vscode.window.showTextDocument(document);
+}
+
+/**
+ * Confirms renames and drops before the build writes their migrations, a
+ * dropped column loses its data
+ *
+ * @returns {Promise<boolean>} false when the build was cancelled
+ */
+async function confirmColumnChanges(steps) {
+  for (const step of steps) {
+    const { columns } = step;
+    if (!columns || columns.renamed.length === 0) continue;
+
+    const picked = await vscode.window.showQuickPick(
+      columns.renamed.map((rename) => ({
+        label: `${rename.from.name} → ${rename.to.name}`,
+        description: `renameColumn() on ${step.model.table}`,
+        picked: true,
+        rename,
+      })),
+      {
+        placeHolder: `Renamed columns of ${step.model.table}? Unselected ones are dropped and added again`,
+        canPickMany: true,
+        ignoreFocusOut: true,
+      },
+    );
+    if (!picked) return false;
+
+    const kept = picked.map((item) => item.rename);
+    for (const rename of columns.renamed) {
+      if (!kept.includes(rename)) {
+        columns.removed.push(rename.from);
+        columns.added.push(rename.to);
+      }
+    }
+    columns.renamed = kept;
+  }
+
+  const drops = steps.flatMap((step) =>
+    step.columns
+      ? step.columns.removed.map((field) => `${step.model.table}.${field.name}`)
+      : [],
+  );
+  if (drops.length === 0) return true;
+
+  const answer = await vscode.window.showWarningMessage(
+    `The build drops ${drops.join(
+      ", ",
+    )}. Their data is lost when the migration runs.`,
+    { modal: true },
+    "Drop Columns",
+  );
+  return answer === "Drop Columns";
+}
+
+function warnRemovedModels(removed) {
+  if (removed.length === 0) return;
+
+  vscode.window.showWarningMessage(
+    `${removed.join(
+      ", ",
+    )} no longer in the blueprint. Generated files were kept; delete them manually if needed.`,
+  );
+}
+
+/**
+ * Reads and validates a blueprint file
+ *
+ * @returns {{frontend: string, routes: string, models: object[]}}
+ */
+function loadBlueprint(blueprintPath) {
+  const source = fs.readFileSync(blueprintPath, "utf8");
+  const fileName = path.basename(blueprintPath);
+
+  let raw;
+  try {
+    raw = blueprintPath.endsWith(".json")
+      ? JSON.parse(source)
+      : yaml.load(source);
+  } catch (error) {
+    throw new Error(`${fileName}: ${error.message}`);
+  }
+
+  if (!raw || typeof raw !== "object" || !raw.models) {
+    throw new Error(`${fileName}: a "models" section is required`);
+  }
+
+  const frontend =
+    raw.frontend ||
+    detectFrontendFramework() ||
+    getConfig("defaultFramework") ||
+    "blade";
+  if (!FRONTENDS.includes(frontend)) {
+    throw new Error(
+      `${fileName}: frontend must be one of ${FRONTENDS.join(", ")}`,
+    );
+  }
+
+  const routes = raw.routes || "modular";
+  if (!["modular", "traditional"].includes(routes)) {
+    throw new Error(`${fileName}: routes must be "modular" or "traditional"`);
+  }
+
+  const entries = Array.isArray(raw.models)
+    ? raw.models.map((spec) => [spec && spec.name, spec])
+    : Object.entries(raw.models);
+
+  const models = entries.map(([name, spec]) => {
+    try {
+      return normalizeModel(name, spec || {});
+    } catch (error) {
+      throw new Error(`${fileName}: model "${name}": ${error.message}`);
+    }
+  });
+
+  return { frontend, routes, models: sortByDependencies(models) };
+}
+
+function normalizeModel(name, spec) {
+  if (!name || !/^[A-Z][a-zA-Z0-9]*$/.test(name)) {
+    throw new Error("model names must be in PascalCase (e.g. Post)");
+  }
+
+  const definitions = [
+    ...toDefinitions(spec.columns || spec.fields),
+    ...toDefinitions(spec.relationships),
+  ];
+  const { fields, relationships } = parseFieldDefinitions(
+    definitions.join(", "),
+  );
+
+  const controller =
+    spec.controller === true ? "web" : spec.controller || "none";
+  if (!CONTROLLERS.includes(controller)) {
+    throw new Error(`controller must be one of ${CONTROLLERS.join(", ")}`);
+  }
+
+  return {
+    name,
+    table: pluralize(toSnakeCase(name)),
+    fields,
+    relationships,
+    softDeletes: !!spec.softDeletes,
+    timestamps: spec.timestamps !== false,
+    controller,
+  };
+}
+
+/**
+ * Columns and relationships can be a field string, a list of definitions
+ * or a map of name -> "type:modifiers"
+ */
+function toDefinitions(value) {
+  if (!value) return [];
+  if (typeof value === "string") return [value];
+  if (Array.isArray(value)) return value.map(String);
+
+  return Object.entries(value).map(([name, definition]) =>
+    definition ? `${name}:${definition}` : name,
+  );
+}
+
+/**
+ * Orders models so referenced tables are created first
+ */
+function sortByDependencies(models) {
+  const byTable = new Map(models.map((model) => [model.table, model]));
+  const byName = new Map(models.map((model) => [model.name, model]));
+
+  const dependencies = new Map(
+    models.map((model) => {
+      const related = [
+        ...model.fields
+          .filter((field) => field.constrained)
+          .map((field) => byTable.get(getReferencedTable(field))),
+        ...model.relationships
+          .filter((rel) => rel.type === "belongsTo")
+          .map((rel) => byName.get(rel.model)),
+      ];
+      return [model, new Set(related.filter((dep) => dep && dep !== model))];
+    }),
+  );
+
+  const sorted = [];
+  const pending = [...models];
+
+  while (pending.length > 0) {
+    const index = pending.findIndex((model) =>
+      [...dependencies.get(model)].every((dep) => sorted.includes(dep)),
+    );
+    // Circular references: keep the declaration order
+    sorted.push(...pending.splice(index === -1 ? 0 : index, 1));
+  }
+
+  return sorted;
+}
+
+function loadLock(lockPath) {
+  if (!fs.existsSync(lockPath)) {
+    return { models: {} };
+  }
+
+  try {
+    return { models: {}, ...JSON.parse(fs.readFileSync(lockPath, "utf8")) };
+  } catch {
+    return { models: {} };
+  }
+}
+
+/**
+ * Lock of a build: skipped models keep their previous entry (none when they
+ * were never built), so the next build plans them again
+ *
+ * @param {object} blueprint
+ * @param {object} previous Lock of the last build
+ * @param {string[]} skipped Models whose changes were not all applied
+ */
+function toLock(blueprint, previous = { models: {} }, skipped = []) {
+  const complete = skipped.length === 0;
+
+  return {
+    frontend: complete ? blueprint.frontend : previous.frontend,
+    routes: complete ? blueprint.routes : previous.routes,
+    models: Object.fromEntries(
+      blueprint.models
+        .map(({ name, ...model }) => [
+          name,
+          skipped.includes(name) ? previous.models[name] : model,
+        ])
+        .filter(([, model]) => model),
+    ),
+  };
+}
+
+/**
+ * Works out what each model needs compared to the last build
+ */
+function planBuild(blueprint, lock) {
+  const frontendChanged =
+    lock.frontend !== undefined && lock.frontend !== blueprint.frontend;
+
+  return blueprint.models
+    .map((model) => {
+      const previous = lock.models[model.name];
+      if (!previous) {
+        return { model, create: true };
+      }
+
+      const columns = diffFields(previous.fields, model.fields);
+      const softDeletes =
+        previous.softDeletes === model.softDeletes ? null : model.softDeletes;
+      const fieldsChanged = Object.values(columns).some(
+        (list) => list.length > 0,
+      );
+      const modelChanged =
+        fieldsChanged ||
+        softDeletes !== null ||
+        previous.timestamps !== model.timestamps ||
+        !isEqual(previous.relationships, model.relationships);
+      // What the controller and frontend files depend on
+      const scaffold = {
+        controller: previous.controller !== model.controller,
+        fields: fieldsChanged,
+        frontend: frontendChanged,
+      };
+      const scaffoldChanged =
+        model.controller !== "none" && Object.values(scaffold).some(Boolean);
+
+      if (!modelChanged && !scaffoldChanged) {
+        return null;
+      }
+
+      return {
+        model,
+        previous,
+        columns,
+        softDeletes,
+        modelChanged,
+        scaffold: scaffoldChanged ? scaffold : null,
+      };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Column changes between two builds; a removed and an added column with
+ * the same definition are taken as a rename
+ */
+function diffFields(previousFields, fields) {
+  const previousByName = new Map(
+    previousFields.map((field) => [field.name, field]),
+  );
+  const names = new Set(fields.map((field) => field.name));
+  const added = fields.filter((field) => !previousByName.has(field.name));
+  const removed = previousFields.filter((field) => !names.has(field.name));
+  const renamed = [];
+
+  for (const from of [...removed]) {
+    const to = added.find((field) =>
+      isEqual({ ...field, name: null }, { ...from, name: null }),
+    );
+    if (to) {
+      renamed.push({ from, to });
+      removed.splice(removed.indexOf(from), 1);
+      added.splice(added.indexOf(to), 1);
+    }
+  }
+
+  return {
+    added,
+    changed: fields.filter(
+      (field) =>
+        previousByName.has(field.name) &&
+        !isEqual(previousByName.get(field.name), field),
+    ),
+    removed,
+    renamed,
+  };
+}
+
+function isEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+async function runStep(rootPath, blueprint, step, nextTimestamp) {
+  const { model } = step;
+  const features = [
+    ...(model.timestamps ? ["timestamps"] : []),
+    ...(model.softDeletes ? ["softDeletes"] : []),
+  ];
+
+  const modelPath = path.join(rootPath, "app", "Models", `${model.name}.php`);
+  if (step.modelChanged && fileExists(modelPath)) {
+    updateModelFile(modelPath, step);
+  } else if (step.create || step.modelChanged) {
+    await createModelFile(
+      model.name,
+      "",
+      model.fields,
+      features,
+      model.relationships,
+    );
+  }
+
+  if (step.create) {
+    await createMigrationFile(
+      `create_${model.table}_table`,
+      model.table,
+      "create",
+      [
+        ...model.fields,
+        ...features.map((special) => ({
+          name: special,
+          type: "special",
+          special,
+        })),
+      ],
+      { timestamp: nextTimestamp() },
+    );
+  } else {
+    const changes = [
+      ...step.columns.renamed.map(({ from, to }) => ({
+        name: to.name,
+        type: "rename",
+        from: from.name,
+      })),
+      ...step.columns.added,
+      ...step.columns.changed.map((field) => toColumnChange(field)),
+      ...step.columns.removed.map((field) => ({
+        name: field.name,
+        type: "drop",
+      })),
+    ];
+    if (step.softDeletes !== null) {
+      const special = step.softDeletes ? "softDeletes" : "dropSoftDeletes";
+      changes.push({ name: special, type: "special", special });
+    }
+
+    if (changes.length > 0) {
+      await createMigrationFile(
+        `update_${model.table}_table`,
+        model.table,
+        "update",
+        changes,
+        { timestamp: nextTimestamp() },
+      );
+    }
+  }
+
+  if (step.create || (step.scaffold && step.scaffold.controller)) {
+    if (model.controller !== "none") {
+      await scaffoldController(rootPath, blueprint, model, true);
+    }
+  } else if (step.scaffold) {
+    await updateScaffolding(rootPath, blueprint, step);
+  }
+}
+
+/**
+ * Applies the column, relationship and feature changes of a step to the
+ * existing model file, keeping everything else in it. Relationships removed
+ * from the blueprint keep their method.
+ */
+function updateModelFile(modelPath, step) {
+  const { model, previous, columns } = step;
+  const dropped = [
+    ...columns.removed.map((field) => field.name),
+    ...columns.renamed.map(({ from }) => from.name),
+  ];
+  const updated = [
+    ...columns.renamed.map(({ to }) => to),
+    ...columns.added,
+    ...columns.changed,
+  ];
+  let source = readFile(modelPath);
+
+  source = updateArrayProperty(source, /\$fillable\s*=\s*\[/, (entries) => {
+    const names = entries.map((entry) => entry.replace(/^['"]|['"]$/g, ""));
+    const kept = entries.filter(
+      (entry, index) => !dropped.includes(names[index]),
+    );
+    const added = updated
+      .filter((field) => !names.includes(field.name))
+      .map((field) => `'${field.name}'`);
+    return [...kept, ...added];
+  });
+
+  const casts = updated.filter((field) => getCastType(field));
+  const uncast = [
+    ...dropped,
+    ...updated
+      .filter((field) => !getCastType(field))
+      .map((field) => field.name),
+  ];
+  const castsPattern =
+    /\$casts\s*=\s*\[|function\s+casts\s*\(\s*\)[^{]*\{\s*return\s*\[/;
+  if (castsPattern.test(source)) {
+    source = updateArrayProperty(source, castsPattern, (entries) => {
+      const key = (entry) => (entry.match(/^['"]([^'"]+)['"]\s*=>/) || [])[1];
+      const kept = entries.filter(
+        (entry) =>
+          !uncast.includes(key(entry)) &&
+          !casts.some((field) => field.name === key(entry)),
+      );
+      return [
+        ...kept,
+        ...casts.map((field) => `'${field.name}' => '${getCastType(field)}'`),
+      ];
+    });
+  } else if (casts.length > 0) {
+    source = source.replace(
+      /(\n([ \t]*)protected \$fillable\s*=\s*\[[\s\S]*?\];)/,
+      (match, fillable, indent) =>
+        `${fillable}\n\n${indent}/**\n${indent} * The attributes that should be cast.\n${indent} *\n${indent} * @var array<string, string>\n${indent} */\n${indent}protected $casts = [\n${casts
+          .map(
+            (field) =>
+              `${indent}${indent}'${field.name}' => '${getCastType(field)}',`,
+          )
+          .join("\n")}\n${indent}];`,
+    );
+  }
+
+  const previousMethods = (previous.relationships || []).map(
+    (relationship) => relationship.method,
+  );
+  const methods = model.relationships
+    .filter(
+      (relationship) =>
+        !previousMethods.includes(relationship.method) &&
+        !new RegExp(`function\\s+${relationship.method}\\s*\\(`).test(source),
+    )
+    .map((relationship) => generateRelationshipMethod(relationship));
+  if (methods.length > 0) {
+    const classEnd = source.lastIndexOf("}");
+    source = `${source.slice(0, classEnd).trimEnd()}\n${methods.join(
+      "\n",
+    )}\n}\n`;
+  }
+
+  if (step.softDeletes !== null) {
+    source = step.softDeletes
+      ? addUseStatements(addTrait(source, "SoftDeletes"), [
+          "Illuminate\\Database\\Eloquent\\SoftDeletes",
+        ])
+      : removeTrait(source, "SoftDeletes").replace(
+          /^use Illuminate\\Database\\Eloquent\\SoftDeletes;\r?\n/m,
+          "",
+        );
+  }
+
+  if (previous.timestamps !== model.timestamps) {
+    source = model.timestamps
+      ? source.replace(/\n[ \t]*public \$timestamps = false;[ \t]*\n/, "\n")
+      : source.replace(
+          /(\n[ \t]*protected \$fillable\s*=\s*\[[\s\S]*?\];)/,
+          "$1\n\n    public $timestamps = false;",
+        );
+  }
+
+  writeFile(modelPath, source);
+}
+
+/**
+ * Rewrites the entries of the PHP array following `start`, keeping its
+ * single-line or one-entry-per-line layout
+ *
+ * @param {string} source
+ * @param {RegExp} start Matches up to the opening bracket
+ * @param {(entries: string[]) => string[]} update
+ */
+function updateArrayProperty(source, start, update) {
+  const match = source.match(start);
+  if (!match) return source;
+
+  const open = match.index + match[0].length;
+  const close = source.indexOf("]", open);
+  const body = source.slice(open, close);
+  const entries = body
+    .split(/,(?=(?:[^'"]|'[^']*'|"[^"]*")*$)/)
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+  const updated = update(entries);
+
+  const lines = body.split("\n");
+  let formatted;
+  if (updated.length === 0) {
+    formatted = "";
+  } else if (lines.length < 3) {
+    formatted = updated.join(", ");
+  } else {
+    const indent = lines[1].match(/^\s*/)[0];
+    const closing = lines[lines.length - 1];
+    const perLine = lines.length > 3 || /,\s*$/.test(body.trim());
+    formatted = perLine
+      ? `\n${updated.map((entry) => `${indent}${entry},`).join("\n")}\n${closing}`
+      : `\n${indent}${updated.join(", ")}\n${closing}`;
+  }
+
+  return source.slice(0, open) + formatted + source.slice(close);
+}
+
+function addTrait(source, trait) {
+  const classBody = source.match(/^\s*(?:final\s+)?class\s+\w+[^{]*\{/m);
+  if (!classBody) return source;
+
+  const bodyStart = classBody.index + classBody[0].length;
+  const traitUse = source.slice(bodyStart).match(/^(\s*use\s+)([^;]+);/);
+  if (traitUse && traitUse[2].split(/\s*,\s*/).includes(trait)) {
+    return source;
+  }
+
+  return traitUse
+    ? source.slice(0, bodyStart) +
+        source
+          .slice(bodyStart)
+          .replace(traitUse[0], `${traitUse[1]}${traitUse[2]}, ${trait};`)
+    : `${source.slice(0, bodyStart)}\n    use ${trait};\n${source.slice(
+        bodyStart,
+      )}`;
+}
+
+function removeTrait(source, trait) {
+  return source
+    .replace(new RegExp(`^([ \\t]*use\\s+)${trait};[ \\t]*\\r?\\n`, "m"), "")
+    .replace(
+      new RegExp(
+        `^([ \\t]*use\\s+[^;]*?)(?:,\\s*${trait}\\b|\\b${trait}\\s*,\\s*)`,
+        "m",
+      ),
+      "$1",
+    );
+}
+
+/**
+ * Scaffolding of an existing model: a new controller type gets everything,
+ * otherwise only the files depending on what changed are written
+ */
+async function updateScaffolding(rootPath, blueprint, step) {
+  const { model, scaffold } = step;
+  const { name, fields } = model;
+  const { frontend } = blueprint;
+
+  if (model.controller === "web") {
+    if (scaffold.fields) {
+      await updateValidationRules(rootPath, step);
+    }
+    if (frontend !== "none") {
+      await crud.createViews(name, fields, frontend);
+    }
+    return;
+  }
+
+  if (scaffold.fields) {
+    await spa.createAPIResource(rootPath, name, fields);
+    await spa.createFormRequests(rootPath, name, fields);
+  }
+
+  if (frontend === "vue") {
+    await spa.createVueComponents(rootPath, name, fields);
+    if (scaffold.frontend) {
+      await spa.createVueComposables(rootPath, name);
+      await spa.registerVueRoutes(rootPath, name);
+    }
+  } else if (frontend === "react") {
+    await spa.createReactComponents(rootPath, name, fields);
+    if (scaffold.frontend) {
+      await spa.createReactHooks(rootPath, name);
+      await spa.registerReactRoutes(rootPath, name);
+    }
+  }
+}
+
+/**
+ * Updates the rules of the changed columns in the store() and update()
+ * validation of a web controller, keeping the other rules as they are
+ */
+async function updateValidationRules(rootPath, step) {
+  const { model, columns } = step;
+  const controllerPath = path.join(
+    rootPath,
+    "app",
+    "Http",
+    "Controllers",
+    `${model.name}Controller.php`,
+  );
+  if (!fileExists(controllerPath)) {
+    await crud.createController(model.name, "full", model.fields);
+    return;
+  }
+
+  const dropped = [
+    ...columns.removed.map((field) => field.name),
+    ...columns.renamed.map(({ from }) => from.name),
+  ];
+  const updated = [
+    ...columns.renamed.map(({ to }) => to),
+    ...columns.changed,
+    ...columns.added,
+  ];
+
+  const source = readFile(controllerPath);
+  const content = source.replace(
+    /(function\s+(store|update)\s*\([^)]*\)[^{]*\{[\s\S]*?->validate\(\[)([\s\S]*?)(\n[ \t]*\]\))/g,
+    (match, head, method, rules, tail) => {
+      const rule = (field) =>
+        `            '${field.name}' => '${getValidationRules(field, {
+          isUpdate: method === "update",
+          table: model.table,
+        })}',`;
+      const lines = rules.split("\n").filter(Boolean);
+      const key = (line) => (line.match(/^\s*['"]([^'"]+)['"]\s*=>/) || [])[1];
+
+      const kept = lines
+        .filter((line) => !dropped.includes(key(line)))
+        .map((line) => {
+          const field = updated.find(
+            (candidate) => candidate.name === key(line),
+          );
+          return field ? rule(field) : line;
+        });
+      const added = updated
+        .filter((field) => !lines.some((line) => key(line) === field.name))
+        .map(rule);
+
+      return `${head}\n${[...kept, ...added].join("\n")}${tail}`;
+    },
+  );
+
+  if (content !== source) {
+    writeFile(controllerPath, content);
+  }
+}
+
+/**
+ * ->change() keeps the existing foreign key constraint, so only the column
+ * itself is redefined
+ */
+function toColumnChange(field) {
+  const column = { ...field, change: true };
+  for (const key of FOREIGN_KEY_MODIFIERS) {
+    delete column[key];
+  }
+  return column;
+}
+
+/**
+ * Controller, routes and frontend for a model, reusing the CRUD generators
+ */
+async function scaffoldController(rootPath, blueprint, model, withRoutes) {
+  const { name, fields } = model;
+  const { frontend } = blueprint;
+
+  if (model.controller === "web") {
+    await crud.createController(name, "full", fields);
+    if (frontend !== "none") {
+      await crud.createViews(name, fields, frontend);
+    }
+    if (withRoutes) {
+      await crud.createRoutes(name, "full", blueprint.routes === "modular");
+    }
+    return;
+  }
+
+  await spa.createAPIController(rootPath, name, fields);
+  await spa.createAPIResource(rootPath, name, fields);
+  await spa.createFormRequests(rootPath, name, fields);
+  if (withRoutes) {
+    await spa.createAPIRoutes(rootPath, name);
+  }
+
+  if (frontend === "vue") {
+    await spa.createVueComponents(rootPath, name, fields);
+    await spa.createVueComposables(rootPath, name);
+    await spa.registerVueRoutes(rootPath, name);
+  } else if (frontend === "react") {
+    await spa.createReactComponents(rootPath, name, fields);
+    await spa.createReactHooks(rootPath, name);
+    await spa.registerReactRoutes(rootPath, name);
+  }
+}
+
+module.exports = {
+  buildFromBlueprint,
+  loadBlueprint,
+  toLock,
+  planBuild,
+  updateModelFile,
+  updateValidationRules,
+};
@@ -1,4 +1,3 @@
-const fs = require("fs");
 const path = require("path");
 const vscode = require("vscode");
 const {
@@ -6,8 +5,15 @@ const {
   showInputBox,
   showQuickPick,
   toKebabCase,
-  ensureDirectoryExists,
 } = require("../utils/helpers");
+const { renderTemplate } = require("../utils/templates");
+const {
+  runGeneration,
+  writeFile,
+  readFile,
+  fileExists,
+  ensureDirectoryExists,
+} = require("../utils/changePlan");
 
 /**
  * Generate React Component
@@ -62,10 +68,20 @@ async function generateReactComponent() {
     const content = generateReactContent(componentName, selectedType);
     const filePath = path.join(componentsPath, `${componentName}.jsx`);
 
-    fs.writeFileSync(filePath, content);
+    const applied = await runGeneration(`${componentName} component`, async () => {
+      writeFile(
+        filePath,
+        renderTemplate(`components.react.${selectedType}`, content, {
+          name: componentName,
+          componentType: selectedType,
+        })
+      );
 
-    // Import to app.js
-    await importComponentToAppJS(componentName, "react");
+      // Import to app.js
+      await importComponentToAppJS(componentName, "react");
+    });
+
+    if (!applied) return;
 
     vscode.window.showInformationMessage(
       `✅ React component ${componentName} created successfully`
@@ -197,10 +213,20 @@ async function generateVueComponent() {
     const content = generateVueContent(componentName, selectedType);
     const filePath = path.join(componentsPath, `${componentName}.vue`);
 
-    fs.writeFileSync(filePath, content);
+    const applied = await runGeneration(`${componentName} component`, async () => {
+      writeFile(
+        filePath,
+        renderTemplate(`components.vue.${selectedType}`, content, {
+          name: componentName,
+          componentType: selectedType,
+        })
+      );
+
+      // Import to app.js
+      await importComponentToAppJS(componentName, "vue");
+    });
 
-    // Import to app.js
-    await importComponentToAppJS(componentName, "vue");
+    if (!applied) return;
 
     vscode.window.showInformationMessage(
       `✅ Vue component ${componentName} created successfully`
@@ -314,11 +340,11 @@ async function importComponentToAppJS(componentName, framework) {
   const rootPath = getLaravelRootPath();
   const appJsPath = path.join(rootPath, "resources", "js", "app.js");
 
-  if (!fs.existsSync(appJsPath)) {
+  if (!fileExists(appJsPath)) {
     return;
   }
 
-  let content = fs.readFileSync(appJsPath, "utf8");
+  let content = readFile(appJsPath);
 
   const extension = framework === "vue" ? ".vue" : "";
   const importStatement = `import ${componentName} from './Components/${componentName}${extension}';\n`;
@@ -340,7 +366,7 @@ async function importComponentToAppJS(componentName, framework) {
   lines.splice(lastImportIndex + 1, 0, importStatement);
   content = lines.join("\n");
 
-  fs.writeFileSync(appJsPath, content);
+  writeFile(appJsPath, content);
 }
 
 module.exports = {
@@ -1,5 +1,4 @@
 const vscode = require("vscode");
-const fs = require("fs");
 const path = require("path");
 const {
   getLaravelRootPath,
@@ -7,9 +6,17 @@ const {
   toPascalCase,
   toSnakeCase,
   toCamelCase,
-  ensureDirectoryExists,
-  executeArtisanCommand,
 } = require("../utils/helpers");
+const {
+  renderTemplate,
+  buildTemplateVariables,
+} = require("../utils/templates");
+const {
+  runGeneration,
+  writeFile,
+  ensureDirectoryExists,
+  runArtisan,
+} = require("../utils/changePlan");
 
 /**
  * Advanced Controller Generator with granular control
@@ -162,82 +169,68 @@ async function generateController() {
   }
 
   try {
-    await vscode.window.withProgress(
-      {
-        location: vscode.ProgressLocation.Notification,
-        title: `Generating ${controllerName}`,
-        cancellable: false,
-      },
-      async (progress) => {
-        progress.report({ increment: 20, message: "Creating controller..." });
-
-        if (controllerType.value === "empty") {
-          await createEmptyController(controllerName);
-        } else if (controllerType.value === "invokable") {
-          await executeArtisanCommand(
-            `make:controller ${controllerName} --invokable`,
-            false
-          );
-        } else if (controllerType.value === "resource") {
-          await executeArtisanCommand(
-            `make:controller ${controllerName} --resource`,
-            false
-          );
-        } else if (controllerType.value === "api") {
-          await executeArtisanCommand(
-            `make:controller ${controllerName} --api`,
-            false
-          );
-        } else if (controllerType.value === "model") {
-          await createModelController(
-            controllerName,
-            modelName,
-            useFormRequests,
-            useAuthorization,
-            useResourceClass
-          );
-        } else if (controllerType.value === "custom") {
-          await createCustomController(
-            controllerName,
-            selectedMethods,
-            modelName
-          );
-        }
-
-        // Generate Form Requests if needed
-        if (useFormRequests && modelName) {
-          progress.report({
-            increment: 40,
-            message: "Creating form requests...",
-          });
-          const baseModelName = modelName.split("/").pop();
-          await executeArtisanCommand(
-            `make:request Store${baseModelName}Request`,
-            false
-          );
-          await executeArtisanCommand(
-            `make:request Update${baseModelName}Request`,
-            false
-          );
-        }
-
-        // Generate Resource if needed
-        if (useResourceClass && modelName) {
-          progress.report({
-            increment: 40,
-            message: "Creating API resources...",
-          });
-          const baseModelName = modelName.split("/").pop();
-          await executeArtisanCommand(
-            `make:resource ${baseModelName}Resource`,
-            false
-          );
+    const applied = await runGeneration(controllerName, () =>
+      vscode.window.withProgress(
+        {
+          location: vscode.ProgressLocation.Notification,
+          title: `Generating ${controllerName}`,
+          cancellable: false,
+        },
+        async (progress) => {
+          progress.report({ increment: 20, message: "Creating controller..." });
+
+          if (controllerType.value === "empty") {
+            await createEmptyController(controllerName);
+          } else if (controllerType.value === "invokable") {
+            await runArtisan(`make:controller ${controllerName} --invokable`);
+          } else if (controllerType.value === "resource") {
+            await runArtisan(`make:controller ${controllerName} --resource`);
+          } else if (controllerType.value === "api") {
+            await runArtisan(`make:controller ${controllerName} --api`);
+          } else if (controllerType.value === "model") {
+            await createModelController(
+              controllerName,
+              modelName,
+              useFormRequests,
+              useAuthorization,
+              useResourceClass
+            );
+          } else if (controllerType.value === "custom") {
+            await createCustomController(
+              controllerName,
+              selectedMethods,
+              modelName
+            );
+          }
+
+          // Generate Form Requests if needed
+          if (useFormRequests && modelName) {
+            progress.report({
+              increment: 40,
+              message: "Creating form requests...",
+            });
+            const baseModelName = modelName.split("/").pop();
+            await runArtisan(`make:request Store${baseModelName}Request`);
+            await runArtisan(`make:request Update${baseModelName}Request`);
+          }
+
+          // Generate Resource if needed
+          if (useResourceClass && modelName) {
+            progress.report({
+              increment: 40,
+              message: "Creating API resources...",
+            });
+            const baseModelName = modelName.split("/").pop();
+            await runArtisan(`make:resource ${baseModelName}Resource`);
+          }
+
+          progress.report({ increment: 0, message: "Completed!" });
         }
-
-        progress.report({ increment: 0, message: "Completed!" });
-      }
+      )
     );
 
+    if (!applied) return;
+
     vscode.window.showInformationMessage(
       `✅ Controller ${controllerName} generated successfully`
     );
@@ -276,7 +269,14 @@ class ${controllerName} extends Controller
 `;
 
   ensureDirectoryExists(path.dirname(controllerPath));
-  fs.writeFileSync(controllerPath, content);
+  writeFile(
+    controllerPath,
+    renderTemplate("controller.controller.plain", content, {
+      class: controllerName,
+      namespace,
+      rootNamespace: "App\\",
+    })
+  );
 }
 
 /**
@@ -459,7 +459,18 @@ class ${
 }
 `;
 
-  fs.writeFileSync(controllerPath, content);
+  writeFile(
+    controllerPath,
+    renderTemplate(
+      "controller.controller.web",
+      content,
+      buildTemplateVariables(baseModelName, [], {
+        class: `${controllerParts[controllerParts.length - 1]}Controller`,
+        namespace,
+        namespacedModel: modelNamespace,
+      })
+    )
+  );
 }
 
 /**
@@ -579,7 +590,16 @@ ${selectedMethodsCode}
 `;
 
   ensureDirectoryExists(path.dirname(controllerPath));
-  fs.writeFileSync(controllerPath, content);
+  writeFile(
+    controllerPath,
+    renderTemplate("controller.controller.custom", content, {
+      class: controllerName,
+      namespace: "App\\Http\\Controllers",
+      rootNamespace: "App\\",
+      methods,
+      modelName,
+    })
+  );
 }
 
 module.exports = {
@@ -1,4 +1,3 @@
-const fs = require("fs");
 const path = require("path");
 const vscode = require("vscode");
 const {
@@ -8,8 +7,29 @@ const {
   toSnakeCase,
   toKebabCase,
   toCamelCase,
-  ensureDirectoryExists,
+  pluralize,
 } = require("../utils/helpers");
+const {
+  renderTemplate,
+  buildTemplateVariables,
+} = require("../utils/templates");
+const {
+  runGeneration,
+  writeFile,
+  readFile,
+  fileExists,
+  ensureDirectoryExists,
+} = require("../utils/changePlan");
+const {
+  parseFieldDefinitions,
+  validateFieldDefinitions,
+  getColumnDefinition,
+  getCastType,
+  getValidationRules,
+  getInputType,
+  generateRelationshipMethod,
+} = require("../utils/fields");
+const { pickExistingColumns } = require("../utils/migrationSchema");
 
 /**
  * Generates a complete Vue CRUD
@@ -29,69 +49,93 @@ async function generateVueCRUD() {
 
   if (!modelName) return;
 
+  const existingTable = await pickExistingColumns(modelName);
+  if (existingTable === undefined) return;
+
   const fields = await showInputBox({
     prompt:
-      "Model fields (comma separated: name:string,price:decimal,description:text)",
-    placeHolder: "name:string,price:decimal,stock:integer",
+      "Model fields (comma separated: name:string:unique,price:decimal(8,2),category_id:foreignId:constrained)",
+    placeHolder: "name:string,price:decimal,stock:integer:default(0)",
+    value: existingTable ? existingTable.definitions : undefined,
+    validateInput: (value) =>
+      validateFieldDefinitions(value, { required: true }),
   });
 
   if (!fields) return;
 
-  const parsedFields = parseFields(fields);
+  const { fields: parsedFields, relationships } =
+    parseFieldDefinitions(fields);
+  const table = existingTable ? existingTable.table : null;
 
   try {
-    await vscode.window.withProgress(
-      {
-        location: vscode.ProgressLocation.Notification,
-        title: `Generating Vue CRUD for ${modelName}`,
-        cancellable: false,
-      },
-      async (progress) => {
-        const rootPath = getLaravelRootPath();
-
-        progress.report({ increment: 10, message: "Creating Model..." });
-        await createModel(rootPath, modelName, parsedFields);
-
-        progress.report({ increment: 10, message: "Creating Migration..." });
-        await createMigration(rootPath, modelName, parsedFields);
-
-        progress.report({
-          increment: 15,
-          message: "Creating API Controller...",
-        });
-        await createAPIController(rootPath, modelName, parsedFields);
-
-        progress.report({ increment: 15, message: "Creating API Resource..." });
-        await createAPIResource(rootPath, modelName, parsedFields);
-
-        progress.report({
-          increment: 10,
-          message: "Creating Form Requests...",
-        });
-        await createFormRequests(rootPath, modelName, parsedFields);
-
-        progress.report({
-          increment: 15,
-          message: "Creating Vue Components...",
-        });
-        await createVueComponents(rootPath, modelName, parsedFields);
-
-        progress.report({
-          increment: 10,
-          message: "Creating Vue Composables...",
-        });
-        await createVueComposables(rootPath, modelName);
-
-        progress.report({ increment: 10, message: "Creating API Routes..." });
-        await createAPIRoutes(rootPath, modelName);
-
-        progress.report({ increment: 5, message: "Registering Vue Routes..." });
-        await registerVueRoutes(rootPath, modelName);
-
-        progress.report({ increment: 10, message: "Done!" });
-      }
+    const applied = await runGeneration(`Vue CRUD for ${modelName}`, () =>
+      vscode.window.withProgress(
+        {
+          location: vscode.ProgressLocation.Notification,
+          title: `Generating Vue CRUD for ${modelName}`,
+          cancellable: false,
+        },
+        async (progress) => {
+          const rootPath = getLaravelRootPath();
+
+          progress.report({ increment: 10, message: "Creating Model..." });
+          await createModel(
+            rootPath,
+            modelName,
+            parsedFields,
+            relationships,
+            table
+          );
+
+          // No migration when the fields come from an existing table
+          if (!existingTable) {
+            progress.report({
+              increment: 10,
+              message: "Creating Migration...",
+            });
+            await createMigration(rootPath, modelName, parsedFields);
+          }
+
+          progress.report({
+            increment: 15,
+            message: "Creating API Controller...",
+          });
+          await createAPIController(rootPath, modelName, parsedFields);
+
+          progress.report({ increment: 15, message: "Creating API Resource..." });
+          await createAPIResource(rootPath, modelName, parsedFields);
+
+          progress.report({
+            increment: 10,
+            message: "Creating Form Requests...",
+          });
+          await createFormRequests(rootPath, modelName, parsedFields, table);
+
+          progress.report({
+            increment: 15,
+            message: "Creating Vue Components...",
+          });
+          await createVueComponents(rootPath, modelName, parsedFields);
+
+          progress.report({
+            increment: 10,
+            message: "Creating Vue Composables...",
+          });
+          await createVueComposables(rootPath, modelName);
+
+          progress.report({ increment: 10, message: "Creating API Routes..." });
+          await createAPIRoutes(rootPath, modelName);
+
+          progress.report({ increment: 5, message: "Registering Vue Routes..." });
+          await registerVueRoutes(rootPath, modelName);
+
+          progress.report({ increment: 10, message: "Done!" });
+        }
+      )
     );
 
+    if (!applied) return;
+
     vscode.window.showInformationMessage(
       `✅ Vue CRUD for ${modelName} generated successfully`
     );
@@ -118,69 +162,93 @@ async function generateReactCRUD() {
 
   if (!modelName) return;
 
+  const existingTable = await pickExistingColumns(modelName);
+  if (existingTable === undefined) return;
+
   const fields = await showInputBox({
     prompt:
-      "Model fields (comma separated: name:string,price:decimal,description:text)",
-    placeHolder: "name:string,price:decimal,stock:integer",
+      "Model fields (comma separated: name:string:unique,price:decimal(8,2),category_id:foreignId:constrained)",
+    placeHolder: "name:string,price:decimal,stock:integer:default(0)",
+    value: existingTable ? existingTable.definitions : undefined,
+    validateInput: (value) =>
+      validateFieldDefinitions(value, { required: true }),
   });
 
   if (!fields) return;
 
-  const parsedFields = parseFields(fields);
+  const { fields: parsedFields, relationships } =
+    parseFieldDefinitions(fields);
+  const table = existingTable ? existingTable.table : null;
 
   try {
-    await vscode.window.withProgress(
-      {
-        location: vscode.ProgressLocation.Notification,
-        title: `Generating React CRUD for ${modelName}`,
-        cancellable: false,
-      },
-      async (progress) => {
-        const rootPath = getLaravelRootPath();
-
-        progress.report({ increment: 10, message: "Creating Model..." });
-        await createModel(rootPath, modelName, parsedFields);
-
-        progress.report({ increment: 10, message: "Creating Migration..." });
-        await createMigration(rootPath, modelName, parsedFields);
-
-        progress.report({
-          increment: 15,
-          message: "Creating API Controller...",
-        });
-        await createAPIController(rootPath, modelName, parsedFields);
-
-        progress.report({ increment: 15, message: "Creating API Resource..." });
-        await createAPIResource(rootPath, modelName, parsedFields);
-
-        progress.report({
-          increment: 10,
-          message: "Creating Form Requests...",
-        });
-        await createFormRequests(rootPath, modelName, parsedFields);
-
-        progress.report({
-          increment: 15,
-          message: "Creating React Components...",
-        });
-        await createReactComponents(rootPath, modelName, parsedFields);
-
-        progress.report({ increment: 10, message: "Creating React Hooks..." });
-        await createReactHooks(rootPath, modelName);
-
-        progress.report({ increment: 10, message: "Creating API Routes..." });
-        await createAPIRoutes(rootPath, modelName);
-
-        progress.report({
-          increment: 5,
-          message: "Registering React Routes...",
-        });
-        await registerReactRoutes(rootPath, modelName);
-
-        progress.report({ increment: 10, message: "Done!" });
-      }
+    const applied = await runGeneration(`React CRUD for ${modelName}`, () =>
+      vscode.window.withProgress(
+        {
+          location: vscode.ProgressLocation.Notification,
+          title: `Generating React CRUD for ${modelName}`,
+          cancellable: false,
+        },
+        async (progress) => {
+          const rootPath = getLaravelRootPath();
+
+          progress.report({ increment: 10, message: "Creating Model..." });
+          await createModel(
+            rootPath,
+            modelName,
+            parsedFields,
+            relationships,
+            table
+          );
+
+          // No migration when the fields come from an existing table
+          if (!existingTable) {
+            progress.report({
+              increment: 10,
+              message: "Creating Migration...",
+            });
+            await createMigration(rootPath, modelName, parsedFields);
+          }
+
+          progress.report({
+            increment: 15,
+            message: "Creating API Controller...",
+          });
+          await createAPIController(rootPath, modelName, parsedFields);
+
+          progress.report({ increment: 15, message: "Creating API Resource..." });
+          await createAPIResource(rootPath, modelName, parsedFields);
+
+          progress.report({
+            increment: 10,
+            message: "Creating Form Requests...",
+          });
+          await createFormRequests(rootPath, modelName, parsedFields, table);
+
+          progress.report({
+            increment: 15,
+            message: "Creating React Components...",
+          });
+          await createReactComponents(rootPath, modelName, parsedFields);
+
+          progress.report({ increment: 10, message: "Creating React Hooks..." });
+          await createReactHooks(rootPath, modelName);
+
+          progress.report({ increment: 10, message: "Creating API Routes..." });
+          await createAPIRoutes(rootPath, modelName);
+
+          progress.report({
+            increment: 5,
+            message: "Registering React Routes...",
+          });
+          await registerReactRoutes(rootPath, modelName);
+
+          progress.report({ increment: 10, message: "Done!" });
+        }
+      )
     );
 
+    if (!applied) return;
+
     vscode.window.showInformationMessage(
       `✅ React CRUD for ${modelName} generated successfully`
     );
@@ -189,23 +257,37 @@ async function generateReactCRUD() {
   }
 }
 
-/**
- * Parse fields string into structured data
- */
-function parseFields(fieldsString) {
-  return fieldsString.split(",").map((field) => {
-    const [name, type = "string"] = field.trim().split(":");
-    return { name: name.trim(), type: type.trim() };
-  });
-}
-
 /**
  * Create Laravel Model
  */
-async function createModel(rootPath, modelName, fields) {
+async function createModel(
+  rootPath,
+  modelName,
+  fields,
+  relationships = [],
+  table = null
+) {
   const modelPath = path.join(rootPath, "app", "Models", `${modelName}.php`);
 
   const fillable = fields.map((f) => `'${f.name}'`).join(",\n        ");
+  const casts = fields
+    .filter((f) => getCastType(f))
+    .map((f) => `\n        '${f.name}' => '${getCastType(f)}',`)
+    .join("");
+  const relationshipMethods = relationships
+    .map((rel) => `\n${generateRelationshipMethod(rel)}`)
+    .join("");
+  const tableProperty =
+    table && table !== pluralize(toSnakeCase(modelName))
+      ? `
+    /**
+     * The table associated with the model.
+     *
+     * @var string
+     */
+    protected $table = '${table}';
+`
+      : "";
 
   const content = `<?php
 
@@ -217,7 +299,7 @@ use Illuminate\\Database\\Eloquent\\Model;
 class ${modelName} extends Model
 {
     use HasFactory;
-
+${tableProperty}
     /**
      * The attributes that are mass assignable.
      *
@@ -232,15 +314,25 @@ class ${modelName} extends Model
      *
      * @var array<string, string>
      */
-    protected $casts = [
+    protected $casts = [${casts}
         'created_at' => 'datetime',
         'updated_at' => 'datetime',
-    ];
+    ];${relationshipMethods}
 }
 `;
 
   ensureDirectoryExists(path.dirname(modelPath));
-  fs.writeFileSync(modelPath, content);
+  writeFile(
+    modelPath,
+    renderTemplate(
+      "spa.model",
+      content,
+      buildTemplateVariables(modelName, fields, {
+        relationships,
+        ...(table && { tableName: table, table }),
+      })
+    )
+  );
 }
 
 /**
@@ -260,10 +352,7 @@ async function createMigration(rootPath, modelName, fields) {
   );
 
   const fieldDefinitions = fields
-    .map((field) => {
-      const type = getMigrationType(field.type);
-      return `            $table->${type}('${field.name}');`;
-    })
+    .map((field) => `            ${getColumnDefinition(field)}`)
     .join("\n");
 
   const content = `<?php
@@ -297,28 +386,14 @@ ${fieldDefinitions}
 `;
 
   ensureDirectoryExists(path.dirname(migrationPath));
-  fs.writeFileSync(migrationPath, content);
-}
-
-/**
- * Get migration type from field type
- */
-function getMigrationType(type) {
-  const typeMap = {
-    string: "string",
-    text: "text",
-    integer: "integer",
-    bigint: "bigInteger",
-    decimal: "decimal",
-    float: "float",
-    double: "double",
-    boolean: "boolean",
-    date: "date",
-    datetime: "dateTime",
-    timestamp: "timestamp",
-    json: "json",
-  };
-  return typeMap[type] || "string";
+  writeFile(
+    migrationPath,
+    renderTemplate(
+      "spa.migration.create",
+      content,
+      buildTemplateVariables(modelName, fields, { fieldDefinitions })
+    )
+  );
 }
 
 /**
@@ -408,7 +483,17 @@ class ${modelName}Controller extends Controller
 `;
 
   ensureDirectoryExists(path.dirname(controllerPath));
-  fs.writeFileSync(controllerPath, content);
+  writeFile(
+    controllerPath,
+    renderTemplate(
+      "spa.controller.api",
+      content,
+      buildTemplateVariables(modelName, fields, {
+        class: `${modelName}Controller`,
+        namespace: "App\\Http\\Controllers\\Api",
+      })
+    )
+  );
 }
 
 /**
@@ -454,18 +539,30 @@ ${fieldMappings}
 `;
 
   ensureDirectoryExists(path.dirname(resourcePath));
-  fs.writeFileSync(resourcePath, content);
+  writeFile(
+    resourcePath,
+    renderTemplate(
+      "spa.resource",
+      content,
+      buildTemplateVariables(modelName, fields, {
+        class: `${modelName}Resource`,
+        namespace: "App\\Http\\Resources",
+        fieldMappings,
+      })
+    )
+  );
 }
 
 /**
  * Create Form Requests
  */
-async function createFormRequests(rootPath, modelName, fields) {
+async function createFormRequests(rootPath, modelName, fields, table = null) {
   const requestsPath = path.join(rootPath, "app", "Http", "Requests");
+  const tableName = table || toSnakeCase(modelName) + "s";
 
   const validationRules = fields
     .map((field) => {
-      const rules = getValidationRules(field.type);
+      const rules = getValidationRules(field, { table: tableName });
       return `            '${field.name}' => '${rules}',`;
     })
     .join("\n");
@@ -503,7 +600,10 @@ ${validationRules}
 
   const updateValidationRules = fields
     .map((field) => {
-      const rules = getValidationRules(field.type, true);
+      const rules = getValidationRules(field, {
+        isUpdate: true,
+        table: tableName,
+      });
       return `            '${field.name}' => '${rules}',`;
     })
     .join("\n");
@@ -540,38 +640,32 @@ ${updateValidationRules}
 `;
 
   ensureDirectoryExists(requestsPath);
-  fs.writeFileSync(
+  writeFile(
     path.join(requestsPath, `Store${modelName}Request.php`),
-    storeContent
+    renderTemplate(
+      "spa.request.store",
+      storeContent,
+      buildTemplateVariables(modelName, fields, {
+        class: `Store${modelName}Request`,
+        namespace: "App\\Http\\Requests",
+        validationRules,
+      })
+    )
   );
-  fs.writeFileSync(
+  writeFile(
     path.join(requestsPath, `Update${modelName}Request.php`),
-    updateContent
+    renderTemplate(
+      "spa.request.update",
+      updateContent,
+      buildTemplateVariables(modelName, fields, {
+        class: `Update${modelName}Request`,
+        namespace: "App\\Http\\Requests",
+        validationRules: updateValidationRules,
+      })
+    )
   );
 }
 
-/**
- * Get validation rules for field type
- */
-function getValidationRules(type, isUpdate = false) {
-  const prefix = isUpdate ? "sometimes|" : "";
-  const typeRules = {
-    string: "required|string|max:255",
-    text: "required|string",
-    integer: "required|integer",
-    bigint: "required|integer",
-    decimal: "required|numeric",
-    float: "required|numeric",
-    double: "required|numeric",
-    boolean: "required|boolean",
-    date: "required|date",
-    datetime: "required|date",
-    timestamp: "required|date",
-    json: "required|array",
-  };
-  return prefix + (typeRules[type] || "required|string|max:255");
-}
-
 /**
  * Create Vue Components (List, Form, Show)
  */
@@ -585,29 +679,27 @@ async function createVueComponents(rootPath, modelName, fields) {
   );
   ensureDirectoryExists(componentsPath);
 
-  const pluralName = modelName + "s";
-  const kebabName = toKebabCase(modelName);
-  const variableName = toCamelCase(modelName);
+  const variables = buildTemplateVariables(modelName, fields);
 
   // List Component
   const listComponent = generateVueListComponent(modelName, fields);
-  fs.writeFileSync(
+  writeFile(
     path.join(componentsPath, `${modelName}List.vue`),
-    listComponent
+    renderTemplate("spa.vue.list", listComponent, variables)
   );
 
   // Form Component
   const formComponent = generateVueFormComponent(modelName, fields);
-  fs.writeFileSync(
+  writeFile(
     path.join(componentsPath, `${modelName}Form.vue`),
-    formComponent
+    renderTemplate("spa.vue.form", formComponent, variables)
   );
 
   // Show Component
   const showComponent = generateVueShowComponent(modelName, fields);
-  fs.writeFileSync(
+  writeFile(
     path.join(componentsPath, `${modelName}Show.vue`),
-    showComponent
+    renderTemplate("spa.vue.show", showComponent, variables)
   );
 }
 
@@ -766,7 +858,7 @@ function generateVueFormComponent(modelName, fields) {
 
   const formFields = fields
     .map((field) => {
-      const inputType = getInputType(field.type);
+      const inputType = getInputType(field);
       return `            <div>
                 <label for="${field.name}" class="block text-sm font-medium text-gray-700">
                     ${field.name}
@@ -943,26 +1035,6 @@ onMounted(() => {
 `;
 }
 
-/**
- * Get input type for field
- */
-function getInputType(fieldType) {
-  const typeMap = {
-    string: "text",
-    text: "textarea",
-    integer: "number",
-    bigint: "number",
-    decimal: "number",
-    float: "number",
-    double: "number",
-    boolean: "checkbox",
-    date: "date",
-    datetime: "datetime-local",
-    timestamp: "datetime-local",
-  };
-  return typeMap[fieldType] || "text";
-}
-
 /**
  * Create Vue Composables
  */
@@ -1085,7 +1157,14 @@ export function use${modelName}s() {
 }
 `;
 
-  fs.writeFileSync(path.join(composablesPath, `use${modelName}s.js`), content);
+  writeFile(
+    path.join(composablesPath, `use${modelName}s.js`),
+    renderTemplate(
+      "spa.vue.composable",
+      content,
+      buildTemplateVariables(modelName)
+    )
+  );
 }
 
 /**
@@ -1101,27 +1180,27 @@ async function createReactComponents(rootPath, modelName, fields) {
   );
   ensureDirectoryExists(componentsPath);
 
-  const pluralName = modelName + "s";
+  const variables = buildTemplateVariables(modelName, fields);
 
   // List Component
   const listComponent = generateReactListComponent(modelName, fields);
-  fs.writeFileSync(
+  writeFile(
     path.join(componentsPath, `${modelName}List.jsx`),
-    listComponent
+    renderTemplate("spa.react.list", listComponent, variables)
   );
 
   // Form Component
   const formComponent = generateReactFormComponent(modelName, fields);
-  fs.writeFileSync(
+  writeFile(
     path.join(componentsPath, `${modelName}Form.jsx`),
-    formComponent
+    renderTemplate("spa.react.form", formComponent, variables)
   );
 
   // Show Component
   const showComponent = generateReactShowComponent(modelName, fields);
-  fs.writeFileSync(
+  writeFile(
     path.join(componentsPath, `${modelName}Show.jsx`),
-    showComponent
+    renderTemplate("spa.react.show", showComponent, variables)
   );
 }
 
@@ -1279,7 +1358,7 @@ function generateReactFormComponent(modelName, fields) {
 
   const formFields = fields
     .map((field) => {
-      const inputType = getInputType(field.type);
+      const inputType = getInputType(field);
       return `            <div>
                 <label htmlFor="${field.name}" className="block text-sm font-medium text-gray-700">
                     ${field.name}
@@ -1590,7 +1669,10 @@ export function use${modelName}s() {
 }
 `;
 
-  fs.writeFileSync(path.join(hooksPath, `use${modelName}s.js`), content);
+  writeFile(
+    path.join(hooksPath, `use${modelName}s.js`),
+    renderTemplate("spa.react.hook", content, buildTemplateVariables(modelName))
+  );
 }
 
 /**
@@ -1599,7 +1681,7 @@ export function use${modelName}s() {
 async function createAPIRoutes(rootPath, modelName) {
   const apiRoutesPath = path.join(rootPath, "routes", "api.php");
 
-  if (!fs.existsSync(apiRoutesPath)) {
+  if (!fileExists(apiRoutesPath)) {
     vscode.window.showWarningMessage("routes/api.php not found");
     return;
   }
@@ -1610,11 +1692,11 @@ async function createAPIRoutes(rootPath, modelName) {
 Route::apiResource('${kebabName}s', App\\Http\\Controllers\\Api\\${modelName}Controller::class);
 `;
 
-  let content = fs.readFileSync(apiRoutesPath, "utf8");
+  let content = readFile(apiRoutesPath);
 
   if (!content.includes(`${modelName} API Routes`)) {
     content += routeCode;
-    fs.writeFileSync(apiRoutesPath, content);
+    writeFile(apiRoutesPath, content);
   }
 }
 
@@ -1624,7 +1706,7 @@ Route::apiResource('${kebabName}s', App\\Http\\Controllers\\Api\\${modelName}Con
 async function registerVueRoutes(rootPath, modelName) {
   const routerPath = path.join(rootPath, "resources", "js", "router.js");
 
-  if (!fs.existsSync(routerPath)) {
+  if (!fileExists(routerPath)) {
     vscode.window.showInformationMessage(
       "router.js not found. Please add Vue routes manually."
     );
@@ -1657,7 +1739,7 @@ async function registerVueRoutes(rootPath, modelName) {
         component: () => import('@/components/${modelName}/${modelName}Form.vue'),
     },`;
 
-  let content = fs.readFileSync(routerPath, "utf8");
+  let content = readFile(routerPath);
 
   if (!content.includes(`${modelName} Routes`)) {
     // Find routes array and add before the closing bracket
@@ -1668,7 +1750,7 @@ async function registerVueRoutes(rootPath, modelName) {
         content.slice(0, lastRouteIndex) +
         routeCode +
         content.slice(lastRouteIndex);
-      fs.writeFileSync(routerPath, content);
+      writeFile(routerPath, content);
     }
   }
 }
@@ -1679,7 +1761,7 @@ async function registerVueRoutes(rootPath, modelName) {
 async function registerReactRoutes(rootPath, modelName) {
   const routerPath = path.join(rootPath, "resources", "js", "router.jsx");
 
-  if (!fs.existsSync(routerPath)) {
+  if (!fileExists(routerPath)) {
     vscode.window.showInformationMessage(
       "router.jsx not found. Please add React routes manually."
     );
@@ -1701,7 +1783,7 @@ import ${modelName}Form from '@/components/${modelName}/${modelName}Form';
 import ${modelName}Show from '@/components/${modelName}/${modelName}Show';
 `;
 
-  let content = fs.readFileSync(routerPath, "utf8");
+  let content = readFile(routerPath);
 
   if (!content.includes(`${modelName} Routes`)) {
     // Add imports at the top
@@ -1726,11 +1808,21 @@ import ${modelName}Show from '@/components/${modelName}/${modelName}Show';
         content.slice(lastRouteIndex);
     }
 
-    fs.writeFileSync(routerPath, content);
+    writeFile(routerPath, content);
   }
 }
 
 module.exports = {
   generateVueCRUD,
   generateReactCRUD,
+  createAPIController,
+  createAPIResource,
+  createFormRequests,
+  createAPIRoutes,
+  createVueComponents,
+  createVueComposables,
+  registerVueRoutes,
+  createReactComponents,
+  createReactHooks,
+  registerReactRoutes,
 };
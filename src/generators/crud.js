@@ -1,4 +1,3 @@
-const fs = require("fs");
 const path = require("path");
 const vscode = require("vscode");
 const {
@@ -7,9 +6,30 @@ const {
   toPascalCase,
   toSnakeCase,
   toKebabCase,
-  ensureDirectoryExists,
+  pluralize,
   detectFrontendFramework,
 } = require("../utils/helpers");
+const {
+  renderTemplate,
+  buildTemplateVariables,
+} = require("../utils/templates");
+const {
+  runGeneration,
+  writeFile,
+  readFile,
+  fileExists,
+  ensureDirectoryExists,
+} = require("../utils/changePlan");
+const {
+  parseFieldDefinitions,
+  validateFieldDefinitions,
+  getColumnDefinition,
+  getCastType,
+  getValidationRules,
+  getInputType,
+  generateRelationshipMethod,
+} = require("../utils/fields");
+const { pickExistingColumns } = require("../utils/migrationSchema");
 
 /**
  * Genera un CRUD completo para un modelo
@@ -29,11 +49,18 @@ async function generateCRUD() {
 
   if (!modelName) return;
 
+  // Columnas de una tabla existente o campos escritos a mano
+  const existingTable = await pickExistingColumns(modelName);
+  if (existingTable === undefined) return;
+
   // Preguntar qué campos tendrá el modelo
   const fields = await showInputBox({
     prompt:
-      "Campos del modelo (separados por coma: name:string,price:decimal,description:text)",
-    placeHolder: "name:string,price:decimal,description:text",
+      "Campos del modelo (separados por coma: name:string:unique,price:decimal(8,2),user_id:foreignId:constrained)",
+    placeHolder: "name:string,price:decimal,description:text:nullable",
+    value: existingTable ? existingTable.definitions : undefined,
+    validateInput: (value) =>
+      validateFieldDefinitions(value, { required: true }),
   });
 
   if (!fields) return;
@@ -53,36 +80,53 @@ async function generateCRUD() {
   if (!options) return;
 
   try {
-    const parsedFields = parseFields(fields);
-
-    await vscode.window.withProgress(
-      {
-        location: vscode.ProgressLocation.Notification,
-        title: `Generando CRUD para ${modelName}`,
-        cancellable: false,
-      },
-      async (progress) => {
-        progress.report({ increment: 10, message: "Creando modelo..." });
-        await createModel(modelName, parsedFields);
-
-        progress.report({ increment: 20, message: "Creando migración..." });
-        await createMigration(modelName, parsedFields);
-
-        progress.report({ increment: 30, message: "Creando controller..." });
-        await createController(modelName, options.value);
-
-        if (options.value !== "api") {
-          progress.report({ increment: 20, message: "Creando vistas..." });
-          await createViews(modelName, parsedFields, framework);
+    const { fields: parsedFields, relationships } =
+      parseFieldDefinitions(fields);
+    const table = existingTable ? existingTable.table : null;
+
+    const applied = await runGeneration(`CRUD for ${modelName}`, () =>
+      vscode.window.withProgress(
+        {
+          location: vscode.ProgressLocation.Notification,
+          title: `Generando CRUD para ${modelName}`,
+          cancellable: false,
+        },
+        async (progress) => {
+          progress.report({ increment: 10, message: "Creando modelo..." });
+          await createModel(modelName, parsedFields, relationships, table);
+
+          // La tabla ya existe cuando los campos vienen de ella
+          if (!existingTable) {
+            progress.report({
+              increment: 20,
+              message: "Creando migración...",
+            });
+            await createMigration(modelName, parsedFields);
+          }
+
+          progress.report({ increment: 30, message: "Creando controller..." });
+          await createController(
+            modelName,
+            options.value,
+            parsedFields,
+            table
+          );
+
+          if (options.value !== "api") {
+            progress.report({ increment: 20, message: "Creando vistas..." });
+            await createViews(modelName, parsedFields, framework);
+          }
+
+          progress.report({ increment: 10, message: "Creating routes..." });
+          await createRoutes(modelName, options.value);
+
+          progress.report({ increment: 10, message: "Finalizando..." });
         }
-
-        progress.report({ increment: 10, message: "Creating routes..." });
-        await createRoutes(modelName, options.value);
-
-        progress.report({ increment: 10, message: "Finalizando..." });
-      }
+      )
     );
 
+    if (!applied) return;
+
     vscode.window.showInformationMessage(
       `✅ CRUD for ${modelName} generated successfully`
     );
@@ -94,28 +138,30 @@ async function generateCRUD() {
 }
 
 /**
- * Parsea los campos desde el string de entrada
- */
-function parseFields(fieldsString) {
-  const fields = [];
-  const fieldPairs = fieldsString.split(",").map((f) => f.trim());
-
-  for (const pair of fieldPairs) {
-    const [name, type = "string"] = pair.split(":").map((s) => s.trim());
-    fields.push({ name, type });
-  }
-
-  return fields;
-}
-
-/**
- * Crea el modelo
+ * Crea el modelo, con $table cuando la tabla existente no sigue la
+ * convención
  */
-async function createModel(modelName, fields) {
+async function createModel(
+  modelName,
+  fields,
+  relationships = [],
+  table = null
+) {
   const rootPath = getLaravelRootPath();
   const modelPath = path.join(rootPath, "app", "Models", `${modelName}.php`);
 
   const fillable = fields.map((f) => `'${f.name}'`).join(", ");
+  const casts = fields
+    .filter((f) => getCastType(f))
+    .map((f) => `\n        '${f.name}' => '${getCastType(f)}',`)
+    .join("");
+  const relationshipMethods = relationships
+    .map((rel) => `\n${generateRelationshipMethod(rel)}`)
+    .join("");
+  const tableProperty =
+    table && table !== pluralize(toSnakeCase(modelName))
+      ? `\n    protected $table = '${table}';\n`
+      : "";
 
   const modelContent = `<?php
 
@@ -127,19 +173,26 @@ use Illuminate\\Database\\Eloquent\\Model;
 class ${modelName} extends Model
 {
     use HasFactory;
-
+${tableProperty}
     protected $fillable = [${fillable}];
 
-    protected $casts = [
-${fields
-  .map((f) => `        '${f.name}' => '${getMigrationCast(f.type)}'`)
-  .join(",\n")}
-    ];
+    protected $casts = [${casts}
+    ];${relationshipMethods}
 }
 `;
 
   ensureDirectoryExists(path.dirname(modelPath));
-  fs.writeFileSync(modelPath, modelContent);
+  writeFile(
+    modelPath,
+    renderTemplate(
+      "crud.model",
+      modelContent,
+      buildTemplateVariables(modelName, fields, {
+        relationships,
+        ...(table && { tableName: table, table }),
+      })
+    )
+  );
 }
 
 /**
@@ -161,7 +214,7 @@ async function createMigration(modelName, fields) {
   );
 
   const fieldsCode = fields
-    .map((f) => `            $table->${getMigrationType(f.type)}('${f.name}');`)
+    .map((f) => `            ${getColumnDefinition(f)}`)
     .join("\n");
 
   const migrationContent = `<?php
@@ -189,13 +242,20 @@ ${fieldsCode}
 `;
 
   ensureDirectoryExists(path.dirname(migrationPath));
-  fs.writeFileSync(migrationPath, migrationContent);
+  writeFile(
+    migrationPath,
+    renderTemplate(
+      "crud.migration.create",
+      migrationContent,
+      buildTemplateVariables(modelName, fields, { fieldsCode })
+    )
+  );
 }
 
 /**
  * Crea el controller
  */
-async function createController(modelName, type) {
+async function createController(modelName, type, fields = [], table = null) {
   const rootPath = getLaravelRootPath();
   const controllerName = `${modelName}Controller`;
   const controllerPath = path.join(
@@ -207,23 +267,38 @@ async function createController(modelName, type) {
   );
 
   let controllerContent;
+  let templateName;
 
   if (type === "api") {
-    controllerContent = generateApiController(modelName);
+    controllerContent = generateApiController(modelName, fields, table);
+    templateName = "crud.controller.api";
   } else {
-    controllerContent = generateWebController(modelName);
+    controllerContent = generateWebController(modelName, fields, table);
+    templateName = "crud.controller.web";
   }
 
   ensureDirectoryExists(path.dirname(controllerPath));
-  fs.writeFileSync(controllerPath, controllerContent);
+  writeFile(
+    controllerPath,
+    renderTemplate(
+      templateName,
+      controllerContent,
+      buildTemplateVariables(modelName, [], {
+        class: controllerName,
+        namespace: "App\\Http\\Controllers",
+      })
+    )
+  );
 }
 
 /**
  * Genera un controller para API
  */
-function generateApiController(modelName) {
+function generateApiController(modelName, fields, table) {
   const tableName = toSnakeCase(modelName) + "s";
   const variable = toSnakeCase(modelName);
+  const storeRules = buildValidationRules(fields, table || tableName);
+  const updateRules = buildValidationRules(fields, table || tableName, true);
 
   return `<?php
 
@@ -243,7 +318,7 @@ class ${modelName}Controller extends Controller
     public function store(Request $request)
     {
         $validated = $request->validate([
-            // Agregar validaciones aquí
+${storeRules}
         ]);
 
         $${variable} = ${modelName}::create($validated);
@@ -258,7 +333,7 @@ class ${modelName}Controller extends Controller
     public function update(Request $request, ${modelName} $${variable})
     {
         $validated = $request->validate([
-            // Agregar validaciones aquí
+${updateRules}
         ]);
 
         $${variable}->update($validated);
@@ -277,10 +352,12 @@ class ${modelName}Controller extends Controller
 /**
  * Genera un controller para Web
  */
-function generateWebController(modelName) {
+function generateWebController(modelName, fields, table) {
   const tableName = toSnakeCase(modelName) + "s";
   const variable = toSnakeCase(modelName);
   const viewsFolder = toKebabCase(modelName);
+  const storeRules = buildValidationRules(fields, table || tableName);
+  const updateRules = buildValidationRules(fields, table || tableName, true);
 
   return `<?php
 
@@ -305,7 +382,7 @@ class ${modelName}Controller extends Controller
     public function store(Request $request)
     {
         $validated = $request->validate([
-            // Agregar validaciones aquí
+${storeRules}
         ]);
 
         ${modelName}::create($validated);
@@ -326,7 +403,7 @@ class ${modelName}Controller extends Controller
     public function update(Request $request, ${modelName} $${variable})
     {
         $validated = $request->validate([
-            // Agregar validaciones aquí
+${updateRules}
         ]);
 
         $${variable}->update($validated);
@@ -372,22 +449,35 @@ async function createBladeViews(modelName, fields) {
   const viewsPath = path.join(rootPath, "resources", "views", viewsFolder);
 
   ensureDirectoryExists(viewsPath);
+  const variables = buildTemplateVariables(modelName, fields);
 
   // Index view
   const indexContent = generateBladeIndex(modelName, fields);
-  fs.writeFileSync(path.join(viewsPath, "index.blade.php"), indexContent);
+  writeFile(
+    path.join(viewsPath, "index.blade.php"),
+    renderTemplate("crud.blade.index", indexContent, variables)
+  );
 
   // Create view
   const createContent = generateBladeCreate(modelName, fields);
-  fs.writeFileSync(path.join(viewsPath, "create.blade.php"), createContent);
+  writeFile(
+    path.join(viewsPath, "create.blade.php"),
+    renderTemplate("crud.blade.create", createContent, variables)
+  );
 
   // Edit view
   const editContent = generateBladeEdit(modelName, fields);
-  fs.writeFileSync(path.join(viewsPath, "edit.blade.php"), editContent);
+  writeFile(
+    path.join(viewsPath, "edit.blade.php"),
+    renderTemplate("crud.blade.edit", editContent, variables)
+  );
 
   // Show view
   const showContent = generateBladeShow(modelName, fields);
-  fs.writeFileSync(path.join(viewsPath, "show.blade.php"), showContent);
+  writeFile(
+    path.join(viewsPath, "show.blade.php"),
+    renderTemplate("crud.blade.show", showContent, variables)
+  );
 }
 
 function generateBladeIndex(modelName, fields) {
@@ -471,7 +561,7 @@ ${fields
   .map(
     (f) => `                <div class="mb-3">
                     <label for="${f.name}" class="form-label">${f.name}</label>
-                    <input type="${getInputType(f.type)}" name="${
+                    <input type="${getInputType(f)}" name="${
       f.name
     }" id="${f.name}" class="form-control @error('${
       f.name
@@ -514,7 +604,7 @@ ${fields
   .map(
     (f) => `                <div class="mb-3">
                     <label for="${f.name}" class="form-label">${f.name}</label>
-                    <input type="${getInputType(f.type)}" name="${
+                    <input type="${getInputType(f)}" name="${
       f.name
     }" id="${f.name}" class="form-control @error('${
       f.name
@@ -598,14 +688,21 @@ async function createReactViews(modelName, fields) {
   );
 
   ensureDirectoryExists(componentsPath);
+  const variables = buildTemplateVariables(modelName, fields);
 
   // Index Component
   const indexContent = generateReactIndex(modelName, fields);
-  fs.writeFileSync(path.join(componentsPath, "Index.jsx"), indexContent);
+  writeFile(
+    path.join(componentsPath, "Index.jsx"),
+    renderTemplate("crud.react.index", indexContent, variables)
+  );
 
   // Form Component
   const formContent = generateReactForm(modelName, fields);
-  fs.writeFileSync(path.join(componentsPath, "Form.jsx"), formContent);
+  writeFile(
+    path.join(componentsPath, "Form.jsx"),
+    renderTemplate("crud.react.form", formContent, variables)
+  );
 
   // Import components to app.js
   await importComponentsToAppJS(modelName, "react");
@@ -745,7 +842,7 @@ ${fields
                     ${f.name}
                 </label>
                 <input
-                    type="${getInputType(f.type)}"
+                    type="${getInputType(f)}"
                     name="${f.name}"
                     id="${f.name}"
                     className={\`form-control \${errors.${
@@ -787,14 +884,21 @@ async function createVueViews(modelName, fields) {
   );
 
   ensureDirectoryExists(componentsPath);
+  const variables = buildTemplateVariables(modelName, fields);
 
   // Index Component
   const indexContent = generateVueIndex(modelName, fields);
-  fs.writeFileSync(path.join(componentsPath, "Index.vue"), indexContent);
+  writeFile(
+    path.join(componentsPath, "Index.vue"),
+    renderTemplate("crud.vue.index", indexContent, variables)
+  );
 
   // Form Component
   const formContent = generateVueForm(modelName, fields);
-  fs.writeFileSync(path.join(componentsPath, "Form.vue"), formContent);
+  writeFile(
+    path.join(componentsPath, "Form.vue"),
+    renderTemplate("crud.vue.form", formContent, variables)
+  );
 
   // Import components to app.js
   await importComponentsToAppJS(modelName, "vue");
@@ -891,7 +995,7 @@ ${fields
     (f) => `        <div class="mb-3">
             <label :for="${f.name}" class="form-label">${f.name}</label>
             <input
-                type="${getInputType(f.type)}"
+                type="${getInputType(f)}"
                 v-model="formData.${f.name}"
                 id="${f.name}"
                 :class="['form-control', { 'is-invalid': errors.${f.name} }]"
@@ -950,11 +1054,16 @@ const handleSubmit = async () => {
 /**
  * Creates routes in the corresponding file
  */
-async function createRoutes(modelName, type) {
-  const rootPath = getLaravelRootPath();
-  const route = toKebabCase(modelName);
+async function createRoutes(modelName, type, modular) {
   const controllerName = `${modelName}Controller`;
 
+  if (modular !== undefined) {
+    await (modular
+      ? createModularRoutes(modelName, type, controllerName)
+      : createTraditionalRoutes(modelName, type, controllerName));
+    return;
+  }
+
   // Ask if using modular or traditional routes
   const useModular = await vscode.window.showQuickPick(
     [
@@ -1040,7 +1149,18 @@ use App\\Http\\Controllers\\${controllerName};
 
   content += ` */\n`;
 
-  fs.writeFileSync(filePath, content);
+  writeFile(
+    filePath,
+    renderTemplate(
+      "crud.routes.module",
+      content,
+      buildTemplateVariables(modelName, [], {
+        controllerName,
+        routeType: type,
+        routeName,
+      })
+    )
+  );
 
   // Actualizar RouteServiceProvider
   await ensureRouteServiceProvider();
@@ -1060,12 +1180,12 @@ async function createTraditionalRoutes(modelName, type, controllerName) {
   let routeFile = type === "api" ? "routes/api.php" : "routes/web.php";
   const routePath = path.join(rootPath, routeFile);
 
-  if (!fs.existsSync(routePath)) {
+  if (!fileExists(routePath)) {
     vscode.window.showWarningMessage(`File ${routeFile} not found`);
     return;
   }
 
-  let routeContent = fs.readFileSync(routePath, "utf8");
+  let routeContent = readFile(routePath);
 
   const routeLine =
     type === "api"
@@ -1086,7 +1206,7 @@ async function createTraditionalRoutes(modelName, type, controllerName) {
     // Agregar la ruta al final
     routeContent += `\n${routeLine}\n`;
 
-    fs.writeFileSync(routePath, routeContent);
+    writeFile(routePath, routeContent);
   }
 }
 
@@ -1102,11 +1222,11 @@ async function ensureRouteServiceProvider() {
     "RouteServiceProvider.php"
   );
 
-  if (!fs.existsSync(providerPath)) {
+  if (!fileExists(providerPath)) {
     return;
   }
 
-  let content = fs.readFileSync(providerPath, "utf8");
+  let content = readFile(providerPath);
 
   // Verificar si ya tiene el método loadModularRoutes
   if (content.includes("loadModularRoutes")) {
@@ -1118,48 +1238,19 @@ async function ensureRouteServiceProvider() {
   );
 }
 
-// Helper functions
-function getMigrationType(type) {
-  const types = {
-    string: "string",
-    text: "text",
-    integer: "integer",
-    decimal: "decimal",
-    boolean: "boolean",
-    date: "date",
-    datetime: "dateTime",
-    timestamp: "timestamp",
-    json: "json",
-  };
-  return types[type] || "string";
-}
-
-function getMigrationCast(type) {
-  const casts = {
-    boolean: "boolean",
-    integer: "integer",
-    decimal: "decimal",
-    date: "date",
-    datetime: "datetime",
-    timestamp: "datetime",
-    json: "array",
-  };
-  return casts[type] || "string";
-}
-
-function getInputType(type) {
-  const types = {
-    string: "text",
-    text: "textarea",
-    integer: "number",
-    decimal: "number",
-    boolean: "checkbox",
-    date: "date",
-    datetime: "datetime-local",
-    email: "email",
-    password: "password",
-  };
-  return types[type] || "text";
+/**
+ * Reglas de validación para store/update
+ */
+function buildValidationRules(fields, tableName, isUpdate = false) {
+  return fields
+    .map(
+      (f) =>
+        `            '${f.name}' => '${getValidationRules(f, {
+          isUpdate,
+          table: tableName,
+        })}',`
+    )
+    .join("\n");
 }
 
 /**
@@ -1169,11 +1260,11 @@ async function importComponentsToAppJS(modelName, framework) {
   const rootPath = getLaravelRootPath();
   const appJsPath = path.join(rootPath, "resources", "js", "app.js");
 
-  if (!fs.existsSync(appJsPath)) {
+  if (!fileExists(appJsPath)) {
     return;
   }
 
-  let content = fs.readFileSync(appJsPath, "utf8");
+  let content = readFile(appJsPath);
   const componentPath = `./Components/${toPascalCase(modelName)}`;
 
   let importStatements = [];
@@ -1209,9 +1300,12 @@ async function importComponentsToAppJS(modelName, framework) {
   });
 
   content = lines.join("\n");
-  fs.writeFileSync(appJsPath, content);
+  writeFile(appJsPath, content);
 }
 
 module.exports = {
   generateCRUD,
+  createController,
+  createViews,
+  createRoutes,
 };
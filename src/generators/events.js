@@ -0,0 +1,396 @@
+const path = require("path");
+const vscode = require("vscode");
+const {
+  getLaravelRootPath,
+  getLaravelVersion,
+  showInputBox,
+} = require("../utils/helpers");
+const { renderTemplate } = require("../utils/templates");
+const {
+  runGeneration,
+  writeFile,
+  readFile,
+  fileExists,
+} = require("../utils/changePlan");
+const {
+  addUseStatements,
+  parseProperties,
+  resolvePropertyType,
+  formatPromotedParameters,
+} = require("../utils/phpClasses");
+
+/**
+ * Generate an Event with its Listeners
+ *
+ * Writes the event with a typed constructor payload and each listener
+ * (sync or queued, with queue, connection and tries), then registers them:
+ * in EventServiceProvider::$listen when the project has one, or through
+ * event discovery (Laravel 11+), which finds listeners by the type-hint of
+ * their handle() method.
+ */
+async function generateEventListeners() {
+  const eventName = await showInputBox({
+    prompt: "Event name (e.g: OrderShipped)",
+    placeHolder: "OrderShipped",
+    validateInput: validateClassName,
+  });
+
+  if (!eventName) return;
+
+  const payloadInput = await showInputBox({
+    prompt: "Constructor payload (name:Type, comma separated, ? for nullable)",
+    placeHolder: "order:Order, trackingNumber:?string",
+    validateInput: (value) => {
+      try {
+        parseProperties(value || "");
+        return null;
+      } catch (error) {
+        return error.message;
+      }
+    },
+  });
+
+  if (payloadInput === undefined) return;
+
+  const listeners = await promptListeners(eventName);
+  if (!listeners) return;
+
+  try {
+    const rootPath = getLaravelRootPath();
+    const payload = parseProperties(payloadInput).map((property) =>
+      resolvePropertyType(property, rootPath)
+    );
+
+    let registration;
+    const applied = await runGeneration(`${eventName} event`, async () => {
+      writeFile(
+        path.join(rootPath, "app", "Events", `${eventName}.php`),
+        renderTemplate(
+          "events.event",
+          generateEventContent(eventName, payload),
+          {
+            class: eventName,
+            namespace: "App\\Events",
+            payload,
+          }
+        )
+      );
+
+      for (const listener of listeners) {
+        writeFile(
+          path.join(rootPath, "app", "Listeners", `${listener.name}.php`),
+          renderTemplate(
+            `events.listener.${listener.queued ? "queued" : "sync"}`,
+            generateListenerContent(listener, eventName, payload),
+            {
+              class: listener.name,
+              namespace: "App\\Listeners",
+              event: eventName,
+              ...listener,
+            }
+          )
+        );
+      }
+
+      registration = registerListeners(rootPath, eventName, listeners);
+    });
+
+    if (!applied) return;
+
+    const names = listeners.map((listener) => listener.name).join(", ");
+    vscode.window.showInformationMessage(
+      names
+        ? `✅ Event ${eventName} created with ${names} (${registration})`
+        : `✅ Event ${eventName} created successfully`
+    );
+  } catch (error) {
+    vscode.window.showErrorMessage(`❌ Error: ${error.message}`);
+  }
+}
+
+function validateClassName(value) {
+  if (!value) return "Name is required";
+  if (!/^[A-Z][a-zA-Z0-9]*$/.test(value)) {
+    return "Name must be in PascalCase";
+  }
+  return null;
+}
+
+/**
+ * Asks for listeners until an empty name is entered
+ *
+ * @returns {Promise<Array<object>|undefined>} undefined when cancelled
+ */
+async function promptListeners(eventName) {
+  const listeners = [];
+
+  while (true) {
+    const name = await showInputBox({
+      prompt: listeners.length
+        ? "Another listener name (leave empty to finish)"
+        : "Listener name (leave empty for none)",
+      placeHolder: `Handle${eventName}`,
+      validateInput: (value) =>
+        !value
+          ? null
+          : validateClassName(value) ||
+            (listeners.some((listener) => listener.name === value)
+              ? "Listener already added"
+              : null),
+    });
+
+    if (name === undefined) return undefined;
+    if (!name) return listeners;
+
+    const mode = await vscode.window.showQuickPick(
+      [
+        { label: "Synchronous", description: "Runs during dispatch" },
+        {
+          label: "Queued",
+          description: "Implements ShouldQueue",
+          queued: true,
+        },
+      ],
+      { placeHolder: `How should ${name} run?` }
+    );
+
+    if (!mode) return undefined;
+
+    const listener = { name, queued: Boolean(mode.queued) };
+    if (listener.queued) {
+      const options = await promptQueueOptions();
+      if (!options) return undefined;
+      Object.assign(listener, options);
+    }
+
+    listeners.push(listener);
+  }
+}
+
+async function promptQueueOptions() {
+  const queue = await showInputBox({
+    prompt: "Queue name (leave empty for the default queue)",
+    placeHolder: "listeners",
+  });
+  if (queue === undefined) return undefined;
+
+  const connection = await showInputBox({
+    prompt: "Queue connection (leave empty for the default connection)",
+    placeHolder: "redis",
+  });
+  if (connection === undefined) return undefined;
+
+  const tries = await showInputBox({
+    prompt: "Maximum attempts (leave empty for the worker's --tries)",
+    placeHolder: "3",
+    validateInput: (value) =>
+      !value || /^[1-9]\d*$/.test(value) ? null : "Must be a positive number",
+  });
+  if (tries === undefined) return undefined;
+
+  return {
+    queue,
+    connection,
+    tries: tries ? parseInt(tries, 10) : null,
+  };
+}
+
+function generateEventContent(eventName, payload) {
+  const imports = [
+    ...payload.map((property) => property.import).filter(Boolean),
+    "Illuminate\\Broadcasting\\InteractsWithSockets",
+    "Illuminate\\Foundation\\Events\\Dispatchable",
+    "Illuminate\\Queue\\SerializesModels",
+  ];
+
+  const constructor = payload.length
+    ? `    public function __construct(
+${formatPromotedParameters(payload)}
+    ) {}`
+    : `    public function __construct()
+    {
+        //
+    }`;
+
+  return `<?php
+
+namespace App\\Events;
+
+${[...new Set(imports)]
+  .sort()
+  .map((className) => `use ${className};`)
+  .join("\n")}
+
+class ${eventName}
+{
+    use Dispatchable, InteractsWithSockets, SerializesModels;
+
+    /**
+     * Create a new event instance.
+     */
+${constructor}
+}
+`;
+}
+
+function generateListenerContent(listener, eventName, payload) {
+  const imports = [`App\\Events\\${eventName}`];
+  if (listener.queued) {
+    imports.push(
+      "Illuminate\\Contracts\\Queue\\ShouldQueue",
+      "Illuminate\\Queue\\InteractsWithQueue"
+    );
+  }
+
+  const properties = [];
+  if (listener.connection) {
+    properties.push(`    /**
+     * The name of the connection the job should be sent to.
+     */
+    public $connection = '${listener.connection}';`);
+  }
+  if (listener.queue) {
+    properties.push(`    /**
+     * The name of the queue the job should be sent to.
+     */
+    public $queue = '${listener.queue}';`);
+  }
+  if (listener.tries) {
+    properties.push(`    /**
+     * The number of times the queued listener may be attempted.
+     */
+    public $tries = ${listener.tries};`);
+  }
+
+  const payloadHint = payload.length
+    ? `// ${payload.map((property) => `$event->${property.name}`).join(", ")}`
+    : "//";
+
+  return `<?php
+
+namespace App\\Listeners;
+
+${imports
+  .sort()
+  .map((className) => `use ${className};`)
+  .join("\n")}
+
+class ${listener.name}${listener.queued ? " implements ShouldQueue" : ""}
+{
+${listener.queued ? "    use InteractsWithQueue;\n\n" : ""}${properties
+    .map((property) => `${property}\n\n`)
+    .join("")}    /**
+     * Create the event listener.
+     */
+    public function __construct()
+    {
+        //
+    }
+
+    /**
+     * Handle the event.
+     */
+    public function handle(${eventName} $event): void
+    {
+        ${payloadHint}
+    }
+}
+`;
+}
+
+/**
+ * Registers the listeners for the detected Laravel version
+ *
+ * @returns {string} How the listeners were registered
+ */
+function registerListeners(rootPath, eventName, listeners) {
+  if (listeners.length === 0) {
+    return "no listeners";
+  }
+
+  const providerPath = path.join(
+    rootPath,
+    "app",
+    "Providers",
+    "EventServiceProvider.php"
+  );
+  const provider = fileExists(providerPath) ? readFile(providerPath) : null;
+  const discovers =
+    provider &&
+    /function\s+shouldDiscoverEvents\s*\(\)[^{]*\{\s*return\s+true\s*;/.test(
+      provider
+    );
+
+  if (provider && !discovers && /\$listen\s*=\s*\[/.test(provider)) {
+    writeFile(providerPath, addToListenArray(provider, eventName, listeners));
+    return "registered in EventServiceProvider";
+  }
+
+  const version = getLaravelVersion();
+  const major = version ? parseInt(version.replace(/^v/, ""), 10) : null;
+  if (!provider && major && major < 11) {
+    vscode.window.showWarningMessage(
+      "EventServiceProvider not found: register the listeners manually"
+    );
+    return "not registered";
+  }
+
+  return "registered by event discovery";
+}
+
+/**
+ * Adds `Event::class => [Listener::class]` to EventServiceProvider::$listen,
+ * appending to the event's entry when it already exists
+ */
+function addToListenArray(source, eventName, listeners) {
+  const content = addUseStatements(source, [
+    `App\\Events\\${eventName}`,
+    ...listeners.map((listener) => `App\\Listeners\\${listener.name}`),
+  ]);
+
+  const entry = content.match(
+    new RegExp(
+      `(\\b${eventName}::class\\s*=>\\s*\\[)([\\s\\S]*?)(\\n([ \\t]*)\\])`
+    )
+  );
+
+  if (entry) {
+    const indent = `${entry[4]}    `;
+    const added = listeners
+      .filter((listener) => !entry[2].includes(`${listener.name}::class`))
+      .map((listener) => `\n${indent}${listener.name}::class,`)
+      .join("");
+    const body = entry[2].replace(/\s*$/, "");
+    const separator = body && !body.endsWith(",") ? "," : "";
+    return content.replace(
+      entry[0],
+      () => `${entry[1]}${body}${added && separator}${added}${entry[3]}`
+    );
+  }
+
+  const block = (indent) =>
+    `\n${indent}${eventName}::class => [\n${listeners
+      .map((listener) => `${indent}    ${listener.name}::class,`)
+      .join("\n")}\n${indent}],`;
+
+  const empty = content.match(/(\$listen\s*=\s*\[)\s*\];/);
+  if (empty) {
+    return content.replace(
+      empty[0],
+      () => `${empty[1]}${block("        ")}\n    ];`
+    );
+  }
+
+  const listen = content.match(
+    /(\$listen\s*=\s*\[)([\s\S]*?)(\n([ \t]*)\];)/
+  );
+  const entries = listen[2].replace(/\s*$/, "");
+  return content.replace(
+    listen[0],
+    () => `${listen[1]}${entries}${block(`${listen[4]}    `)}${listen[3]}`
+  );
+}
+
+module.exports = {
+  generateEventListeners,
+};
@@ -0,0 +1,370 @@
+const path = require("path");
+const vscode = require("vscode");
+const {
+  getLaravelVersion,
+  toCamelCase,
+  toPascalCase,
+  toSnakeCase,
+} = require("../utils/helpers");
+const {
+  renderTemplate,
+  buildTemplateVariables,
+} = require("../utils/templates");
+const { writeFile } = require("../utils/changePlan");
+const { getFakerValue } = require("../utils/fields");
+const {
+  findModelFiles,
+  inspectModel,
+  getModelClass,
+} = require("../utils/modelInspector");
+
+// Factory methods a state or helper must not override
+const RESERVED_METHODS = new Set([
+  "new",
+  "times",
+  "configure",
+  "definition",
+  "raw",
+  "make",
+  "makeOne",
+  "create",
+  "createOne",
+  "createMany",
+  "createQuietly",
+  "lazy",
+  "state",
+  "set",
+  "sequence",
+  "count",
+  "has",
+  "hasAttached",
+  "for",
+  "recycle",
+  "connection",
+  "afterMaking",
+  "afterCreating",
+  "newModel",
+  "modelName",
+]);
+
+/**
+ * Model factories
+ *
+ * Builds database/factories/<Model>Factory.php from the field objects of
+ * fields.js: the definition() values come from getFakerValue(), named
+ * states are suggested from boolean, enum and timestamp columns, and
+ * relationship helpers wrap for()/has()/hasAttached().
+ */
+
+/**
+ * Named states suggested by the fields
+ *
+ * @param {object[]} fields
+ * @param {{softDeletes?: boolean}} options
+ * @returns {Array<{name: string, attributes: Object<string, string>}>}
+ *   Attributes map columns to PHP expressions
+ */
+function suggestFactoryStates(fields, { softDeletes = false } = {}) {
+  const states = [];
+  const add = (name, attributes) => {
+    if (
+      /^[a-z]\w*$/.test(name) &&
+      !RESERVED_METHODS.has(name) &&
+      !states.some((state) => state.name === name)
+    ) {
+      states.push({ name, attributes });
+    }
+  };
+
+  for (const field of fields) {
+    if (field.type === "boolean") {
+      add(toCamelCase(field.name.replace(/^(is|has)_/, "")), {
+        [field.name]: "true",
+      });
+    } else if (field.type === "enum") {
+      field.values.forEach((value) =>
+        add(toCamelCase(value), { [field.name]: `'${value}'` })
+      );
+    } else if (field.name === "email_verified_at") {
+      add("unverified", { [field.name]: "null" });
+    } else if (
+      /_at$/.test(field.name) &&
+      field.nullable &&
+      ["dateTime", "dateTimeTz", "timestamp", "timestampTz"].includes(
+        field.type
+      )
+    ) {
+      add(toCamelCase(field.name.replace(/_at$/, "")), {
+        [field.name]: "now()",
+      });
+    }
+  }
+
+  if (softDeletes) {
+    add("trashed", { deleted_at: "now()" });
+  }
+
+  return states;
+}
+
+/**
+ * Relationship helpers: forUser() for belongsTo, withComments() for the
+ * has* and belongsToMany relationships
+ *
+ * @param {Array<{type: string, method: string, model?: string, related?: string}>} relationships
+ *   From fields.js or the model inspector
+ * @returns {Array<{name: string, type: string, method: string, model: string}>}
+ */
+function suggestRelationshipHelpers(relationships) {
+  return relationships
+    .map((relationship) => ({
+      ...relationship,
+      model: relationship.model || relationship.related,
+    }))
+    .filter((relationship) => relationship.model)
+    .map((relationship) => {
+      const prefix = relationship.type === "belongsTo" ? "for" : "with";
+      return {
+        name: `${prefix}${toPascalCase(toSnakeCase(relationship.method))}`,
+        type: relationship.type,
+        method: relationship.method,
+        model: relationship.model,
+      };
+    })
+    .filter((helper) =>
+      [
+        "belongsTo",
+        "hasOne",
+        "hasMany",
+        "morphOne",
+        "morphMany",
+        "belongsToMany",
+      ].includes(helper.type)
+    );
+}
+
+/**
+ * Prompts for the states and relationship helpers to generate
+ *
+ * @returns {Promise<{states: object[], helpers: object[]}|undefined>}
+ *   undefined when cancelled
+ */
+async function pickFactoryOptions(modelName, fields, relationships, options) {
+  const picked = { states: [], helpers: [] };
+
+  const states = suggestFactoryStates(fields, options);
+  if (states.length) {
+    const selected = await vscode.window.showQuickPick(
+      states.map((state) => ({
+        label: `${state.name}()`,
+        description: Object.entries(state.attributes)
+          .map(([column, value]) => `${column} = ${value}`)
+          .join(", "),
+        picked: true,
+        state,
+      })),
+      { placeHolder: `${modelName}Factory states`, canPickMany: true }
+    );
+    if (!selected) return undefined;
+    picked.states = selected.map((item) => item.state);
+  }
+
+  const helpers = suggestRelationshipHelpers(relationships);
+  if (helpers.length) {
+    const selected = await vscode.window.showQuickPick(
+      helpers.map((helper) => ({
+        label: `${helper.name}()`,
+        description: `${helper.type} ${helper.model}`,
+        picked: true,
+        helper,
+      })),
+      {
+        placeHolder: `${modelName}Factory relationship helpers`,
+        canPickMany: true,
+      }
+    );
+    if (!selected) return undefined;
+    picked.helpers = selected.map((item) => item.helper);
+  }
+
+  return picked;
+}
+
+/**
+ * Writes database/factories/[<subdirectory>/]<Model>Factory.php
+ *
+ * @param {string} rootPath
+ * @param {{name: string, subdirectory?: string}} model
+ * @param {object[]} fields
+ * @param {{states?: object[], helpers?: object[]}} options
+ */
+function writeFactory(rootPath, model, fields, options = {}) {
+  const segments = (model.subdirectory || "")
+    .split(/[\\/]/)
+    .filter(Boolean);
+  const namespace = ["Database\\Factories", ...segments].join("\\");
+
+  writeFile(
+    path.join(
+      rootPath,
+      "database",
+      "factories",
+      ...segments,
+      `${model.name}Factory.php`
+    ),
+    renderTemplate(
+      "model.factory",
+      generateFactoryContent(
+        model.name,
+        segments,
+        fields,
+        options,
+        getModelClasses(rootPath)
+      ),
+      buildTemplateVariables(model.name, fields, {
+        class: `${model.name}Factory`,
+        namespace,
+        // Names used by Laravel's factory.stub
+        factory: model.name,
+        factoryNamespace: namespace,
+        namespacedModel: ["App", "Models", ...segments, model.name].join(
+          "\\"
+        ),
+        states: (options.states || []).map((state) => state.name),
+        helpers: (options.helpers || []).map((helper) => helper.name),
+      })
+    )
+  );
+}
+
+/**
+ * Classes of the models under app/Models by name, so related models in
+ * subdirectories are imported from their own namespace
+ */
+function getModelClasses(rootPath) {
+  return new Map(
+    findModelFiles(rootPath)
+      .map((filePath) => inspectModel(filePath, rootPath))
+      .filter(Boolean)
+      .map((model) => [model.name, getModelClass(model)])
+  );
+}
+
+function generateFactoryContent(name, segments, fields, options, classes) {
+  const version = getLaravelVersion();
+  const major = version ? parseInt(version.replace(/^v/, ""), 10) : null;
+  const faker = major && major < 9 ? "$this->faker" : "fake()";
+  const modelClass = ["App", "Models", ...segments, name].join("\\");
+  const readable = toSnakeCase(name).replace(/_/g, " ");
+  const imports = ["Illuminate\\Database\\Eloquent\\Factories\\Factory"];
+  const resolveClass = (model) =>
+    classes.get(model) || `App\\Models\\${model}`;
+
+  const definition = fields.map((field) => {
+    const value = getFakerValue(field, faker);
+    if (value.includes("::factory()")) {
+      imports.push(resolveClass(value.split("::")[0]));
+    }
+    if (value.includes("Str::")) {
+      imports.push("Illuminate\\Support\\Str");
+    }
+    return `            '${field.name}' => ${value},`;
+  });
+
+  const methods = (options.states || []).map(
+    (state) => `    /**
+     * Indicate that the ${readable} is ${toSnakeCase(state.name).replace(
+      /_/g,
+      " "
+    )}.
+     */
+    public function ${state.name}(): static
+    {
+        return $this->state(fn (array $attributes) => [
+${Object.entries(state.attributes)
+  .map(([column, value]) => `            '${column}' => ${value},`)
+  .join("\n")}
+        ]);
+    }`
+  );
+
+  for (const helper of options.helpers || []) {
+    const related = helper.model.split("\\").pop();
+    imports.push(resolveClass(helper.model));
+    methods.push(generateHelperMethod(helper, related));
+  }
+
+  return `<?php
+
+namespace ${["Database\\Factories", ...segments].join("\\")};
+
+${[...new Set(imports)]
+  .filter((className) => className !== modelClass)
+  .sort()
+  .map((className) => `use ${className};`)
+  .join("\n")}
+
+/**
+ * @extends \\Illuminate\\Database\\Eloquent\\Factories\\Factory<\\${modelClass}>
+ */
+class ${name}Factory extends Factory
+{
+    /**
+     * Define the model's default state.
+     *
+     * @return array<string, mixed>
+     */
+    public function definition(): array
+    {
+        return [
+${definition.join("\n")}
+        ];
+    }${methods.length ? `\n\n${methods.join("\n\n")}` : ""}
+}
+`;
+}
+
+function generateHelperMethod(helper, related) {
+  const readable = toSnakeCase(helper.method).replace(/_/g, " ");
+
+  if (helper.type === "belongsTo") {
+    const variable = toCamelCase(helper.method);
+    return `    /**
+     * Attach the model to a ${readable} (a new one by default).
+     */
+    public function ${helper.name}(?${related} $${variable} = null): static
+    {
+        return $this->for($${variable} ?? ${related}::factory(), '${helper.method}');
+    }`;
+  }
+
+  if (helper.type === "hasOne" || helper.type === "morphOne") {
+    return `    /**
+     * Create the model with its ${readable}.
+     */
+    public function ${helper.name}(): static
+    {
+        return $this->has(${related}::factory(), '${helper.method}');
+    }`;
+  }
+
+  const call =
+    helper.type === "belongsToMany"
+      ? `hasAttached(${related}::factory()->count($count), [], '${helper.method}')`
+      : `has(${related}::factory()->count($count), '${helper.method}')`;
+
+  return `    /**
+     * Create the model with some ${readable}.
+     */
+    public function ${helper.name}(int $count = 3): static
+    {
+        return $this->${call};
+    }`;
+}
+
+module.exports = {
+  suggestFactoryStates,
+  suggestRelationshipHelpers,
+  pickFactoryOptions,
+  writeFactory,
+};
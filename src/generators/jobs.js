@@ -0,0 +1,437 @@
+const path = require("path");
+const vscode = require("vscode");
+const {
+  getLaravelRootPath,
+  showInputBox,
+  toCamelCase,
+  toKebabCase,
+} = require("../utils/helpers");
+const { renderTemplate } = require("../utils/templates");
+const {
+  runGeneration,
+  writeFile,
+  readFile,
+  fileExists,
+} = require("../utils/changePlan");
+const { findModelFiles } = require("../utils/modelInspector");
+const { addUseStatements } = require("../utils/phpClasses");
+
+/**
+ * Generate Queued Job
+ *
+ * Writes a ShouldQueue job with the selected queue features (unique,
+ * batchable, encrypted), middleware, retry settings and model
+ * dependencies. A RateLimited limiter missing from AppServiceProvider is
+ * defined there.
+ */
+async function generateJob() {
+  const jobName = await showInputBox({
+    prompt: "Job name (e.g: ProcessPodcast)",
+    placeHolder: "ProcessPodcast",
+    validateInput: (value) => {
+      if (!value) return "Job name is required";
+      if (!/^[A-Z][a-zA-Z0-9]*$/.test(value)) {
+        return "Name must be in PascalCase";
+      }
+      return null;
+    },
+  });
+
+  if (!jobName) return;
+
+  const rootPath = getLaravelRootPath();
+  const models = await pickModels(rootPath);
+  if (!models) return;
+
+  const features = await vscode.window.showQuickPick(
+    [
+      {
+        label: "Unique",
+        description: "ShouldBeUnique, one pending instance at a time",
+        value: "unique",
+      },
+      {
+        label: "Batchable",
+        description: "Batchable trait, skips cancelled batches",
+        value: "batchable",
+      },
+      {
+        label: "Encrypted",
+        description: "ShouldBeEncrypted payload",
+        value: "encrypted",
+      },
+      {
+        label: "WithoutOverlapping middleware",
+        description: "One instance per key running at a time",
+        value: "withoutOverlapping",
+      },
+      {
+        label: "RateLimited middleware",
+        description: "Throttled by a named rate limiter",
+        value: "rateLimited",
+      },
+      {
+        label: "failed() handler",
+        description: "Runs after the last attempt fails",
+        value: "failed",
+      },
+    ],
+    { placeHolder: "Job features", canPickMany: true }
+  );
+
+  if (!features) return;
+
+  const options = features.reduce(
+    (selected, feature) => ({ ...selected, [feature.value]: true }),
+    {}
+  );
+
+  if (options.rateLimited) {
+    options.limiter = await showInputBox({
+      prompt: "Rate limiter name",
+      value: toKebabCase(jobName),
+      validateInput: (value) =>
+        /^[\w.-]+$/.test(value || "") ? null : "Limiter name is required",
+    });
+    if (!options.limiter) return;
+  }
+
+  const retry = await promptRetrySettings();
+  if (!retry) return;
+
+  try {
+    const filePath = path.join(rootPath, "app", "Jobs", `${jobName}.php`);
+    let limiterAdded = false;
+
+    const applied = await runGeneration(`${jobName} job`, async () => {
+      writeFile(
+        filePath,
+        renderTemplate(
+          "jobs.job",
+          generateJobContent(jobName, models, options, retry),
+          {
+            class: jobName,
+            namespace: "App\\Jobs",
+            models,
+            ...options,
+            ...retry,
+          }
+        )
+      );
+
+      if (options.rateLimited) {
+        limiterAdded = defineRateLimiter(rootPath, options.limiter);
+      }
+    });
+
+    if (!applied) return;
+
+    vscode.window.showInformationMessage(
+      limiterAdded
+        ? `✅ Job ${jobName} created, limiter ${options.limiter} registered`
+        : `✅ Job ${jobName} created successfully`
+    );
+  } catch (error) {
+    vscode.window.showErrorMessage(`❌ Error: ${error.message}`);
+  }
+}
+
+/**
+ * Models injected in the constructor, picked from app/Models
+ *
+ * @returns {Promise<Array<object>|undefined>} {className, name, variable}
+ *   per model; undefined when cancelled
+ */
+async function pickModels(rootPath) {
+  const modelsPath = path.join(rootPath, "app", "Models");
+  const items = findModelFiles(rootPath).map((filePath) => {
+    const relative = path.relative(modelsPath, filePath).slice(0, -4);
+    const name = path.basename(relative);
+    return {
+      label: name,
+      description: path.dirname(relative) === "." ? "" : path.dirname(relative),
+      className: `App\\Models\\${relative.split(path.sep).join("\\")}`,
+      name,
+    };
+  });
+
+  if (items.length === 0) {
+    return [];
+  }
+
+  const picked = await vscode.window.showQuickPick(items, {
+    placeHolder: "Models the job receives (none for a plain job)",
+    canPickMany: true,
+  });
+
+  return (
+    picked &&
+    picked.map((item) => ({
+      className: item.className,
+      name: item.name,
+      variable: toCamelCase(item.name),
+    }))
+  );
+}
+
+async function promptRetrySettings() {
+  const tries = await showInputBox({
+    prompt: "Maximum attempts, $tries (leave empty for the worker's --tries)",
+    placeHolder: "3",
+    validateInput: (value) =>
+      !value || /^[1-9]\d*$/.test(value) ? null : "Must be a positive number",
+  });
+  if (tries === undefined) return undefined;
+
+  const backoff = await showInputBox({
+    prompt: "Seconds before retrying, $backoff (one value or a list)",
+    placeHolder: "10 or 10, 30, 60",
+    validateInput: (value) =>
+      !value || /^\d+(\s*,\s*\d+)*$/.test(value)
+        ? null
+        : "Use seconds, e.g. 10 or 10, 30, 60",
+  });
+  if (backoff === undefined) return undefined;
+
+  const timeout = await showInputBox({
+    prompt: "Seconds the job can run, $timeout (leave empty for the default)",
+    placeHolder: "120",
+    validateInput: (value) =>
+      !value || /^\d+$/.test(value) ? null : "Must be a number (seconds)",
+  });
+  if (timeout === undefined) return undefined;
+
+  return {
+    tries: tries ? parseInt(tries, 10) : null,
+    backoff: backoff
+      ? backoff.split(",").map((seconds) => parseInt(seconds, 10))
+      : null,
+    timeout: timeout ? parseInt(timeout, 10) : null,
+  };
+}
+
+function generateJobContent(jobName, models, options, retry) {
+  const imports = [
+    ...models.map((model) => model.className),
+    "Illuminate\\Bus\\Queueable",
+    "Illuminate\\Contracts\\Queue\\ShouldQueue",
+    "Illuminate\\Foundation\\Bus\\Dispatchable",
+    "Illuminate\\Queue\\InteractsWithQueue",
+    "Illuminate\\Queue\\SerializesModels",
+  ];
+  const interfaces = ["ShouldQueue"];
+  const traits = [
+    "Dispatchable",
+    "InteractsWithQueue",
+    "Queueable",
+    "SerializesModels",
+  ];
+
+  if (options.unique) {
+    imports.push("Illuminate\\Contracts\\Queue\\ShouldBeUnique");
+    interfaces.push("ShouldBeUnique");
+  }
+  if (options.encrypted) {
+    imports.push("Illuminate\\Contracts\\Queue\\ShouldBeEncrypted");
+    interfaces.push("ShouldBeEncrypted");
+  }
+  if (options.batchable) {
+    imports.push("Illuminate\\Bus\\Batchable");
+    traits.unshift("Batchable");
+  }
+  if (options.withoutOverlapping) {
+    imports.push("Illuminate\\Queue\\Middleware\\WithoutOverlapping");
+  }
+  if (options.rateLimited) {
+    imports.push("Illuminate\\Queue\\Middleware\\RateLimited");
+  }
+  if (options.failed) {
+    imports.push("Throwable");
+  }
+
+  // Unique and overlapping locks are keyed by the first model
+  const key = models.length
+    ? `$this->${models[0].variable}->getKey()`
+    : `'${toKebabCase(jobName)}'`;
+
+  const sections = [];
+
+  if (retry.tries) {
+    sections.push(`    /**
+     * The number of times the job may be attempted.
+     */
+    public $tries = ${retry.tries};`);
+  }
+  if (retry.backoff) {
+    sections.push(
+      retry.backoff.length > 1
+        ? `    /**
+     * The number of seconds to wait before retrying the job.
+     *
+     * @var array<int, int>
+     */
+    public $backoff = [${retry.backoff.join(", ")}];`
+        : `    /**
+     * The number of seconds to wait before retrying the job.
+     */
+    public $backoff = ${retry.backoff[0]};`
+    );
+  }
+  if (retry.timeout) {
+    sections.push(`    /**
+     * The number of seconds the job can run before timing out.
+     */
+    public $timeout = ${retry.timeout};`);
+  }
+  if (options.unique) {
+    sections.push(`    /**
+     * The number of seconds after which the job's unique lock will be released.
+     */
+    public $uniqueFor = 3600;`);
+  }
+
+  sections.push(
+    models.length
+      ? `    /**
+     * Create a new job instance.
+     */
+    public function __construct(
+${models
+  .map((model) => `        public ${model.name} $${model.variable},`)
+  .join("\n")}
+    ) {}`
+      : `    /**
+     * Create a new job instance.
+     */
+    public function __construct()
+    {
+        //
+    }`
+  );
+
+  if (options.unique && models.length) {
+    sections.push(`    /**
+     * Get the unique ID for the job.
+     */
+    public function uniqueId(): string
+    {
+        return (string) ${key};
+    }`);
+  }
+
+  const middleware = [];
+  if (options.withoutOverlapping) {
+    middleware.push(`(new WithoutOverlapping(${key}))->releaseAfter(60)`);
+  }
+  if (options.rateLimited) {
+    middleware.push(`new RateLimited('${options.limiter}')`);
+  }
+  if (middleware.length) {
+    sections.push(`    /**
+     * Get the middleware the job should pass through.
+     *
+     * @return array<int, object>
+     */
+    public function middleware(): array
+    {
+        return [
+${middleware.map((entry) => `            ${entry},`).join("\n")}
+        ];
+    }`);
+  }
+
+  sections.push(`    /**
+     * Execute the job.
+     */
+    public function handle(): void
+    {
+${
+  options.batchable
+    ? `        if ($this->batch()?->cancelled()) {
+            return;
+        }
+
+`
+    : ""
+}        //
+    }`);
+
+  if (options.failed) {
+    sections.push(`    /**
+     * Handle a job failure.
+     */
+    public function failed(?Throwable $exception): void
+    {
+        //
+    }`);
+  }
+
+  return `<?php
+
+namespace App\\Jobs;
+
+${[...new Set(imports)]
+  .sort()
+  .map((className) => `use ${className};`)
+  .join("\n")}
+
+class ${jobName} implements ${interfaces.join(", ")}
+{
+    use ${traits.join(", ")};
+
+${sections.join("\n\n")}
+}
+`;
+}
+
+/**
+ * Defines a RateLimiter::for() limiter in AppServiceProvider::boot()
+ *
+ * @returns {boolean} Whether the limiter was added
+ */
+function defineRateLimiter(rootPath, limiter) {
+  const providerPath = path.join(
+    rootPath,
+    "app",
+    "Providers",
+    "AppServiceProvider.php"
+  );
+  if (!fileExists(providerPath)) {
+    return false;
+  }
+
+  const source = readFile(providerPath);
+  if (source.includes(`RateLimiter::for('${limiter}'`)) {
+    return false;
+  }
+
+  // An empty boot() only holds the "//" placeholder, which is replaced
+  const boot = source.match(
+    /(public function boot\(\)[^{]*\{)([ \t]*\n[ \t]*\/\/[ \t]*(?=\n))?/
+  );
+  if (!boot) {
+    return false;
+  }
+
+  const definition = `
+        RateLimiter::for('${limiter}', function (object $job) {
+            return Limit::perMinute(60);
+        });`;
+  const replacement = `${boot[1]}${definition}${boot[2] ? "" : "\n"}`;
+
+  writeFile(
+    providerPath,
+    addUseStatements(
+      source.replace(boot[0], () => replacement),
+      [
+        "Illuminate\\Cache\\RateLimiting\\Limit",
+        "Illuminate\\Support\\Facades\\RateLimiter",
+      ]
+    )
+  );
+  return true;
+}
+
+module.exports = {
+  generateJob,
+};
@@ -0,0 +1,563 @@
+const fs = require("fs");
+const path = require("path");
+const vscode = require("vscode");
+const {
+  getLaravelRootPath,
+  executeArtisanCommand,
+  showInputBox,
+  toKebabCase,
+  toSnakeCase,
+} = require("../utils/helpers");
+const { renderTemplate } = require("../utils/templates");
+const { runGeneration, writeFile } = require("../utils/changePlan");
+const {
+  parseProperties,
+  resolvePropertyType,
+  formatPromotedParameters,
+} = require("../utils/phpClasses");
+
+const PREVIEW_MARKER = "<!--laravel-toolkit-preview-->";
+
+/**
+ * Open preview panels by mailable file
+ */
+const previewPanels = new Map();
+
+/**
+ * Generate Mailable
+ *
+ * Writes a mailable with envelope(), content() and attachments(), public
+ * constructor data available to the view, and its Markdown or Blade view
+ * under resources/views/mail.
+ */
+async function generateMailable() {
+  const mailName = await showInputBox({
+    prompt: "Mailable name (e.g: OrderShipped)",
+    placeHolder: "OrderShipped",
+    validateInput: (value) => {
+      if (!value) return "Mailable name is required";
+      if (!/^[A-Z][a-zA-Z0-9]*$/.test(value)) {
+        return "Name must be in PascalCase";
+      }
+      return null;
+    },
+  });
+
+  if (!mailName) return;
+
+  const subject = await showInputBox({
+    prompt: "Subject",
+    value: toHeadline(mailName),
+  });
+
+  if (subject === undefined) return;
+
+  const dataInput = await showInputBox({
+    prompt: "Constructor data (name:Type, comma separated, ? for nullable)",
+    placeHolder: "order:Order, trackingUrl:?string",
+    validateInput: (value) => {
+      try {
+        parseProperties(value || "");
+        return null;
+      } catch (error) {
+        return error.message;
+      }
+    },
+  });
+
+  if (dataInput === undefined) return;
+
+  const viewType = await vscode.window.showQuickPick(
+    [
+      {
+        label: "Markdown",
+        description: "Mail components, themed by Laravel",
+        value: "markdown",
+      },
+      {
+        label: "Blade",
+        description: "Plain HTML view",
+        value: "view",
+      },
+    ],
+    { placeHolder: "Template" }
+  );
+
+  if (!viewType) return;
+
+  const attachment = await vscode.window.showQuickPick(
+    [
+      { label: "No attachments", value: null },
+      {
+        label: "File from a storage disk",
+        description: "Attachment::fromStorage()",
+        value: "storage",
+      },
+      {
+        label: "File from a path",
+        description: "Attachment::fromPath()",
+        value: "path",
+      },
+    ],
+    { placeHolder: "Attachments" }
+  );
+
+  if (!attachment) return;
+
+  try {
+    const rootPath = getLaravelRootPath();
+    const data = parseProperties(dataInput).map((property) =>
+      resolvePropertyType(property, rootPath)
+    );
+    const view = `mail.${toKebabCase(mailName)}`;
+    const options = {
+      subject,
+      view,
+      viewType: viewType.value,
+      attachment: attachment.value,
+    };
+
+    const applied = await runGeneration(`${mailName} mailable`, async () => {
+      writeFile(
+        path.join(rootPath, "app", "Mail", `${mailName}.php`),
+        renderTemplate(
+          "mail.mailable",
+          generateMailableContent(mailName, data, options),
+          {
+            class: mailName,
+            namespace: "App\\Mail",
+            data,
+            ...options,
+          }
+        )
+      );
+
+      writeFile(
+        path.join(
+          rootPath,
+          "resources",
+          "views",
+          "mail",
+          `${toKebabCase(mailName)}.blade.php`
+        ),
+        renderTemplate(
+          `mail.${viewType.value}`,
+          generateViewContent(subject, data, viewType.value),
+          { class: mailName, subject, data }
+        )
+      );
+    });
+
+    if (!applied) return;
+
+    vscode.window.showInformationMessage(
+      `✅ Mailable ${mailName} created successfully`
+    );
+  } catch (error) {
+    vscode.window.showErrorMessage(`❌ Error: ${error.message}`);
+  }
+}
+
+function toHeadline(name) {
+  const words = toSnakeCase(name).replace(/_/g, " ");
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+function generateMailableContent(name, data, options) {
+  const imports = [
+    ...data.map((property) => property.import).filter(Boolean),
+    "Illuminate\\Bus\\Queueable",
+    "Illuminate\\Mail\\Mailable",
+    "Illuminate\\Mail\\Mailables\\Content",
+    "Illuminate\\Mail\\Mailables\\Envelope",
+    "Illuminate\\Queue\\SerializesModels",
+  ];
+
+  let attachments = "        return [];";
+  if (options.attachment) {
+    imports.push("Illuminate\\Mail\\Mailables\\Attachment");
+    attachments =
+      options.attachment === "storage"
+        ? `        return [
+            Attachment::fromStorage('attachments/${toKebabCase(name)}.pdf')
+                ->as('${toKebabCase(name)}.pdf')
+                ->withMime('application/pdf'),
+        ];`
+        : `        return [
+            Attachment::fromPath(storage_path('app/${toKebabCase(name)}.pdf'))
+                ->as('${toKebabCase(name)}.pdf')
+                ->withMime('application/pdf'),
+        ];`;
+  }
+
+  const constructor = data.length
+    ? `    public function __construct(
+${formatPromotedParameters(data)}
+    ) {}`
+    : `    public function __construct()
+    {
+        //
+    }`;
+
+  return `<?php
+
+namespace App\\Mail;
+
+${[...new Set(imports)]
+  .sort()
+  .map((className) => `use ${className};`)
+  .join("\n")}
+
+class ${name} extends Mailable
+{
+    use Queueable, SerializesModels;
+
+    /**
+     * Create a new message instance.
+     */
+${constructor}
+
+    /**
+     * Get the message envelope.
+     */
+    public function envelope(): Envelope
+    {
+        return new Envelope(
+            subject: '${options.subject.replace(/'/g, "\\'")}',
+        );
+    }
+
+    /**
+     * Get the message content definition.
+     */
+    public function content(): Content
+    {
+        return new Content(
+            ${options.viewType}: '${options.view}',
+        );
+    }
+
+    /**
+     * Get the attachments for the message.
+     *
+     * @return array<int, \\Illuminate\\Mail\\Mailables\\Attachment>
+     */
+    public function attachments(): array
+    {
+${attachments}
+    }
+}
+`;
+}
+
+function generateViewContent(subject, data, viewType) {
+  const available = data.length
+    ? `{{-- Available data: ${data
+        .map((property) => `$${property.name}`)
+        .join(", ")} --}}\n`
+    : "";
+
+  if (viewType === "markdown") {
+    return `<x-mail::message>
+${available}# ${subject}
+
+The body of your message.
+
+<x-mail::button :url="url('/')">
+View
+</x-mail::button>
+
+Thanks,<br>
+{{ config('app.name') }}
+</x-mail::message>
+`;
+  }
+
+  return `<!DOCTYPE html>
+<html lang="{{ str_replace('_', '-', app()->getLocale()) }}">
+<head>
+    <meta charset="utf-8">
+    <title>${subject}</title>
+</head>
+<body>
+    ${available}<h1>${subject}</h1>
+
+    <p>The body of your message.</p>
+
+    <p>Thanks,<br>{{ config('app.name') }}</p>
+</body>
+</html>
+`;
+}
+
+/**
+ * Preview Mailable
+ *
+ * Renders a mailable to HTML with `php artisan tinker --execute`, building
+ * its constructor arguments from factories (or sample values), and shows
+ * it in a webview. The preview re-renders when the mailable or a Blade
+ * view is saved, so templates can be iterated on without sending mail.
+ *
+ * @param {vscode.Uri} [uri] Mailable file (editor title or explorer)
+ */
+async function previewMailable(uri) {
+  const rootPath = getLaravelRootPath();
+  if (!rootPath) return;
+
+  const filePath = await pickMailableFile(rootPath, uri);
+  if (!filePath) return;
+
+  const mailable = readMailable(filePath);
+  if (!mailable) {
+    vscode.window.showErrorMessage(`❌ Error: no class found in ${filePath}`);
+    return;
+  }
+
+  let panel = previewPanels.get(filePath);
+  if (panel) {
+    panel.reveal(vscode.ViewColumn.Beside);
+  } else {
+    panel = vscode.window.createWebviewPanel(
+      "laravelToolkitMailPreview",
+      `Preview: ${mailable.name}`,
+      vscode.ViewColumn.Beside,
+      { enableScripts: false }
+    );
+    previewPanels.set(filePath, panel);
+
+    const watcher = vscode.workspace.onDidSaveTextDocument((document) => {
+      if (
+        document.fileName === filePath ||
+        document.fileName.endsWith(".blade.php")
+      ) {
+        renderPreview(rootPath, filePath, panel);
+      }
+    });
+    panel.onDidDispose(() => {
+      watcher.dispose();
+      previewPanels.delete(filePath);
+    });
+  }
+
+  await renderPreview(rootPath, filePath, panel);
+}
+
+/**
+ * The mailable of the argument or active editor, otherwise picked from
+ * app/Mail
+ */
+async function pickMailableFile(rootPath, uri) {
+  const mailPath = path.join(rootPath, "app", "Mail");
+  const editor = vscode.window.activeTextEditor;
+  const candidate =
+    (uri && uri.fsPath) || (editor && editor.document.fileName);
+
+  if (
+    candidate &&
+    candidate.endsWith(".php") &&
+    candidate.startsWith(mailPath + path.sep)
+  ) {
+    return candidate;
+  }
+
+  const files = findPhpFiles(mailPath);
+  if (files.length === 0) {
+    vscode.window.showWarningMessage("No mailables found in app/Mail");
+    return undefined;
+  }
+
+  const picked = await vscode.window.showQuickPick(
+    files.map((filePath) => ({
+      label: path.basename(filePath, ".php"),
+      description: path.relative(mailPath, path.dirname(filePath)),
+      filePath,
+    })),
+    { placeHolder: "Mailable to preview" }
+  );
+
+  return picked && picked.filePath;
+}
+
+function findPhpFiles(dirPath) {
+  if (!fs.existsSync(dirPath)) {
+    return [];
+  }
+
+  return fs
+    .readdirSync(dirPath, { withFileTypes: true })
+    .flatMap((entry) => {
+      const entryPath = path.join(dirPath, entry.name);
+      if (entry.isDirectory()) return findPhpFiles(entryPath);
+      return entry.name.endsWith(".php") ? [entryPath] : [];
+    })
+    .sort();
+}
+
+/**
+ * Class name, imports and constructor parameters of a mailable file
+ */
+function readMailable(filePath) {
+  const source = fs.readFileSync(filePath, "utf8");
+  const classMatch = source.match(/^\s*(?:final\s+)?class\s+(\w+)/m);
+  if (!classMatch) {
+    return null;
+  }
+
+  const namespace = (source.match(/^namespace\s+([^;]+);/m) || [])[1];
+  const imports = new Map();
+  const uses = source.matchAll(/^use\s+([\w\\]+)(?:\s+as\s+(\w+))?;/gm);
+  for (const [, className, alias] of uses) {
+    imports.set(alias || className.split("\\").pop(), className);
+  }
+
+  const constructor = source.match(
+    /function\s+__construct\s*\(([\s\S]*?)\)\s*(?:\{|:)/
+  );
+  const parameters = constructor
+    ? splitParameters(constructor[1])
+        .map((parameter) => parseParameter(parameter, imports, namespace))
+        .filter(Boolean)
+    : [];
+
+  return {
+    name: classMatch[1],
+    className: namespace ? `${namespace}\\${classMatch[1]}` : classMatch[1],
+    parameters,
+  };
+}
+
+/**
+ * Splits a parameter list on top-level commas
+ */
+function splitParameters(list) {
+  const parameters = [];
+  let depth = 0;
+  let current = "";
+
+  for (const char of list) {
+    if ("([{".includes(char)) depth++;
+    if (")]}".includes(char)) depth--;
+    if (char === "," && depth === 0) {
+      parameters.push(current);
+      current = "";
+    } else {
+      current += char;
+    }
+  }
+  parameters.push(current);
+
+  return parameters.map((parameter) => parameter.trim()).filter(Boolean);
+}
+
+function parseParameter(parameter, imports, namespace) {
+  const match = parameter
+    .replace(/#\[[^\]]*\]/g, "")
+    .replace(/\b(public|protected|private|readonly)\s+/g, "")
+    .trim()
+    .match(/^(\?)?([\w\\|]+)?\s*&?\s*(?:\.\.\.)?\$(\w+)\s*(=)?/);
+  if (!match) {
+    return null;
+  }
+
+  const type = match[2] || "mixed";
+  let className = null;
+  if (!/^(int|float|string|bool|array|mixed|object|iterable)$/i.test(type)) {
+    const [first, ...rest] = type.replace(/^\\/, "").split("\\");
+    className = type.startsWith("\\")
+      ? type.slice(1)
+      : imports.has(first)
+      ? [imports.get(first), ...rest].join("\\")
+      : [namespace, type].filter(Boolean).join("\\");
+  }
+
+  return {
+    name: match[3],
+    type: type.toLowerCase(),
+    className,
+    nullable: Boolean(match[1]) || /\bnull\b/i.test(type),
+    hasDefault: Boolean(match[4]),
+  };
+}
+
+/**
+ * Sample PHP value for a constructor parameter
+ */
+function sampleValue(rootPath, parameter) {
+  if (parameter.className) {
+    const name = parameter.className.split("\\").pop();
+    const factory = path.join(
+      rootPath,
+      "database",
+      "factories",
+      `${name}Factory.php`
+    );
+    if (parameter.className.startsWith("App\\Models\\")) {
+      return fs.existsSync(factory)
+        ? `\\${parameter.className}::factory()->make()`
+        : `new \\${parameter.className}()`;
+    }
+    return `app(\\${parameter.className}::class)`;
+  }
+
+  switch (parameter.type) {
+    case "int":
+      return "1";
+    case "float":
+      return "9.99";
+    case "bool":
+      return "true";
+    case "array":
+    case "iterable":
+      return "[]";
+    default:
+      return parameter.nullable ? "null" : "'Lorem ipsum'";
+  }
+}
+
+/**
+ * PHP rendering the mailable, with named arguments so parameters with a
+ * default value can be left out
+ */
+function buildPreviewCode(rootPath, mailable) {
+  const args = mailable.parameters
+    .filter((parameter) => !parameter.hasDefault)
+    .map(
+      (parameter) => `${parameter.name}: ${sampleValue(rootPath, parameter)}`
+    )
+    .join(", ");
+
+  return (
+    `$html = (new \\${mailable.className}(${args}))->render(); ` +
+    `echo '${PREVIEW_MARKER}' . $html;`
+  );
+}
+
+async function renderPreview(rootPath, filePath, panel) {
+  const mailable = readMailable(filePath);
+  if (!mailable) return;
+
+  const code = buildPreviewCode(rootPath, mailable);
+  try {
+    const { stdout } = await executeArtisanCommand(
+      `tinker --execute="${code.replace(/(["\\])/g, "\\$1")}"`,
+      false
+    );
+
+    const start = stdout.indexOf(PREVIEW_MARKER);
+    if (start === -1) {
+      throw new Error(
+        stdout.trim().split(/\r?\n/).slice(-3).join(" ") ||
+          "The mailable did not render"
+      );
+    }
+
+    panel.webview.html = stdout.slice(start + PREVIEW_MARKER.length);
+  } catch (error) {
+    vscode.window.showErrorMessage(`❌ Error: ${error.message}`);
+  }
+}
+
+module.exports = {
+  generateMailable,
+  previewMailable,
+};
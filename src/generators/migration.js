@@ -1,13 +1,21 @@
 const vscode = require("vscode");
-const fs = require("fs");
 const path = require("path");
 const {
   getLaravelRootPath,
   showInputBox,
   toSnakeCase,
-  ensureDirectoryExists,
-  executeArtisanCommand,
 } = require("../utils/helpers");
+const { renderTemplate } = require("../utils/templates");
+const {
+  parseFieldDefinitions,
+  validateFieldDefinitions,
+  getColumnDefinition,
+} = require("../utils/fields");
+const {
+  runGeneration,
+  writeFile,
+  ensureDirectoryExists,
+} = require("../utils/changePlan");
 
 /**
  * Advanced Migration Generator with field builder
@@ -100,12 +108,14 @@ async function generateMigration() {
     } else {
       const fieldsInput = await showInputBox({
         prompt:
-          "Fields (format: name:type:options, e.g., name:string, email:string:unique)",
-        placeHolder: "name:string, email:string:unique, price:decimal:8,2",
+          "Fields (format: name:type:modifiers, e.g., email:string:unique, user_id:foreignId:constrained:cascade)",
+        placeHolder:
+          "name:string(100), email:string:unique, price:decimal(8,2):default(0)",
+        validateInput: (value) => validateFieldDefinitions(value),
       });
 
       if (fieldsInput) {
-        fields = parseFieldsManual(fieldsInput);
+        fields = parseFieldDefinitions(fieldsInput).fields;
       }
     }
 
@@ -224,29 +234,33 @@ async function generateMigration() {
   }
 
   try {
-    await vscode.window.withProgress(
-      {
-        location: vscode.ProgressLocation.Notification,
-        title: `Generating migration: ${migrationName}`,
-        cancellable: false,
-      },
-      async (progress) => {
-        progress.report({
-          increment: 30,
-          message: "Creating migration file...",
-        });
-
-        await createMigrationFile(
-          migrationName,
-          tableName,
-          migrationType.value,
-          fields
-        );
-
-        progress.report({ increment: 70, message: "Completed!" });
-      }
+    const applied = await runGeneration(migrationName, () =>
+      vscode.window.withProgress(
+        {
+          location: vscode.ProgressLocation.Notification,
+          title: `Generating migration: ${migrationName}`,
+          cancellable: false,
+        },
+        async (progress) => {
+          progress.report({
+            increment: 30,
+            message: "Creating migration file...",
+          });
+
+          await createMigrationFile(
+            migrationName,
+            tableName,
+            migrationType.value,
+            fields
+          );
+
+          progress.report({ increment: 70, message: "Completed!" });
+        }
+      )
     );
 
+    if (!applied) return;
+
     vscode.window.showInformationMessage(
       `✅ Migration ${migrationName} created successfully`
     );
@@ -453,46 +467,24 @@ async function buildSingleField(fieldName) {
   return field;
 }
 
-/**
- * Parse fields from manual input
- */
-function parseFieldsManual(input) {
-  const fields = [];
-  const fieldStrings = input.split(",").map((f) => f.trim());
-
-  for (const fieldStr of fieldStrings) {
-    const parts = fieldStr.split(":");
-    const field = {
-      name: parts[0],
-      type: parts[1] || "string",
-    };
-
-    // Parse additional options
-    if (parts[2]) {
-      if (parts[2] === "unique") field.unique = true;
-      else if (parts[2] === "nullable") field.nullable = true;
-      else if (parts[1] === "decimal") {
-        field.precision = parseInt(parts[2]);
-        field.scale = parts[3] ? parseInt(parts[3]) : 2;
-      }
-    }
-
-    fields.push(field);
-  }
-
-  return fields;
-}
-
 /**
  * Create migration file with fields
  */
-async function createMigrationFile(migrationName, tableName, type, fields) {
+async function createMigrationFile(
+  migrationName,
+  tableName,
+  type,
+  fields,
+  options = {}
+) {
   const rootPath = getLaravelRootPath();
-  const timestamp = new Date()
-    .toISOString()
-    .replace(/[-:]/g, "")
-    .replace("T", "_")
-    .substring(0, 17);
+  const timestamp =
+    options.timestamp ||
+    new Date()
+      .toISOString()
+      .replace(/[-:]/g, "")
+      .replace("T", "_")
+      .substring(0, 17);
 
   const migrationDir = path.join(rootPath, "database", "migrations");
   ensureDirectoryExists(migrationDir);
@@ -505,8 +497,8 @@ async function createMigrationFile(migrationName, tableName, type, fields) {
 
   if (type === "create") {
     const fieldDefinitions = fields
-      .map((field) => generateFieldDefinition(field))
-      .join("\n            ");
+      .map((field) => `            ${generateFieldDefinition(field)}`)
+      .join("\n");
 
     upContent = `        Schema::create('${tableName}', function (Blueprint $table) {
             $table->id();
@@ -514,10 +506,14 @@ ${fieldDefinitions}
         });`;
 
     downContent = `        Schema::dropIfExists('${tableName}');`;
-  } else if (type === "update" || type === "add_column") {
+  } else if (
+    type === "update" ||
+    type === "add_column" ||
+    type === "drop_column"
+  ) {
     const fieldDefinitions = fields
-      .map((field) => generateFieldDefinition(field))
-      .join("\n            ");
+      .map((field) => `            ${generateFieldDefinition(field)}`)
+      .join("\n");
 
     upContent = `        Schema::table('${tableName}', function (Blueprint $table) {
 ${fieldDefinitions}
@@ -557,7 +553,23 @@ ${downContent}
 };
 `;
 
-  fs.writeFileSync(migrationPath, content);
+  const templateName =
+    type === "create"
+      ? "migration.migration.create"
+      : "migration.migration.update";
+
+  writeFile(
+    migrationPath,
+    renderTemplate(templateName, content, {
+      migrationName,
+      tableName,
+      table: tableName,
+      migrationType: type,
+      fields,
+      upContent,
+      downContent,
+    })
+  );
 }
 
 /**
@@ -568,43 +580,22 @@ function generateFieldDefinition(field) {
     return `$table->${field.special}();`;
   }
 
-  let definition = `$table->${field.type}('${field.name}'`;
-
-  // Add type-specific parameters
-  if (field.length) {
-    definition += `, ${field.length}`;
-  }
-
-  if (field.precision && field.scale) {
-    definition += `, ${field.precision}, ${field.scale}`;
+  if (field.type === "drop") {
+    return `$table->dropColumn('${field.name}');`;
   }
 
-  if (field.values) {
-    const enumValues = field.values.map((v) => `'${v}'`).join(", ");
-    definition += `, [${enumValues}]`;
+  if (field.type === "rename") {
+    return `$table->renameColumn('${field.from}', '${field.name}');`;
   }
 
-  definition += ")";
-
-  // Add modifiers
-  if (field.unsigned) definition += "->unsigned()";
-  if (field.nullable) definition += "->nullable()";
-  if (field.unique) definition += "->unique()";
-  if (field.index) definition += "->index()";
-  if (field.defaultValue !== undefined) {
-    const defaultVal =
-      field.defaultValue === "null" ? "null" : `'${field.defaultValue}'`;
-    definition += `->default(${defaultVal})`;
+  if (field.change) {
+    return getColumnDefinition(field).replace(/;$/, "->change();");
   }
-  if (field.commentText) definition += `->comment('${field.commentText}')`;
-  if (field.constrained) definition += `->constrained('${field.constrained}')`;
-  if (field.cascadeOnDelete) definition += "->cascadeOnDelete()";
-
-  definition += ";";
 
-  return definition;
+  return getColumnDefinition(field);
 }
 
 module.exports = {
   generateMigration,
+  createMigrationFile,
 };
@@ -1,13 +1,50 @@
 const vscode = require("vscode");
-const fs = require("fs");
 const path = require("path");
 const {
   getLaravelRootPath,
   showInputBox,
   toPascalCase,
   toSnakeCase,
-  ensureDirectoryExists,
+  pluralize,
 } = require("../utils/helpers");
+const {
+  renderTemplate,
+  buildTemplateVariables,
+} = require("../utils/templates");
+const {
+  runGeneration,
+  writeFile,
+  ensureDirectoryExists,
+  runArtisan,
+} = require("../utils/changePlan");
+const {
+  parseFieldDefinitions,
+  validateFieldDefinitions,
+  getCastType,
+  getColumnDefinition,
+  generateRelationshipMethod,
+} = require("../utils/fields");
+const {
+  pickExistingColumns,
+  readMigrationSchema,
+  createTimestampSequence,
+} = require("../utils/migrationSchema");
+const { findModelFiles, inspectModel } = require("../utils/modelInspector");
+const { pickFactoryOptions, writeFactory } = require("./factory");
+const {
+  defineRelationships,
+  writeRelationshipScaffolding,
+} = require("./relationships");
+const {
+  pickModelAttributes,
+  getAttributeCode,
+  writeAttributeClasses,
+} = require("./attributes");
+const {
+  writeSeeder,
+  registerSeeder,
+  getSeederDependencies,
+} = require("./seeder");
 
 /**
  * Advanced Model Generator with granular control
@@ -200,12 +237,21 @@ async function generateModel() {
     });
   }
 
+  const existingTable = await pickExistingColumns(modelName);
+  if (existingTable === undefined) return;
+
   // Ask for fillable fields
   const fillableFields = await showInputBox({
-    prompt: "Fillable fields (comma-separated, e.g., name, email, price)",
+    prompt:
+      "Fillable fields (comma-separated, e.g., name, email:email:unique, price:decimal(8,2), user_id:foreignId:constrained)",
     placeHolder: "name, email, phone",
+    value: existingTable ? existingTable.definitions : undefined,
+    validateInput: (value) => validateFieldDefinitions(value),
   });
 
+  const { fields, relationships: fieldRelationships } =
+    parseFieldDefinitions(fillableFields || "");
+
   // Ask for relationships
   const hasRelationships = await vscode.window.showQuickPick(
     [
@@ -215,66 +261,133 @@ async function generateModel() {
     { placeHolder: "Add relationships to this model?" }
   );
 
-  let relationships = [];
+  let relationships = fieldRelationships;
   if (hasRelationships?.value) {
-    relationships = await defineRelationships();
+    relationships = [
+      ...relationships,
+      ...(await defineRelationships(modelName)),
+    ];
+  }
+
+  const attributes = await pickModelAttributes(
+    modelName,
+    fields,
+    relationships,
+    {
+      uuid: features.includes("uuid"),
+      table: existingTable ? existingTable.table : undefined,
+    }
+  );
+  if (!attributes) return;
+
+  let factoryOptions = null;
+  if (selectedOptions.factory) {
+    factoryOptions = await pickFactoryOptions(
+      modelName,
+      fields,
+      relationships,
+      { softDeletes: features.includes("softDeletes") }
+    );
+    if (!factoryOptions) return;
   }
 
   // Build the model
   try {
-    await vscode.window.withProgress(
-      {
-        location: vscode.ProgressLocation.Notification,
-        title: `Generating ${modelName} model`,
-        cancellable: false,
-      },
-      async (progress) => {
-        progress.report({ increment: 10, message: "Creating model file..." });
-        await createModelFile(
-          modelName,
-          subdirectory,
-          fillableFields,
-          features,
-          relationships
-        );
-
-        if (selectedOptions.migration) {
-          progress.report({ increment: 15, message: "Creating migration..." });
-          await createMigrationForModel(modelName, fillableFields, features);
-        }
-
-        if (selectedOptions.factory) {
-          progress.report({ increment: 15, message: "Creating factory..." });
-          await createFactoryForModel(modelName, fillableFields);
-        }
-
-        if (selectedOptions.seeder) {
-          progress.report({ increment: 15, message: "Creating seeder..." });
-          await createSeederForModel(modelName);
-        }
-
-        if (selectedOptions.controller) {
-          progress.report({ increment: 15, message: "Creating controller..." });
-          await createControllerForModel(modelName, subdirectory);
-        }
-
-        if (selectedOptions.resource) {
-          progress.report({
-            increment: 15,
-            message: "Creating API resource...",
-          });
-          await createResourceForModel(modelName, subdirectory);
-        }
-
-        if (selectedOptions.policy) {
-          progress.report({ increment: 15, message: "Creating policy..." });
-          await createPolicyForModel(modelName);
+    const applied = await runGeneration(`${modelName} model`, () =>
+      vscode.window.withProgress(
+        {
+          location: vscode.ProgressLocation.Notification,
+          title: `Generating ${modelName} model`,
+          cancellable: false,
+        },
+        async (progress) => {
+          progress.report({ increment: 10, message: "Creating model file..." });
+          await createModelFile(
+            modelName,
+            subdirectory,
+            fields,
+            features,
+            relationships,
+            attributes
+          );
+          writeAttributeClasses(getLaravelRootPath(), attributes);
+
+          const nextTimestamp = createTimestampSequence();
+
+          // An existing table already has its migration
+          if (selectedOptions.migration && !existingTable) {
+            progress.report({ increment: 15, message: "Creating migration..." });
+            await createMigrationForModel(
+              modelName,
+              fields,
+              features,
+              relationships,
+              {
+                timestamp: nextTimestamp(),
+                table: attributes.table,
+                primaryKey: attributes.primaryKey,
+                connection: attributes.connection,
+              }
+            );
+          }
+
+          writeRelationshipScaffolding(
+            getLaravelRootPath(),
+            {
+              name: modelName,
+              subdirectory,
+              uuid: features.includes("uuid"),
+              table: attributes.table,
+              primaryKey: attributes.primaryKey,
+            },
+            relationships,
+            nextTimestamp
+          );
+
+          if (selectedOptions.factory) {
+            progress.report({ increment: 15, message: "Creating factory..." });
+            await createFactoryForModel(
+              modelName,
+              subdirectory,
+              fields,
+              factoryOptions
+            );
+          }
+
+          if (selectedOptions.seeder) {
+            progress.report({ increment: 15, message: "Creating seeder..." });
+            await createSeederForModel(
+              modelName,
+              subdirectory,
+              relationships
+            );
+          }
+
+          if (selectedOptions.controller) {
+            progress.report({ increment: 15, message: "Creating controller..." });
+            await createControllerForModel(modelName, subdirectory);
+          }
+
+          if (selectedOptions.resource) {
+            progress.report({
+              increment: 15,
+              message: "Creating API resource...",
+            });
+            await createResourceForModel(modelName, subdirectory);
+          }
+
+          if (selectedOptions.policy) {
+            progress.report({ increment: 15, message: "Creating policy..." });
+            await createPolicyForModel(modelName);
+          }
+
+          progress.report({ increment: 10, message: "Completed!" });
         }
-
-        progress.report({ increment: 10, message: "Completed!" });
-      }
+      )
     );
 
+    if (!applied) return;
+
     vscode.window.showInformationMessage(
       `✅ Model ${modelName} generated successfully with all selected components`
     );
@@ -346,95 +459,16 @@ async function getCustomOptions() {
   return selected;
 }
 
-/**
- * Define model relationships
- */
-async function defineRelationships() {
-  const relationships = [];
-  let addMore = true;
-
-  while (addMore) {
-    const relType = await vscode.window.showQuickPick(
-      [
-        {
-          label: "hasOne",
-          description: "One-to-One relationship",
-          value: "hasOne",
-        },
-        {
-          label: "hasMany",
-          description: "One-to-Many relationship",
-          value: "hasMany",
-        },
-        {
-          label: "belongsTo",
-          description: "Inverse One-to-Many",
-          value: "belongsTo",
-        },
-        {
-          label: "belongsToMany",
-          description: "Many-to-Many relationship",
-          value: "belongsToMany",
-        },
-        {
-          label: "morphTo",
-          description: "Polymorphic relationship",
-          value: "morphTo",
-        },
-        {
-          label: "morphMany",
-          description: "One-to-Many polymorphic",
-          value: "morphMany",
-        },
-      ],
-      { placeHolder: "Select relationship type" }
-    );
-
-    if (!relType) break;
-
-    const relatedModel = await showInputBox({
-      prompt: `Related model name for ${relType.label}`,
-      placeHolder: "Post",
-    });
-
-    if (!relatedModel) break;
-
-    const methodName = await showInputBox({
-      prompt: "Relationship method name",
-      placeHolder: relatedModel.toLowerCase(),
-    });
-
-    if (!methodName) break;
-
-    relationships.push({
-      type: relType.value,
-      model: relatedModel,
-      method: methodName,
-    });
-
-    const another = await vscode.window.showQuickPick(
-      [
-        { label: "Yes", value: true },
-        { label: "No", value: false },
-      ],
-      { placeHolder: "Add another relationship?" }
-    );
-
-    addMore = another?.value ?? false;
-  }
-
-  return relationships;
-}
-
 /**
  * Create the model file
  */
 async function createModelFile(
   modelName,
   subdirectory,
-  fillableFields,
+  fields,
   features,
-  relationships
+  relationships,
+  attributes = {}
 ) {
   const rootPath = getLaravelRootPath();
   const modelDir = path.join(rootPath, "app", "Models", subdirectory);
@@ -442,12 +476,7 @@ async function createModelFile(
 
   const modelPath = path.join(modelDir, `${modelName}.php`);
 
-  const fillableArray = fillableFields
-    ? fillableFields
-        .split(",")
-        .map((f) => `'${f.trim()}'`)
-        .join(", ")
-    : "";
+  const fillableArray = fields.map((f) => `'${f.name}'`).join(", ");
 
   const namespace = subdirectory
     ? `App\\Models\\${subdirectory}`
@@ -474,24 +503,44 @@ async function createModelFile(
     traits.push("Searchable");
   }
 
+  const attributeCode = getAttributeCode(attributes);
+  useStatements.push(
+    ...attributeCode.imports.map((className) => `use ${className};`)
+  );
+  properties.push(...attributeCode.properties);
+
   if (!features.includes("timestamps")) {
     properties.push("    public $timestamps = false;");
   }
 
-  // Add relationships
-  const relationshipMethods = relationships
-    .map((rel) => {
-      const relatedClass = rel.model;
-      return `
-    /**
-     * ${rel.type} relationship with ${relatedClass}
+  const castTypes = {};
+  fields
+    .filter((f) => getCastType(f))
+    .forEach((f) => {
+      castTypes[f.name] = `'${getCastType(f)}'`;
+    });
+  Object.assign(castTypes, attributeCode.casts);
+
+  const casts = Object.entries(castTypes).map(
+    ([name, cast]) => `        '${name}' => ${cast},`
+  );
+
+  if (casts.length > 0) {
+    properties.push(`    /**
+     * The attributes that should be cast.
+     *
+     * @var array<string, string>
      */
-    public function ${rel.method}()
-    {
-        return $this->${rel.type}(${relatedClass}::class);
-    }`;
-    })
-    .join("\n");
+    protected $casts = [
+${casts.join("\n")}
+    ];`);
+  }
+
+  // Add relationships, then accessors and mutators
+  const relationshipMethods = [
+    ...relationships.map((rel) => generateRelationshipMethod(rel)),
+    ...attributeCode.methods.map((method) => `\n${method}`),
+  ].join("\n");
 
   const modelContent = `<?php
 
@@ -505,7 +554,7 @@ class ${modelName} extends Model
 {
     use HasFactory${traits.length > 0 ? ", " + traits.join(", ") : ""};
 
-    /**
+${attributeCode.header.map((property) => `${property}\n\n`).join("")}    /**
      * The attributes that are mass assignable.
      *
      * @var array<int, string>
@@ -514,60 +563,334 @@ class ${modelName} extends Model
         ${fillableArray}
     ];
 
-${properties.join("\n")}
+${properties.join("\n\n")}
 ${relationshipMethods}
 }
 `;
 
-  fs.writeFileSync(modelPath, modelContent);
+  const variables = buildTemplateVariables(modelName, fields, {
+    namespace,
+    traits,
+    relationships,
+    softDeletes: features.includes("softDeletes"),
+    uuid: features.includes("uuid"),
+    attributes,
+  });
+
+  writeFile(
+    modelPath,
+    renderTemplate("advanced.model", modelContent, variables)
+  );
+}
+
+/**
+ * Create the create-table migration for model, with the columns of its
+ * fields, features and belongsTo relationships
+ */
+async function createMigrationForModel(
+  modelName,
+  fields,
+  features,
+  relationships,
+  options = {}
+) {
+  const rootPath = getLaravelRootPath();
+  const tableName = options.table || pluralize(toSnakeCase(modelName));
+  const timestamp = options.timestamp || createTimestampSequence()();
+
+  const columns = getMigrationColumns(
+    fields,
+    features,
+    relationships,
+    options.primaryKey
+  );
+  const fieldDefinitions = columns
+    .map((column) => `            ${column}`)
+    .join("\n");
+
+  const content = `<?php
+
+use Illuminate\\Database\\Migrations\\Migration;
+use Illuminate\\Database\\Schema\\Blueprint;
+use Illuminate\\Support\\Facades\\Schema;
+
+return new class extends Migration
+{${
+    options.connection
+      ? `
+    /**
+     * The database connection that should be used by the migration.
+     *
+     * @var string
+     */
+    protected $connection = '${options.connection}';
+`
+      : ""
+  }
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        Schema::create('${tableName}', function (Blueprint $table) {
+${fieldDefinitions}
+        });
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::dropIfExists('${tableName}');
+    }
+};
+`;
+
+  writeFile(
+    path.join(
+      rootPath,
+      "database",
+      "migrations",
+      `${timestamp}_create_${tableName}_table.php`
+    ),
+    renderTemplate(
+      "advanced.migration.create",
+      content,
+      buildTemplateVariables(modelName, fields, {
+        table: tableName,
+        tableName,
+        fieldDefinitions,
+        relationships,
+        softDeletes: features.includes("softDeletes"),
+        uuid: features.includes("uuid"),
+      })
+    )
+  );
 }
 
 /**
- * Create migration for model
+ * Blueprint statements of the create-table migration: the primary key,
+ * tenant_id, morph columns of morphTo and foreign keys of belongsTo
+ * relationships, the fields, then timestamps and soft deletes
+ *
+ * @returns {string[]}
  */
-async function createMigrationForModel(modelName, fillableFields, features) {
-  const { executeArtisanCommand } = require("../utils/helpers");
-  const tableName = toSnakeCase(modelName) + "s";
+function getMigrationColumns(fields, features, relationships, primaryKey) {
+  const key = primaryKey ? primaryKey.name : "id";
+  const names = new Set(fields.map((field) => field.name));
+  names.add(key);
+
+  const columns = [
+    features.includes("uuid")
+      ? `$table->uuid('${key}')->primary();`
+      : primaryKey && primaryKey.type === "string"
+      ? `$table->string('${key}')->primary();`
+      : key === "id"
+      ? "$table->id();"
+      : `$table->id('${key}');`,
+  ];
+
+  if (features.includes("tenant") && !names.has("tenant_id")) {
+    columns.push("$table->foreignId('tenant_id')->index();");
+  }
 
-  await executeArtisanCommand(
-    `make:migration create_${tableName}_table`,
-    false
+  for (const relationship of relationships) {
+    // morphTo adds <method>_id and <method>_type
+    const morphName = toSnakeCase(relationship.method);
+    if (relationship.type === "morphTo" && !names.has(`${morphName}_id`)) {
+      names.add(`${morphName}_id`);
+      columns.push(`$table->morphs('${morphName}');`);
+    }
+
+    if (relationship.type !== "belongsTo") continue;
+
+    const column =
+      relationship.foreignKey || `${toSnakeCase(relationship.method)}_id`;
+    if (names.has(column)) continue;
+    names.add(column);
+
+    // constrained() guesses the table from the column name
+    const table = pluralize(
+      toSnakeCase(relationship.model.split("\\").pop())
+    );
+    if (relationship.localKey) {
+      const { localKey } = relationship;
+      columns.push(
+        `$table->foreignId('${column}')->constrained('${table}', '${localKey}');`
+      );
+    } else {
+      columns.push(
+        table === pluralize(column.replace(/_id$/, ""))
+          ? `$table->foreignId('${column}')->constrained();`
+          : `$table->foreignId('${column}')->constrained('${table}');`
+      );
+    }
+  }
+
+  columns.push(
+    ...fields
+      .filter((field) => field.name !== key)
+      .map((field) => getColumnDefinition(field))
   );
 
-  // Note: We could enhance this to auto-populate migration fields
-  vscode.window.showInformationMessage(
-    `💡 Don't forget to add fields to the migration: ${fillableFields}`
+  if (features.includes("timestamps")) {
+    columns.push("$table->timestamps();");
+  }
+  if (features.includes("softDeletes")) {
+    columns.push("$table->softDeletes();");
+  }
+
+  return columns;
+}
+
+/**
+ * Generates the factory of an existing model, using the columns of its
+ * table when the migrations define it
+ *
+ * @param {{modelName?: string}} options Model name to prefill
+ */
+async function generateFactory(options = {}) {
+  const modelName = await showInputBox({
+    prompt: "Model name for the factory (e.g., Product)",
+    placeHolder: "Product",
+    value: options.modelName,
+    validateInput: (value) => {
+      if (!value) return "Model name is required";
+      if (!/^[A-Z][a-zA-Z0-9]*$/.test(value)) {
+        return "Name must be in PascalCase (e.g., Product)";
+      }
+      return null;
+    },
+  });
+
+  if (!modelName) return;
+
+  const rootPath = getLaravelRootPath();
+  const model = findModelFiles(rootPath)
+    .map((filePath) => inspectModel(filePath, rootPath))
+    .find((inspected) => inspected && inspected.name === modelName);
+
+  const table = (model && model.table) || pluralize(toSnakeCase(modelName));
+  const fields =
+    readMigrationSchema().get(table) ||
+    (model ? fieldsFromFillable(model) : []);
+
+  const factoryOptions = await pickFactoryOptions(
+    modelName,
+    fields,
+    model ? model.relationships : [],
+    {
+      softDeletes: Boolean(
+        model && model.traits.some((trait) => trait.name === "SoftDeletes")
+      ),
+    }
   );
+  if (!factoryOptions) return;
+
+  try {
+    const applied = await runGeneration(`${modelName} factory`, () =>
+      createFactoryForModel(
+        modelName,
+        model ? model.subdirectory : "",
+        fields,
+        factoryOptions
+      )
+    );
+
+    if (!applied) return;
+
+    vscode.window.showInformationMessage(
+      `✅ Factory for ${modelName} generated successfully`
+    );
+  } catch (error) {
+    vscode.window.showErrorMessage(`❌ Error: ${error.message}`);
+  }
 }
 
 /**
- * Create factory for model
+ * Fields of a model without a migration, from its $fillable and $casts
  */
-async function createFactoryForModel(modelName, fillableFields) {
-  const { executeArtisanCommand } = require("../utils/helpers");
-  await executeArtisanCommand(
-    `make:factory ${modelName}Factory --model=${modelName}`,
-    false
+function fieldsFromFillable(model) {
+  const castTypes = {
+    boolean: "boolean",
+    bool: "boolean",
+    integer: "integer",
+    int: "integer",
+    float: "float",
+    double: "float",
+    real: "float",
+    date: "date",
+    immutable_date: "date",
+    datetime: "dateTime",
+    immutable_datetime: "dateTime",
+    timestamp: "timestamp",
+    array: "json",
+    json: "json",
+    collection: "json",
+    object: "json",
+    hashed: "password",
+  };
+
+  return model.fillable.map(({ name }) => {
+    const cast = model.casts.find((entry) => entry.name === name);
+    const [castType, scale] = cast ? cast.cast.split(":") : [];
+
+    if (castType === "decimal") {
+      return { name, type: "decimal", precision: 8, scale: Number(scale) };
+    }
+    if (castTypes[castType]) {
+      return { name, type: castTypes[castType] };
+    }
+    return { name, type: /_id$/.test(name) ? "foreignId" : "string" };
+  });
+}
+
+/**
+ * Create factory for model, with Faker values inferred from its fields
+ */
+async function createFactoryForModel(
+  modelName,
+  subdirectory,
+  fields,
+  options
+) {
+  writeFactory(
+    getLaravelRootPath(),
+    { name: modelName, subdirectory },
+    fields,
+    options
   );
 }
 
 /**
- * Create seeder for model
+ * Create seeder for model, called from DatabaseSeeder
  */
-async function createSeederForModel(modelName) {
-  const { executeArtisanCommand } = require("../utils/helpers");
-  await executeArtisanCommand(`make:seeder ${modelName}Seeder`, false);
+async function createSeederForModel(modelName, subdirectory, relationships) {
+  const rootPath = getLaravelRootPath();
+  const seederName = `${modelName}Seeder`;
+  const segments = (subdirectory || "").split("/").filter(Boolean);
+
+  writeSeeder(rootPath, seederName, {
+    modelClass: ["App", "Models", ...segments, modelName].join("\\"),
+    source: "factory",
+    count: 10,
+    fanOut: [],
+  });
+  registerSeeder(
+    rootPath,
+    seederName,
+    getSeederDependencies(rootPath, modelName, relationships)
+  );
 }
 
 /**
  * Create controller for model
  */
 async function createControllerForModel(modelName, subdirectory) {
-  const { executeArtisanCommand } = require("../utils/helpers");
   const modelPath = subdirectory ? `${subdirectory}\\${modelName}` : modelName;
-  await executeArtisanCommand(
-    `make:controller ${modelName}Controller --model=${modelPath} --resource`,
-    false
+  await runArtisan(
+    `make:controller ${modelName}Controller --model=${modelPath} --resource`
   );
 }
 
@@ -575,22 +898,20 @@ async function createControllerForModel(modelName, subdirectory) {
  * Create API resource for model
  */
 async function createResourceForModel(modelName, subdirectory) {
-  const { executeArtisanCommand } = require("../utils/helpers");
-  await executeArtisanCommand(`make:resource ${modelName}Resource`, false);
-  await executeArtisanCommand(`make:resource ${modelName}Collection`, false);
+  await runArtisan(`make:resource ${modelName}Resource`);
+  await runArtisan(`make:resource ${modelName}Collection`);
 }
 
 /**
  * Create policy for model
  */
 async function createPolicyForModel(modelName) {
-  const { executeArtisanCommand } = require("../utils/helpers");
-  await executeArtisanCommand(
-    `make:policy ${modelName}Policy --model=${modelName}`,
-    false
-  );
+  await runArtisan(`make:policy ${modelName}Policy --model=${modelName}`);
 }
 
 module.exports = {
   generateModel,
+  generateFactory,
+  createModelFile,
+  getMigrationColumns,
 };
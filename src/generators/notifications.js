@@ -0,0 +1,471 @@
+const path = require("path");
+const vscode = require("vscode");
+const {
+  getLaravelRootPath,
+  getLaravelVersion,
+  showInputBox,
+  toKebabCase,
+  toSnakeCase,
+} = require("../utils/helpers");
+const { renderTemplate } = require("../utils/templates");
+const {
+  runGeneration,
+  writeFile,
+  readFile,
+} = require("../utils/changePlan");
+const { findModelFiles, inspectModel } = require("../utils/modelInspector");
+const { readMigrationSchema } = require("../utils/migrationSchema");
+const {
+  addUseStatements,
+  requiresPackage,
+} = require("../utils/phpClasses");
+
+const CHANNELS = [
+  { label: "Mail", description: "toMail()", value: "mail", picked: true },
+  {
+    label: "Database",
+    description: "toArray(), stored in the notifications table",
+    value: "database",
+  },
+  {
+    label: "Broadcast",
+    description: "toBroadcast(), pushed over Echo",
+    value: "broadcast",
+  },
+  {
+    label: "Slack",
+    description: "toSlack(), incoming webhook",
+    value: "slack",
+  },
+];
+
+/**
+ * Generate Notification
+ *
+ * Writes a notification for the selected channels with the notifiable
+ * model type-hinted, plus what the channels need: the notifications table
+ * migration for database notifications, a Markdown mail template and the
+ * Notifiable trait on the model.
+ */
+async function generateNotification() {
+  const notificationName = await showInputBox({
+    prompt: "Notification name (e.g: InvoicePaid)",
+    placeHolder: "InvoicePaid",
+    validateInput: (value) => {
+      if (!value) return "Notification name is required";
+      if (!/^[A-Z][a-zA-Z0-9]*$/.test(value)) {
+        return "Name must be in PascalCase";
+      }
+      return null;
+    },
+  });
+
+  if (!notificationName) return;
+
+  const rootPath = getLaravelRootPath();
+  const notifiable = await pickNotifiable(rootPath);
+  if (notifiable === undefined) return;
+
+  const channels = await vscode.window.showQuickPick(CHANNELS, {
+    placeHolder: "Delivery channels",
+    canPickMany: true,
+  });
+
+  if (!channels || channels.length === 0) return;
+
+  const options = {
+    channels: channels.map((channel) => channel.value),
+    markdown: null,
+  };
+
+  if (options.channels.includes("mail")) {
+    const format = await vscode.window.showQuickPick(
+      [
+        { label: "MailMessage lines", description: "line(), action()" },
+        {
+          label: "Markdown template",
+          description: "resources/views/notifications/*.blade.php",
+          markdown: true,
+        },
+      ],
+      { placeHolder: "Mail body" }
+    );
+    if (!format) return;
+
+    if (format.markdown) {
+      options.markdown = `notifications.${toKebabCase(notificationName)}`;
+    }
+  }
+
+  const delivery = await vscode.window.showQuickPick(
+    [
+      { label: "Send immediately" },
+      { label: "Queue", description: "Implements ShouldQueue", queued: true },
+    ],
+    { placeHolder: "Delivery" }
+  );
+
+  if (!delivery) return;
+  options.queued = Boolean(delivery.queued);
+
+  try {
+    const filePath = path.join(
+      rootPath,
+      "app",
+      "Notifications",
+      `${notificationName}.php`
+    );
+    const created = [];
+
+    const applied = await runGeneration(
+      `${notificationName} notification`,
+      async () => {
+        writeFile(
+          filePath,
+          renderTemplate(
+            "notifications.notification",
+            generateNotificationContent(notificationName, notifiable, options),
+            {
+              class: notificationName,
+              namespace: "App\\Notifications",
+              notifiable: notifiable ? notifiable.name : "object",
+              ...options,
+            }
+          )
+        );
+
+        if (options.markdown) {
+          writeFile(
+            path.join(
+              rootPath,
+              "resources",
+              "views",
+              ...options.markdown.split(".")
+            ) + ".blade.php",
+            renderTemplate(
+              "notifications.markdown",
+              generateMarkdownContent(notificationName),
+              { class: notificationName, view: options.markdown }
+            )
+          );
+        }
+
+        if (
+          options.channels.includes("database") &&
+          !readMigrationSchema(rootPath).has("notifications")
+        ) {
+          createNotificationsMigration(rootPath);
+          created.push("notifications table migration");
+        }
+
+        if (notifiable && addNotifiableTrait(notifiable)) {
+          created.push(`Notifiable trait on ${notifiable.name}`);
+        }
+      }
+    );
+
+    if (!applied) return;
+
+    vscode.window.showInformationMessage(
+      created.length
+        ? `✅ Notification ${notificationName} created with the ${created.join(
+            " and the "
+          )}`
+        : `✅ Notification ${notificationName} created successfully`
+    );
+
+    if (
+      options.channels.includes("slack") &&
+      !requiresPackage(rootPath, "laravel/slack-notification-channel")
+    ) {
+      vscode.window.showWarningMessage(
+        "Slack notifications need the Slack channel package: " +
+          "composer require laravel/slack-notification-channel"
+      );
+    }
+  } catch (error) {
+    vscode.window.showErrorMessage(`❌ Error: ${error.message}`);
+  }
+}
+
+/**
+ * Notifiable model, User first
+ *
+ * @returns {Promise<object|null|undefined>} The inspected model, null for
+ *   any notifiable (object), undefined when cancelled
+ */
+async function pickNotifiable(rootPath) {
+  const models = findModelFiles(rootPath)
+    .map((filePath) => inspectModel(filePath, rootPath))
+    .filter(Boolean)
+    .sort((a, b) => (b.name === "User") - (a.name === "User"));
+
+  const picked = await vscode.window.showQuickPick(
+    [
+      ...models.map((model) => ({
+        label: model.name,
+        description: model.subdirectory,
+        model,
+      })),
+      { label: "Any notifiable", description: "object", model: null },
+    ],
+    { placeHolder: "Notifiable model (type of $notifiable)" }
+  );
+
+  return picked ? picked.model : undefined;
+}
+
+function getModelClass(model) {
+  return ["App", "Models", ...model.subdirectory.split("/"), model.name]
+    .filter(Boolean)
+    .join("\\");
+}
+
+function toHeadline(name) {
+  const words = toSnakeCase(name).replace(/_/g, " ");
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+function generateNotificationContent(name, notifiable, options) {
+  const { channels, markdown, queued } = options;
+  const type = notifiable ? notifiable.name : "object";
+  const headline = toHeadline(name);
+
+  const imports = [
+    "Illuminate\\Bus\\Queueable",
+    "Illuminate\\Notifications\\Notification",
+  ];
+  if (notifiable) imports.push(getModelClass(notifiable));
+  if (queued) imports.push("Illuminate\\Contracts\\Queue\\ShouldQueue");
+
+  const methods = [
+    `    /**
+     * Create a new notification instance.
+     */
+    public function __construct()
+    {
+        //
+    }`,
+    `    /**
+     * Get the notification's delivery channels.
+     *
+     * @return array<int, string>
+     */
+    public function via(${type} $notifiable): array
+    {
+        return [${channels.map((channel) => `'${channel}'`).join(", ")}];
+    }`,
+  ];
+
+  if (channels.includes("mail")) {
+    imports.push("Illuminate\\Notifications\\Messages\\MailMessage");
+    methods.push(`    /**
+     * Get the mail representation of the notification.
+     */
+    public function toMail(${type} $notifiable): MailMessage
+    {
+        return (new MailMessage)
+            ->subject('${headline}')
+${
+  markdown
+    ? `            ->markdown('${markdown}', [
+                'notifiable' => $notifiable,
+                'url' => url('/'),
+            ]);`
+    : `            ->line('The introduction to the notification.')
+            ->action('Notification Action', url('/'))
+            ->line('Thank you for using our application!');`
+}
+    }`);
+  }
+
+  if (channels.includes("database") || channels.includes("broadcast")) {
+    methods.push(`    /**
+     * Get the array representation of the notification.
+     *
+     * @return array<string, mixed>
+     */
+    public function toArray(${type} $notifiable): array
+    {
+        return [
+            'message' => '${headline}',
+        ];
+    }`);
+  }
+
+  if (channels.includes("broadcast")) {
+    imports.push("Illuminate\\Notifications\\Messages\\BroadcastMessage");
+    methods.push(`    /**
+     * Get the broadcastable representation of the notification.
+     */
+    public function toBroadcast(${type} $notifiable): BroadcastMessage
+    {
+        return new BroadcastMessage($this->toArray($notifiable));
+    }`);
+  }
+
+  if (channels.includes("slack")) {
+    imports.push("Illuminate\\Notifications\\Messages\\SlackMessage");
+    methods.push(`    /**
+     * Get the Slack representation of the notification.
+     *
+     * The webhook URL comes from routeNotificationForSlack() on the notifiable.
+     */
+    public function toSlack(${type} $notifiable): SlackMessage
+    {
+        return (new SlackMessage)
+            ->content('${headline}');
+    }`);
+  }
+
+  return `<?php
+
+namespace App\\Notifications;
+
+${imports
+  .sort()
+  .map((className) => `use ${className};`)
+  .join("\n")}
+
+class ${name} extends Notification${queued ? " implements ShouldQueue" : ""}
+{
+    use Queueable;
+
+${methods.join("\n\n")}
+}
+`;
+}
+
+/**
+ * Markdown mail template, with the mail components of the Laravel version
+ */
+function generateMarkdownContent(name) {
+  const version = getLaravelVersion();
+  const major = version ? parseInt(version.replace(/^v/, ""), 10) : null;
+  const headline = toHeadline(name);
+
+  if (major && major < 9) {
+    return `@component('mail::message')
+# ${headline}
+
+The body of your message.
+
+@component('mail::button', ['url' => $url])
+View
+@endcomponent
+
+Thanks,<br>
+{{ config('app.name') }}
+@endcomponent
+`;
+  }
+
+  return `<x-mail::message>
+# ${headline}
+
+The body of your message.
+
+<x-mail::button :url="$url">
+View
+</x-mail::button>
+
+Thanks,<br>
+{{ config('app.name') }}
+</x-mail::message>
+`;
+}
+
+/**
+ * Writes the migration of `php artisan notifications:table`
+ */
+function createNotificationsMigration(rootPath) {
+  const timestamp = new Date()
+    .toISOString()
+    .slice(0, 19)
+    .replace(/-/g, "_")
+    .replace("T", "_")
+    .replace(/:/g, "");
+
+  const content = `<?php
+
+use Illuminate\\Database\\Migrations\\Migration;
+use Illuminate\\Database\\Schema\\Blueprint;
+use Illuminate\\Support\\Facades\\Schema;
+
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        Schema::create('notifications', function (Blueprint $table) {
+            $table->uuid('id')->primary();
+            $table->string('type');
+            $table->morphs('notifiable');
+            $table->text('data');
+            $table->timestamp('read_at')->nullable();
+            $table->timestamps();
+        });
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::dropIfExists('notifications');
+    }
+};
+`;
+
+  writeFile(
+    path.join(
+      rootPath,
+      "database",
+      "migrations",
+      `${timestamp}_create_notifications_table.php`
+    ),
+    renderTemplate("notifications.migration.create", content, {
+      table: "notifications",
+    })
+  );
+}
+
+/**
+ * Adds the Notifiable trait to the model when it is missing
+ *
+ * @returns {boolean} Whether the model was changed
+ */
+function addNotifiableTrait(model) {
+  if (model.traits.some((trait) => trait.name === "Notifiable")) {
+    return false;
+  }
+
+  const source = readFile(model.filePath);
+  const classBody = source.match(/^\s*(?:final\s+)?class\s+\w+[^{]*\{/m);
+  if (!classBody) {
+    return false;
+  }
+
+  const bodyStart = classBody.index + classBody[0].length;
+  const traitUse = source.slice(bodyStart).match(/^(\s*use\s+)([^;]+);/);
+  const content = traitUse
+    ? source.slice(0, bodyStart) +
+      source
+        .slice(bodyStart)
+        .replace(traitUse[0], `${traitUse[1]}${traitUse[2]}, Notifiable;`)
+    : `${source.slice(0, bodyStart)}\n    use Notifiable;\n${source.slice(
+        bodyStart
+      )}`;
+
+  writeFile(
+    model.filePath,
+    addUseStatements(content, ["Illuminate\\Notifications\\Notifiable"])
+  );
+  return true;
+}
+
+module.exports = {
+  generateNotification,
+};
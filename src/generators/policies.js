@@ -0,0 +1,574 @@
+const fs = require("fs");
+const path = require("path");
+const vscode = require("vscode");
+const {
+  getLaravelRootPath,
+  showInputBox,
+  toCamelCase,
+  toSnakeCase,
+  pluralize,
+} = require("../utils/helpers");
+const { renderTemplate } = require("../utils/templates");
+const {
+  runGeneration,
+  writeFile,
+  readFile,
+  fileExists,
+} = require("../utils/changePlan");
+const { findModelFiles, inspectModel } = require("../utils/modelInspector");
+const {
+  addUseStatements,
+  requiresPackage,
+} = require("../utils/phpClasses");
+
+const PERMISSION_PACKAGE = "spatie/laravel-permission";
+
+/**
+ * Policy abilities, with the resource controller methods they authorize
+ */
+const ABILITIES = [
+  {
+    name: "viewAny",
+    summary: "view any models",
+    withModel: false,
+    methods: ["index"],
+  },
+  {
+    name: "view",
+    summary: "view the model",
+    withModel: true,
+    methods: ["show"],
+  },
+  {
+    name: "create",
+    summary: "create models",
+    withModel: false,
+    methods: ["create", "store"],
+  },
+  {
+    name: "update",
+    summary: "update the model",
+    withModel: true,
+    methods: ["edit", "update"],
+  },
+  {
+    name: "delete",
+    summary: "delete the model",
+    withModel: true,
+    methods: ["destroy"],
+  },
+  {
+    name: "restore",
+    summary: "restore the model",
+    withModel: true,
+    methods: ["restore"],
+  },
+  {
+    name: "forceDelete",
+    summary: "permanently delete the model",
+    withModel: true,
+    methods: ["forceDelete"],
+  },
+];
+
+/**
+ * Generate Policy
+ *
+ * Writes a policy for a model from an owner, permission or role template,
+ * optionally letting admins through in before(), registers it in
+ * AuthServiceProvider::$policies when the project has one (otherwise
+ * policy discovery finds it) and can add $this->authorize() calls to the
+ * model's controllers.
+ */
+async function generatePolicy() {
+  const rootPath = getLaravelRootPath();
+  const models = findModelFiles(rootPath)
+    .map((filePath) => inspectModel(filePath, rootPath))
+    .filter(Boolean);
+
+  if (models.length === 0) {
+    vscode.window.showWarningMessage("No models found in app/Models");
+    return;
+  }
+
+  const picked = await vscode.window.showQuickPick(
+    models.map((model) => ({
+      label: model.name,
+      description: model.subdirectory,
+      model,
+    })),
+    { placeHolder: "Model the policy authorizes" }
+  );
+
+  if (!picked) return;
+
+  const model = {
+    name: picked.model.name,
+    className: getModelClass(picked.model),
+  };
+  const ownsUser = picked.model.fillable.some(
+    (attribute) => attribute.name === "user_id"
+  );
+
+  const options = await pickPolicyOptions(rootPath, model.name, {
+    ownerColumn: ownsUser ? "user_id" : undefined,
+  });
+  if (!options) return;
+
+  const controllers = await pickControllers(rootPath, model.name);
+  if (!controllers) return;
+
+  const policyName = `${model.name}Policy`;
+
+  try {
+    let registration = null;
+    let authorized = 0;
+
+    const applied = await runGeneration(policyName, async () => {
+      writePolicy(rootPath, model, options, "policies.policy");
+      registration = registerPolicy(rootPath, model.className, policyName);
+
+      for (const filePath of controllers) {
+        authorized += addAuthorizeCalls(rootPath, filePath, model, options);
+      }
+    });
+
+    if (!applied) return;
+
+    const details = [
+      registration === "provider" && "registered in AuthServiceProvider",
+      authorized && `${authorized} authorize() call(s) added`,
+    ].filter(Boolean);
+    vscode.window.showInformationMessage(
+      details.length
+        ? `✅ ${policyName} created, ${details.join(", ")}`
+        : `✅ ${policyName} created successfully`
+    );
+
+    if (
+      ["permissions", "roles"].includes(options.template) &&
+      !requiresPackage(rootPath, PERMISSION_PACKAGE)
+    ) {
+      const method =
+        options.template === "roles" ? "hasAnyRole()" : "hasPermissionTo()";
+      vscode.window.showWarningMessage(
+        `${method} comes from ${PERMISSION_PACKAGE}: ` +
+          `composer require ${PERMISSION_PACKAGE}`
+      );
+    }
+  } catch (error) {
+    vscode.window.showErrorMessage(`❌ Error: ${error.message}`);
+  }
+}
+
+function getModelClass(model) {
+  return ["App", "Models", ...model.subdirectory.split("/"), model.name]
+    .filter(Boolean)
+    .join("\\");
+}
+
+/**
+ * Prompts for the policy template, abilities and admin bypass
+ *
+ * @param {string} rootPath
+ * @param {string} modelName
+ * @param {{ownerColumn?: string}} defaults Owner column to preselect
+ * @returns {Promise<object|undefined>} {template, ownerColumn, roles,
+ *   abilities, adminCheck}; undefined when cancelled
+ */
+async function pickPolicyOptions(rootPath, modelName, defaults = {}) {
+  const template = await vscode.window.showQuickPick(
+    [
+      {
+        label: "Owner",
+        description: "The user owns the model, e.g. $user->id === $x->user_id",
+        value: "owner",
+      },
+      {
+        label: "Permissions",
+        description: "$user->hasPermissionTo('update posts')",
+        value: "permissions",
+      },
+      {
+        label: "Roles",
+        description: "$user->hasAnyRole([...]) for changes, anyone can view",
+        value: "roles",
+      },
+      {
+        label: "Allow all",
+        description: "Every ability returns true, to be filled in",
+        value: "open",
+      },
+    ],
+    { placeHolder: `${modelName}Policy template` }
+  );
+
+  if (!template) return undefined;
+
+  const options = { template: template.value, ownerColumn: null, roles: [] };
+
+  if (options.template === "owner") {
+    options.ownerColumn = await showInputBox({
+      prompt: "Column holding the owner's user id",
+      value: defaults.ownerColumn || "user_id",
+      validateInput: (value) =>
+        /^[a-z_][a-z0-9_]*$/.test(value || "") ? null : "Column name required",
+    });
+    if (!options.ownerColumn) return undefined;
+  }
+
+  if (options.template === "roles") {
+    const roles = await showInputBox({
+      prompt: "Roles allowed to create and change models (comma separated)",
+      value: "editor",
+      validateInput: (value) =>
+        /^[\w-]+(\s*,\s*[\w-]+)*$/.test(value || "")
+          ? null
+          : "At least one role is required",
+    });
+    if (!roles) return undefined;
+    options.roles = roles.split(",").map((role) => role.trim());
+  }
+
+  const abilities = await vscode.window.showQuickPick(
+    ABILITIES.map((ability) => ({
+      label: ability.name,
+      description: `Can the user ${ability.summary}?`,
+      picked: true,
+      ability,
+    })),
+    { placeHolder: "Abilities", canPickMany: true }
+  );
+
+  if (!abilities || abilities.length === 0) return undefined;
+  options.abilities = abilities.map((item) => item.ability);
+
+  const before = await vscode.window.showQuickPick(
+    [
+      { label: "No admin bypass" },
+      {
+        label: "Admins can do everything",
+        description: "before() grants every ability to admins",
+        admin: true,
+      },
+    ],
+    { placeHolder: "Admin bypass" }
+  );
+
+  if (!before) return undefined;
+
+  options.adminCheck = before.admin
+    ? requiresPackage(rootPath, PERMISSION_PACKAGE)
+      ? "$user->hasRole('admin')"
+      : "$user->is_admin"
+    : null;
+
+  return options;
+}
+
+/**
+ * Writes app/Policies/<Model>Policy.php
+ *
+ * @param {string} rootPath
+ * @param {{name: string, className: string}} model
+ * @param {object} options From pickPolicyOptions()
+ * @param {string} templateName Template override name
+ * @param {object} [variables] Extra template variables
+ */
+function writePolicy(rootPath, model, options, templateName, variables = {}) {
+  writeFile(
+    path.join(rootPath, "app", "Policies", `${model.name}Policy.php`),
+    renderTemplate(templateName, generatePolicyContent(model, options), {
+      class: `${model.name}Policy`,
+      namespace: "App\\Policies",
+      model: model.name,
+      modelVariable: toCamelCase(model.name),
+      ...options,
+      abilities: options.abilities.map((ability) => ability.name),
+      ...variables,
+    })
+  );
+}
+
+function generatePolicyContent(model, options) {
+  const variable = toCamelCase(model.name);
+  const resource = pluralize(toSnakeCase(model.name)).replace(/_/g, " ");
+  const imports = [model.className, "App\\Models\\User"];
+  const methods = [];
+
+  if (options.adminCheck) {
+    methods.push(`    /**
+     * Perform pre-authorization checks.
+     */
+    public function before(User $user, string $ability): bool|null
+    {
+        if (${options.adminCheck}) {
+            return true;
+        }
+
+        return null;
+    }`);
+  }
+
+  for (const ability of options.abilities) {
+    const parameters = ability.withModel
+      ? `User $user, ${model.name} $${variable}`
+      : "User $user";
+
+    methods.push(`    /**
+     * Determine whether the user can ${ability.summary}.
+     */
+    public function ${ability.name}(${parameters}): bool
+    {
+        return ${abilityCheck(ability, options, variable, resource)};
+    }`);
+  }
+
+  return `<?php
+
+namespace App\\Policies;
+
+${[...new Set(imports)]
+  .sort()
+  .map((className) => `use ${className};`)
+  .join("\n")}
+
+class ${model.name}Policy
+{
+${methods.join("\n\n")}
+}
+`;
+}
+
+/**
+ * Return expression of an ability for the policy template
+ */
+function abilityCheck(ability, options, variable, resource) {
+  switch (options.template) {
+    case "owner":
+      return ability.withModel
+        ? `$user->id === $${variable}->${options.ownerColumn}`
+        : "true";
+    case "permissions": {
+      // viewAny -> "view any posts", forceDelete -> "force delete posts"
+      const action = toSnakeCase(ability.name).replace(/_/g, " ");
+      return `$user->hasPermissionTo('${action} ${resource}')`;
+    }
+    case "roles":
+      return ["viewAny", "view"].includes(ability.name)
+        ? "true"
+        : `$user->hasAnyRole([${options.roles
+            .map((role) => `'${role}'`)
+            .join(", ")}])`;
+    default:
+      return "true";
+  }
+}
+
+/**
+ * Registers a policy in AuthServiceProvider::$policies. Projects without
+ * the property (Laravel 11+) rely on policy discovery, which finds
+ * App\Policies\<Model>Policy by itself.
+ *
+ * @param {string} rootPath
+ * @param {string} modelClass e.g. App\Models\Post
+ * @param {string} policyName e.g. PostPolicy
+ * @returns {"provider"|"discovery"|null} null when already registered
+ */
+function registerPolicy(rootPath, modelClass, policyName) {
+  const providerPath = path.join(
+    rootPath,
+    "app",
+    "Providers",
+    "AuthServiceProvider.php"
+  );
+  if (!fileExists(providerPath)) {
+    return "discovery";
+  }
+
+  const source = readFile(providerPath);
+  const policies = source.match(
+    /(protected \$policies = \[)([\s\S]*?)(\n[ \t]*\];)/
+  );
+  if (!policies) {
+    return "discovery";
+  }
+
+  const modelName = modelClass.split("\\").pop();
+  if (
+    policies[2].includes(`${policyName}::class`) ||
+    policies[2].includes(`${modelName}::class =>`)
+  ) {
+    return null;
+  }
+
+  // Keep existing entries and example comments, drop a lone "//" line
+  const lines = policies[2]
+    .split("\n")
+    .filter((line) => line.trim() && line.trim() !== "//");
+  for (let index = lines.length - 1; index >= 0; index--) {
+    const line = lines[index].trim();
+    if (line.startsWith("//")) continue;
+    if (!line.endsWith(",")) lines[index] += ",";
+    break;
+  }
+  lines.push(`        ${modelName}::class => ${policyName}::class,`);
+
+  writeFile(
+    providerPath,
+    addUseStatements(
+      source.replace(
+        policies[0],
+        () => `${policies[1]}\n${lines.join("\n")}${policies[3]}`
+      ),
+      [modelClass, `App\\Policies\\${policyName}`]
+    )
+  );
+  return "provider";
+}
+
+/**
+ * Controllers named after the model (any subdirectory of
+ * app/Http/Controllers) that should call $this->authorize()
+ *
+ * @returns {Promise<string[]|undefined>} File paths, empty when none were
+ *   picked; undefined when cancelled
+ */
+async function pickControllers(rootPath, modelName) {
+  const controllersPath = path.join(rootPath, "app", "Http", "Controllers");
+  const files = findFiles(controllersPath, `${modelName}Controller.php`);
+  if (files.length === 0) {
+    return [];
+  }
+
+  const picked = await vscode.window.showQuickPick(
+    files.map((filePath) => ({
+      label: path.relative(controllersPath, filePath),
+      description: "Add $this->authorize() calls",
+      filePath,
+    })),
+    {
+      placeHolder: "Authorize the controller actions (none to skip)",
+      canPickMany: true,
+    }
+  );
+
+  return picked && picked.map((item) => item.filePath);
+}
+
+function findFiles(dirPath, fileName) {
+  if (!fs.existsSync(dirPath)) {
+    return [];
+  }
+
+  return fs
+    .readdirSync(dirPath, { withFileTypes: true })
+    .flatMap((entry) => {
+      const entryPath = path.join(dirPath, entry.name);
+      if (entry.isDirectory()) return findFiles(entryPath, fileName);
+      return entry.name === fileName ? [entryPath] : [];
+    })
+    .sort();
+}
+
+/**
+ * Adds $this->authorize() as the first statement of the resource methods
+ * of a controller, for the abilities the policy defines. Methods already
+ * authorizing, or without the model parameter an ability needs, are left
+ * alone.
+ *
+ * @returns {number} Calls added
+ */
+function addAuthorizeCalls(rootPath, filePath, model, options) {
+  const source = readFile(filePath);
+  const abilityByMethod = new Map();
+  for (const ability of options.abilities) {
+    for (const method of ability.methods) {
+      abilityByMethod.set(method, ability);
+    }
+  }
+
+  let added = 0;
+  const content = source.replace(
+    /(public function (\w+)\s*\(([^)]*)\)[^{;]*\{)([^\n]*\n)/g,
+    (match, signature, method, parameters, rest, offset) => {
+      const ability = abilityByMethod.get(method);
+      if (!ability) return match;
+
+      const end = source.indexOf("\n    }", offset);
+      const body = source.slice(offset, end === -1 ? undefined : end);
+      if (body.includes("->authorize(")) return match;
+
+      let argument = `${model.name}::class`;
+      if (ability.withModel) {
+        const parameter = parameters.match(
+          new RegExp(`\\b${model.name}\\s+\\$(\\w+)`)
+        );
+        if (!parameter) return match;
+        argument = `$${parameter[1]}`;
+      }
+
+      added++;
+      const call = `$this->authorize('${ability.name}', ${argument});`;
+      return `${signature}${rest}        ${call}\n`;
+    }
+  );
+
+  if (added === 0) {
+    return 0;
+  }
+
+  writeFile(filePath, addUseStatements(content, [model.className]));
+  addAuthorizesRequests(rootPath);
+  return added;
+}
+
+/**
+ * Laravel 11 ships an empty base controller: authorize() needs the
+ * AuthorizesRequests trait there
+ */
+function addAuthorizesRequests(rootPath) {
+  const controllerPath = path.join(
+    rootPath,
+    "app",
+    "Http",
+    "Controllers",
+    "Controller.php"
+  );
+  if (!fileExists(controllerPath)) {
+    return;
+  }
+
+  const source = readFile(controllerPath);
+  if (source.includes("AuthorizesRequests")) {
+    return;
+  }
+
+  const classBody = source.match(/^\s*(?:abstract\s+)?class\s+\w+[^{]*\{/m);
+  if (!classBody) {
+    return;
+  }
+
+  // An empty class only holds the "//" placeholder, which is replaced
+  const bodyStart = classBody.index + classBody[0].length;
+  const body = source.slice(bodyStart);
+  const content =
+    source.slice(0, bodyStart) +
+    (/^\s*\/\/\s*\n\}/.test(body)
+      ? body.replace(/^\s*\/\/\s*\n/, "\n    use AuthorizesRequests;\n")
+      : `\n    use AuthorizesRequests;\n${body}`);
+
+  writeFile(
+    controllerPath,
+    addUseStatements(content, [
+      "Illuminate\\Foundation\\Auth\\Access\\AuthorizesRequests",
+    ])
+  );
+}
+
+module.exports = {
+  generatePolicy,
+  pickPolicyOptions,
+  writePolicy,
+  registerPolicy,
+};
@@ -0,0 +1,657 @@
+const path = require("path");
+const vscode = require("vscode");
+const {
+  getLaravelRootPath,
+  showInputBox,
+  toCamelCase,
+  toSnakeCase,
+  pluralize,
+} = require("../utils/helpers");
+const { renderTemplate } = require("../utils/templates");
+const { writeFile, readFile } = require("../utils/changePlan");
+const {
+  parseFieldDefinitions,
+  validateFieldDefinitions,
+  getColumnDefinition,
+  generateRelationshipMethod,
+} = require("../utils/fields");
+const { readMigrationSchema } = require("../utils/migrationSchema");
+const { findModelFiles, inspectModel } = require("../utils/modelInspector");
+const { addUseStatements } = require("../utils/phpClasses");
+
+// Relationship written into the related model for each type
+const INVERSE_TYPES = {
+  hasOne: "belongsTo",
+  hasMany: "belongsTo",
+  belongsTo: "hasMany",
+  belongsToMany: "belongsToMany",
+  morphMany: "morphTo",
+};
+
+/**
+ * Model relationships
+ *
+ * Asks for the relationships of the Advanced Model generator and what they
+ * need around the model: custom keys, a pivot table migration for
+ * belongsToMany, the morph name of morphMany, and the inverse method in the
+ * related model when its file exists.
+ */
+
+/**
+ * Define model relationships
+ *
+ * @param {string} modelName Model being generated
+ * @returns {Promise<object[]>} Relationships for generateRelationshipMethod(),
+ *   with the inverse to add to the related model
+ */
+async function defineRelationships(modelName) {
+  const rootPath = getLaravelRootPath();
+  const models = findModelFiles(rootPath)
+    .map((filePath) => inspectModel(filePath, rootPath))
+    .filter(Boolean);
+  const relationships = [];
+  let addMore = true;
+
+  while (addMore) {
+    const relType = await vscode.window.showQuickPick(
+      [
+        {
+          label: "hasOne",
+          description: "One-to-One relationship",
+          value: "hasOne",
+        },
+        {
+          label: "hasMany",
+          description: "One-to-Many relationship",
+          value: "hasMany",
+        },
+        {
+          label: "belongsTo",
+          description: "Inverse One-to-Many",
+          value: "belongsTo",
+        },
+        {
+          label: "belongsToMany",
+          description: "Many-to-Many relationship",
+          value: "belongsToMany",
+        },
+        {
+          label: "morphTo",
+          description: "Polymorphic relationship",
+          value: "morphTo",
+        },
+        {
+          label: "morphMany",
+          description: "One-to-Many polymorphic",
+          value: "morphMany",
+        },
+      ],
+      { placeHolder: "Select relationship type" }
+    );
+
+    if (!relType) break;
+
+    // morphTo resolves the related model from the *_type column
+    let relatedModel = null;
+    if (relType.value !== "morphTo") {
+      relatedModel = await showInputBox({
+        prompt: `Related model name for ${relType.label}`,
+        placeHolder: "Post",
+      });
+
+      if (!relatedModel) break;
+    }
+
+    const methodName = await showInputBox({
+      prompt: "Relationship method name",
+      placeHolder: relatedModel ? relatedModel.toLowerCase() : "commentable",
+    });
+
+    if (!methodName) break;
+
+    const relationship = {
+      type: relType.value,
+      model: relatedModel,
+      method: methodName,
+    };
+
+    const details = await pickRelationshipDetails(modelName, relationship);
+    if (!details) break;
+    Object.assign(relationship, details);
+
+    const related = models.find((model) => model.name === relatedModel);
+    if (related && INVERSE_TYPES[relationship.type]) {
+      const inverse = getInverseRelationship(modelName, relationship);
+      const exists = related.relationships.some(
+        (candidate) => candidate.method === inverse.method
+      );
+
+      if (!exists) {
+        const addInverse = await vscode.window.showQuickPick(
+          [
+            { label: "Yes", value: true },
+            { label: "No", value: false },
+          ],
+          {
+            placeHolder: `Add ${inverse.type} ${inverse.method}() to ${relatedModel}?`,
+          }
+        );
+
+        if (!addInverse) break;
+        if (addInverse.value) {
+          relationship.inverse = inverse;
+        }
+      }
+    }
+
+    relationships.push(relationship);
+
+    const another = await vscode.window.showQuickPick(
+      [
+        { label: "Yes", value: true },
+        { label: "No", value: false },
+      ],
+      { placeHolder: "Add another relationship?" }
+    );
+
+    addMore = another?.value ?? false;
+  }
+
+  return relationships;
+}
+
+/**
+ * Keys, pivot table or morph name of a relationship
+ *
+ * @returns {Promise<object|undefined>} Properties to add to the
+ *   relationship, undefined when cancelled
+ */
+async function pickRelationshipDetails(modelName, relationship) {
+  const { type, model, method } = relationship;
+
+  if (["hasOne", "hasMany", "belongsTo"].includes(type)) {
+    const foreignKey =
+      type === "belongsTo"
+        ? `${toSnakeCase(method)}_id`
+        : `${toSnakeCase(modelName)}_id`;
+
+    const keys = await vscode.window.showQuickPick(
+      [
+        { label: "Conventional keys", description: `${foreignKey} → id` },
+        { label: "Custom keys...", custom: true },
+      ],
+      { placeHolder: `Keys of ${method}()` }
+    );
+
+    if (!keys) return undefined;
+    if (!keys.custom) return {};
+
+    const validateKey = (value) =>
+      /^[a-z_][a-z0-9_]*$/.test(value || "")
+        ? null
+        : "Column names are snake_case";
+
+    const customForeignKey = await showInputBox({
+      prompt: `Foreign key on the ${
+        type === "belongsTo" ? modelName : model
+      } table`,
+      value: foreignKey,
+      validateInput: validateKey,
+    });
+    if (!customForeignKey) return undefined;
+
+    const localKey = await showInputBox({
+      prompt:
+        type === "belongsTo"
+          ? `Owner key on the ${model} table`
+          : `Local key on the ${modelName} table`,
+      value: "id",
+      validateInput: validateKey,
+    });
+    if (!localKey) return undefined;
+
+    return localKey === "id"
+      ? { foreignKey: customForeignKey }
+      : { foreignKey: customForeignKey, localKey };
+  }
+
+  if (type === "belongsToMany") {
+    // user_user would hold two user_id columns, e.g. user_friends instead
+    const selfReferencing = model === modelName;
+    const table = selfReferencing
+      ? `${toSnakeCase(modelName)}_${toSnakeCase(method)}`
+      : [toSnakeCase(modelName), toSnakeCase(model)].sort().join("_");
+
+    const migration = await vscode.window.showQuickPick(
+      [
+        {
+          label: "Create pivot table migration",
+          description: table,
+          create: true,
+        },
+        { label: "Use an existing pivot table" },
+      ],
+      { placeHolder: `Pivot table of ${method}()` }
+    );
+
+    if (!migration) return undefined;
+
+    const pivotTable = await showInputBox({
+      prompt: "Pivot table name",
+      value: table,
+      validateInput: (value) =>
+        /^[a-z][a-z0-9_]*$/.test(value || "")
+          ? null
+          : "Table names are snake_case",
+    });
+    if (!pivotTable) return undefined;
+
+    const keys = selfReferencing ? await pickPivotKeys(modelName, method) : {};
+    if (!keys) return undefined;
+
+    if (!migration.create) {
+      return {
+        pivot: {
+          table: pivotTable,
+          fields: [],
+          timestamps: false,
+          existing: true,
+          ...keys,
+        },
+      };
+    }
+
+    const columns = await showInputBox({
+      prompt:
+        "Extra pivot columns (optional, e.g., role:string, expires_at:timestamp:nullable)",
+      validateInput: (value) => validateFieldDefinitions(value),
+    });
+    if (columns === undefined) return undefined;
+
+    const timestamps = await vscode.window.showQuickPick(
+      [
+        {
+          label: "With timestamps",
+          description: "withTimestamps()",
+          value: true,
+        },
+        { label: "Without timestamps", value: false },
+      ],
+      { placeHolder: "Pivot timestamps" }
+    );
+    if (!timestamps) return undefined;
+
+    return {
+      pivot: {
+        table: pivotTable,
+        fields: parseFieldDefinitions(columns).fields,
+        timestamps: timestamps.value,
+        ...keys,
+      },
+    };
+  }
+
+  if (type === "morphMany") {
+    const morphName = await showInputBox({
+      prompt: `Morph name (${model} gets <name>_id and <name>_type)`,
+      value: `${toSnakeCase(model)}able`,
+      validateInput: (value) =>
+        /^[a-z][a-z0-9_]*$/.test(value || "")
+          ? null
+          : "Morph names are snake_case",
+    });
+    if (!morphName) return undefined;
+
+    return { morphName };
+  }
+
+  return {};
+}
+
+/**
+ * Distinct pivot columns for a model related to itself
+ *
+ * @returns {Promise<{foreignPivotKey: string, relatedPivotKey: string}|undefined>}
+ */
+async function pickPivotKeys(modelName, method) {
+  const validateKey = (value) =>
+    /^[a-z_][a-z0-9_]*$/.test(value || "")
+      ? null
+      : "Column names are snake_case";
+
+  const foreignPivotKey = await showInputBox({
+    prompt: `Pivot column of the ${modelName} owning ${method}()`,
+    value: `${toSnakeCase(modelName)}_id`,
+    validateInput: validateKey,
+  });
+  if (!foreignPivotKey) return undefined;
+
+  const relatedPivotKey = await showInputBox({
+    prompt: `Pivot column of the related ${modelName}`,
+    value: `${toSnakeCase(method).replace(/s$/, "")}_id`,
+    validateInput: (value) =>
+      value === foreignPivotKey
+        ? `Use a different column than ${foreignPivotKey}`
+        : validateKey(value),
+  });
+  if (!relatedPivotKey) return undefined;
+
+  return { foreignPivotKey, relatedPivotKey };
+}
+
+/**
+ * Relationship of the related model pointing back at the model
+ */
+function getInverseRelationship(modelName, relationship) {
+  const { type, foreignKey, localKey } = relationship;
+  const keys = localKey ? { foreignKey, localKey } : {};
+
+  if (type === "hasOne" || type === "hasMany") {
+    return {
+      type: "belongsTo",
+      model: modelName,
+      method: toCamelCase(toSnakeCase(modelName)),
+      ...(foreignKey ? { foreignKey } : {}),
+      ...keys,
+    };
+  }
+
+  if (type === "belongsTo") {
+    // hasMany defaults to <related>_id, belongsTo to <method>_id
+    const column = foreignKey || `${toSnakeCase(relationship.method)}_id`;
+    return {
+      type: "hasMany",
+      model: modelName,
+      method: toCamelCase(pluralize(toSnakeCase(modelName))),
+      ...(column !== `${toSnakeCase(relationship.model)}_id`
+        ? { foreignKey: column }
+        : {}),
+      ...keys,
+    };
+  }
+
+  if (type === "belongsToMany") {
+    const { pivot } = relationship;
+    // Seen from the other side, the pivot columns swap roles
+    const inversePivot =
+      pivot && pivot.foreignPivotKey
+        ? {
+            ...pivot,
+            foreignPivotKey: pivot.relatedPivotKey,
+            relatedPivotKey: pivot.foreignPivotKey,
+          }
+        : pivot;
+
+    return {
+      type: "belongsToMany",
+      model: modelName,
+      method: toCamelCase(pluralize(toSnakeCase(modelName))),
+      ...(inversePivot ? { pivot: inversePivot } : {}),
+    };
+  }
+
+  return { type: "morphTo", model: null, method: relationship.morphName };
+}
+
+/**
+ * Writes what the relationships need outside the model file: pivot table
+ * migrations, morph columns on existing related tables and inverse methods
+ *
+ * @param {string} rootPath
+ * @param {{name: string, subdirectory: string, uuid: boolean, table?: string, primaryKey?: {name: string, type: string}}} model
+ *   table and primaryKey come from the model properties step
+ * @param {object[]} relationships From defineRelationships()
+ * @param {() => string} nextTimestamp Migration timestamps in run order
+ */
+function writeRelationshipScaffolding(
+  rootPath,
+  model,
+  relationships,
+  nextTimestamp
+) {
+  const schema = readMigrationSchema(rootPath);
+  const models = findModelFiles(rootPath)
+    .map((filePath) => inspectModel(filePath, rootPath))
+    .filter(Boolean);
+  const owner = {
+    table: model.table || pluralize(toSnakeCase(model.name)),
+    primaryKey: model.primaryKey || {
+      name: "id",
+      type: model.uuid ? "uuid" : "int",
+    },
+  };
+
+  for (const relationship of relationships) {
+    const related = models.find(
+      (candidate) => candidate.name === relationship.model
+    );
+    const relatedOwner =
+      relationship.model === model.name
+        ? owner
+        : {
+            table:
+              (related && related.table) ||
+              pluralize(toSnakeCase(relationship.model || "")),
+            primaryKey: related
+              ? related.primaryKey
+              : { name: "id", type: "int" },
+          };
+
+    const { pivot } = relationship;
+    if (pivot && !pivot.existing && !schema.has(pivot.table)) {
+      writePivotMigration(
+        rootPath,
+        model,
+        relationship,
+        [owner, relatedOwner],
+        nextTimestamp()
+      );
+    }
+
+    if (relationship.type === "morphMany") {
+      const { table } = relatedOwner;
+      const columns = schema.get(table);
+      if (
+        columns &&
+        !columns.some((field) => field.name === `${relationship.morphName}_id`)
+      ) {
+        writeMorphColumnsMigration(
+          rootPath,
+          table,
+          relationship.morphName,
+          nextTimestamp()
+        );
+      }
+    }
+
+    if (relationship.inverse && related) {
+      addInverseRelationship(model, related, relationship.inverse);
+    }
+  }
+}
+
+/**
+ * @param {Array<{table: string, primaryKey: {name: string, type: string}}>} owners
+ *   Table and key of the model, then of the related model
+ */
+function writePivotMigration(rootPath, model, relationship, owners, timestamp) {
+  const { table, fields, timestamps } = relationship.pivot;
+  const keys = [
+    {
+      name:
+        relationship.pivot.foreignPivotKey || `${toSnakeCase(model.name)}_id`,
+      ...owners[0],
+    },
+    {
+      name:
+        relationship.pivot.relatedPivotKey ||
+        `${toSnakeCase(relationship.model)}_id`,
+      ...owners[1],
+    },
+  ];
+
+  const columns = [
+    ...keys.flatMap((key) => getPivotKeyColumns(key)),
+    ...fields.map((field) => getColumnDefinition(field)),
+    ...(timestamps ? ["$table->timestamps();"] : []),
+    `$table->primary([${keys.map((key) => `'${key.name}'`).join(", ")}]);`,
+  ];
+
+  const content = `<?php
+
+use Illuminate\\Database\\Migrations\\Migration;
+use Illuminate\\Database\\Schema\\Blueprint;
+use Illuminate\\Support\\Facades\\Schema;
+
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        Schema::create('${table}', function (Blueprint $table) {
+${columns.map((column) => `            ${column}`).join("\n")}
+        });
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::dropIfExists('${table}');
+    }
+};
+`;
+
+  writeFile(
+    path.join(
+      rootPath,
+      "database",
+      "migrations",
+      `${timestamp}_create_${table}_table.php`
+    ),
+    renderTemplate("advanced.migration.pivot", content, {
+      table,
+      tableName: table,
+      fields,
+      timestamps,
+      model: model.name,
+      related: relationship.model,
+    })
+  );
+}
+
+/**
+ * Pivot column referencing a model's key, with the foreign key on its real
+ * table
+ */
+function getPivotKeyColumns({ name, table, primaryKey }) {
+  if (primaryKey.type === "string") {
+    return [
+      `$table->string('${name}');`,
+      `$table->foreign('${name}')->references('${primaryKey.name}')` +
+        `->on('${table}')->cascadeOnDelete();`,
+    ];
+  }
+
+  // constrained() alone guesses the table from the column and the key id
+  let args = [];
+  if (primaryKey.name !== "id") {
+    args = [`'${table}'`, `'${primaryKey.name}'`];
+  } else if (table !== pluralize(name.replace(/_id$/, ""))) {
+    args = [`'${table}'`];
+  }
+
+  const method = primaryKey.type === "uuid" ? "foreignUuid" : "foreignId";
+  return [
+    `$table->${method}('${name}')->constrained(${args.join(", ")})` +
+      "->cascadeOnDelete();",
+  ];
+}
+
+/**
+ * Adds <name>_id and <name>_type to the table of a morphMany's related
+ * model
+ */
+function writeMorphColumnsMigration(rootPath, table, morphName, timestamp) {
+  const content = `<?php
+
+use Illuminate\\Database\\Migrations\\Migration;
+use Illuminate\\Database\\Schema\\Blueprint;
+use Illuminate\\Support\\Facades\\Schema;
+
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        Schema::table('${table}', function (Blueprint $table) {
+            $table->morphs('${morphName}');
+        });
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::table('${table}', function (Blueprint $table) {
+            $table->dropMorphs('${morphName}');
+        });
+    }
+};
+`;
+
+  writeFile(
+    path.join(
+      rootPath,
+      "database",
+      "migrations",
+      `${timestamp}_add_${morphName}_to_${table}_table.php`
+    ),
+    renderTemplate("advanced.migration.update", content, {
+      table,
+      tableName: table,
+      morphName,
+    })
+  );
+}
+
+/**
+ * Appends the inverse method to the related model, importing the model
+ * when it lives in another namespace
+ */
+function addInverseRelationship(model, related, inverse) {
+  const source = readFile(related.filePath);
+  const classEnd = source.lastIndexOf("}");
+  if (
+    classEnd === -1 ||
+    new RegExp(`function\\s+${inverse.method}\\s*\\(`).test(source)
+  ) {
+    return;
+  }
+
+  let content = `${source
+    .slice(0, classEnd)
+    .trimEnd()}\n${generateRelationshipMethod(inverse)}\n}\n`;
+
+  const subdirectory = model.subdirectory || "";
+  if (inverse.model && related.subdirectory !== subdirectory) {
+    content = addUseStatements(content, [
+      ["App", "Models", ...subdirectory.split("/"), model.name]
+        .filter(Boolean)
+        .join("\\"),
+    ]);
+  }
+
+  writeFile(related.filePath, content);
+}
+
+module.exports = {
+  defineRelationships,
+  writeRelationshipScaffolding,
+};
@@ -8,8 +8,15 @@ const {
   toPascalCase,
   toKebabCase,
   toSnakeCase,
-  ensureDirectoryExists,
 } = require("../utils/helpers");
+const { renderTemplate } = require("../utils/templates");
+const {
+  runGeneration,
+  writeFile,
+  readFile,
+  fileExists,
+  ensureDirectoryExists,
+} = require("../utils/changePlan");
 
 /**
  * Sistema completo de gestión de rutas modulares
@@ -91,47 +98,51 @@ async function generateRouteFile() {
   if (!options) return;
 
   try {
-    await vscode.window.withProgress(
-      {
-        location: vscode.ProgressLocation.Notification,
-        title: `Generating routes for ${moduleName}`,
-        cancellable: false,
-      },
-      async (progress) => {
-        progress.report({ increment: 30, message: "Creando estructura..." });
-
-        // Create route file
-        const routeFilePath = await createRouteFile(
-          moduleName,
-          selectedRouteType,
-          controllerName,
-          selectedRoutes,
-          options
-        );
-
-        progress.report({
-          increment: 40,
-          message: "Registrando en RouteServiceProvider...",
-        });
-
-        // Actualizar RouteServiceProvider
-        await updateRouteServiceProvider(
-          moduleName,
-          selectedRouteType,
-          routeFilePath
-        );
-
-        // Add require to web.php or api.php
-        await addRequireToMainRouteFile(
-          moduleName,
-          selectedRouteType,
-          routeFilePath
-        );
-
-        progress.report({ increment: 30, message: "Finalizando..." });
-      }
+    const applied = await runGeneration(`${moduleName} routes`, () =>
+      vscode.window.withProgress(
+        {
+          location: vscode.ProgressLocation.Notification,
+          title: `Generating routes for ${moduleName}`,
+          cancellable: false,
+        },
+        async (progress) => {
+          progress.report({ increment: 30, message: "Creando estructura..." });
+
+          // Create route file
+          const routeFilePath = await createRouteFile(
+            moduleName,
+            selectedRouteType,
+            controllerName,
+            selectedRoutes,
+            options
+          );
+
+          progress.report({
+            increment: 40,
+            message: "Registrando en RouteServiceProvider...",
+          });
+
+          // Actualizar RouteServiceProvider
+          await updateRouteServiceProvider(
+            moduleName,
+            selectedRouteType,
+            routeFilePath
+          );
+
+          // Add require to web.php or api.php
+          await addRequireToMainRouteFile(
+            moduleName,
+            selectedRouteType,
+            routeFilePath
+          );
+
+          progress.report({ increment: 30, message: "Finalizando..." });
+        }
+      )
     );
 
+    if (!applied) return;
+
     vscode.window.showInformationMessage(
       `✅ Route file ${moduleName} created successfully`
     );
@@ -407,7 +418,17 @@ async function createRouteFile(
     options
   );
 
-  fs.writeFileSync(filePath, content);
+  writeFile(
+    filePath,
+    renderTemplate("routes.routes.module", content, {
+      moduleName,
+      routeType,
+      controllerName,
+      routes: selectedRoutes.map((route) => route.value),
+      prefix: options.prefix,
+      middleware: options.middleware,
+    })
+  );
 
   return path.relative(rootPath, filePath);
 }
@@ -621,12 +642,12 @@ async function updateRouteServiceProvider(
     "RouteServiceProvider.php"
   );
 
-  if (!fs.existsSync(providerPath)) {
+  if (!fileExists(providerPath)) {
     // Crear RouteServiceProvider si no existe
     await createRouteServiceProvider();
   }
 
-  let content = fs.readFileSync(providerPath, "utf8");
+  let content = readFile(providerPath);
 
   // Verificar si ya está incluido
   if (content.includes(routeFilePath)) {
@@ -657,7 +678,7 @@ async function updateRouteServiceProvider(
     `$1${comment}${includeStatement.trim()}\n`
   );
 
-  fs.writeFileSync(providerPath, content);
+  writeFile(providerPath, content);
 }
 
 /**
@@ -677,7 +698,7 @@ async function addRequireToMainRouteFile(moduleName, routeType, routeFilePath) {
 
   const mainFilePath = path.join(routesPath, mainFileName);
 
-  if (!fs.existsSync(mainFilePath)) {
+  if (!fileExists(mainFilePath)) {
     return;
   }
 
@@ -687,7 +708,7 @@ async function addRequireToMainRouteFile(moduleName, routeType, routeFilePath) {
     .replace(/\\/g, "/");
   const requireStatement = `require __DIR__.'/${relativePath}';\n`;
 
-  let content = fs.readFileSync(mainFilePath, "utf8");
+  let content = readFile(mainFilePath);
 
   // Check if already exists
   if (content.includes(requireStatement.trim())) {
@@ -698,7 +719,7 @@ async function addRequireToMainRouteFile(moduleName, routeType, routeFilePath) {
   const comment = `\n// ${toPascalCase(moduleName)} module routes\n`;
   content = content.trimEnd() + `\n${comment}${requireStatement}`;
 
-  fs.writeFileSync(mainFilePath, content);
+  writeFile(mainFilePath, content);
 }
 
 /**
@@ -795,8 +816,16 @@ class RouteServiceProvider extends ServiceProvider
 }
 `;
 
-  ensureDirectoryExists(path.dirname(providerPath));
-  fs.writeFileSync(providerPath, content);
+  await runGeneration("RouteServiceProvider", async () => {
+    ensureDirectoryExists(path.dirname(providerPath));
+    writeFile(
+      providerPath,
+      renderTemplate("routes.provider.route", content, {
+        class: "RouteServiceProvider",
+        namespace: "App\\Providers",
+      })
+    );
+  });
 }
 
 /**
@@ -882,26 +911,30 @@ async function generateResourceRoutes() {
   const options = { prefix: "", middleware: [], namespace: "", name: "" };
 
   try {
-    const routeFilePath = await createRouteFile(
-      moduleName,
-      selectedResourceType,
-      controllerName,
-      allRoutes,
-      options
-    );
-
-    await updateRouteServiceProvider(
-      moduleName,
-      selectedResourceType,
-      routeFilePath
-    );
-
-    // Add require to web.php or api.php
-    await addRequireToMainRouteFile(
-      moduleName,
-      selectedResourceType,
-      routeFilePath
-    );
+    const applied = await runGeneration(`${moduleName} routes`, async () => {
+      const routeFilePath = await createRouteFile(
+        moduleName,
+        selectedResourceType,
+        controllerName,
+        allRoutes,
+        options
+      );
+
+      await updateRouteServiceProvider(
+        moduleName,
+        selectedResourceType,
+        routeFilePath
+      );
+
+      // Add require to web.php or api.php
+      await addRequireToMainRouteFile(
+        moduleName,
+        selectedResourceType,
+        routeFilePath
+      );
+    });
+
+    if (!applied) return;
 
     vscode.window.showInformationMessage(
       `✅ Resource routes for ${moduleName} created successfully`
@@ -0,0 +1,514 @@
+const path = require("path");
+const vscode = require("vscode");
+const {
+  getLaravelRootPath,
+  showInputBox,
+  toSnakeCase,
+  pluralize,
+} = require("../utils/helpers");
+const { renderTemplate } = require("../utils/templates");
+const {
+  runGeneration,
+  writeFile,
+  readFile,
+  fileExists,
+} = require("../utils/changePlan");
+const {
+  findModelFiles,
+  inspectModel,
+  getModelClass,
+} = require("../utils/modelInspector");
+const { readMigrationSchema } = require("../utils/migrationSchema");
+
+// Relationships a seeder can fan out to, with the factory method creating them
+const FAN_OUT = {
+  hasMany: "has",
+  hasOne: "has",
+  morphMany: "has",
+  morphOne: "has",
+  belongsToMany: "hasAttached",
+};
+
+/**
+ * Generate Seeder
+ *
+ * Writes a seeder for a model, either from its factory (a record count and
+ * related records per record, e.g. 10 users with 5 posts each) or from a
+ * CSV/JSON fixture in database/seeders/data, and calls it from
+ * DatabaseSeeder::run() after the seeders of the models it belongs to.
+ *
+ * @param {{modelName?: string}} options Model to preselect
+ */
+async function generateSeeder(options = {}) {
+  const rootPath = getLaravelRootPath();
+  const models = findModelFiles(rootPath)
+    .map((filePath) => inspectModel(filePath, rootPath))
+    .filter(Boolean);
+
+  if (models.length === 0) {
+    vscode.window.showWarningMessage("No models found in app/Models");
+    return;
+  }
+
+  const model =
+    models.find((candidate) => candidate.name === options.modelName) ||
+    (await pickModel(models));
+  if (!model) return;
+
+  const source = await vscode.window.showQuickPick(
+    [
+      {
+        label: "Factory",
+        description: `${model.name}::factory()->count(...)`,
+        value: "factory",
+      },
+      {
+        label: "JSON fixture",
+        description: "database/seeders/data/*.json",
+        value: "json",
+      },
+      {
+        label: "CSV fixture",
+        description: "database/seeders/data/*.csv, header row first",
+        value: "csv",
+      },
+    ],
+    { placeHolder: `Seed ${model.name} from` }
+  );
+
+  if (!source) return;
+
+  const classes = new Map(
+    models.map((candidate) => [candidate.name, getModelClass(candidate)])
+  );
+  const seed = {
+    modelClass: getModelClass(model),
+    source: source.value,
+    count: null,
+    fanOut: [],
+    fixture: null,
+  };
+
+  if (seed.source === "factory") {
+    const count = await promptCount(`Number of ${model.name} records`, "10");
+    if (!count) return;
+    seed.count = count;
+
+    const fanOut = await pickFanOut(model, classes);
+    if (!fanOut) return;
+    seed.fanOut = fanOut;
+  } else {
+    const table = pluralize(toSnakeCase(model.name));
+    seed.fixture = await showInputBox({
+      prompt: "Fixture file in database/seeders/data",
+      value: `${table}.${seed.source}`,
+      validateInput: (value) =>
+        new RegExp(`^[\\w./-]+\\.${seed.source}$`).test(value || "")
+          ? null
+          : `File name must end with .${seed.source}`,
+    });
+    if (!seed.fixture) return;
+  }
+
+  const seederName = `${model.name}Seeder`;
+
+  try {
+    let registered = false;
+
+    const applied = await runGeneration(seederName, async () => {
+      writeSeeder(rootPath, seederName, seed);
+
+      if (seed.fixture) {
+        writeFixture(rootPath, model, seed);
+      }
+
+      registered = registerSeeder(
+        rootPath,
+        seederName,
+        getSeederDependencies(rootPath, model.name, model.relationships)
+      );
+    });
+
+    if (!applied) return;
+
+    vscode.window.showInformationMessage(
+      registered
+        ? `✅ ${seederName} created and called from DatabaseSeeder`
+        : `✅ ${seederName} created successfully`
+    );
+
+    const missing =
+      seed.source === "factory"
+        ? [seed.modelClass, ...seed.fanOut.map((entry) => entry.modelClass)]
+            .filter((modelClass) => !hasFactory(rootPath, modelClass))
+            .map((modelClass) => modelClass.split("\\").pop())
+        : [];
+    if (missing.length) {
+      vscode.window.showWarningMessage(
+        `No factory found for ${missing.join(", ")}: ` +
+          "create it with Generate Factory before seeding"
+      );
+    }
+  } catch (error) {
+    vscode.window.showErrorMessage(`❌ Error: ${error.message}`);
+  }
+}
+
+async function pickModel(models) {
+  const picked = await vscode.window.showQuickPick(
+    models.map((model) => ({
+      label: model.name,
+      description: model.subdirectory,
+      model,
+    })),
+    { placeHolder: "Model to seed" }
+  );
+
+  return picked && picked.model;
+}
+
+async function promptCount(prompt, value) {
+  const count = await showInputBox({
+    prompt,
+    value,
+    validateInput: (input) =>
+      /^[1-9]\d*$/.test(input || "") ? null : "Must be a positive number",
+  });
+
+  return count ? parseInt(count, 10) : undefined;
+}
+
+/**
+ * Related records created for every record, e.g. 5 posts per user
+ *
+ * @returns {Promise<Array<object>|undefined>} {method, type, model,
+ *   modelClass, count}; undefined when cancelled
+ */
+async function pickFanOut(model, classes) {
+  const relationships = model.relationships.filter(
+    (relationship) => FAN_OUT[relationship.type] && relationship.related
+  );
+  if (relationships.length === 0) {
+    return [];
+  }
+
+  const picked = await vscode.window.showQuickPick(
+    relationships.map((relationship) => ({
+      label: relationship.method,
+      description: `${relationship.type} ${relationship.related}`,
+      relationship,
+    })),
+    {
+      placeHolder: `Related records to create per ${model.name} (optional)`,
+      canPickMany: true,
+    }
+  );
+
+  if (!picked) return undefined;
+
+  const fanOut = [];
+  for (const { relationship } of picked) {
+    const single = ["hasOne", "morphOne"].includes(relationship.type);
+    const count = single
+      ? 1
+      : await promptCount(
+          `${relationship.method} per ${model.name}, e.g. 5`,
+          "3"
+        );
+    if (!count) return undefined;
+
+    fanOut.push({
+      method: relationship.method,
+      type: relationship.type,
+      model: relationship.related,
+      modelClass:
+        classes.get(relationship.related) ||
+        `App\\Models\\${relationship.related}`,
+      count,
+    });
+  }
+
+  return fanOut;
+}
+
+/**
+ * Writes database/seeders/<Model>Seeder.php
+ *
+ * @param {string} rootPath
+ * @param {string} seederName
+ * @param {{modelClass: string, source: string, count?: number, fanOut?: object[], fixture?: string}} seed
+ */
+function writeSeeder(rootPath, seederName, seed) {
+  writeFile(
+    path.join(rootPath, "database", "seeders", `${seederName}.php`),
+    renderTemplate("seeder.seeder", generateSeederContent(seederName, seed), {
+      class: seederName,
+      namespace: "Database\\Seeders",
+      model: seed.modelClass.split("\\").pop(),
+      namespacedModel: seed.modelClass,
+      ...seed,
+    })
+  );
+}
+
+function generateSeederContent(seederName, seed) {
+  const model = seed.modelClass.split("\\").pop();
+  const imports = [seed.modelClass, "Illuminate\\Database\\Seeder"];
+  let body;
+
+  if (seed.source === "factory") {
+    const fanOut = seed.fanOut || [];
+    fanOut.forEach((entry) => imports.push(entry.modelClass));
+
+    body = fanOut.length
+      ? `        ${model}::factory()
+            ->count(${seed.count})
+${fanOut
+  .map((entry) => {
+    const related = entry.modelClass.split("\\").pop();
+    const factory =
+      entry.count > 1
+        ? `${related}::factory()->count(${entry.count})`
+        : `${related}::factory()`;
+    return FAN_OUT[entry.type] === "hasAttached"
+      ? `            ->hasAttached(${factory}, [], '${entry.method}')`
+      : `            ->has(${factory}, '${entry.method}')`;
+  })
+  .join("\n")}
+            ->create();`
+      : `        ${model}::factory()->count(${seed.count})->create();`;
+  } else if (seed.source === "json") {
+    imports.push("Illuminate\\Support\\Facades\\File");
+    body = `        $records = json_decode(
+            File::get(database_path('seeders/data/${seed.fixture}')),
+            true
+        );
+
+        foreach ($records as $record) {
+            ${model}::create($record);
+        }`;
+  } else {
+    body = `        $rows = array_map('str_getcsv', file(
+            database_path('seeders/data/${seed.fixture}'),
+            FILE_IGNORE_NEW_LINES | FILE_SKIP_EMPTY_LINES
+        ));
+        $header = array_shift($rows);
+
+        foreach ($rows as $row) {
+            ${model}::create(array_combine($header, $row));
+        }`;
+  }
+
+  return `<?php
+
+namespace Database\\Seeders;
+
+${[...new Set(imports)]
+  .sort()
+  .map((className) => `use ${className};`)
+  .join("\n")}
+
+class ${seederName} extends Seeder
+{
+    /**
+     * Run the database seeds.
+     */
+    public function run(): void
+    {
+${body}
+    }
+}
+`;
+}
+
+/**
+ * Creates the fixture with the model's columns when it does not exist: a
+ * CSV header row, or a JSON array with one empty record
+ */
+function writeFixture(rootPath, model, seed) {
+  const fixturePath = path.join(
+    rootPath,
+    "database",
+    "seeders",
+    "data",
+    ...seed.fixture.split("/")
+  );
+  if (fileExists(fixturePath)) {
+    return;
+  }
+
+  const table = pluralize(toSnakeCase(model.name));
+  const schema = readMigrationSchema(rootPath).get(table);
+  const columns = schema
+    ? schema.map((field) => field.name)
+    : model.fillable.map((attribute) => attribute.name);
+
+  writeFile(
+    fixturePath,
+    seed.source === "csv"
+      ? `${columns.join(",")}\n`
+      : `${JSON.stringify(
+          [Object.fromEntries(columns.map((column) => [column, null]))],
+          null,
+          4
+        )}\n`
+  );
+}
+
+/**
+ * Seeders that must run before (models this one belongs to) and after
+ * (models belonging to it) the model's seeder
+ *
+ * @param {string} rootPath
+ * @param {string} modelName
+ * @param {Array<{type: string, related?: string, model?: string}>} relationships
+ *   Of the model, from the inspector or fields.js
+ * @returns {{parents: string[], children: string[]}} Seeder class names
+ */
+function getSeederDependencies(rootPath, modelName, relationships) {
+  const relatedName = (relationship) =>
+    (relationship.related || relationship.model || "").split("\\").pop();
+
+  const parents = relationships
+    .filter((relationship) => relationship.type === "belongsTo")
+    .map((relationship) => `${relatedName(relationship)}Seeder`);
+
+  const children = findModelFiles(rootPath)
+    .map((filePath) => inspectModel(filePath, rootPath))
+    .filter(
+      (model) =>
+        model &&
+        model.name !== modelName &&
+        model.relationships.some(
+          (relationship) =>
+            relationship.type === "belongsTo" &&
+            relationship.related === modelName
+        )
+    )
+    .map((model) => `${model.name}Seeder`);
+
+  return { parents, children };
+}
+
+/**
+ * Calls a seeder from DatabaseSeeder::run(), after the seeders of its
+ * parents and before those of its children. Both `$this->call([...])`
+ * and one `$this->call(X::class)` per seeder are supported.
+ *
+ * @param {string} rootPath
+ * @param {string} seederName
+ * @param {{parents: string[], children: string[]}} dependencies
+ * @returns {boolean} Whether DatabaseSeeder was changed
+ */
+function registerSeeder(rootPath, seederName, dependencies) {
+  const seederPath = path.join(
+    rootPath,
+    "database",
+    "seeders",
+    "DatabaseSeeder.php"
+  );
+  if (!fileExists(seederPath)) {
+    return false;
+  }
+
+  const source = readFile(seederPath);
+  const run = source.match(/public function run\(\)[^{]*\{/);
+  if (!run || new RegExp(`\\b${seederName}::class`).test(source)) {
+    return false;
+  }
+
+  const bodyStart = run.index + run[0].length;
+  const bodyEnd = source.indexOf("\n    }", bodyStart);
+  const body = source.slice(bodyStart, bodyEnd);
+
+  const position = (calls) => {
+    const parent = calls.reduce(
+      (last, call, index) =>
+        dependencies.parents.includes(call) ? index : last,
+      -1
+    );
+    if (parent !== -1) return parent + 1;
+
+    const child = calls.findIndex((call) =>
+      dependencies.children.includes(call)
+    );
+    return child !== -1 ? child : calls.length;
+  };
+
+  const list = body.match(/\$this->call\(\s*\[([\s\S]*?)\]\s*\);/);
+  let updated;
+
+  if (list) {
+    const entries = list[1]
+      .split(",")
+      .map((entry) => entry.trim())
+      .filter(Boolean);
+    const calls = entries.map((entry) =>
+      entry.replace(/::class$/, "").split("\\").pop()
+    );
+    entries.splice(position(calls), 0, `${seederName}::class`);
+
+    updated = body.replace(
+      list[0],
+      () =>
+        `$this->call([\n${entries
+          .map((entry) => `            ${entry},`)
+          .join("\n")}\n        ]);`
+    );
+  } else {
+    const statements = [
+      ...body.matchAll(/^[ \t]*\$this->call\(\s*([\w\\]+)::class\s*\);/gm),
+    ];
+    const calls = statements.map((match) => match[1].split("\\").pop());
+    const index = position(calls);
+    const statement = `        $this->call(${seederName}::class);`;
+
+    if (statements.length === 0) {
+      // An empty run() only holds the "//" placeholder, which is replaced
+      updated = /^\s*\/\/\s*$/.test(body)
+        ? `\n${statement}`
+        : `${body}\n${statement}`;
+    } else if (index < statements.length) {
+      const before = statements[index];
+      updated = `${body.slice(0, before.index)}${statement}\n${body.slice(
+        before.index
+      )}`;
+    } else {
+      const last = statements[statements.length - 1];
+      const end = last.index + last[0].length;
+      updated = `${body.slice(0, end)}\n${statement}${body.slice(end)}`;
+    }
+  }
+
+  writeFile(
+    seederPath,
+    source.slice(0, bodyStart) + updated + source.slice(bodyEnd)
+  );
+  return true;
+}
+
+/**
+ * Whether database/factories has the factory Laravel resolves for a model
+ * (App\Models\Admin\Report -> Database\Factories\Admin\ReportFactory)
+ */
+function hasFactory(rootPath, modelClass) {
+  const segments = modelClass.replace(/^App\\Models\\/, "").split("\\");
+  const name = segments.pop();
+
+  return fileExists(
+    path.join(
+      rootPath,
+      "database",
+      "factories",
+      ...segments,
+      `${name}Factory.php`
+    )
+  );
+}
+
+module.exports = {
+  generateSeeder,
+  writeSeeder,
+  registerSeeder,
+  getSeederDependencies,
+};
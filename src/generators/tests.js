@@ -1,4 +1,3 @@
-const fs = require("fs");
 const path = require("path");
 const vscode = require("vscode");
 const {
@@ -7,16 +6,27 @@ const {
   showQuickPick,
   toPascalCase,
   toSnakeCase,
-  ensureDirectoryExists,
 } = require("../utils/helpers");
+const {
+  renderTemplate,
+  buildTemplateVariables,
+} = require("../utils/templates");
+const {
+  runGeneration,
+  writeFile,
+  ensureDirectoryExists,
+} = require("../utils/changePlan");
 
 /**
  * Generate Test File
+ *
+ * @param {{modelName?: string}} options Test name to prefill
  */
-async function generateTest() {
+async function generateTest(options = {}) {
   const testName = await showInputBox({
     prompt: "Test class name (PascalCase, without 'Test' suffix)",
     placeHolder: "User, Product, OrderController",
+    value: options.modelName,
     validateInput: (value) => {
       if (!value) return "Test name is required";
       if (!/^[A-Z][a-zA-Z0-9]*$/.test(value)) {
@@ -71,7 +81,21 @@ async function generateTest() {
     const content = generateTestContent(testName, selectedType);
     const filePath = path.join(testPath, `${testName}Test.php`);
 
-    fs.writeFileSync(filePath, content);
+    const applied = await runGeneration(`${testName}Test`, async () => {
+      writeFile(
+        filePath,
+        renderTemplate(
+          `tests.test.${selectedType}`,
+          content,
+          buildTemplateVariables(testName, [], {
+            class: `${testName}Test`,
+            namespace: selectedType === "unit" ? "Tests\\Unit" : "Tests\\Feature",
+          })
+        )
+      );
+    });
+
+    if (!applied) return;
 
     vscode.window.showInformationMessage(
       `✅ Test ${testName}Test created successfully`
@@ -448,7 +472,21 @@ async function generateService() {
     const content = generateServiceContent(serviceName, selectedType);
     const filePath = path.join(servicesPath, `${serviceName}Service.php`);
 
-    fs.writeFileSync(filePath, content);
+    const applied = await runGeneration(`${serviceName}Service`, async () => {
+      writeFile(
+        filePath,
+        renderTemplate(
+          `services.service.${selectedType}`,
+          content,
+          buildTemplateVariables(serviceName, [], {
+            class: `${serviceName}Service`,
+            namespace: "App\\Services",
+          })
+        )
+      );
+    });
+
+    if (!applied) return;
 
     vscode.window.showInformationMessage(
       `✅ Service ${serviceName}Service created successfully`
@@ -1,4 +1,3 @@
-const fs = require("fs");
 const path = require("path");
 const vscode = require("vscode");
 const {
@@ -9,8 +8,15 @@ const {
   toKebabCase,
   toCamelCase,
   toSnakeCase,
-  ensureDirectoryExists,
 } = require("../utils/helpers");
+const { renderTemplate } = require("../utils/templates");
+const {
+  runGeneration,
+  writeFile,
+  readFile,
+  fileExists,
+  ensureDirectoryExists,
+} = require("../utils/changePlan");
 
 /**
  * Generate React View (Complete Page)
@@ -75,7 +81,18 @@ async function generateReactView() {
     const content = generateReactViewContent(viewName, selectedType);
     const filePath = path.join(viewsPath, `${viewName}.jsx`);
 
-    fs.writeFileSync(filePath, content);
+    const applied = await runGeneration(`${viewName} view`, async () => {
+      writeFile(
+        filePath,
+        renderTemplate(`views.react.${selectedType}`, content, {
+          name: viewName,
+          kebabName: toKebabCase(viewName),
+          viewType: selectedType,
+        })
+      );
+    });
+
+    if (!applied) return;
 
     // Create route entry suggestion
     const routePath = `/${toKebabCase(viewName)}`;
@@ -680,7 +697,18 @@ async function generateVueView() {
     const content = generateVueViewContent(viewName, selectedType);
     const filePath = path.join(viewsPath, `${viewName}.vue`);
 
-    fs.writeFileSync(filePath, content);
+    const applied = await runGeneration(`${viewName} view`, async () => {
+      writeFile(
+        filePath,
+        renderTemplate(`views.vue.${selectedType}`, content, {
+          name: viewName,
+          kebabName: toKebabCase(viewName),
+          viewType: selectedType,
+        })
+      );
+    });
+
+    if (!applied) return;
 
     // Create route entry suggestion
     const routePath = `/${toKebabCase(viewName)}`;
@@ -1199,7 +1227,7 @@ async function addReactRoute(viewName, routePath) {
   const rootPath = getLaravelRootPath();
   const routerPath = path.join(rootPath, "resources", "js", "router.jsx");
 
-  if (!fs.existsSync(routerPath)) {
+  if (!fileExists(routerPath)) {
     vscode.window.showWarningMessage(
       "Router file not found. Please add the route manually."
     );
@@ -1209,7 +1237,7 @@ async function addReactRoute(viewName, routePath) {
   const importStatement = `import ${viewName} from './Pages/${viewName}';`;
   const routeStatement = `    { path: '${routePath}', element: <${viewName} /> },`;
 
-  let content = fs.readFileSync(routerPath, "utf8");
+  let content = readFile(routerPath);
 
   if (!content.includes(importStatement)) {
     // Add import after last import
@@ -1229,7 +1257,12 @@ async function addReactRoute(viewName, routePath) {
     content = content.replace(/(const routes = \[)/, `$1\n${routeStatement}`);
   }
 
-  fs.writeFileSync(routerPath, content);
+  const applied = await runGeneration(`Route for ${viewName}`, async () => {
+    writeFile(routerPath, content);
+  });
+
+  if (!applied) return;
+
   vscode.window.showInformationMessage(`✅ Route added to router`);
 }
 
@@ -1240,7 +1273,7 @@ async function addVueRoute(viewName, routePath) {
   const rootPath = getLaravelRootPath();
   const routerPath = path.join(rootPath, "resources", "js", "router.js");
 
-  if (!fs.existsSync(routerPath)) {
+  if (!fileExists(routerPath)) {
     vscode.window.showWarningMessage(
       "Router file not found. Please add the route manually."
     );
@@ -1252,7 +1285,7 @@ async function addVueRoute(viewName, routePath) {
     viewName
   )}', component: ${viewName} },`;
 
-  let content = fs.readFileSync(routerPath, "utf8");
+  let content = readFile(routerPath);
 
   if (!content.includes(importStatement)) {
     // Add import after last import
@@ -1272,7 +1305,12 @@ async function addVueRoute(viewName, routePath) {
     content = content.replace(/(const routes = \[)/, `$1\n${routeStatement}`);
   }
 
-  fs.writeFileSync(routerPath, content);
+  const applied = await runGeneration(`Route for ${viewName}`, async () => {
+    writeFile(routerPath, content);
+  });
+
+  if (!applied) return;
+
   vscode.window.showInformationMessage(`✅ Route added to router`);
 }
 
@@ -0,0 +1,649 @@
+const vscode = require("vscode");
+const fs = require("fs");
+const path = require("path");
+const helpers = require("./helpers");
+const { recordGeneration } = require("./journal");
+
+/**
+ * Change plans
+ *
+ * Generators never write to disk directly. writeFile(), readFile() and
+ * runArtisan() record operations on the active plan, which runGeneration()
+ * shows for review before anything is applied. Outside of a generation run
+ * the same functions act on the disk immediately.
+ */
+
+const PREVIEW_SCHEME = "laravel-toolkit-plan";
+
+// Where artisan make commands write their class, by default namespace.
+// make:migration is left out: its file name gets a timestamp
+const MAKE_COMMAND_DIRECTORIES = {
+  "make:cast": ["app", "Casts"],
+  "make:channel": ["app", "Broadcasting"],
+  "make:class": ["app"],
+  "make:command": ["app", "Console", "Commands"],
+  "make:component": ["app", "View", "Components"],
+  "make:controller": ["app", "Http", "Controllers"],
+  "make:event": ["app", "Events"],
+  "make:exception": ["app", "Exceptions"],
+  "make:factory": ["database", "factories"],
+  "make:job": ["app", "Jobs"],
+  "make:listener": ["app", "Listeners"],
+  "make:livewire": ["app", "Livewire"],
+  "make:mail": ["app", "Mail"],
+  "make:middleware": ["app", "Http", "Middleware"],
+  "make:notification": ["app", "Notifications"],
+  "make:observer": ["app", "Observers"],
+  "make:policy": ["app", "Policies"],
+  "make:provider": ["app", "Providers"],
+  "make:request": ["app", "Http", "Requests"],
+  "make:resource": ["app", "Http", "Resources"],
+  "make:rule": ["app", "Rules"],
+  "make:scope": ["app", "Models", "Scopes"],
+  "make:seeder": ["database", "seeders"],
+  "make:test": ["tests", "Feature"],
+};
+
+// Make commands using the first of these directories that exists, app/
+// otherwise
+const MAKE_COMMAND_OPTIONAL_DIRECTORIES = {
+  "make:enum": ["Enums", "Enumerations"],
+  "make:interface": ["Contracts", "Interfaces"],
+  "make:model": ["Models"],
+  "make:trait": ["Traits", "Concerns"],
+};
+
+let activePlan = null;
+let previewId = 0;
+const previewContents = new Map();
+// Previews shown in a tab, freed once no tab shows them anymore
+const openedPreviews = new Set();
+
+class ChangePlan {
+  constructor(title) {
+    this.title = title;
+    this.changes = [];
+    this.reads = new Set();
+  }
+
+  /**
+   * Records a file write, merging repeated writes to the same file
+   */
+  write(filePath, content) {
+    const existing = this.find(filePath);
+    if (existing) {
+      existing.content = content;
+      return;
+    }
+
+    const exists = fs.existsSync(filePath);
+    this.changes.push({
+      type: exists ? "modify" : "create",
+      filePath,
+      original: exists ? fs.readFileSync(filePath, "utf8") : null,
+      content,
+      // Writing over a file the generator never read replaces it instead of
+      // patching it, so it needs the user's consent
+      conflict: exists && !this.reads.has(filePath),
+    });
+  }
+
+  /**
+   * Records an artisan command to run once the files are written
+   */
+  run(command) {
+    const filePath = getArtisanTarget(command);
+    this.changes.push({
+      type: "command",
+      command,
+      filePath,
+      // make commands keep an existing class unless forced, which the
+      // overwrite policy decides
+      conflict: Boolean(filePath) && fs.existsSync(filePath),
+    });
+  }
+
+  find(filePath) {
+    return this.changes.find(
+      (change) => change.type !== "command" && change.filePath === filePath
+    );
+  }
+
+  get isEmpty() {
+    return this.changes.length === 0;
+  }
+}
+
+/**
+ * Writes a file, or records it when a generation run is active
+ */
+function writeFile(filePath, content) {
+  if (activePlan) {
+    activePlan.write(filePath, content);
+    return;
+  }
+
+  helpers.ensureDirectoryExists(path.dirname(filePath));
+  fs.writeFileSync(filePath, content);
+}
+
+/**
+ * Reads a file, seeing the content planned so far in the active run
+ */
+function readFile(filePath) {
+  if (activePlan) {
+    activePlan.reads.add(filePath);
+  }
+
+  const planned = activePlan && activePlan.find(filePath);
+  if (planned) {
+    return planned.content;
+  }
+  return fs.readFileSync(filePath, "utf8");
+}
+
+/**
+ * Checks if a file exists on disk or is planned in the active run
+ */
+function fileExists(filePath) {
+  if (activePlan && activePlan.find(filePath)) {
+    return true;
+  }
+  return fs.existsSync(filePath);
+}
+
+/**
+ * Directories are created when the plan is applied
+ */
+function ensureDirectoryExists(dirPath) {
+  if (!activePlan) {
+    helpers.ensureDirectoryExists(dirPath);
+  }
+}
+
+/**
+ * Runs an artisan command, or defers it until the plan is applied
+ */
+async function runArtisan(command) {
+  if (activePlan) {
+    activePlan.run(command);
+    return;
+  }
+  await helpers.executeArtisanCommand(command, false);
+}
+
+/**
+ * Runs a generator against a new change plan, then reviews and applies it
+ *
+ * Nested runs (e.g. a generator calling another generator) share the
+ * outer plan.
+ *
+ * @param {string} title Shown in the review list
+ * @param {Function} build Async function performing the generation
+ * @param {Function} [complete] Async function called with the files that
+ *   were applied (top-level runs only). What it writes is applied without a
+ *   review and recorded with the run, e.g. bookkeeping of what was built.
+ * @returns {Promise<boolean>} false when the user cancelled the review
+ */
+async function runGeneration(title, build, complete) {
+  if (activePlan) {
+    await build();
+    return true;
+  }
+
+  const plan = new ChangePlan(title);
+  activePlan = plan;
+  try {
+    await build();
+  } finally {
+    activePlan = null;
+  }
+
+  if (plan.isEmpty && !complete) {
+    return true;
+  }
+
+  const selected =
+    !plan.isEmpty && shouldPreview(plan)
+      ? await reviewChangePlan(plan)
+      : plan.changes;
+
+  if (!selected) {
+    vscode.window.showInformationMessage(
+      `Generation cancelled: no files were written for ${plan.title}`
+    );
+    return false;
+  }
+
+  // What was applied before a failure is still recorded, so it can be undone
+  const result = await applyChanges(selected);
+  if (!result.error && complete) {
+    const followUp = await completeChanges(plan.title, complete, result.files);
+    result.files.push(...followUp.files);
+    result.directories.push(...followUp.directories);
+    result.error = followUp.error;
+  }
+
+  await recordGeneration(plan.title, result.files, result.directories);
+  if (result.error) {
+    throw result.error;
+  }
+  return true;
+}
+
+async function completeChanges(title, complete, files) {
+  const plan = new ChangePlan(title);
+  activePlan = plan;
+  try {
+    await complete(files);
+  } finally {
+    activePlan = null;
+  }
+  return applyChanges(plan.changes);
+}
+
+/**
+ * Files planned so far in the active run, so a generator can tell what one
+ * of its parts wrote
+ *
+ * @returns {Map<string, string>} File path -> planned content, or the
+ *   command for the class a make command writes
+ */
+function getPlannedFiles() {
+  return new Map(
+    (activePlan ? activePlan.changes : [])
+      .filter((change) => change.filePath)
+      .map((change) => [
+        change.filePath,
+        change.type === "command" ? change.command : change.content,
+      ])
+  );
+}
+
+function shouldPreview(plan) {
+  const mode = helpers.getConfig("previewChanges") || "multipleFiles";
+  if (mode === "always") return true;
+  if (mode === "never") return false;
+  return plan.changes.length > 1;
+}
+
+/**
+ * Shows every planned change and resolves with the ones left selected
+ */
+function reviewChangePlan(plan) {
+  return new Promise((resolve) => {
+    const quickPick = vscode.window.createQuickPick();
+    quickPick.title = `Review changes: ${plan.title}`;
+    quickPick.placeholder =
+      "Deselect changes to skip, use the diff button to inspect, Enter to apply";
+    quickPick.canSelectMany = true;
+    quickPick.ignoreFocusOut = true;
+    quickPick.matchOnDescription = true;
+    quickPick.items = plan.changes.map(toQuickPickItem);
+    quickPick.selectedItems = quickPick.items;
+
+    let accepted = false;
+
+    quickPick.onDidTriggerItemButton(({ item }) => showChangeDiff(item.change));
+
+    quickPick.onDidAccept(() => {
+      accepted = true;
+      resolve(quickPick.selectedItems.map((item) => item.change));
+      quickPick.hide();
+    });
+
+    quickPick.onDidHide(() => {
+      quickPick.dispose();
+      if (!accepted) {
+        resolve(null);
+      }
+    });
+
+    quickPick.show();
+  });
+}
+
+function toQuickPickItem(change) {
+  if (change.type === "command") {
+    return {
+      label: `${change.conflict ? "$(warning)" : "$(terminal)"} php artisan ${
+        change.command
+      }`,
+      description: change.conflict
+        ? `${getRelativePath(change.filePath)} already exists ` +
+          `(${getOverwritePolicy()})`
+        : "run after writing files",
+      change,
+    };
+  }
+
+  let icon = "$(diff)";
+  let description = "modified";
+
+  if (change.type === "create") {
+    icon = "$(new-file)";
+    description = "new file";
+  } else if (change.conflict) {
+    icon = "$(warning)";
+    description = `already exists (${getOverwritePolicy()})`;
+  }
+
+  return {
+    label: `${icon} ${getRelativePath(change.filePath)}`,
+    description,
+    buttons: [
+      {
+        iconPath: new vscode.ThemeIcon("open-preview"),
+        tooltip: change.type === "create" ? "Preview file" : "Show diff",
+      },
+    ],
+    change,
+  };
+}
+
+/**
+ * Opens a diff between the current and the planned content of a file
+ */
+async function showChangeDiff(change) {
+  const relativePath = getRelativePath(change.filePath);
+  const left = createPreviewUri(relativePath, change.original || "");
+  const right = createPreviewUri(relativePath, change.content);
+  const label = change.type === "create" ? "new file" : "planned changes";
+
+  await vscode.commands.executeCommand(
+    "vscode.diff",
+    left,
+    right,
+    `${path.basename(change.filePath)} (${label})`,
+    { preview: true, preserveFocus: true }
+  );
+}
+
+function createPreviewUri(relativePath, content) {
+  const id = String(++previewId);
+  previewContents.set(id, content);
+  return vscode.Uri.from({
+    scheme: PREVIEW_SCHEME,
+    path: "/" + relativePath.replace(/\\/g, "/"),
+    query: id,
+  });
+}
+
+/**
+ * Frees the contents of the previews whose diff editors were closed
+ */
+function releaseClosedPreviews() {
+  const shown = new Set();
+
+  for (const group of vscode.window.tabGroups.all) {
+    for (const tab of group.tabs) {
+      const { input } = tab;
+      const uris =
+        input instanceof vscode.TabInputTextDiff
+          ? [input.original, input.modified]
+          : input instanceof vscode.TabInputText
+          ? [input.uri]
+          : [];
+      uris
+        .filter((uri) => uri.scheme === PREVIEW_SCHEME)
+        .forEach((uri) => shown.add(uri.query));
+    }
+  }
+
+  for (const id of openedPreviews) {
+    if (!shown.has(id)) {
+      openedPreviews.delete(id);
+      previewContents.delete(id);
+    }
+  }
+  shown.forEach((id) => openedPreviews.add(id));
+}
+
+/**
+ * Writes the selected files, then runs the selected artisan commands
+ *
+ * Stops at the first failing write or command.
+ *
+ * @returns {Promise<{files: Array, directories: string[], error?: Error}>}
+ * The files actually written (including those created by artisan), the
+ * top-most directories that did not exist before and the failure, if any
+ */
+async function applyChanges(selected) {
+  const applied = [];
+  const directories = [];
+
+  try {
+    await writeChanges(selected, applied, directories);
+  } catch (error) {
+    return { files: applied, directories, error };
+  }
+
+  return { files: applied, directories };
+}
+
+async function writeChanges(selected, applied, directories) {
+  const files = selected.filter((change) => change.type !== "command");
+  const commands = selected.filter((change) => change.type === "command");
+  const policy = getOverwritePolicy();
+
+  for (const change of files) {
+    const action = change.conflict
+      ? await resolveConflict(change, policy)
+      : "overwrite";
+
+    if (action === "skip" || action === "merge") {
+      continue;
+    }
+
+    const filePath =
+      action === "sideBySide" ? `${change.filePath}.new` : change.filePath;
+    const isNew = filePath !== change.filePath || change.type === "create";
+
+    const missing = findMissingDirectory(path.dirname(filePath));
+    if (missing && !directories.includes(missing)) {
+      directories.push(missing);
+    }
+
+    helpers.ensureDirectoryExists(path.dirname(filePath));
+    fs.writeFileSync(filePath, change.content);
+    applied.push({
+      ...change,
+      type: isNew ? "create" : "modify",
+      filePath,
+      original: isNew ? null : change.original,
+    });
+  }
+
+  for (const change of commands) {
+    let command = change.command;
+    let original = null;
+
+    if (change.conflict) {
+      if ((await resolveConflict(change, policy)) !== "overwrite") {
+        continue;
+      }
+      original = fs.readFileSync(change.filePath, "utf8");
+      command += " --force";
+    }
+
+    const { stdout } = await helpers.executeArtisanCommand(command, false);
+    applied.push(
+      ...getCreatedByArtisan(stdout).map((created) =>
+        original !== null && created.filePath === change.filePath
+          ? { ...created, type: "modify", original }
+          : created
+      )
+    );
+  }
+}
+
+/**
+ * Class file a deferred make command writes, null for other commands
+ *
+ * @param {string} command e.g. "make:request StorePostRequest"
+ * @returns {string|null}
+ */
+function getArtisanTarget(command) {
+  const [name, className, ...options] = command.trim().split(/\s+/);
+  const rootPath = helpers.getLaravelRootPath();
+  let directory = MAKE_COMMAND_DIRECTORIES[name];
+  if (!directory && MAKE_COMMAND_OPTIONAL_DIRECTORIES[name] && rootPath) {
+    const existing = MAKE_COMMAND_OPTIONAL_DIRECTORIES[name].find((dir) =>
+      fs.existsSync(path.join(rootPath, "app", dir))
+    );
+    directory = existing ? ["app", existing] : ["app"];
+  }
+  if (!directory || !className || className.startsWith("-") || !rootPath) {
+    return null;
+  }
+
+  let segments = className.split(/[\\/]/);
+  if (name === "make:test" && options.includes("--unit")) {
+    directory = ["tests", "Unit"];
+  } else if (name === "make:livewire") {
+    // Livewire takes component names such as "posts.show-post"
+    segments = className.split(/[\\/.]/).map(helpers.toPascalCase);
+  }
+
+  return path.join(rootPath, ...directory, ...segments) + ".php";
+}
+
+/**
+ * Returns the top-most ancestor of dirPath that does not exist yet
+ */
+function findMissingDirectory(dirPath) {
+  let missing = null;
+  let current = dirPath;
+
+  while (!fs.existsSync(current)) {
+    missing = current;
+    const parent = path.dirname(current);
+    if (parent === current) break;
+    current = parent;
+  }
+
+  return missing;
+}
+
+/**
+ * Parses "Model [app/Models/Post.php] created successfully." lines
+ */
+function getCreatedByArtisan(output) {
+  const rootPath = helpers.getLaravelRootPath();
+  const created = [];
+
+  for (const match of (output || "").matchAll(/\[([^\]]+)\] created/g)) {
+    const filePath = path.resolve(rootPath, match[1]);
+    if (fs.existsSync(filePath) && fs.statSync(filePath).isFile()) {
+      created.push({
+        type: "create",
+        filePath,
+        original: null,
+        content: fs.readFileSync(filePath, "utf8"),
+      });
+    }
+  }
+
+  return created;
+}
+
+function getOverwritePolicy() {
+  return helpers.getConfig("overwritePolicy") || "ask";
+}
+
+/**
+ * Decides what to do with a generated file whose target already exists
+ *
+ * @returns {Promise<string>} skip, overwrite, sideBySide or merge
+ */
+async function resolveConflict(change, policy) {
+  // Artisan can only overwrite its class (--force) or leave it alone
+  const isCommand = change.type === "command";
+  if (policy !== "ask") {
+    return isCommand && policy !== "overwrite" ? "skip" : policy;
+  }
+
+  const fileName = path.basename(change.filePath);
+  const choice = await vscode.window.showQuickPick(
+    [
+      {
+        label: "$(close) Skip",
+        description: "Keep the existing file",
+        value: "skip",
+      },
+      {
+        label: "$(replace-all) Overwrite",
+        description: "Replace it with the generated file",
+        value: "overwrite",
+      },
+      {
+        label: "$(files) Write side-by-side",
+        description: `Save the generated file as ${fileName}.new`,
+        value: "sideBySide",
+      },
+      {
+        label: "$(git-merge) Open merge diff",
+        description: "Copy the generated code into the existing file by hand",
+        value: "merge",
+      },
+    ].filter(
+      (item) => !isCommand || ["skip", "overwrite"].includes(item.value)
+    ),
+    {
+      placeHolder: `${getRelativePath(change.filePath)} already exists`,
+      ignoreFocusOut: true,
+    }
+  );
+
+  const action = choice ? choice.value : "skip";
+  if (action === "merge") {
+    await showMergeDiff(change);
+  }
+  return action;
+}
+
+/**
+ * Opens the generated content next to the existing, editable file
+ */
+async function showMergeDiff(change) {
+  const generated = createPreviewUri(
+    getRelativePath(change.filePath),
+    change.content
+  );
+
+  await vscode.commands.executeCommand(
+    "vscode.diff",
+    generated,
+    vscode.Uri.file(change.filePath),
+    `${path.basename(change.filePath)} (generated ↔ existing)`
+  );
+}
+
+function getRelativePath(filePath) {
+  const rootPath = helpers.getLaravelRootPath();
+  return rootPath ? path.relative(rootPath, filePath) : filePath;
+}
+
+/**
+ * Registers the read-only document provider used by the review and merge
+ * diffs, freeing their contents once their tabs are closed
+ */
+function registerChangePlanPreview(context) {
+  context.subscriptions.push(
+    vscode.workspace.registerTextDocumentContentProvider(PREVIEW_SCHEME, {
+      provideTextDocumentContent: (uri) => previewContents.get(uri.query) || "",
+    }),
+    vscode.window.tabGroups.onDidChangeTabs(releaseClosedPreviews)
+  );
+}
+
+module.exports = {
+  runGeneration,
+  getPlannedFiles,
+  writeFile,
+  readFile,
+  fileExists,
+  ensureDirectoryExists,
+  runArtisan,
+  registerChangePlanPreview,
+};
@@ -0,0 +1,438 @@
+const fs = require("fs");
+const path = require("path");
+const { execFile } = require("child_process");
+const { getLaravelRootPath, executeArtisanCommand } = require("./helpers");
+
+/**
+ * Live database as a source of fields
+ *
+ * Tables are read with `php artisan db:show --json` and
+ * `php artisan db:table --json`, or straight from the SQLite file when the
+ * project uses a local SQLite database and the sqlite3 command line tool is
+ * installed. Both are normalized to
+ * {columns, indexes, foreignKeys} and turned into the field objects of
+ * fields.js.
+ */
+
+// Columns the generators add on their own
+const IMPLICIT_COLUMNS = [
+  "id",
+  "created_at",
+  "updated_at",
+  "deleted_at",
+  "remember_token",
+];
+
+// Laravel's own bookkeeping tables
+const SYSTEM_TABLES = [
+  "migrations",
+  "password_reset_tokens",
+  "password_resets",
+  "sessions",
+  "cache",
+  "cache_locks",
+  "jobs",
+  "job_batches",
+  "failed_jobs",
+  "personal_access_tokens",
+];
+
+// SQL type name -> field type
+const SQL_TYPES = {
+  varchar: "string",
+  "character varying": "string",
+  nvarchar: "string",
+  char: "char",
+  character: "char",
+  nchar: "char",
+  text: "text",
+  tinytext: "text",
+  mediumtext: "mediumText",
+  longtext: "longText",
+  int: "integer",
+  integer: "integer",
+  int4: "integer",
+  bigint: "bigInteger",
+  int8: "bigInteger",
+  smallint: "smallInteger",
+  int2: "smallInteger",
+  mediumint: "mediumInteger",
+  tinyint: "tinyInteger",
+  bool: "boolean",
+  boolean: "boolean",
+  decimal: "decimal",
+  numeric: "decimal",
+  float: "float",
+  real: "float",
+  float4: "float",
+  double: "double",
+  "double precision": "double",
+  float8: "double",
+  date: "date",
+  datetime: "dateTime",
+  timestamp: "timestamp",
+  "timestamp without time zone": "timestamp",
+  timestamptz: "timestampTz",
+  "timestamp with time zone": "timestampTz",
+  time: "time",
+  "time without time zone": "time",
+  year: "year",
+  json: "json",
+  jsonb: "json",
+  uuid: "uuid",
+  enum: "enum",
+  set: "set",
+  blob: "binary",
+  binary: "binary",
+  varbinary: "binary",
+  bytea: "binary",
+  inet: "ipAddress",
+  macaddr: "macAddress",
+};
+
+const ON_DELETE = {
+  cascade: "cascadeOnDelete",
+  restrict: "restrictOnDelete",
+  "set null": "nullOnDelete",
+};
+
+/**
+ * Lists the tables of the application database
+ *
+ * @returns {Promise<string[]>}
+ */
+async function readDatabaseTables() {
+  const sqliteFile = getSqliteDatabase();
+  if (sqliteFile) {
+    const rows = await querySqlite(
+      sqliteFile,
+      "SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' ORDER BY name"
+    ).catch(withoutSqliteCli);
+    if (rows) {
+      return filterTables(rows.map((row) => row.name));
+    }
+  }
+
+  const { stdout } = await executeArtisanCommand("db:show --json", false);
+  const tables = parseJsonOutput(stdout).tables || [];
+  return filterTables(
+    tables.map((table) => table.table || table.name).filter(Boolean)
+  );
+}
+
+function filterTables(tables) {
+  return tables.filter((table) => !SYSTEM_TABLES.includes(table)).sort();
+}
+
+/**
+ * Reads a table's columns, indexes and foreign keys as field objects
+ *
+ * @param {string} table
+ * @returns {Promise<object[]>}
+ */
+async function readDatabaseTable(table) {
+  const sqliteFile = getSqliteDatabase();
+  const schema =
+    (sqliteFile &&
+      (await readSqliteTable(sqliteFile, table).catch(withoutSqliteCli))) ||
+    normalizeTableOutput(
+      parseJsonOutput(
+        (await executeArtisanCommand(`db:table ${table} --json`, false)).stdout
+      )
+    );
+
+  return tableToFields(schema);
+}
+
+/**
+ * Without the sqlite3 command line tool, SQLite databases are read through
+ * artisan like the others
+ *
+ * @returns {null} When sqlite3 is not installed, rethrows other errors
+ */
+function withoutSqliteCli(error) {
+  if (error.code === "ENOENT") {
+    return null;
+  }
+  throw error;
+}
+
+/**
+ * Normalizes `db:table --json` (Laravel 10 and 11+ formats)
+ */
+function normalizeTableOutput(output) {
+  const columns = (output.columns || []).map((column) => {
+    const attributes = Object.values(column.attributes || {});
+    return {
+      name: column.column,
+      type: String(column.type || attributes[0] || ""),
+      nullable: attributes.includes("nullable"),
+      autoIncrement: attributes.includes("autoincrement"),
+      defaultValue: column.default,
+    };
+  });
+
+  const indexes = (output.indexes || []).map((index) => {
+    const attributes = Object.values(index.attributes || {});
+    return {
+      columns: Object.values(index.columns || {}),
+      unique: attributes.includes("unique"),
+      primary: attributes.includes("primary"),
+    };
+  });
+
+  const foreignKeys = (output.foreign_keys || []).map((foreignKey) => ({
+    columns: Object.values(foreignKey.columns || {}),
+    table: foreignKey.foreign_table,
+    foreignColumns: Object.values(foreignKey.foreign_columns || {}),
+    onDelete: String(foreignKey.on_delete || "").toLowerCase(),
+  }));
+
+  return { columns, indexes, foreignKeys };
+}
+
+async function readSqliteTable(file, table) {
+  const quoted = table.replace(/'/g, "''");
+  const [columns, indexList, foreignKeys, [definition]] = await Promise.all([
+    querySqlite(file, `PRAGMA table_info('${quoted}')`),
+    querySqlite(file, `PRAGMA index_list('${quoted}')`),
+    querySqlite(file, `PRAGMA foreign_key_list('${quoted}')`),
+    querySqlite(
+      file,
+      `SELECT sql FROM sqlite_master WHERE type = 'table' AND name = '${quoted}'`
+    ),
+  ]);
+
+  const indexes = [];
+  for (const index of indexList) {
+    const info = await querySqlite(
+      file,
+      `PRAGMA index_info('${index.name.replace(/'/g, "''")}')`
+    );
+    indexes.push({
+      columns: info.map((column) => column.name),
+      unique: Boolean(index.unique),
+      primary: index.origin === "pk",
+    });
+  }
+
+  return {
+    columns: columns.map((column) => ({
+      name: column.name,
+      type: getSqliteEnum(definition, column.name) || column.type,
+      nullable: !column.notnull && !column.pk,
+      autoIncrement: Boolean(column.pk) && /^integer$/i.test(column.type),
+      defaultValue: column.dflt_value,
+    })),
+    indexes,
+    foreignKeys: foreignKeys.map((foreignKey) => ({
+      columns: [foreignKey.from],
+      table: foreignKey.table,
+      foreignColumns: [foreignKey.to],
+      onDelete: String(foreignKey.on_delete || "").toLowerCase(),
+    })),
+  };
+}
+
+/**
+ * SQLite has no enum type: Laravel writes enums as a varchar with a
+ * check ("status" in ('draft', 'published')) constraint
+ */
+function getSqliteEnum(definition, column) {
+  if (!definition || !definition.sql) return null;
+
+  const escaped = column.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  const match = definition.sql.match(
+    new RegExp(`check\\s*\\(\\s*"?${escaped}"?\\s+in\\s*\\(([^)]*)\\)`, "i")
+  );
+  return match ? `enum(${match[1]})` : null;
+}
+
+/**
+ * Turns a normalized table into field objects, skipping the primary key,
+ * timestamps, soft deletes and remember token
+ */
+function tableToFields({ columns, indexes, foreignKeys }) {
+  const singleColumn = (index) => index.columns.length === 1;
+  const uniqueColumns = indexes
+    .filter((index) => index.unique && !index.primary && singleColumn(index))
+    .map((index) => index.columns[0]);
+  const indexedColumns = indexes
+    .filter((index) => !index.unique && !index.primary && singleColumn(index))
+    .map((index) => index.columns[0]);
+
+  return columns
+    .filter(
+      (column) =>
+        !column.autoIncrement && !IMPLICIT_COLUMNS.includes(column.name)
+    )
+    .map((column) => {
+      const foreignKey = foreignKeys.find(
+        (key) => key.columns.length === 1 && key.columns[0] === column.name
+      );
+      const field = { name: column.name, ...parseSqlType(column.type) };
+
+      if (foreignKey) {
+        applyForeignKey(field, foreignKey);
+      } else if (indexedColumns.includes(column.name)) {
+        field.index = true;
+      }
+      if (uniqueColumns.includes(column.name)) field.unique = true;
+      if (column.nullable) field.nullable = true;
+
+      const defaultValue = parseDefaultValue(column.defaultValue);
+      if (defaultValue !== undefined) field.defaultValue = defaultValue;
+
+      return field;
+    });
+}
+
+/**
+ * "varchar(150)", "decimal(8,2)", "bigint unsigned", "enum('a','b')"...
+ */
+function parseSqlType(sqlType) {
+  const lower = String(sqlType).trim().toLowerCase();
+  const args = (lower.match(/\((.*)\)/) || [])[1] || "";
+  const unsigned = /\bunsigned\b/.test(lower);
+  const name = lower
+    .replace(/\(.*\)/, "")
+    .replace(/\b(unsigned|zerofill)\b/g, "")
+    .replace(/\s+/g, " ")
+    .trim();
+
+  if (name === "tinyint" && args === "1") {
+    return { type: "boolean" };
+  }
+
+  const field = { type: SQL_TYPES[name] || "string" };
+
+  if (field.type === "enum" || field.type === "set") {
+    const values = [...sqlType.matchAll(/'((?:[^']|'')*)'/g)].map((value) =>
+      value[1].replace(/''/g, "'")
+    );
+    if (values.length === 0) return { type: "string" };
+    field.values = values;
+  } else if (field.type === "decimal" && /^\d+\s*,\s*\d+$/.test(args)) {
+    const [precision, scale] = args.split(",").map((n) => parseInt(n, 10));
+    field.precision = precision;
+    field.scale = scale;
+  } else if (["string", "char"].includes(field.type) && /^\d+$/.test(args)) {
+    field.length = parseInt(args, 10);
+  }
+
+  if (unsigned && /integer$/i.test(field.type)) {
+    field.unsigned = true;
+  }
+
+  return field;
+}
+
+function applyForeignKey(field, foreignKey) {
+  if (["bigInteger", "integer"].includes(field.type)) {
+    field.type = "foreignId";
+  } else if (field.type === "uuid" || field.length === 36) {
+    field.type = "foreignUuid";
+  } else if (field.length === 26) {
+    field.type = "foreignUlid";
+  } else {
+    return;
+  }
+  delete field.length;
+  delete field.unsigned;
+
+  field.constrained = foreignKey.table || true;
+  if (ON_DELETE[foreignKey.onDelete]) {
+    field[ON_DELETE[foreignKey.onDelete]] = true;
+  }
+}
+
+/**
+ * Column default as written in the definition syntax, or undefined for
+ * NULL and expressions such as CURRENT_TIMESTAMP
+ */
+function parseDefaultValue(value) {
+  if (value === null || value === undefined) return undefined;
+
+  // PostgreSQL adds casts, e.g. 'draft'::character varying
+  const raw = String(value).replace(/::[\w\s]+$/, "").trim();
+  const quoted = raw.match(/^'(.*)'$/);
+  if (quoted) return quoted[1].replace(/''/g, "'");
+  if (/^-?\d+(\.\d+)?$/.test(raw) || /^(true|false)$/i.test(raw)) {
+    return raw;
+  }
+  return undefined;
+}
+
+/**
+ * Path of the local SQLite database when the project uses one
+ */
+function getSqliteDatabase(rootPath = getLaravelRootPath()) {
+  const env = readEnv(rootPath);
+  if ((env.DB_CONNECTION || "").toLowerCase() !== "sqlite") {
+    return null;
+  }
+
+  const database = env.DB_DATABASE || "database/database.sqlite";
+  const file = path.isAbsolute(database)
+    ? database
+    : path.join(rootPath, database);
+  return fs.existsSync(file) ? file : null;
+}
+
+function readEnv(rootPath) {
+  const envPath = rootPath && path.join(rootPath, ".env");
+  if (!envPath || !fs.existsSync(envPath)) {
+    return {};
+  }
+
+  const env = {};
+  for (const line of fs.readFileSync(envPath, "utf8").split(/\r?\n/)) {
+    const match = line.match(/^\s*([A-Z0-9_]+)\s*=\s*(.*?)\s*$/);
+    if (match) env[match[1]] = match[2].replace(/^(["'])(.*)\1$/, "$2");
+  }
+  return env;
+}
+
+/**
+ * Runs a query with the sqlite3 command line tool
+ */
+function querySqlite(file, sql) {
+  return new Promise((resolve, reject) => {
+    execFile(
+      "sqlite3",
+      ["-json", "-readonly", file, sql],
+      { timeout: 10000 },
+      (error, stdout) => {
+        if (error) {
+          reject(
+            Object.assign(new Error(`Could not read ${file}: ${error.message}`), {
+              code: error.code,
+            })
+          );
+          return;
+        }
+        resolve(stdout.trim() ? JSON.parse(stdout) : []);
+      }
+    );
+  });
+}
+
+/**
+ * Artisan may print warnings before the JSON document
+ */
+function parseJsonOutput(stdout) {
+  const start = stdout.indexOf("{");
+  if (start === -1) {
+    throw new Error("Unexpected output from artisan (expected JSON)");
+  }
+  return JSON.parse(stdout.slice(start));
+}
+
+module.exports = {
+  readDatabaseTables,
+  readDatabaseTable,
+  normalizeTableOutput,
+  tableToFields,
+  getSqliteDatabase,
+  parseJsonOutput,
+};
@@ -0,0 +1,904 @@
+const {
+  toPascalCase,
+  toCamelCase,
+  toSnakeCase,
+  pluralize,
+} = require("./helpers");
+
+/**
+ * Field definition DSL
+ *
+ * One grammar shared by the CRUD, SPA CRUD, API, model and migration
+ * generators:
+ *
+ *   name:type[(args)][:modifier...], ...
+ *
+ *   title:string(150):unique, price:decimal(8,2):default(0),
+ *   status:enum(draft,published):index, user_id:foreignId:constrained:cascade,
+ *   comments:hasMany(Comment)
+ */
+
+const COLUMN_TYPES = {
+  string: "string",
+  char: "char",
+  text: "text",
+  mediumText: "mediumText",
+  longText: "longText",
+  integer: "integer",
+  tinyInteger: "tinyInteger",
+  smallInteger: "smallInteger",
+  mediumInteger: "mediumInteger",
+  bigInteger: "bigInteger",
+  unsignedInteger: "unsignedInteger",
+  unsignedBigInteger: "unsignedBigInteger",
+  decimal: "decimal",
+  float: "float",
+  double: "double",
+  boolean: "boolean",
+  date: "date",
+  dateTime: "dateTime",
+  dateTimeTz: "dateTimeTz",
+  time: "time",
+  timestamp: "timestamp",
+  timestampTz: "timestampTz",
+  year: "year",
+  json: "json",
+  jsonb: "jsonb",
+  binary: "binary",
+  uuid: "uuid",
+  ulid: "ulid",
+  ipAddress: "ipAddress",
+  macAddress: "macAddress",
+  enum: "enum",
+  set: "set",
+  foreignId: "foreignId",
+  foreignUuid: "foreignUuid",
+  foreignUlid: "foreignUlid",
+  // Form-friendly types stored as strings
+  email: "string",
+  password: "string",
+  url: "string",
+};
+
+const TYPE_ALIASES = {
+  bigint: "bigInteger",
+  int: "integer",
+  bool: "boolean",
+  datetime: "dateTime",
+  datetimetz: "dateTimeTz",
+  timestamptz: "timestampTz",
+  mediumtext: "mediumText",
+  longtext: "longText",
+  tinyint: "tinyInteger",
+  smallint: "smallInteger",
+  foreignid: "foreignId",
+  foreignuuid: "foreignUuid",
+  foreignulid: "foreignUlid",
+  ipaddress: "ipAddress",
+  macaddress: "macAddress",
+};
+
+const RELATIONSHIP_TYPES = [
+  "belongsTo",
+  "hasOne",
+  "hasMany",
+  "belongsToMany",
+  "morphTo",
+  "morphOne",
+  "morphMany",
+];
+
+const FOREIGN_TYPES = ["foreignId", "foreignUuid", "foreignUlid"];
+const INTEGER_TYPES = [
+  "integer",
+  "tinyInteger",
+  "smallInteger",
+  "mediumInteger",
+  "bigInteger",
+  "unsignedInteger",
+  "unsignedBigInteger",
+  "year",
+];
+const TEXT_TYPES = ["text", "mediumText", "longText"];
+const LENGTH_TYPES = ["string", "char", "email", "password", "url"];
+const DATETIME_TYPES = ["dateTime", "dateTimeTz", "timestamp", "timestampTz"];
+
+const FLAG_MODIFIERS = ["nullable", "unique", "index", "unsigned"];
+const DELETE_ACTIONS = {
+  cascade: "cascadeOnDelete",
+  cascadeOnDelete: "cascadeOnDelete",
+  restrict: "restrictOnDelete",
+  restrictOnDelete: "restrictOnDelete",
+  nullOnDelete: "nullOnDelete",
+  setNull: "nullOnDelete",
+};
+
+/**
+ * Parses a field definition string
+ *
+ * @param {string} input e.g. "title:string:unique, user_id:foreignId:constrained"
+ * @returns {{fields: object[], relationships: Array<{type: string, model: string, method: string}>}}
+ * @throws {Error} With a message suitable for an input box when the syntax is wrong
+ */
+function parseFieldDefinitions(input) {
+  const fields = [];
+  const relationships = [];
+  const names = new Set();
+
+  splitDefinitions(input || "").forEach((definition, index) => {
+    if (!definition) {
+      throw new Error(`Empty field definition at position ${index + 1}`);
+    }
+
+    const entry = parseDefinition(definition);
+
+    if (names.has(entry.name)) {
+      throw new Error(`Field "${entry.name}" is defined twice`);
+    }
+    names.add(entry.name);
+
+    if (entry.column) {
+      fields.push(entry.column);
+    }
+    if (entry.relationship) {
+      relationships.push(entry.relationship);
+    }
+  });
+
+  return { fields, relationships };
+}
+
+/**
+ * Input box validator for field definitions
+ *
+ * @returns {string|null} The syntax error, or null when the input is valid
+ */
+function validateFieldDefinitions(input, { required = false } = {}) {
+  if (!input || !input.trim()) {
+    return required ? "At least one field is required" : null;
+  }
+
+  try {
+    parseFieldDefinitions(input);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+/**
+ * Splits on commas outside parentheses, re-attaching the scale of the
+ * legacy "price:decimal:8,2" form
+ */
+function splitDefinitions(input) {
+  const parts = [];
+  let depth = 0;
+  let current = "";
+
+  for (const char of input) {
+    if (char === "(") depth++;
+    if (char === ")") depth--;
+
+    if (char === "," && depth === 0) {
+      parts.push(current);
+      current = "";
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+
+  return parts
+    .map((part) => part.trim())
+    .reduce((definitions, part) => {
+      const previous = definitions[definitions.length - 1];
+      if (/^\d+(:|$)/.test(part) && previous && /:\d+$/.test(previous)) {
+        definitions[definitions.length - 1] = `${previous},${part}`;
+      } else {
+        definitions.push(part);
+      }
+      return definitions;
+    }, []);
+}
+
+/**
+ * Splits "name:type(a:b):modifier" on colons outside parentheses
+ */
+function splitSegments(definition) {
+  const segments = [];
+  let depth = 0;
+  let current = "";
+
+  for (const char of definition) {
+    if (char === "(") depth++;
+    if (char === ")") depth--;
+
+    if (depth < 0) {
+      throw new Error(`Unexpected ")" in "${definition}"`);
+    }
+
+    if (char === ":" && depth === 0) {
+      segments.push(current.trim());
+      current = "";
+    } else {
+      current += char;
+    }
+  }
+
+  if (depth > 0) {
+    throw new Error(`Missing ")" in "${definition}"`);
+  }
+
+  segments.push(current.trim());
+  return segments;
+}
+
+/**
+ * Splits "default(0)" into its name and argument list
+ */
+function parseCall(segment) {
+  const match = segment.match(/^([A-Za-z_]\w*)(?:\((.*)\))?$/s);
+  if (!match) {
+    return null;
+  }
+
+  return {
+    name: match[1],
+    raw: match[2],
+    args:
+      match[2] === undefined
+        ? []
+        : match[2]
+            .split(/[,|]/)
+            .map((arg) => arg.trim())
+            .filter((arg) => arg !== ""),
+  };
+}
+
+function normalizeType(type) {
+  if (COLUMN_TYPES[type] || RELATIONSHIP_TYPES.includes(type)) {
+    return type;
+  }
+
+  const lower = type.toLowerCase();
+  return (
+    TYPE_ALIASES[lower] ||
+    Object.keys(COLUMN_TYPES).find((key) => key.toLowerCase() === lower) ||
+    RELATIONSHIP_TYPES.find((key) => key.toLowerCase() === lower) ||
+    null
+  );
+}
+
+function parseDefinition(definition) {
+  const [name, typeSegment = "string", ...modifiers] =
+    splitSegments(definition);
+
+  if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) {
+    throw new Error(
+      `Invalid field name "${name}" in "${definition}" (use letters, numbers and underscores)`
+    );
+  }
+
+  const typeCall = parseCall(typeSegment);
+  const type = typeCall && normalizeType(typeCall.name);
+
+  if (!type) {
+    throw new Error(`Unknown type "${typeSegment}" in "${definition}"`);
+  }
+
+  if (RELATIONSHIP_TYPES.includes(type)) {
+    if (modifiers.length > 0) {
+      throw new Error(
+        `Relationship "${name}" does not take modifiers ("${definition}")`
+      );
+    }
+    return {
+      name,
+      relationship: buildRelationship(type, name, typeCall.args, definition),
+    };
+  }
+
+  const field = { name, type };
+  applyTypeArguments(field, typeCall.args, definition);
+
+  let relationship = null;
+
+  for (const modifier of modifiers) {
+    if (/^\d+(,\d+)?$/.test(modifier)) {
+      applyTypeArguments(field, modifier.split(","), definition);
+      continue;
+    }
+
+    if (field.type === "enum" || field.type === "set") {
+      if (modifier.includes("|")) {
+        field.values = modifier.split("|").map((value) => value.trim());
+        continue;
+      }
+    }
+
+    const call = parseCall(modifier);
+    if (!call) {
+      throw new Error(`Unknown modifier "${modifier}" in "${definition}"`);
+    }
+
+    if (RELATIONSHIP_TYPES.includes(call.name)) {
+      relationship = buildRelationship(call.name, name, call.args, definition);
+      continue;
+    }
+
+    applyModifier(field, call, definition);
+  }
+
+  if ((field.type === "enum" || field.type === "set") && !field.values) {
+    throw new Error(
+      `${field.type} "${name}" needs values, e.g. ${name}:${field.type}(draft,published)`
+    );
+  }
+
+  if (!relationship && isForeignKey(field) && /_id$/.test(name)) {
+    // constrained(users) names the related model, owner_id alone does not
+    relationship = buildRelationship(
+      "belongsTo",
+      name,
+      [getReferencedModel(field)],
+      definition
+    );
+  }
+
+  return { name, column: field, relationship };
+}
+
+/**
+ * Length for strings, precision/scale for decimals, values for enums
+ */
+function applyTypeArguments(field, args, definition) {
+  if (args.length === 0) return;
+
+  if (field.type === "enum" || field.type === "set") {
+    field.values = args;
+    return;
+  }
+
+  if (args.some((arg) => !/^\d+$/.test(arg))) {
+    throw new Error(
+      `"${field.type}" expects numeric arguments in "${definition}"`
+    );
+  }
+
+  const numbers = args.map((arg) => parseInt(arg, 10));
+  const precisionType = ["decimal", "float", "double"].includes(field.type);
+
+  if (numbers.length > (precisionType ? 2 : 1)) {
+    throw new Error(
+      `"${field.type}" takes ${
+        precisionType ? "a precision and a scale" : "a single length"
+      }, got ${numbers.length} arguments in "${definition}"`
+    );
+  }
+
+  if (precisionType) {
+    field.precision = numbers[0];
+    field.scale = numbers[1] !== undefined ? numbers[1] : 2;
+  } else if (LENGTH_TYPES.includes(field.type)) {
+    field.length = numbers[0];
+  } else {
+    throw new Error(
+      `"${field.type}" does not take a length or precision ("${definition}")`
+    );
+  }
+}
+
+function applyModifier(field, call, definition) {
+  if (FLAG_MODIFIERS.includes(call.name)) {
+    field[call.name] = true;
+    return;
+  }
+
+  if (call.name === "default") {
+    if (call.raw === undefined) {
+      throw new Error(
+        `"default" needs a value, e.g. default(0) in "${definition}"`
+      );
+    }
+    field.defaultValue = call.raw.trim().replace(/^(["'])(.*)\1$/, "$2");
+    return;
+  }
+
+  if (call.name === "comment") {
+    field.commentText = (call.raw || "").trim();
+    return;
+  }
+
+  if (call.name === "length" || call.name === "precision") {
+    applyTypeArguments(field, call.args, definition);
+    return;
+  }
+
+  if (call.name === "constrained" || DELETE_ACTIONS[call.name]) {
+    if (!isForeignKey(field)) {
+      throw new Error(
+        `"${call.name}" only applies to foreignId columns ("${definition}")`
+      );
+    }
+
+    if (call.name === "constrained") {
+      field.constrained = call.args[0] || true;
+    } else {
+      field.constrained = field.constrained || true;
+      field[DELETE_ACTIONS[call.name]] = true;
+    }
+    return;
+  }
+
+  if (call.name === "cascadeOnUpdate") {
+    field.cascadeOnUpdate = true;
+    return;
+  }
+
+  throw new Error(`Unknown modifier "${call.name}" in "${definition}"`);
+}
+
+function buildRelationship(type, name, args, definition) {
+  const [model, extra] = args;
+
+  if (model && !/^[A-Z][A-Za-z0-9_\\]*$/.test(model)) {
+    throw new Error(
+      `Related model must be in PascalCase, e.g. ${type}(User) ("${definition}")`
+    );
+  }
+
+  const baseName = name.replace(/_id$/, "");
+  const relationship = {
+    type,
+    method: toCamelCase(baseName),
+    model:
+      model ||
+      (type === "morphTo" ? null : toPascalCase(singularize(baseName))),
+  };
+
+  if (type === "belongsTo" && name !== baseName) {
+    relationship.foreignKey = name;
+  }
+  if (type === "morphOne" || type === "morphMany") {
+    relationship.morphName =
+      extra || `${toSnakeCase(relationship.model.split("\\").pop())}able`;
+  }
+
+  return relationship;
+}
+
+function singularize(name) {
+  if (/ies$/.test(name)) return name.replace(/ies$/, "y");
+  if (/(ss|us)$/.test(name)) return name;
+  return name.replace(/s$/, "");
+}
+
+function isForeignKey(field) {
+  return FOREIGN_TYPES.includes(field.type);
+}
+
+/**
+ * Turns field objects back into the definition syntax, e.g. to prefill
+ * the fields input box
+ *
+ * @param {object[]} fields
+ * @returns {string}
+ */
+function formatFieldDefinitions(fields) {
+  return fields.map((field) => formatFieldDefinition(field)).join(", ");
+}
+
+function formatFieldDefinition(field) {
+  let definition = `${field.name}:${field.type}`;
+
+  if (field.values) {
+    definition += `(${field.values.join(",")})`;
+  } else if (field.precision) {
+    definition += `(${field.precision},${field.scale ?? 2})`;
+  } else if (field.length) {
+    definition += `(${field.length})`;
+  }
+
+  const modifiers = FLAG_MODIFIERS.filter((modifier) => field[modifier]);
+
+  if (field.defaultValue !== undefined) {
+    modifiers.push(`default(${field.defaultValue || "''"})`);
+  }
+  if (field.commentText && !/[()]/.test(field.commentText)) {
+    modifiers.push(`comment(${field.commentText})`);
+  }
+  if (field.constrained) {
+    modifiers.push(
+      field.constrained === true
+        ? "constrained"
+        : `constrained(${field.constrained})`
+    );
+  }
+  ["cascadeOnDelete", "restrictOnDelete", "nullOnDelete", "cascadeOnUpdate"]
+    .filter((modifier) => field[modifier])
+    .forEach((modifier) => modifiers.push(modifier));
+
+  return [definition, ...modifiers].join(":");
+}
+
+/**
+ * Blueprint column definition, e.g.
+ * $table->decimal('price', 8, 2)->nullable()->default(0);
+ */
+function getColumnDefinition(field) {
+  let definition = `$table->${COLUMN_TYPES[field.type] || field.type}('${
+    field.name
+  }'`;
+
+  if (field.length) {
+    definition += `, ${field.length}`;
+  }
+
+  if (field.precision && field.scale !== undefined) {
+    definition += `, ${field.precision}, ${field.scale}`;
+  }
+
+  if (field.values) {
+    const enumValues = field.values.map((v) => `'${v}'`).join(", ");
+    definition += `, [${enumValues}]`;
+  }
+
+  definition += ")";
+
+  if (field.unsigned) definition += "->unsigned()";
+  if (field.nullable) definition += "->nullable()";
+  if (field.unique) definition += "->unique()";
+  if (field.index) definition += "->index()";
+  if (field.defaultValue !== undefined) {
+    definition += `->default(${formatDefaultValue(field.defaultValue)})`;
+  }
+  if (field.commentText) {
+    definition += `->comment('${field.commentText.replace(/'/g, "\\'")}')`;
+  }
+  if (field.constrained) {
+    definition +=
+      field.constrained === true
+        ? "->constrained()"
+        : `->constrained('${field.constrained}')`;
+  }
+  if (field.cascadeOnUpdate) definition += "->cascadeOnUpdate()";
+  if (field.cascadeOnDelete) definition += "->cascadeOnDelete()";
+  if (field.restrictOnDelete) definition += "->restrictOnDelete()";
+  if (field.nullOnDelete) definition += "->nullOnDelete()";
+
+  return definition + ";";
+}
+
+function formatDefaultValue(value) {
+  if (/^(null|true|false|-?\d+(\.\d+)?)$/i.test(value)) {
+    return value.toLowerCase();
+  }
+  return `'${value.replace(/'/g, "\\'")}'`;
+}
+
+/**
+ * Table a foreign key points to: constrained('teams') or the Laravel
+ * convention (team_id -> teams)
+ */
+function getReferencedTable(field) {
+  if (typeof field.constrained === "string") {
+    return field.constrained;
+  }
+  return pluralize(toSnakeCase(field.name.replace(/_id$/, "")));
+}
+
+/**
+ * Eloquent cast for a field, or null when no cast is needed
+ */
+function getCastType(field) {
+  if (field.type === "boolean") return "boolean";
+  if (INTEGER_TYPES.includes(field.type)) return "integer";
+  if (field.type === "decimal") return `decimal:${field.scale ?? 2}`;
+  if (field.type === "float" || field.type === "double") return "float";
+  if (field.type === "date") return "date";
+  if (DATETIME_TYPES.includes(field.type)) return "datetime";
+  if (field.type === "json" || field.type === "jsonb") return "array";
+  if (field.type === "password") return "hashed";
+  return null;
+}
+
+/**
+ * Model a foreign key points to: constrained('teams') or the field name
+ * (author_id -> Author)
+ */
+function getReferencedModel(field) {
+  const base =
+    typeof field.constrained === "string"
+      ? singularize(field.constrained)
+      : field.name.replace(/_id$/, "");
+  return toPascalCase(base);
+}
+
+// Faker formatters picked from string column names
+const FAKER_BY_NAME = [
+  [/^(name|full_name)$/, "name()"],
+  [/^first_?name$/, "firstName()"],
+  [/^last_?name$/, "lastName()"],
+  [/^user_?name$/, "userName()"],
+  [/^title$/, "sentence(4)"],
+  [/^slug$/, "slug()"],
+  [/(^|_)(phone|mobile)(_number)?$/, "phoneNumber()"],
+  [/^(address|street)$/, "streetAddress()"],
+  [/^city$/, "city()"],
+  [/^(state|region)$/, "state()"],
+  [/^country$/, "country()"],
+  [/^country_code$/, "countryCode()"],
+  [/^(zip|zip_?code|post_?code|postal_code)$/, "postcode()"],
+  [/^(company|company_name)$/, "company()"],
+  [/^(url|website|link)$/, "url()"],
+  [/(^|_)(image|avatar|photo|picture|thumbnail)(_url|_path)?$/, "imageUrl()"],
+  [/^colou?r$/, "hexColor()"],
+  [/^currency(_code)?$/, "currencyCode()"],
+  [/^(locale|language)$/, "locale()"],
+  [/^timezone$/, "timezone()"],
+  [/^ip(_address)?$/, "ipv4()"],
+  [/^(code|sku|reference)$/, "unique()->bothify('???-#####')"],
+  [/^(description|summary|excerpt|bio|notes?)$/, "paragraph()"],
+  [/^(body|content)$/, "paragraphs(3, true)"],
+];
+
+/**
+ * Factory definition value for a field, e.g. fake()->safeEmail() or
+ * User::factory() for a foreign key
+ *
+ * @param {object} field
+ * @param {string} faker Faker accessor: "fake()" (Laravel 9+) or
+ *   "$this->faker"
+ * @returns {string} PHP expression
+ */
+function getFakerValue(field, faker = "fake()") {
+  const name = field.name.toLowerCase();
+  const unique = field.unique ? "unique()->" : "";
+
+  if (FOREIGN_TYPES.includes(field.type)) {
+    return `${getReferencedModel(field)}::factory()`;
+  }
+  if (field.type === "enum" || field.type === "set") {
+    const values = field.values.map((value) => `'${value}'`).join(", ");
+    return `${faker}->randomElement([${values}])`;
+  }
+  if (field.type === "email" || /(^|_)email$/.test(name)) {
+    return `${faker}->${unique}safeEmail()`;
+  }
+  if (field.type === "password" || name === "password") {
+    return "bcrypt('password')";
+  }
+  if (field.type === "url") {
+    return `${faker}->url()`;
+  }
+
+  if (["string", "char", ...TEXT_TYPES].includes(field.type)) {
+    const byName = FAKER_BY_NAME.find(([pattern]) => pattern.test(name));
+    if (byName) {
+      const formatter = byName[1].startsWith("unique")
+        ? byName[1]
+        : unique + byName[1];
+      return `${faker}->${formatter}`;
+    }
+    return TEXT_TYPES.includes(field.type)
+      ? `${faker}->paragraph()`
+      : `${faker}->${unique}words(3, true)`;
+  }
+
+  if (/^(latitude|lat)$/.test(name)) return `${faker}->latitude()`;
+  if (/^(longitude|lng|lon)$/.test(name)) return `${faker}->longitude()`;
+
+  if (["decimal", "float", "double"].includes(field.type)) {
+    return `${faker}->randomFloat(${field.scale ?? 2}, 1, 1000)`;
+  }
+  if (field.type === "year") return `${faker}->year()`;
+  if (field.type === "tinyInteger") return `${faker}->numberBetween(0, 100)`;
+  if (INTEGER_TYPES.includes(field.type)) {
+    return `${faker}->${unique}numberBetween(1, 1000)`;
+  }
+
+  switch (field.type) {
+    case "boolean":
+      return `${faker}->boolean()`;
+    case "date":
+      return `${faker}->date()`;
+    case "time":
+      return `${faker}->time()`;
+    case "json":
+    case "jsonb":
+      return "[]";
+    case "uuid":
+      return `${faker}->uuid()`;
+    case "ulid":
+      return "(string) Str::ulid()";
+    case "ipAddress":
+      return `${faker}->ipv4()`;
+    case "macAddress":
+      return `${faker}->macAddress()`;
+    case "binary":
+      return "random_bytes(16)";
+    default:
+      return DATETIME_TYPES.includes(field.type)
+        ? `${faker}->dateTime()`
+        : `${faker}->word()`;
+  }
+}
+
+/**
+ * Form request validation rules for a field
+ *
+ * @param {object} field
+ * @param {{isUpdate?: boolean, table?: string}} options
+ * @returns {string} e.g. "required|string|max:255"
+ */
+function getValidationRules(field, { isUpdate = false, table } = {}) {
+  const rules = [];
+
+  if (isUpdate) rules.push("sometimes");
+  rules.push(field.nullable ? "nullable" : "required");
+
+  switch (field.type) {
+    case "string":
+    case "char":
+      rules.push("string", `max:${field.length || 255}`);
+      break;
+    case "email":
+      rules.push("email", `max:${field.length || 255}`);
+      break;
+    case "url":
+      rules.push("url", `max:${field.length || 255}`);
+      break;
+    case "password":
+      rules.push("string", "min:8");
+      break;
+    case "decimal":
+    case "float":
+    case "double":
+      rules.push("numeric");
+      break;
+    case "boolean":
+      rules.push("boolean");
+      break;
+    case "date":
+    case "dateTime":
+    case "dateTimeTz":
+    case "timestamp":
+    case "timestampTz":
+      rules.push("date");
+      break;
+    case "time":
+      rules.push("date_format:H:i");
+      break;
+    case "json":
+    case "jsonb":
+      rules.push("array");
+      break;
+    case "uuid":
+      rules.push("uuid");
+      break;
+    case "ulid":
+      rules.push("ulid");
+      break;
+    case "ipAddress":
+      rules.push("ip");
+      break;
+    case "macAddress":
+      rules.push("mac_address");
+      break;
+    case "enum":
+    case "set":
+      rules.push(`in:${field.values.join(",")}`);
+      break;
+    case "foreignId":
+    case "foreignUuid":
+    case "foreignUlid":
+      rules.push(
+        { foreignId: "integer", foreignUuid: "uuid", foreignUlid: "ulid" }[
+          field.type
+        ],
+        `exists:${getReferencedTable(field)},id`
+      );
+      break;
+    default:
+      if (INTEGER_TYPES.includes(field.type)) {
+        rules.push("integer");
+      } else {
+        rules.push("string");
+      }
+  }
+
+  if (field.unique && table && !isUpdate) {
+    rules.push(`unique:${table},${field.name}`);
+  }
+
+  return rules.join("|");
+}
+
+/**
+ * HTML input type for a field
+ */
+function getInputType(field) {
+  if (TEXT_TYPES.includes(field.type)) return "textarea";
+  if (INTEGER_TYPES.includes(field.type)) return "number";
+  if (["decimal", "float", "double", "foreignId"].includes(field.type)) {
+    return "number";
+  }
+  if (field.type === "boolean") return "checkbox";
+  if (field.type === "date") return "date";
+  if (DATETIME_TYPES.includes(field.type)) {
+    return "datetime-local";
+  }
+  if (["time", "email", "password", "url"].includes(field.type)) {
+    return field.type;
+  }
+  return "text";
+}
+
+/**
+ * Eloquent relationship method for a model class
+ *
+ * @param {{type: string, model: string, method: string, foreignKey?: string, localKey?: string, morphName?: string, pivot?: {table: string, fields: object[], timestamps: boolean}}} relationship
+ *   localKey is the owner key of a belongsTo; the pivot of a belongsToMany
+ *   adds withPivot() and withTimestamps(), and its foreignPivotKey and
+ *   relatedPivotKey name the columns of a model related to itself
+ */
+function generateRelationshipMethod(relationship) {
+  const { type, model, method, pivot } = relationship;
+  const args = [];
+
+  if (model) {
+    args.push(`${model}::class`);
+  }
+  if (relationship.morphName) {
+    args.push(`'${relationship.morphName}'`);
+  }
+  if (pivot) {
+    args.push(`'${pivot.table}'`);
+    if (pivot.foreignPivotKey) {
+      args.push(`'${pivot.foreignPivotKey}'`, `'${pivot.relatedPivotKey}'`);
+    }
+  }
+  if (relationship.localKey) {
+    args.push(`'${relationship.foreignKey}'`, `'${relationship.localKey}'`);
+  } else if (
+    relationship.foreignKey &&
+    relationship.foreignKey !== `${toSnakeCase(model)}_id`
+  ) {
+    args.push(`'${relationship.foreignKey}'`);
+  }
+
+  const chain = [];
+  if (pivot && pivot.fields.length > 0) {
+    const columns = pivot.fields.map((field) => `'${field.name}'`);
+    chain.push(`->withPivot(${columns.join(", ")})`);
+  }
+  if (pivot && pivot.timestamps) {
+    chain.push("->withTimestamps()");
+  }
+
+  return `
+    /**
+     * ${type} relationship with ${model || method}
+     */
+    public function ${method}()
+    {
+        return $this->${type}(${args.join(", ")})${chain
+    .map((call) => `\n            ${call}`)
+    .join("")};
+    }`;
+}
+
+module.exports = {
+  parseFieldDefinitions,
+  validateFieldDefinitions,
+  formatFieldDefinitions,
+  normalizeType,
+  getColumnDefinition,
+  getCastType,
+  getValidationRules,
+  getInputType,
+  getReferencedTable,
+  getReferencedModel,
+  getFakerValue,
+  generateRelationshipMethod,
+};
@@ -1,28 +1,26 @@
 const vscode = require("vscode");
 const fs = require("fs");
 const path = require("path");
-const { exec } = require("child_process");
+const { spawn } = require("child_process");
+const { getActiveProject, isLaravelRoot } = require("./projects");
 
 /**
  * Checks if the current workspace is a Laravel project
  */
 function isLaravelProject() {
-  const workspaceFolders = vscode.workspace.workspaceFolders;
-  if (!workspaceFolders) {
-    return false;
-  }
-
-  const rootPath = workspaceFolders[0].uri.fsPath;
-  const artisanPath = path.join(rootPath, "artisan");
-  const composerPath = path.join(rootPath, "composer.json");
-
-  return fs.existsSync(artisanPath) && fs.existsSync(composerPath);
+  const rootPath = getLaravelRootPath();
+  return !!rootPath && isLaravelRoot(rootPath);
 }
 
 /**
- * Gets the root path of the Laravel project
+ * Gets the root path of the selected Laravel project
  */
 function getLaravelRootPath() {
+  const activeProject = getActiveProject();
+  if (activeProject) {
+    return activeProject;
+  }
+
   const workspaceFolders = vscode.workspace.workspaceFolders;
   if (!workspaceFolders) {
     return null;
@@ -30,10 +28,47 @@ function getLaravelRootPath() {
   return workspaceFolders[0].uri.fsPath;
 }
 
+let outputChannel = null;
+
+/**
+ * Gets the shared "Laravel Toolkit" output channel
+ */
+function getOutputChannel() {
+  if (!outputChannel) {
+    outputChannel = vscode.window.createOutputChannel("Laravel Toolkit");
+  }
+  return outputChannel;
+}
+
 /**
  * Executes an Artisan command
+ *
+ * Artisan is spawned once, through the configured runtime (native, Sail,
+ * docker compose...), and its output streamed to the "Laravel Toolkit"
+ * output channel. The command runs under a cancellable progress
+ * notification unless the caller passes its own cancellation token.
+ *
+ * @param {string} command Artisan command and arguments, e.g. "make:model Post -m"
+ * @param {boolean} showOutput Reveal the output channel
+ * @param {{token?: vscode.CancellationToken}} options
+ * @returns {Promise<{stdout: string, stderr: string, exitCode: number}>}
  */
-function executeArtisanCommand(command, showOutput = true) {
+function executeArtisanCommand(command, showOutput = true, options = {}) {
+  if (options.token) {
+    return runArtisanProcess(command, showOutput, options.token);
+  }
+
+  return vscode.window.withProgress(
+    {
+      location: vscode.ProgressLocation.Notification,
+      title: `php artisan ${command}`,
+      cancellable: true,
+    },
+    (progress, token) => runArtisanProcess(command, showOutput, token)
+  );
+}
+
+function runArtisanProcess(command, showOutput, token) {
   return new Promise((resolve, reject) => {
     const rootPath = getLaravelRootPath();
     if (!rootPath) {
@@ -41,36 +76,131 @@ function executeArtisanCommand(command, showOutput = true) {
       return;
     }
 
-    const isWindows = process.platform === "win32";
-    const artisanCmd = isWindows
-      ? `php artisan ${command}`
-      : `./artisan ${command}`;
+    // Lazy require: the runtime module depends on these helpers
+    const { buildCommand, formatCommand } = require("./runtime");
 
-    const terminal = vscode.window.createTerminal({
-      name: "Laravel Artisan",
-      cwd: rootPath,
-    });
+    let invocation;
+    try {
+      invocation = buildCommand("artisan", splitCommandLine(command));
+    } catch (error) {
+      reject(error);
+      return;
+    }
 
+    const channel = getOutputChannel();
     if (showOutput) {
-      terminal.show();
+      channel.show(true);
     }
+    channel.appendLine(`> ${formatCommand(invocation)}`);
+
+    const child = spawn(invocation.command, invocation.args, {
+      cwd: rootPath,
+      stdio: ["ignore", "pipe", "pipe"],
+    });
+
+    let stdout = "";
+    let stderr = "";
+    let cancelled = false;
+    let settled = false;
 
-    terminal.sendText(artisanCmd);
+    child.stdout.on("data", (data) => {
+      stdout += data;
+      channel.append(data.toString());
+    });
+    child.stderr.on("data", (data) => {
+      stderr += data;
+      channel.append(data.toString());
+    });
+
+    const cancellation =
+      token &&
+      token.onCancellationRequested(() => {
+        cancelled = true;
+        child.kill();
+      });
+
+    const finish = (error, result) => {
+      if (settled) return;
+      settled = true;
+      if (cancellation) cancellation.dispose();
+      if (error) reject(error);
+      else resolve(result);
+    };
+
+    child.on("error", (error) => {
+      channel.appendLine(`[failed to start: ${error.message}]`);
+      finish(
+        new Error(`Could not run "${invocation.command}": ${error.message}`)
+      );
+    });
 
-    // For non-interactive commands, execute with exec to capture output
-    exec(artisanCmd, { cwd: rootPath }, (error, stdout, stderr) => {
-      if (error && !error.message.includes("Command not found")) {
-        if (showOutput) {
-          vscode.window.showErrorMessage(`Error: ${error.message}`);
-        }
-        reject(error);
+    child.on("close", (exitCode) => {
+      if (cancelled) {
+        channel.appendLine("[cancelled]");
+        const error = new Error(`php artisan ${command} was cancelled`);
+        error.cancelled = true;
+        finish(error);
         return;
       }
-      resolve({ stdout, stderr });
+
+      channel.appendLine(`[exit code ${exitCode}]`);
+
+      if (exitCode !== 0) {
+        const detail = lastLines(stderr) || lastLines(stdout);
+        const error = new Error(
+          `php artisan ${command} exited with code ${exitCode}` +
+            (detail ? `: ${detail}` : "")
+        );
+        error.exitCode = exitCode;
+        error.stderr = stderr;
+        finish(error);
+        return;
+      }
+
+      finish(null, { stdout, stderr, exitCode });
     });
   });
 }
 
+/**
+ * Splits a command line into arguments, honoring single and double quotes
+ */
+function splitCommandLine(commandLine) {
+  const args = [];
+  const pattern = /"((?:\\.|[^"\\])*)"|'([^']*)'|([^\s"']+)/g;
+  let lastIndex = -1;
+  let match;
+
+  while ((match = pattern.exec(commandLine)) !== null) {
+    const value =
+      match[1] !== undefined
+        ? match[1].replace(/\\(["\\])/g, "$1")
+        : match[2] !== undefined
+        ? match[2]
+        : match[3];
+
+    // Adjacent pieces (e.g. --execute="...") belong to the same argument
+    if (match.index === lastIndex) {
+      args[args.length - 1] += value;
+    } else {
+      args.push(value);
+    }
+    lastIndex = pattern.lastIndex;
+  }
+
+  return args;
+}
+
+function lastLines(text, count = 3) {
+  return text
+    .trim()
+    .split(/\r?\n/)
+    .filter((line) => line.trim())
+    .slice(-count)
+    .map((line) => line.trim())
+    .join(" ");
+}
+
 /**
  * Detects the frontend framework used in the project
  */
@@ -154,6 +284,16 @@ function toSnakeCase(str) {
     .toLowerCase();
 }
 
+/**
+ * English plural of a snake_case word, as Laravel's Str::plural()
+ * guesses table names (category -> categories, box -> boxes)
+ */
+function pluralize(word) {
+  if (/[^aeiou]y$/.test(word)) return word.replace(/y$/, "ies");
+  if (/(s|x|z|ch|sh)$/.test(word)) return word + "es";
+  return word + "s";
+}
+
 /**
  * Gets the extension configuration
  */
@@ -219,12 +359,15 @@ module.exports = {
   isLaravelProject,
   getLaravelRootPath,
   executeArtisanCommand,
+  getOutputChannel,
+  splitCommandLine,
   detectFrontendFramework,
   ensureDirectoryExists,
   toPascalCase,
   toCamelCase,
   toKebabCase,
   toSnakeCase,
+  pluralize,
   getConfig,
   showInputBox,
   showQuickPick,
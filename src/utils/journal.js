@@ -0,0 +1,204 @@
+const vscode = require("vscode");
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { getLaravelRootPath } = require("./helpers");
+
+/**
+ * Generation journal
+ *
+ * Every applied change plan is recorded in the workspace state with the
+ * files it created and the original content of the files it modified, so
+ * the run can be undone later.
+ */
+
+const HISTORY_KEY = "laravelToolkit.generationHistory";
+const MAX_ENTRIES = 20;
+
+let workspaceState = null;
+
+/**
+ * Gives the journal access to the workspace state
+ *
+ * @param {vscode.ExtensionContext} context
+ */
+function initJournal(context) {
+  workspaceState = context.workspaceState;
+}
+
+function getHistory() {
+  return workspaceState ? workspaceState.get(HISTORY_KEY, []) : [];
+}
+
+async function saveHistory(history) {
+  if (workspaceState) {
+    await workspaceState.update(HISTORY_KEY, history.slice(0, MAX_ENTRIES));
+  }
+}
+
+/**
+ * Records an applied generation run
+ *
+ * @param {string} title
+ * @param {Array<{type: string, filePath: string, content: string, original: string|null}>} files
+ * @param {string[]} directories Directories the run created
+ */
+async function recordGeneration(title, files, directories = []) {
+  if (files.length === 0) {
+    return;
+  }
+
+  const entry = {
+    id: Date.now().toString(36),
+    title,
+    timestamp: new Date().toISOString(),
+    files: files.map((file) => ({
+      filePath: file.filePath,
+      type: file.type,
+      original: file.type === "modify" ? file.original : null,
+      hash: hashContent(file.content),
+    })),
+    directories,
+  };
+
+  await saveHistory([entry, ...getHistory()]);
+}
+
+function hashContent(content) {
+  return crypto.createHash("sha1").update(content).digest("hex");
+}
+
+/**
+ * Lists the files edited or deleted since the run wrote them
+ */
+function findChangedFiles(entry) {
+  return entry.files.filter((file) => {
+    if (!fs.existsSync(file.filePath)) {
+      return file.type === "modify";
+    }
+    return hashContent(fs.readFileSync(file.filePath, "utf8")) !== file.hash;
+  });
+}
+
+/**
+ * Restores the workspace to its state before the given run
+ */
+async function undoGeneration(entry) {
+  const changed = findChangedFiles(entry);
+
+  if (changed.length > 0) {
+    const list = changed
+      .map((file) => path.relative(getLaravelRootPath() || "", file.filePath))
+      .join("\n");
+
+    const answer = await vscode.window.showWarningMessage(
+      `${changed.length} file(s) changed after "${entry.title}" was generated. Undoing will discard those changes.`,
+      { modal: true, detail: list },
+      "Undo Anyway"
+    );
+
+    if (answer !== "Undo Anyway") {
+      return false;
+    }
+  }
+
+  for (const file of entry.files) {
+    if (file.type === "modify") {
+      fs.writeFileSync(file.filePath, file.original);
+    } else if (fs.existsSync(file.filePath)) {
+      fs.unlinkSync(file.filePath);
+    }
+  }
+
+  for (const directory of entry.directories || []) {
+    removeEmptyDirectories(directory);
+  }
+
+  await saveHistory(getHistory().filter((item) => item.id !== entry.id));
+  return true;
+}
+
+/**
+ * Removes a directory tree if it only contains empty directories
+ */
+function removeEmptyDirectories(dirPath) {
+  if (!fs.existsSync(dirPath) || !fs.statSync(dirPath).isDirectory()) {
+    return;
+  }
+
+  for (const child of fs.readdirSync(dirPath)) {
+    removeEmptyDirectories(path.join(dirPath, child));
+  }
+
+  if (fs.readdirSync(dirPath).length === 0) {
+    fs.rmdirSync(dirPath);
+  }
+}
+
+/**
+ * Undoes the most recent generation run
+ */
+async function undoLastGeneration() {
+  const [last] = getHistory();
+
+  if (!last) {
+    vscode.window.showInformationMessage("No generation to undo");
+    return;
+  }
+
+  try {
+    if (await undoGeneration(last)) {
+      vscode.window.showInformationMessage(`↩️ Undid "${last.title}"`);
+    }
+  } catch (error) {
+    vscode.window.showErrorMessage(`❌ Error: ${error.message}`);
+  }
+}
+
+/**
+ * Lists previous generation runs and undoes the selected one
+ */
+async function showGenerationHistory() {
+  const history = getHistory();
+
+  if (history.length === 0) {
+    vscode.window.showInformationMessage("No generations recorded yet");
+    return;
+  }
+
+  const rootPath = getLaravelRootPath() || "";
+  const selected = await vscode.window.showQuickPick(
+    history.map((entry) => ({
+      label: entry.title,
+      description: new Date(entry.timestamp).toLocaleString(),
+      detail: entry.files
+        .map(
+          (file) =>
+            `${file.type === "create" ? "+" : "~"} ${path.relative(
+              rootPath,
+              file.filePath
+            )}`
+        )
+        .join("  "),
+      entry,
+    })),
+    { placeHolder: "Select a generation to undo", matchOnDetail: true }
+  );
+
+  if (!selected) return;
+
+  try {
+    if (await undoGeneration(selected.entry)) {
+      vscode.window.showInformationMessage(`↩️ Undid "${selected.label}"`);
+    }
+  } catch (error) {
+    vscode.window.showErrorMessage(`❌ Error: ${error.message}`);
+  }
+}
+
+module.exports = {
+  initJournal,
+  recordGeneration,
+  undoLastGeneration,
+  showGenerationHistory,
+};
@@ -0,0 +1,520 @@
+const vscode = require("vscode");
+const fs = require("fs");
+const path = require("path");
+const {
+  getLaravelRootPath,
+  toSnakeCase,
+  pluralize,
+} = require("./helpers");
+const { normalizeType, formatFieldDefinitions } = require("./fields");
+const { readDatabaseTables, readDatabaseTable } = require("./databaseSchema");
+
+/**
+ * Existing migrations as a source of fields
+ *
+ * Replays the `up()` method of every database/migrations/*.php file in
+ * filename order: Schema::create() defines a table, later Schema::table()
+ * calls add, change, rename and drop its columns. The result uses the same
+ * field objects as the definition syntax in fields.js.
+ */
+
+// Columns every generator adds on its own
+const IMPLICIT_COLUMNS = [
+  "id",
+  "increments",
+  "bigIncrements",
+  "mediumIncrements",
+  "smallIncrements",
+  "tinyIncrements",
+  "timestamps",
+  "timestampsTz",
+  "nullableTimestamps",
+  "softDeletes",
+  "softDeletesTz",
+  "rememberToken",
+];
+
+// Blueprint methods without a type of their own in the definition syntax
+const TYPE_MAP = {
+  unsignedTinyInteger: "tinyInteger",
+  unsignedSmallInteger: "smallInteger",
+  unsignedMediumInteger: "mediumInteger",
+  unsignedDecimal: "decimal",
+  tinyText: "text",
+};
+
+const FOREIGN_KEY_TYPES = ["foreignId", "foreignUuid", "foreignUlid"];
+
+const ON_DELETE = {
+  cascade: "cascadeOnDelete",
+  restrict: "restrictOnDelete",
+  "set null": "nullOnDelete",
+};
+
+/**
+ * Reads the tables defined by the project's migrations
+ *
+ * @param {string} rootPath
+ * @returns {Map<string, object[]>} Table name -> fields, in migration order
+ */
+function readMigrationSchema(rootPath = getLaravelRootPath()) {
+  const tables = new Map();
+  const migrationsPath = path.join(rootPath, "database", "migrations");
+
+  if (!fs.existsSync(migrationsPath)) {
+    return tables;
+  }
+
+  fs.readdirSync(migrationsPath)
+    .filter((file) => file.endsWith(".php"))
+    .sort()
+    .forEach((file) => {
+      const source = fs.readFileSync(path.join(migrationsPath, file), "utf8");
+      applyMigration(tables, source);
+    });
+
+  return tables;
+}
+
+/**
+ * Applies the schema operations found in a migration's up() method
+ */
+function applyMigration(tables, source) {
+  const up = extractUpMethod(stripComments(source));
+  if (!up) return;
+
+  const pattern =
+    /Schema::(?:connection\([^)]*\)\s*->\s*)?(create|table|rename|drop|dropIfExists)\s*\(\s*(['"])([^'"]+)\2\s*(?:,\s*(['"])([^'"]+)\4)?/g;
+  let match;
+
+  while ((match = pattern.exec(up)) !== null) {
+    const [, operation, , table, , renamedTo] = match;
+
+    if (operation === "rename") {
+      if (tables.has(table) && renamedTo) {
+        tables.set(renamedTo, tables.get(table));
+        tables.delete(table);
+      }
+      continue;
+    }
+    if (operation === "drop" || operation === "dropIfExists") {
+      tables.delete(table);
+      continue;
+    }
+
+    const bodyStart = up.indexOf("{", match.index);
+    if (bodyStart === -1) continue;
+    const body = up.slice(bodyStart + 1, findClosingBrace(up, bodyStart));
+
+    if (operation === "create") {
+      tables.set(table, []);
+    } else if (!tables.has(table)) {
+      // Table created outside the migrations (e.g. an imported dump)
+      tables.set(table, []);
+    }
+
+    splitStatements(body).forEach((statement) =>
+      applyStatement(tables.get(table), statement)
+    );
+    pattern.lastIndex = bodyStart + body.length + 1;
+  }
+}
+
+/**
+ * Applies one `$table->...;` statement to a table's fields
+ */
+function applyStatement(fields, statement) {
+  const calls = parseChain(statement);
+  if (!calls || calls.length === 0) return;
+
+  const [column, ...modifiers] = calls;
+  const args = column.args;
+  const find = (name) => fields.findIndex((field) => field.name === name);
+
+  switch (column.name) {
+    case "dropColumn":
+    case "dropConstrainedForeignId":
+      args.flat().forEach((name) => {
+        const index = find(name);
+        if (index !== -1) fields.splice(index, 1);
+      });
+      return;
+
+    case "renameColumn": {
+      const index = find(args[0]);
+      if (index !== -1 && args[1]) fields[index].name = args[1];
+      return;
+    }
+
+    case "foreign": {
+      // $table->foreign('user_id')->references('id')->on('users')
+      const index = find(args[0]);
+      if (index === -1) return;
+      const field = fields[index];
+      if (["unsignedBigInteger", "bigInteger"].includes(field.type)) {
+        field.type = "foreignId";
+        delete field.unsigned;
+      }
+      const on = modifiers.find((call) => call.name === "on");
+      if (FOREIGN_KEY_TYPES.includes(field.type)) {
+        field.constrained = (on && on.args[0]) || true;
+        applyModifiers(field, modifiers);
+      }
+      return;
+    }
+  }
+
+  if (IMPLICIT_COLUMNS.includes(column.name)) return;
+
+  const field = buildField(column);
+  if (!field) return;
+  applyModifiers(field, modifiers);
+
+  const index = find(field.name);
+  if (index !== -1) {
+    // ->change() or a re-added column replaces the old definition
+    fields[index] = field;
+  } else {
+    fields.push(field);
+  }
+}
+
+/**
+ * Field object for a column method, or null for indexes, morphs and other
+ * calls that are not a single column
+ */
+function buildField({ name, args }) {
+  if (name === "foreignIdFor") {
+    const model = String(args[0] || "").replace(/::class$/, "");
+    const column =
+      args[1] || `${toSnakeCase(model.split("\\").pop())}_id`;
+    return model ? { name: column, type: "foreignId" } : null;
+  }
+
+  const type = normalizeType(TYPE_MAP[name] || name);
+  if (!type || typeof args[0] !== "string") return null;
+
+  const field = { name: args[0], type };
+
+  if (TYPE_MAP[name] && /^unsigned/.test(name)) {
+    field.unsigned = true;
+  }
+  if (type === "enum" || type === "set") {
+    if (!Array.isArray(args[1]) || args[1].length === 0) {
+      field.type = "string";
+    } else {
+      field.values = args[1].map(String);
+    }
+  } else if (["decimal", "float", "double"].includes(type)) {
+    if (typeof args[1] === "number") {
+      field.precision = args[1];
+      field.scale = typeof args[2] === "number" ? args[2] : 2;
+    }
+  } else if (["string", "char"].includes(type)) {
+    if (typeof args[1] === "number") field.length = args[1];
+  }
+
+  return field;
+}
+
+function applyModifiers(field, modifiers) {
+  for (const { name, args } of modifiers) {
+    switch (name) {
+      case "nullable":
+        field.nullable = args[0] !== false;
+        break;
+      case "unique":
+      case "index":
+      case "unsigned":
+        field[name] = true;
+        break;
+      case "default":
+        field.defaultValue = formatLiteral(args[0]);
+        break;
+      case "comment":
+        field.commentText = String(args[0] || "");
+        break;
+      case "constrained":
+        field.constrained = args[0] || true;
+        break;
+      case "cascadeOnDelete":
+      case "restrictOnDelete":
+      case "nullOnDelete":
+      case "cascadeOnUpdate":
+        field[name] = true;
+        break;
+      case "onDelete":
+        if (ON_DELETE[args[0]]) field[ON_DELETE[args[0]]] = true;
+        break;
+      case "onUpdate":
+        if (args[0] === "cascade") field.cascadeOnUpdate = true;
+        break;
+    }
+  }
+
+  if (!field.nullable) delete field.nullable;
+}
+
+function formatLiteral(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return JSON.stringify(value);
+  return String(value);
+}
+
+/**
+ * Parses `$table->string('name', 100)->nullable()` into a list of calls
+ */
+function parseChain(statement) {
+  const match = statement.match(/^\s*\$\w+\s*->/);
+  if (!match) return null;
+
+  const calls = [];
+  let position = match[0].length;
+
+  while (position < statement.length) {
+    const nameMatch = statement.slice(position).match(/^\s*(\w+)\s*\(/);
+    if (!nameMatch) return calls;
+
+    const argsStart = position + nameMatch[0].length;
+    const argsEnd = findClosing(statement, argsStart - 1, "(", ")");
+    calls.push({
+      name: nameMatch[1],
+      args: splitTopLevel(statement.slice(argsStart, argsEnd), ",").map(
+        parseLiteral
+      ),
+    });
+
+    const next = statement.slice(argsEnd + 1).match(/^\s*->/);
+    if (!next) return calls;
+    position = argsEnd + 1 + next[0].length;
+  }
+
+  return calls;
+}
+
+/**
+ * PHP literal to a JS value: strings, numbers, booleans, null, arrays and
+ * Model::class; anything else (constants, expressions) is kept as written
+ */
+function parseLiteral(raw) {
+  const value = raw.trim();
+
+  const quoted = value.match(/^(['"])([\s\S]*)\1$/);
+  if (quoted) return quoted[2].replace(/\\(['"\\])/g, "$1");
+  if (/^-?\d+$/.test(value)) return parseInt(value, 10);
+  if (/^-?\d*\.\d+$/.test(value)) return parseFloat(value);
+  if (/^(true|false)$/i.test(value)) return value.toLowerCase() === "true";
+  if (/^null$/i.test(value)) return null;
+
+  const array = value.match(/^\[([\s\S]*)\]$/);
+  if (array) {
+    return splitTopLevel(array[1], ",")
+      .filter((item) => item.trim())
+      .map(parseLiteral);
+  }
+
+  return value;
+}
+
+function extractUpMethod(source) {
+  const match = source.match(
+    /function\s+up\s*\([^)]*\)\s*(?::\s*\??\w+\s*)?\{/
+  );
+  if (!match) return null;
+
+  const start = match.index + match[0].length - 1;
+  return source.slice(start + 1, findClosingBrace(source, start));
+}
+
+function splitStatements(body) {
+  return splitTopLevel(body, ";").filter((statement) => statement.trim());
+}
+
+function findClosingBrace(source, openIndex) {
+  return findClosing(source, openIndex, "{", "}");
+}
+
+/**
+ * Index of the bracket closing the one at openIndex, skipping strings
+ */
+function findClosing(source, openIndex, open, close) {
+  let depth = 0;
+  let quote = null;
+
+  for (let i = openIndex; i < source.length; i++) {
+    const char = source[i];
+
+    if (quote) {
+      if (char === "\\") i++;
+      else if (char === quote) quote = null;
+      continue;
+    }
+
+    if (char === "'" || char === '"') quote = char;
+    else if (char === open) depth++;
+    else if (char === close && --depth === 0) return i;
+  }
+
+  return source.length;
+}
+
+/**
+ * Splits on a separator outside of strings, parentheses and brackets
+ */
+function splitTopLevel(source, separator) {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let current = "";
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (quote) {
+      current += char;
+      if (char === "\\") current += source[++i] || "";
+      else if (char === quote) quote = null;
+      continue;
+    }
+
+    if (char === "'" || char === '"') quote = char;
+    else if ("([{".includes(char)) depth++;
+    else if (")]}".includes(char)) depth--;
+
+    if (char === separator && depth === 0) {
+      parts.push(current);
+      current = "";
+    } else {
+      current += char;
+    }
+  }
+
+  if (current.trim()) parts.push(current);
+  return parts.map((part) => part.trim()).filter(Boolean);
+}
+
+function stripComments(source) {
+  let result = "";
+  let quote = null;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (quote) {
+      result += char;
+      if (char === "\\") result += source[++i] || "";
+      else if (char === quote) quote = null;
+      continue;
+    }
+
+    if (char === "'" || char === '"') {
+      quote = char;
+    } else if (char === "/" && source[i + 1] === "*") {
+      const end = source.indexOf("*/", i + 2);
+      i = end === -1 ? source.length : end + 1;
+      continue;
+    } else if (
+      (char === "/" && source[i + 1] === "/") ||
+      (char === "#" && source[i + 1] !== "[")
+    ) {
+      const end = source.indexOf("\n", i);
+      i = end === -1 ? source.length : end - 1;
+      continue;
+    }
+
+    result += char;
+  }
+
+  return result;
+}
+
+/**
+ * Offers the columns of an existing table, from the migrations or from the
+ * live database, as the starting point for a generator's fields
+ *
+ * @param {string} modelName Used to preselect the conventional table
+ * @returns {Promise<{table: string, definitions: string}|null|undefined>}
+ *   The table and its columns in the definition syntax, null to type the
+ *   fields by hand, undefined when cancelled
+ */
+async function pickExistingColumns(modelName) {
+  const conventional = pluralize(toSnakeCase(modelName));
+  const byConvention = (a, b) => (b === conventional) - (a === conventional);
+
+  const tables = [...readMigrationSchema().entries()]
+    .filter(([, fields]) => fields.length > 0)
+    .sort(([a], [b]) => byConvention(a, b));
+
+  const selected = await vscode.window.showQuickPick(
+    [
+      { label: "$(edit) Type fields", source: "manual" },
+      ...tables.map(([table, fields]) => ({
+        label: `$(file-code) Use columns from existing migration: ${table}`,
+        description: `${fields.length} columns`,
+        detail: fields.map((field) => field.name).join(", "),
+        source: "migration",
+        table,
+        fields,
+      })),
+      {
+        label: "$(database) Generate from database table...",
+        description: "db:show / db:table or the local SQLite file",
+        source: "database",
+      },
+    ],
+    { placeHolder: `Where should the fields of ${modelName} come from?` }
+  );
+
+  if (!selected) return undefined;
+  if (selected.source === "manual") return null;
+
+  if (selected.source === "migration") {
+    return {
+      table: selected.table,
+      definitions: formatFieldDefinitions(selected.fields),
+    };
+  }
+
+  try {
+    const databaseTables = (await readDatabaseTables()).sort(byConvention);
+    if (databaseTables.length === 0) {
+      vscode.window.showWarningMessage("No tables found in the database");
+      return undefined;
+    }
+
+    const table = await vscode.window.showQuickPick(databaseTables, {
+      placeHolder: "Database table to generate from",
+    });
+    if (!table) return undefined;
+
+    const fields = await readDatabaseTable(table);
+    return { table, definitions: formatFieldDefinitions(fields) };
+  } catch (error) {
+    if (!error.cancelled) {
+      vscode.window.showErrorMessage(`❌ Error: ${error.message}`);
+    }
+    return undefined;
+  }
+}
+
+/**
+ * Laravel-style migration timestamps one second apart, so migrations run in
+ * dependency order
+ */
+function createTimestampSequence() {
+  let time = Date.now();
+
+  return () => {
+    const iso = new Date(time).toISOString();
+    time += 1000;
+    return `${iso.slice(0, 10).replace(/-/g, "_")}_${iso
+      .slice(11, 19)
+      .replace(/:/g, "")}`;
+  };
+}
+
+module.exports = {
+  readMigrationSchema,
+  pickExistingColumns,
+  createTimestampSequence,
+};
@@ -0,0 +1,206 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Eloquent model inspection
+ *
+ * Reads the models under app/Models (subdirectories included) and extracts
+ * what the Models explorer shows: fillable attributes, casts, traits and
+ * relationship methods, each with the line it is declared on, plus the
+ * table and primary key generators reference.
+ */
+
+const RELATIONSHIP_TYPES = [
+  "hasOne",
+  "hasMany",
+  "belongsTo",
+  "belongsToMany",
+  "hasOneThrough",
+  "hasManyThrough",
+  "morphTo",
+  "morphOne",
+  "morphMany",
+  "morphToMany",
+  "morphedByMany",
+];
+
+/**
+ * Lists the PHP files under app/Models
+ *
+ * @param {string} rootPath
+ * @returns {string[]} Absolute paths, sorted
+ */
+function findModelFiles(rootPath) {
+  const modelsPath = path.join(rootPath, "app", "Models");
+  if (!fs.existsSync(modelsPath)) {
+    return [];
+  }
+
+  const files = [];
+  const walk = (dirPath) => {
+    for (const entry of fs.readdirSync(dirPath, { withFileTypes: true })) {
+      const entryPath = path.join(dirPath, entry.name);
+      if (entry.isDirectory()) {
+        walk(entryPath);
+      } else if (entry.name.endsWith(".php")) {
+        files.push(entryPath);
+      }
+    }
+  };
+  walk(modelsPath);
+
+  return files.sort();
+}
+
+/**
+ * Extracts the explorer details of a model file
+ *
+ * @param {string} filePath
+ * @param {string} rootPath Used for the subdirectory, e.g. "Admin"
+ * @returns {{name: string, filePath: string, subdirectory: string, line: number, fillable: object[], casts: object[], traits: object[], relationships: object[], table: string|null, primaryKey: {name: string, type: string}}|null}
+ *   null when the file declares no class
+ */
+function inspectModel(filePath, rootPath) {
+  const source = fs.readFileSync(filePath, "utf8");
+  const classMatch = source.match(
+    /^\s*(?:abstract\s+|final\s+)?class\s+(\w+)/m
+  );
+  if (!classMatch) {
+    return null;
+  }
+
+  const lineAt = (index) => source.slice(0, index).split("\n").length - 1;
+  const classStart = classMatch.index;
+  const subdirectory = path
+    .relative(path.join(rootPath, "app", "Models"), path.dirname(filePath))
+    .split(path.sep)
+    .filter(Boolean)
+    .join("/");
+  const traits = readTraits(source, classStart, lineAt);
+
+  return {
+    name: classMatch[1],
+    filePath,
+    subdirectory,
+    line: lineAt(classStart + classMatch[0].indexOf("class")),
+    fillable: readFillable(source, lineAt),
+    casts: readCasts(source, lineAt),
+    traits,
+    relationships: readRelationships(source, lineAt),
+    table: readStringProperty(source, "table"),
+    primaryKey: readPrimaryKey(source, traits),
+  };
+}
+
+/**
+ * `protected $table = 'posts';` and the like, null when not declared
+ */
+function readStringProperty(source, name) {
+  const match = source.match(
+    new RegExp(`\\$${name}\\s*=\\s*['"]([^'"]+)['"]\\s*;`)
+  );
+  return match ? match[1] : null;
+}
+
+/**
+ * Key column and type: int, string ($keyType) or uuid (HasUuids)
+ */
+function readPrimaryKey(source, traits) {
+  let type = "int";
+  if (traits.some((trait) => trait.name === "HasUuids")) {
+    type = "uuid";
+  } else if (readStringProperty(source, "keyType") === "string") {
+    type = "string";
+  }
+
+  return { name: readStringProperty(source, "primaryKey") || "id", type };
+}
+
+function readFillable(source, lineAt) {
+  const match = source.match(/\$fillable\s*=\s*\[([\s\S]*?)\]\s*;/);
+  if (!match) return [];
+
+  const offset = match.index + match[0].indexOf("[");
+  return [...match[1].matchAll(/['"]([^'"]+)['"]/g)].map((attribute) => ({
+    name: attribute[1],
+    line: lineAt(offset + attribute.index),
+  }));
+}
+
+/**
+ * `protected $casts = [...]` or the `casts(): array` method of Laravel 11
+ */
+function readCasts(source, lineAt) {
+  const match =
+    source.match(/\$casts\s*=\s*\[([\s\S]*?)\]\s*;/) ||
+    source.match(
+      /function\s+casts\s*\(\s*\)[^{]*\{[\s\S]*?return\s*\[([\s\S]*?)\]\s*;/
+    );
+  if (!match) return [];
+
+  const offset = match.index + match[0].lastIndexOf(match[1]);
+  return [...match[1].matchAll(/['"](\w+)['"]\s*=>\s*([^,\n]+)/g)].map(
+    (cast) => ({
+      name: cast[1],
+      cast: cast[2].trim().replace(/^(['"])(.*)\1$/, "$2"),
+      line: lineAt(offset + cast.index),
+    })
+  );
+}
+
+/**
+ * `use SoftDeletes, HasUuids;` statements inside the class body
+ */
+function readTraits(source, classStart, lineAt) {
+  const body = source.slice(classStart);
+  const traits = [];
+
+  for (const match of body.matchAll(/^\s*use\s+([\w\\,\s]+?)\s*[;{]/gm)) {
+    match[1]
+      .split(",")
+      .map((trait) => trait.trim().split("\\").pop())
+      .filter(Boolean)
+      .forEach((name) =>
+        traits.push({
+          name,
+          line: lineAt(classStart + match.index + match[0].indexOf("use")),
+        })
+      );
+  }
+
+  return traits;
+}
+
+function readRelationships(source, lineAt) {
+  // function posts(): HasMany { return $this->hasMany(Post::class); }
+  const types = RELATIONSHIP_TYPES.join("|");
+  const pattern = new RegExp(
+    `function\\s+(\\w+)\\s*\\([^)]*\\)[^{;]*\\{[^}]*?return\\s+\\$this\\s*->\\s*(${types})\\s*\\(\\s*(?:([\\w\\\\]+)::class)?`,
+    "g"
+  );
+
+  return [...source.matchAll(pattern)].map((match) => ({
+    method: match[1],
+    type: match[2],
+    related: match[3] ? match[3].split("\\").pop() : null,
+    line: lineAt(match.index),
+  }));
+}
+
+/**
+ * Fully qualified class of an inspected model, e.g. App\Models\Admin\Report
+ *
+ * @param {{name: string, subdirectory: string}} model
+ * @returns {string}
+ */
+function getModelClass(model) {
+  return ["App", "Models", ...model.subdirectory.split("/"), model.name]
+    .filter(Boolean)
+    .join("\\");
+}
+
+module.exports = {
+  findModelFiles,
+  inspectModel,
+  getModelClass,
+};
@@ -0,0 +1,243 @@
+const fs = require("fs");
+const path = require("path");
+const { toCamelCase } = require("./helpers");
+
+/**
+ * PHP class locations
+ *
+ * Resolves fully qualified class names to files through the PSR-4 map in
+ * the project's composer.json, so views can jump to controllers, listeners
+ * and other classes artisan reports by name, adds imports to PHP files
+ * generators edit and turns "name:Type" lists into constructor properties.
+ */
+
+const SCALAR_TYPES = [
+  "int",
+  "float",
+  "string",
+  "bool",
+  "array",
+  "mixed",
+  "object",
+  "callable",
+  "iterable",
+];
+
+/**
+ * PSR-4 prefixes of composer.json (autoload and autoload-dev)
+ *
+ * @param {string} rootPath
+ * @returns {Array<{prefix: string, dirs: string[]}>} Longest prefix first
+ */
+function getPsr4Map(rootPath) {
+  const composerPath = path.join(rootPath, "composer.json");
+  let composer = {};
+
+  try {
+    composer = JSON.parse(fs.readFileSync(composerPath, "utf8"));
+  } catch {
+    // Fall back to the Laravel default below
+  }
+
+  const map = {
+    ...(composer.autoload && composer.autoload["psr-4"]),
+    ...(composer["autoload-dev"] && composer["autoload-dev"]["psr-4"]),
+  };
+  if (Object.keys(map).length === 0) {
+    map["App\\"] = "app/";
+  }
+
+  return Object.entries(map)
+    .map(([prefix, dirs]) => ({
+      prefix,
+      dirs: Array.isArray(dirs) ? dirs : [dirs],
+    }))
+    .sort((a, b) => b.prefix.length - a.prefix.length);
+}
+
+/**
+ * Whether composer.json requires a package (require or require-dev)
+ *
+ * @param {string} rootPath
+ * @param {string} packageName e.g. "spatie/laravel-permission"
+ * @returns {boolean}
+ */
+function requiresPackage(rootPath, packageName) {
+  try {
+    const composer = JSON.parse(
+      fs.readFileSync(path.join(rootPath, "composer.json"), "utf8")
+    );
+    return Boolean(
+      (composer.require || {})[packageName] ||
+        (composer["require-dev"] || {})[packageName]
+    );
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * File declaring a class, e.g. App\Http\Controllers\UserController ->
+ * app/Http/Controllers/UserController.php
+ *
+ * @param {string} rootPath
+ * @param {string} className
+ * @returns {string|null}
+ */
+function resolveClassFile(rootPath, className) {
+  const name = className.replace(/^\\/, "");
+
+  for (const { prefix, dirs } of getPsr4Map(rootPath)) {
+    if (!name.startsWith(prefix)) continue;
+
+    const relative = name.slice(prefix.length).split("\\").join(path.sep);
+    for (const dir of dirs) {
+      const filePath = path.join(rootPath, dir, `${relative}.php`);
+      if (fs.existsSync(filePath)) {
+        return filePath;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Zero-based line of a method declaration, or of the class when the
+ * method is not found
+ *
+ * @param {string} filePath
+ * @param {string} method
+ * @returns {number}
+ */
+function findMethodLine(filePath, method) {
+  const source = fs.readFileSync(filePath, "utf8");
+  const match =
+    (method && source.match(new RegExp(`function\\s+${method}\\s*\\(`))) ||
+    source.match(/^[ \t]*(?:abstract\s+|final\s+)?class\s+\w+/m);
+
+  return match ? source.slice(0, match.index).split("\n").length - 1 : 0;
+}
+
+/**
+ * Adds `use` statements after the last import (or the namespace) of a PHP
+ * file, skipping classes already imported
+ *
+ * @param {string} source
+ * @param {string[]} classNames Fully qualified, without leading backslash
+ * @returns {string}
+ */
+function addUseStatements(source, classNames) {
+  const missing = [...new Set(classNames)].filter(
+    (className) => !source.includes(`use ${className};`)
+  );
+  if (missing.length === 0) {
+    return source;
+  }
+
+  const statements = missing.map((className) => `use ${className};`);
+  const imports = [...source.matchAll(/^use [^;\n]+;[ \t]*$/gm)];
+  if (imports.length > 0) {
+    const last = imports[imports.length - 1];
+    const end = last.index + last[0].length;
+    return `${source.slice(0, end)}\n${statements.join("\n")}${source.slice(
+      end
+    )}`;
+  }
+
+  const namespace = source.match(/^namespace [^;]+;[ \t]*$/m);
+  if (namespace) {
+    const end = namespace.index + namespace[0].length;
+    return `${source.slice(0, end)}\n\n${statements.join(
+      "\n"
+    )}${source.slice(end)}`;
+  }
+
+  return source.replace(/^<\?php\s*/, `<?php\n\n${statements.join("\n")}\n\n`);
+}
+
+/**
+ * Parses "order:Order, note:?string" into constructor properties
+ *
+ * @param {string} input
+ * @returns {Array<{name: string, type: string, nullable: boolean}>}
+ */
+function parseProperties(input) {
+  const properties = input
+    .split(",")
+    .map((part) => part.trim())
+    .filter(Boolean)
+    .map((part) => {
+      const match = part.match(/^([A-Za-z_]\w*)\s*:\s*(\?)?\s*([\w\\]+)$/);
+      if (!match) {
+        throw new Error(`Invalid property "${part}", use name:Type`);
+      }
+      return {
+        name: toCamelCase(match[1]),
+        type: match[3].replace(/^\\/, ""),
+        nullable: Boolean(match[2]),
+      };
+    });
+
+  const names = properties.map((property) => property.name);
+  const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+  if (duplicate) {
+    throw new Error(`Property "${duplicate}" is defined twice`);
+  }
+
+  return properties;
+}
+
+/**
+ * Resolves class types: fully qualified names are imported and models
+ * found in app/Models are imported from App\Models
+ *
+ * @returns {object} The property with its short type and `import`
+ */
+function resolvePropertyType(property, rootPath) {
+  const { type } = property;
+  if (SCALAR_TYPES.includes(type.toLowerCase())) {
+    return { ...property, type: type.toLowerCase(), import: null };
+  }
+
+  if (type.includes("\\")) {
+    return { ...property, type: type.split("\\").pop(), import: type };
+  }
+
+  const modelPath = path.join(rootPath, "app", "Models", `${type}.php`);
+  return {
+    ...property,
+    import: fs.existsSync(modelPath) ? `App\\Models\\${type}` : null,
+  };
+}
+
+/**
+ * Promoted constructor parameters, one per line
+ *
+ * Only trailing nullable properties default to null, PHP deprecates
+ * optional parameters before required ones.
+ */
+function formatPromotedParameters(properties) {
+  const lastRequired = properties
+    .map((property) => property.nullable)
+    .lastIndexOf(false);
+
+  return properties
+    .map(
+      (property, index) =>
+        `        public ${property.nullable ? "?" : ""}${property.type} $${
+          property.name
+        }${property.nullable && index > lastRequired ? " = null" : ""},`
+    )
+    .join("\n");
+}
+
+module.exports = {
+  resolveClassFile,
+  requiresPackage,
+  findMethodLine,
+  addUseStatements,
+  parseProperties,
+  resolvePropertyType,
+  formatPromotedParameters,
+};
@@ -0,0 +1,195 @@
+const vscode = require("vscode");
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Laravel project discovery
+ *
+ * Finds every folder in the workspace with both `artisan` and
+ * `composer.json` (multi-root workspaces and nested apps such as
+ * `backend/`), and keeps track of the one commands should target.
+ */
+
+const ACTIVE_PROJECT_KEY = "laravelToolkit.activeProject";
+const EXCLUDE_GLOB = "{**/vendor/**,**/node_modules/**,**/storage/**}";
+
+let projects = [];
+let activeProject = null;
+let workspaceState = null;
+let statusBarItem = null;
+
+const onDidChangeProjectEmitter = new vscode.EventEmitter();
+
+/**
+ * Fired when the active project or the list of projects changes
+ */
+const onDidChangeProject = onDidChangeProjectEmitter.event;
+
+function isLaravelRoot(dirPath) {
+  return (
+    fs.existsSync(path.join(dirPath, "artisan")) &&
+    fs.existsSync(path.join(dirPath, "composer.json"))
+  );
+}
+
+/**
+ * Searches the workspace for Laravel projects
+ *
+ * @returns {Promise<string[]>} Root paths, sorted
+ */
+async function discoverLaravelProjects() {
+  const folders = vscode.workspace.workspaceFolders || [];
+  const roots = new Set(
+    folders
+      .map((folder) => folder.uri.fsPath)
+      .filter((folderPath) => isLaravelRoot(folderPath))
+  );
+
+  const artisanFiles = await vscode.workspace.findFiles(
+    "**/artisan",
+    EXCLUDE_GLOB
+  );
+
+  for (const uri of artisanFiles) {
+    const dirPath = path.dirname(uri.fsPath);
+    if (isLaravelRoot(dirPath)) {
+      roots.add(dirPath);
+    }
+  }
+
+  return [...roots].sort();
+}
+
+/**
+ * Discovers projects, restores the remembered selection and shows the
+ * status bar switcher
+ *
+ * @param {vscode.ExtensionContext} context
+ * @returns {Promise<string[]>}
+ */
+async function initProjects(context) {
+  workspaceState = context.workspaceState;
+
+  statusBarItem = vscode.window.createStatusBarItem(
+    vscode.StatusBarAlignment.Left,
+    50
+  );
+  statusBarItem.command = "laravel-toolkit.selectProject";
+  context.subscriptions.push(statusBarItem, onDidChangeProjectEmitter);
+
+  const watcher = vscode.workspace.createFileSystemWatcher("**/artisan");
+  watcher.onDidCreate(() => refreshProjects());
+  watcher.onDidDelete(() => refreshProjects());
+  context.subscriptions.push(
+    watcher,
+    vscode.workspace.onDidChangeWorkspaceFolders(() => refreshProjects())
+  );
+
+  await refreshProjects();
+  return projects;
+}
+
+/**
+ * Rediscovers projects, keeping the current selection when it still exists
+ */
+async function refreshProjects() {
+  projects = await discoverLaravelProjects();
+
+  const remembered =
+    activeProject || (workspaceState && workspaceState.get(ACTIVE_PROJECT_KEY));
+  activeProject = projects.includes(remembered)
+    ? remembered
+    : projects[0] || null;
+
+  updateStatusBar();
+  onDidChangeProjectEmitter.fire(activeProject);
+}
+
+function updateStatusBar() {
+  if (!statusBarItem) return;
+
+  if (!activeProject) {
+    statusBarItem.hide();
+    return;
+  }
+
+  statusBarItem.text = `$(folder-library) Laravel: ${getProjectLabel(
+    activeProject
+  )}`;
+  statusBarItem.tooltip =
+    projects.length > 1
+      ? `${activeProject}\nClick to switch Laravel project`
+      : activeProject;
+  statusBarItem.show();
+}
+
+/**
+ * Workspace-relative name of a project, e.g. "shop/backend"
+ */
+function getProjectLabel(rootPath) {
+  const relative = vscode.workspace.asRelativePath(rootPath, true);
+  return relative === rootPath ? path.basename(rootPath) : relative;
+}
+
+/**
+ * Lets the user pick the project commands and generators target
+ */
+async function selectProject() {
+  await refreshProjects();
+
+  if (projects.length === 0) {
+    vscode.window.showWarningMessage(
+      "No Laravel project (artisan + composer.json) found in the workspace"
+    );
+    return;
+  }
+
+  const selected = await vscode.window.showQuickPick(
+    projects.map((rootPath) => ({
+      label: getProjectLabel(rootPath),
+      description: rootPath === activeProject ? "active" : "",
+      detail: rootPath,
+      rootPath,
+    })),
+    { placeHolder: "Select the Laravel project to work on" }
+  );
+
+  if (!selected) return;
+
+  activeProject = selected.rootPath;
+  if (workspaceState) {
+    await workspaceState.update(ACTIVE_PROJECT_KEY, activeProject);
+  }
+
+  updateStatusBar();
+  onDidChangeProjectEmitter.fire(activeProject);
+  vscode.window.showInformationMessage(
+    `✅ Working on ${getProjectLabel(activeProject)}`
+  );
+}
+
+/**
+ * Root path of the selected project
+ *
+ * Before discovery has finished, falls back to the first workspace folder
+ * that is a Laravel project.
+ */
+function getActiveProject() {
+  if (activeProject) {
+    return activeProject;
+  }
+
+  const folders = vscode.workspace.workspaceFolders || [];
+  const laravelFolder = folders.find((folder) =>
+    isLaravelRoot(folder.uri.fsPath)
+  );
+  return laravelFolder ? laravelFolder.uri.fsPath : null;
+}
+
+module.exports = {
+  initProjects,
+  selectProject,
+  getActiveProject,
+  isLaravelRoot,
+  onDidChangeProject,
+};
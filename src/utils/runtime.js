@@ -0,0 +1,275 @@
+const vscode = require("vscode");
+const fs = require("fs");
+const path = require("path");
+const {
+  getLaravelRootPath,
+  getConfig,
+  splitCommandLine,
+} = require("./helpers");
+
+/**
+ * Execution environments
+ *
+ * Every artisan, composer, npm and tinker invocation goes through
+ * buildCommand() so it runs natively, through Laravel Sail, inside a
+ * docker compose service or behind a custom prefix (`laravelToolkit.runtime`).
+ */
+
+const COMPOSE_FILES = [
+  "docker-compose.yml",
+  "docker-compose.yaml",
+  "compose.yml",
+  "compose.yaml",
+];
+
+// Service names of the PHP application in common setups (Sail, Laradock,
+// the official docker guides)
+const PHP_SERVICES = ["laravel.test", "app", "php", "php-fpm"];
+
+// Services next to the app that look like it but do not run artisan
+const NON_PHP_SERVICES = ["phpmyadmin", "nginx", "web"];
+
+// Projects already warned about an unidentified compose service
+const warnedRoots = new Set();
+
+/**
+ * Resolves the configured runtime, auto-detecting it when set to "auto"
+ *
+ * @param {string} rootPath
+ * @returns {{type: string, service?: string, prefix?: string[]}}
+ */
+function getRuntime(rootPath = getLaravelRootPath()) {
+  const type = getConfig("runtime") || "auto";
+
+  if (type === "sail") {
+    return { type };
+  }
+  if (type === "docker") {
+    return {
+      type,
+      service: getConfig("dockerService") || detectDockerService(rootPath),
+    };
+  }
+  if (type === "custom") {
+    const prefix = splitCommandLine(getConfig("commandPrefix") || "");
+    return { type, prefix };
+  }
+  if (type === "native") {
+    return { type };
+  }
+
+  return detectRuntime(rootPath);
+}
+
+/**
+ * Sail when vendor/bin/sail and a compose file exist, docker compose when a
+ * compose file defines a known PHP service, native otherwise
+ */
+function detectRuntime(rootPath) {
+  if (!rootPath) {
+    return { type: "native" };
+  }
+
+  const composeFile = findComposeFile(rootPath);
+  if (!composeFile) {
+    return { type: "native" };
+  }
+
+  if (fs.existsSync(path.join(rootPath, "vendor", "bin", "sail"))) {
+    return { type: "sail" };
+  }
+
+  const service = getConfig("dockerService") || detectDockerService(rootPath);
+  if (!service) {
+    warnUnknownService(rootPath, composeFile);
+  }
+  return service ? { type: "docker", service } : { type: "native" };
+}
+
+/**
+ * Running artisan in the wrong container is worse than running it natively,
+ * so an unclear compose file asks for dockerService instead of guessing
+ */
+function warnUnknownService(rootPath, composeFile) {
+  if (warnedRoots.has(rootPath)) return;
+  warnedRoots.add(rootPath);
+
+  vscode.window.showWarningMessage(
+    `${path.basename(composeFile)} has no service known to run PHP ` +
+      `(${PHP_SERVICES.join(", ")}), so commands run natively. Set ` +
+      "laravelToolkit.dockerService to run them in a container."
+  );
+}
+
+function findComposeFile(rootPath) {
+  return (
+    COMPOSE_FILES.map((file) => path.join(rootPath, file)).find((file) =>
+      fs.existsSync(file)
+    ) || null
+  );
+}
+
+/**
+ * The compose service running PHP: the only one named like a known PHP
+ * service, null when there is none or several
+ */
+function detectDockerService(rootPath) {
+  const composeFile = rootPath && findComposeFile(rootPath);
+  if (!composeFile) {
+    return null;
+  }
+
+  const services = getComposeServices(fs.readFileSync(composeFile, "utf8"))
+    .filter((name) => !NON_PHP_SERVICES.includes(name.toLowerCase()))
+    .filter((name) => PHP_SERVICES.includes(name.toLowerCase()));
+  return services.length === 1 ? services[0] : null;
+}
+
+/**
+ * Lists the service names declared under the top-level `services:` key
+ */
+function getComposeServices(content) {
+  const services = [];
+  let inServices = false;
+  let indent = null;
+
+  for (const line of content.split(/\r?\n/)) {
+    if (!line.trim() || line.trim().startsWith("#")) continue;
+
+    if (/^services:\s*$/.test(line)) {
+      inServices = true;
+      continue;
+    }
+    if (!inServices) continue;
+    if (/^\S/.test(line)) break;
+
+    const match = line.match(/^(\s+)["']?([\w.-]+)["']?:\s*$/);
+    if (match && (indent === null || match[1].length === indent)) {
+      indent = match[1].length;
+      services.push(match[2]);
+    }
+  }
+
+  return services;
+}
+
+/**
+ * Builds the executable and arguments for a tool in the current runtime
+ *
+ * @param {"artisan"|"composer"|"npm"} tool
+ * @param {string[]} args
+ * @param {{interactive?: boolean}} options Interactive commands get a TTY
+ * @returns {{command: string, args: string[]}}
+ */
+function buildCommand(tool, args = [], options = {}) {
+  const rootPath = getLaravelRootPath();
+  const runtime = getRuntime(rootPath);
+  const toolArgs = getToolArgs(tool, args, runtime.type === "sail");
+
+  switch (runtime.type) {
+    case "sail":
+      return {
+        command: options.interactive
+          ? "./vendor/bin/sail"
+          : path.join(rootPath, "vendor", "bin", "sail"),
+        args: toolArgs,
+      };
+
+    case "docker":
+      if (!runtime.service) {
+        throw new Error(
+          "No docker compose service configured and none of " +
+            `${PHP_SERVICES.join(", ")} found in the compose file ` +
+            "(laravelToolkit.dockerService)"
+        );
+      }
+      return {
+        command: "docker",
+        args: [
+          "compose",
+          "exec",
+          ...(options.interactive ? [] : ["-T"]),
+          runtime.service,
+          ...toolArgs,
+        ],
+      };
+
+    case "custom":
+      if (runtime.prefix.length > 0) {
+        return {
+          command: runtime.prefix[0],
+          args: [...runtime.prefix.slice(1), ...toolArgs],
+        };
+      }
+      break;
+  }
+
+  return { command: toolArgs[0], args: toolArgs.slice(1) };
+}
+
+/**
+ * Sail has its own artisan/composer/npm subcommands; everywhere else the
+ * tools are invoked directly
+ */
+function getToolArgs(tool, args, isSail) {
+  if (isSail) {
+    return [tool, ...args];
+  }
+
+  switch (tool) {
+    case "artisan":
+      return [getConfig("phpPath") || "php", "artisan", ...args];
+    case "composer":
+      return [getConfig("composerPath") || "composer", ...args];
+    default:
+      return [tool, ...args];
+  }
+}
+
+/**
+ * Formats a command for display or for a terminal
+ */
+function formatCommand({ command, args }) {
+  return [command, ...args].map(quoteArgument).join(" ");
+}
+
+function quoteArgument(arg) {
+  if (!/[\s"'$`]/.test(arg)) {
+    return arg;
+  }
+  return `"${arg.replace(/(["\\$`])/g, "\\$1")}"`;
+}
+
+/**
+ * Runs an interactive tool (tinker, serve, npm run dev...) in a terminal
+ * opened on the project root
+ *
+ * @param {string} name Terminal name
+ * @param {"artisan"|"composer"|"npm"} tool
+ * @param {string[]} args
+ */
+function runInTerminal(name, tool, args) {
+  let command;
+  try {
+    command = buildCommand(tool, args, { interactive: true });
+  } catch (error) {
+    vscode.window.showErrorMessage(`❌ Error: ${error.message}`);
+    return null;
+  }
+
+  const terminal = vscode.window.createTerminal({
+    name,
+    cwd: getLaravelRootPath(),
+  });
+  terminal.show();
+  terminal.sendText(formatCommand(command));
+  return terminal;
+}
+
+module.exports = {
+  getRuntime,
+  detectDockerService,
+  buildCommand,
+  formatCommand,
+  runInTerminal,
+};
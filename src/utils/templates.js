@@ -0,0 +1,195 @@
+const fs = require("fs");
+const path = require("path");
+const {
+  getLaravelRootPath,
+  getConfig,
+  toCamelCase,
+  toKebabCase,
+  toSnakeCase,
+  pluralize,
+} = require("./helpers");
+
+/**
+ * Project-overridable generator templates
+ *
+ * Every file emitted by a generator goes through renderTemplate() with a
+ * named default. A project can replace any default by dropping a file in
+ * `.laravel-toolkit/templates/<name>.stub`, where <name> is the full template
+ * name (e.g. `crud.model`) or its generic part without the generator prefix
+ * (e.g. `model`, shared by every generator that emits a model).
+ */
+
+const TEMPLATES_DIR = path.join(".laravel-toolkit", "templates");
+
+/**
+ * Laravel's own published stubs (stubs/*.stub) for artisan-equivalent files
+ */
+const LARAVEL_STUBS = {
+  model: "model.stub",
+  "controller.web": "controller.model.stub",
+  "controller.api": "controller.model.api.stub",
+  "controller.plain": "controller.plain.stub",
+  "controller.resource": "controller.stub",
+  "controller.invokable": "controller.invokable.stub",
+  "migration.create": "migration.create.stub",
+  "migration.update": "migration.update.stub",
+  "request.store": "request.stub",
+  "request.update": "request.stub",
+  resource: "resource.stub",
+  collection: "resource-collection.stub",
+  policy: "policy.stub",
+  factory: "factory.stub",
+  seeder: "seeder.stub",
+  "test.feature": "test.stub",
+  "test.unit": "test.unit.stub",
+};
+
+/**
+ * Renders the named template, preferring project overrides over the default
+ *
+ * @param {string} name Template name, e.g. "crud.model"
+ * @param {string} defaultContent Content generated by the built-in template
+ * @param {object} variables Values available to override files
+ * @returns {string}
+ */
+function renderTemplate(name, defaultContent, variables = {}) {
+  const override = findTemplateOverride(name);
+  if (!override) {
+    return defaultContent;
+  }
+
+  const source = fs.readFileSync(override, "utf8");
+  return renderString(source, { ...variables, default: defaultContent });
+}
+
+/**
+ * Finds an override file for the given template name: the full name first,
+ * then the generic name, then Laravel's published stub when enabled
+ *
+ * @param {string} name Template name, e.g. "crud.model"
+ * @param {string|null} [rootPath] Project root, the active project by default
+ * @returns {string|null}
+ */
+function findTemplateOverride(name, rootPath = getLaravelRootPath()) {
+  if (!rootPath) {
+    return null;
+  }
+
+  const generic = getGenericName(name);
+  const candidates = [
+    path.join(rootPath, TEMPLATES_DIR, `${name}.stub`),
+    path.join(rootPath, TEMPLATES_DIR, `${generic}.stub`),
+  ];
+
+  if (getConfig("useLaravelStubs") && LARAVEL_STUBS[generic]) {
+    candidates.push(path.join(rootPath, "stubs", LARAVEL_STUBS[generic]));
+  }
+
+  return candidates.find((candidate) => fs.existsSync(candidate)) || null;
+}
+
+/**
+ * Strips the generator prefix: "spa.controller.api" -> "controller.api"
+ */
+function getGenericName(name) {
+  const dot = name.indexOf(".");
+  return dot === -1 ? name : name.slice(dot + 1);
+}
+
+/**
+ * Minimal template engine
+ *
+ * Supports {{ var }}, {{ var.prop }}, {{#if var}}...{{else}}...{{/if}} and
+ * {{#each list}}...{{/each}} (with {{ this }}, {{ @index }}, {{ @first }}
+ * and {{ @last }} inside the loop). Blocks of the same kind do not nest.
+ */
+function renderString(source, context) {
+  let output = source.replace(
+    /\{\{#each\s+([\w.]+)\s*\}\}([\s\S]*?)\{\{\/each\}\}/g,
+    (_, key, body) => {
+      const list = lookup(context, key);
+      if (!Array.isArray(list)) return "";
+
+      return list
+        .map((item, index) =>
+          renderString(body, {
+            ...context,
+            ...(item && typeof item === "object" ? item : {}),
+            this: item,
+            "@index": index,
+            "@first": index === 0,
+            "@last": index === list.length - 1,
+          })
+        )
+        .join("");
+    }
+  );
+
+  output = output.replace(
+    /\{\{#if\s+([\w.@]+)\s*\}\}([\s\S]*?)(?:\{\{else\}\}([\s\S]*?))?\{\{\/if\}\}/g,
+    (_, key, truthy, falsy = "") => {
+      const value = lookup(context, key);
+      const isTruthy = Array.isArray(value) ? value.length > 0 : !!value;
+      return renderString(isTruthy ? truthy : falsy, context);
+    }
+  );
+
+  return output.replace(/\{\{\s*([\w.@]+)\s*\}\}/g, (match, key) => {
+    const value = lookup(context, key);
+    if (value === undefined || value === null) return match;
+    return Array.isArray(value) ? value.join(", ") : String(value);
+  });
+}
+
+function lookup(context, key) {
+  return key
+    .split(".")
+    .reduce(
+      (value, part) =>
+        value === undefined || value === null ? undefined : value[part],
+      context
+    );
+}
+
+/**
+ * Builds the documented variables shared by model-based templates
+ *
+ * @param {string} modelName
+ * @param {Array<{name: string, type: string}>} fields
+ * @param {object} extra Template specific values (namespace, class, ...)
+ */
+function buildTemplateVariables(modelName, fields = [], extra = {}) {
+  const modelVariable = toCamelCase(modelName);
+  const namespace = extra.namespace || "App\\Models";
+  const table = pluralize(toSnakeCase(modelName));
+
+  return {
+    modelName,
+    model: modelName,
+    class: modelName,
+    modelVariable,
+    modelSnake: toSnakeCase(modelName),
+    modelKebab: toKebabCase(modelName),
+    pluralName: pluralize(modelName),
+    pluralVariable: pluralize(modelVariable),
+    tableName: table,
+    table,
+    routeName: pluralize(toKebabCase(modelName)),
+    namespace,
+    rootNamespace: "App\\",
+    namespacedModel: `App\\Models\\${modelName}`,
+    fields,
+    fieldNames: fields.map((f) => f.name),
+    fillable: fields.map((f) => `'${f.name}'`).join(", "),
+    relationships: [],
+    ...extra,
+  };
+}
+
+module.exports = {
+  renderTemplate,
+  renderString,
+  findTemplateOverride,
+  buildTemplateVariables,
+  TEMPLATES_DIR,
+};
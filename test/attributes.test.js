@@ -0,0 +1,112 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+	getAttributeCode,
+	parseEnumCases,
+	writeAttributeClasses,
+} = require('../src/generators/attributes');
+
+suite('Model Attributes', () => {
+	suite('Enum cases', () => {
+		test('names cases after their value', () => {
+			assert.deepStrictEqual(parseEnumCases('draft, in-stock, on hold', 'string'), [
+				{ name: 'Draft', value: 'draft' },
+				{ name: 'InStock', value: 'in-stock' },
+				{ name: 'OnHold', value: 'on hold' },
+			]);
+		});
+
+		test('numbers int cases from 1', () => {
+			assert.deepStrictEqual(parseEnumCases('low, high', 'int'), [
+				{ name: 'Low', value: 1 },
+				{ name: 'High', value: 2 },
+			]);
+		});
+
+		test('accepts explicit case names', () => {
+			assert.deepStrictEqual(parseEnumCases('First=1st, Second = 2nd', 'string'), [
+				{ name: 'First', value: '1st' },
+				{ name: 'Second', value: '2nd' },
+			]);
+		});
+
+		test('rejects invalid, duplicate and missing cases', () => {
+			assert.throws(() => parseEnumCases('1st', 'string'), /"1st" is not a valid case name, name it with Name=1st/);
+			assert.throws(() => parseEnumCases('in-stock, in_stock', 'string'), /Case "InStock" is defined twice/);
+			assert.throws(() => parseEnumCases(' , ', 'string'), /At least one case is required/);
+		});
+	});
+
+	test('gives appended attributes an accessor that throws until it is written', () => {
+		const { imports, properties, methods } = getAttributeCode({ appends: ['full_name'] });
+
+		assert.deepStrictEqual(imports, ['Illuminate\\Database\\Eloquent\\Casts\\Attribute']);
+		assert.match(properties[0], /protected \$appends = \[\n\s+'full_name'\n\s+\];/);
+		assert.strictEqual(methods.length, 1);
+		assert.match(methods[0], /protected function fullName\(\): Attribute/);
+		assert.match(
+			methods[0],
+			/get: fn \(mixed \$value, array \$attributes\) => throw new \\LogicException\('Compute the full_name attribute'\),/
+		);
+	});
+
+	test('keeps the accessor picked for an appended attribute', () => {
+		const { methods } = getAttributeCode({
+			appends: ['title'],
+			accessors: [{ name: 'title', get: true, set: true }],
+		});
+
+		assert.strictEqual(methods.length, 1);
+		assert.match(methods[0], /get: fn \(mixed \$value\) => \$value,\n\s+set: fn \(mixed \$value\) => \$value,/);
+	});
+
+	test('casts to enums and cast classes', () => {
+		const { imports, casts } = getAttributeCode({
+			casts: [
+				{ name: 'status', enum: { name: 'PostStatus' } },
+				{ name: 'address', castClass: 'AsAddress' },
+				{ name: 'published_at', cast: 'datetime' },
+			],
+		});
+
+		assert.deepStrictEqual(imports, ['App\\Enums\\PostStatus', 'App\\Casts\\AsAddress']);
+		assert.deepStrictEqual(casts, {
+			status: 'PostStatus::class',
+			address: 'AsAddress::class',
+			published_at: "'datetime'",
+		});
+	});
+
+	suite('writeAttributeClasses', () => {
+		let root;
+
+		setup(() => {
+			root = fs.mkdtempSync(path.join(os.tmpdir(), 'attributes-'));
+		});
+
+		teardown(() => {
+			fs.rmSync(root, { recursive: true, force: true });
+		});
+
+		test('escapes quotes and backslashes in string case values', () => {
+			const postStatus = { name: 'PostStatus', backing: 'string', cases: parseEnumCases("Quoted=it's, Path=a\\b", 'string') };
+
+			assert.deepStrictEqual(writeAttributeClasses(root, { casts: [{ name: 'status', enum: postStatus }] }), ['PostStatus']);
+
+			const content = fs.readFileSync(path.join(root, 'app', 'Enums', 'PostStatus.php'), 'utf8');
+			assert.match(content, /^enum PostStatus: string$/m);
+			assert.match(content, /^ {4}case Quoted = 'it\\'s';$/m);
+			assert.match(content, /^ {4}case Path = 'a\\\\b';$/m);
+		});
+
+		test('leaves existing classes untouched', () => {
+			fs.mkdirSync(path.join(root, 'app', 'Casts'), { recursive: true });
+			fs.writeFileSync(path.join(root, 'app', 'Casts', 'AsAddress.php'), '<?php // custom');
+
+			assert.deepStrictEqual(writeAttributeClasses(root, { casts: [{ name: 'address', castClass: 'AsAddress' }] }), []);
+			assert.strictEqual(fs.readFileSync(path.join(root, 'app', 'Casts', 'AsAddress.php'), 'utf8'), '<?php // custom');
+		});
+	});
+});
@@ -0,0 +1,188 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+	loadBlueprint,
+	toLock,
+	planBuild,
+	updateModelFile,
+	updateValidationRules,
+} = require('../src/generators/blueprint');
+
+suite('Blueprint', () => {
+	let dir;
+
+	setup(() => {
+		dir = fs.mkdtempSync(path.join(os.tmpdir(), 'blueprint-'));
+	});
+
+	teardown(() => {
+		fs.rmSync(dir, { recursive: true, force: true });
+	});
+
+	function load(source) {
+		const blueprintPath = path.join(dir, 'blueprint.yaml');
+		fs.writeFileSync(blueprintPath, source);
+		return loadBlueprint(blueprintPath);
+	}
+
+	test('orders models so referenced tables are created first', () => {
+		const blueprint = load([
+			'frontend: blade',
+			'models:',
+			'  Post:',
+			'    columns: "title:string, category_id:foreignId:constrained"',
+			'  Category:',
+			'    columns: "name:string"',
+		].join('\n'));
+
+		assert.deepStrictEqual(blueprint.models.map((model) => model.name), ['Category', 'Post']);
+		assert.strictEqual(blueprint.models[1].table, 'posts');
+	});
+
+	test('rejects model names that are not PascalCase', () => {
+		assert.throws(
+			() => load('frontend: blade\nmodels:\n  post:\n    columns: "title:string"'),
+			/blueprint\.yaml: model "post": model names must be in PascalCase/
+		);
+	});
+
+	test('creates models missing from the lock', () => {
+		const blueprint = load('frontend: blade\nmodels:\n  Post:\n    columns: "title:string"');
+
+		assert.deepStrictEqual(planBuild(blueprint, { models: {} }), [
+			{ model: blueprint.models[0], create: true },
+		]);
+	});
+
+	test('skips models that did not change since the last build', () => {
+		const blueprint = load('frontend: blade\nmodels:\n  Post:\n    columns: "title:string"');
+
+		assert.deepStrictEqual(planBuild(blueprint, toLock(blueprint)), []);
+	});
+
+	test('takes a dropped and an added column with the same definition as a rename', () => {
+		const lock = toLock(load('frontend: blade\nmodels:\n  Post:\n    columns: "title:string, body:text, views:integer"'));
+		const blueprint = load('frontend: blade\nmodels:\n  Post:\n    columns: "headline:string, body:text, summary:string(200)"');
+
+		const [step] = planBuild(blueprint, lock);
+
+		assert.deepStrictEqual(step.columns.renamed.map(({ from, to }) => [from.name, to.name]), [
+			['title', 'headline'],
+		]);
+		assert.deepStrictEqual(step.columns.removed.map((field) => field.name), ['views']);
+		assert.deepStrictEqual(step.columns.added.map((field) => field.name), ['summary']);
+		assert.deepStrictEqual(step.columns.changed, []);
+	});
+
+	test('reports columns whose definition changed', () => {
+		const lock = toLock(load('frontend: blade\nmodels:\n  Post:\n    columns: "title:string"'));
+		const blueprint = load('frontend: blade\nmodels:\n  Post:\n    columns: "title:string:nullable"');
+
+		const [step] = planBuild(blueprint, lock);
+
+		assert.deepStrictEqual(step.columns.changed.map((field) => field.name), ['title']);
+		assert.deepStrictEqual(step.columns.renamed, []);
+	});
+
+	test('keeps the previous lock entry of skipped models', () => {
+		const previous = toLock(load('frontend: blade\nmodels:\n  Post:\n    columns: "title:string"'));
+		const blueprint = load([
+			'frontend: vue',
+			'models:',
+			'  Post:',
+			'    columns: "title:string, body:text"',
+			'  Tag:',
+			'    columns: "name:string"',
+		].join('\n'));
+
+		const lock = toLock(blueprint, previous, ['Post', 'Tag']);
+
+		assert.strictEqual(lock.frontend, 'blade');
+		assert.deepStrictEqual(lock.models, previous.models);
+		assert.strictEqual(planBuild(blueprint, lock).length, 2);
+	});
+
+	test('tells which scaffolding depends on the changes', () => {
+		const lock = toLock(load('frontend: blade\nmodels:\n  Post:\n    columns: "title:string"\n    controller: web'));
+		const blueprint = load('frontend: blade\nmodels:\n  Post:\n    columns: "title:string, body:text"\n    controller: web');
+
+		const [step] = planBuild(blueprint, lock);
+
+		assert.deepStrictEqual(step.scaffold, { controller: false, fields: true, frontend: false });
+		assert.strictEqual(step.previous, lock.models.Post);
+	});
+
+	test('patches the fillable attributes, casts and traits of an existing model', () => {
+		const lock = toLock(load('frontend: blade\nmodels:\n  Post:\n    columns: "title:string, views:integer"'));
+		const blueprint = load([
+			'frontend: blade',
+			'models:',
+			'  Post:',
+			'    columns: "title:string, published:boolean"',
+			'    softDeletes: true',
+		].join('\n'));
+		const modelPath = path.join(dir, 'Post.php');
+		fs.writeFileSync(modelPath, [
+			'<?php',
+			'',
+			'namespace App\\Models;',
+			'',
+			'use Illuminate\\Database\\Eloquent\\Factories\\HasFactory;',
+			'use Illuminate\\Database\\Eloquent\\Model;',
+			'',
+			'class Post extends Model',
+			'{',
+			'    use HasFactory;',
+			'',
+			'    protected $fillable = [',
+			"        'title', 'views'",
+			'    ];',
+			'',
+			'    public function excerpt()',
+			'    {',
+			'        return substr($this->title, 0, 20);',
+			'    }',
+			'}',
+			'',
+		].join('\n'));
+
+		const [step] = planBuild(blueprint, lock);
+		updateModelFile(modelPath, step);
+		const source = fs.readFileSync(modelPath, 'utf8');
+
+		assert.ok(source.includes("        'title', 'published'\n    ];"));
+		assert.ok(source.includes("        'published' => 'boolean',"));
+		assert.ok(source.includes('    use HasFactory, SoftDeletes;'));
+		assert.ok(source.includes('use Illuminate\\Database\\Eloquent\\SoftDeletes;'));
+		assert.ok(source.includes('return substr($this->title, 0, 20);'));
+
+		updateModelFile(modelPath, step);
+		assert.strictEqual(fs.readFileSync(modelPath, 'utf8'), source);
+	});
+
+	test('updates only the validation rules of changed columns', async () => {
+		const lock = toLock(load('frontend: blade\nmodels:\n  Post:\n    columns: "title:string, views:integer"\n    controller: web'));
+		const blueprint = load('frontend: blade\nmodels:\n  Post:\n    columns: "title:string, summary:text:nullable"\n    controller: web');
+		const controllerPath = path.join(dir, 'app', 'Http', 'Controllers', 'PostController.php');
+		fs.mkdirSync(path.dirname(controllerPath), { recursive: true });
+		fs.writeFileSync(controllerPath, [
+			'    public function store(Request $request)',
+			'    {',
+			'        $validated = $request->validate([',
+			"            'title' => 'required|string|max:100|starts_with:A',",
+			"            'views' => 'required|integer',",
+			'        ]);',
+			'    }',
+		].join('\n'));
+
+		const [step] = planBuild(blueprint, lock);
+		await updateValidationRules(dir, step);
+		const source = fs.readFileSync(controllerPath, 'utf8');
+
+		assert.ok(source.includes("'title' => 'required|string|max:100|starts_with:A',"));
+		assert.ok(!source.includes("'views'"));
+		assert.match(source, /'summary' => '[^']*nullable[^']*',\n        \]\);/);
+	});
+});
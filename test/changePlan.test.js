@@ -0,0 +1,91 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const vscode = require('vscode');
+const {
+	runGeneration,
+	writeFile,
+	readFile,
+	fileExists,
+	runArtisan,
+} = require('../src/utils/changePlan');
+const { initJournal } = require('../src/utils/journal');
+
+suite('Change Plan', () => {
+	let dir;
+	let state;
+
+	suiteSetup(async () => {
+		await vscode.workspace
+			.getConfiguration('laravelToolkit')
+			.update('previewChanges', 'never', vscode.ConfigurationTarget.Global);
+	});
+
+	suiteTeardown(async () => {
+		await vscode.workspace
+			.getConfiguration('laravelToolkit')
+			.update('previewChanges', undefined, vscode.ConfigurationTarget.Global);
+	});
+
+	setup(() => {
+		dir = fs.mkdtempSync(path.join(os.tmpdir(), 'plan-'));
+		state = new Map();
+		initJournal({
+			workspaceState: {
+				get: (key, defaultValue) => (state.has(key) ? state.get(key) : defaultValue),
+				update: async (key, value) => state.set(key, value),
+			},
+		});
+	});
+
+	teardown(() => {
+		fs.rmSync(dir, { recursive: true, force: true });
+	});
+
+	function history() {
+		return state.get('laravelToolkit.generationHistory') || [];
+	}
+
+	test('writes immediately outside a generation run', () => {
+		const filePath = path.join(dir, 'app', 'Models', 'Post.php');
+
+		writeFile(filePath, '<?php');
+
+		assert.strictEqual(fs.readFileSync(filePath, 'utf8'), '<?php');
+	});
+
+	test('defers writes until the run is applied', async () => {
+		const filePath = path.join(dir, 'routes', 'web.php');
+
+		await runGeneration('Post', async () => {
+			writeFile(filePath, '<?php\n');
+			writeFile(filePath, `${readFile(filePath)}// posts\n`);
+
+			assert.strictEqual(fileExists(filePath), true);
+			assert.strictEqual(fs.existsSync(filePath), false);
+		});
+
+		assert.strictEqual(fs.readFileSync(filePath, 'utf8'), '<?php\n// posts\n');
+		assert.deepStrictEqual(history().map((entry) => entry.title), ['Post']);
+		assert.deepStrictEqual(history()[0].directories, [path.join(dir, 'routes')]);
+	});
+
+	test('journals the files written before a failing artisan command', async () => {
+		const filePath = path.join(dir, 'Post.php');
+		fs.writeFileSync(filePath, 'before');
+
+		await assert.rejects(
+			runGeneration('Post', async () => {
+				writeFile(filePath, `${readFile(filePath)} after`);
+				await runArtisan('make:policy PostPolicy --model=Post');
+			})
+		);
+
+		assert.strictEqual(fs.readFileSync(filePath, 'utf8'), 'before after');
+		assert.deepStrictEqual(
+			history()[0].files.map(({ filePath, type, original }) => ({ filePath, type, original })),
+			[{ filePath, type: 'modify', original: 'before' }]
+		);
+	});
+});
@@ -0,0 +1,73 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+	normalizeTableOutput,
+	tableToFields,
+	getSqliteDatabase,
+	parseJsonOutput,
+} = require('../src/utils/databaseSchema');
+
+suite('Database Schema', () => {
+	test('ignores warnings artisan prints before the JSON output', () => {
+		assert.deepStrictEqual(parseJsonOutput('WARN  Deprecated.\n{"tables":[]}'), { tables: [] });
+		assert.throws(() => parseJsonOutput('Could not connect'), /expected JSON/);
+	});
+
+	test('turns db:table output into fields', () => {
+		const schema = normalizeTableOutput({
+			columns: [
+				{ column: 'id', type: 'bigint unsigned', attributes: ['autoincrement'] },
+				{ column: 'title', type: 'varchar(150)', attributes: [] },
+				{ column: 'price', type: 'decimal(8,2)', attributes: ['nullable'] },
+				{ column: 'status', type: "enum('draft','published')", attributes: [], default: "'draft'::character varying" },
+				{ column: 'is_active', type: 'tinyint(1)', attributes: [], default: '1' },
+				{ column: 'user_id', type: 'bigint unsigned', attributes: [] },
+				{ column: 'created_at', type: 'timestamp', attributes: ['nullable'] },
+			],
+			indexes: [
+				{ columns: ['id'], attributes: ['primary', 'unique'] },
+				{ columns: ['title'], attributes: ['unique'] },
+			],
+			foreign_keys: [
+				{ columns: ['user_id'], foreign_table: 'users', foreign_columns: ['id'], on_delete: 'CASCADE' },
+			],
+		});
+
+		assert.deepStrictEqual(tableToFields(schema), [
+			{ name: 'title', type: 'string', length: 150, unique: true },
+			{ name: 'price', type: 'decimal', precision: 8, scale: 2, nullable: true },
+			{ name: 'status', type: 'enum', values: ['draft', 'published'], defaultValue: 'draft' },
+			{ name: 'is_active', type: 'boolean', defaultValue: '1' },
+			{ name: 'user_id', type: 'foreignId', constrained: 'users', cascadeOnDelete: true },
+		]);
+	});
+
+	suite('SQLite detection', () => {
+		let root;
+
+		setup(() => {
+			root = fs.mkdtempSync(path.join(os.tmpdir(), 'database-'));
+			fs.mkdirSync(path.join(root, 'database'));
+		});
+
+		teardown(() => {
+			fs.rmSync(root, { recursive: true, force: true });
+		});
+
+		test('finds the database file of a sqlite connection', () => {
+			fs.writeFileSync(path.join(root, '.env'), 'DB_CONNECTION="sqlite"\n');
+			fs.writeFileSync(path.join(root, 'database', 'database.sqlite'), '');
+
+			assert.strictEqual(getSqliteDatabase(root), path.join(root, 'database', 'database.sqlite'));
+		});
+
+		test('returns null for other connections', () => {
+			fs.writeFileSync(path.join(root, '.env'), 'DB_CONNECTION=mysql\n');
+			fs.writeFileSync(path.join(root, 'database', 'database.sqlite'), '');
+
+			assert.strictEqual(getSqliteDatabase(root), null);
+		});
+	});
+});
@@ -0,0 +1,53 @@
+const assert = require('assert');
+const { parseEventList } = require('../src/dashboard/eventsProvider');
+
+suite('Events Explorer', () => {
+	test('parses the event:list output', () => {
+		const events = parseEventList([
+			'',
+			'  \x1b[32mApp\\Events\\OrderShipped\x1b[39m ..............................................  ',
+			'  ⇂ App\\Listeners\\SendShipmentNotification@handle (ShouldQueue)  ',
+			'  ⇂ App\\Listeners\\UpdateStock  ',
+			'  Illuminate\\Auth\\Events\\Registered (Closure) ..............................',
+			'  ⇂ Closure at: app/Providers/AppServiceProvider.php:24',
+		].join('\n'));
+
+		assert.deepStrictEqual(events, [
+			{
+				name: 'App\\Events\\OrderShipped',
+				flag: '',
+				listeners: [
+					{ name: 'App\\Listeners\\SendShipmentNotification@handle', queued: true },
+					{ name: 'App\\Listeners\\UpdateStock', queued: false },
+				],
+			},
+			{
+				name: 'Illuminate\\Auth\\Events\\Registered',
+				flag: 'Closure',
+				listeners: [{ name: 'Closure at: app/Providers/AppServiceProvider.php:24', queued: false }],
+			},
+		]);
+	});
+
+	test('parses the table output of older Laravel versions', () => {
+		const events = parseEventList([
+			'+------------------------+-----------------------------------------+',
+			'| Event                  | Listeners                               |',
+			'+------------------------+-----------------------------------------+',
+			'| App\\Events\\OrderShipped | App\\Listeners\\SendShipmentNotification |',
+			'|                        | App\\Listeners\\UpdateStock               |',
+			'+------------------------+-----------------------------------------+',
+		].join('\n'));
+
+		assert.deepStrictEqual(events, [
+			{
+				name: 'App\\Events\\OrderShipped',
+				flag: '',
+				listeners: [
+					{ name: 'App\\Listeners\\SendShipmentNotification', queued: false },
+					{ name: 'App\\Listeners\\UpdateStock', queued: false },
+				],
+			},
+		]);
+	});
+});
@@ -0,0 +1,72 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseFieldDefinitions } = require('../src/utils/fields');
+const {
+	suggestFactoryStates,
+	suggestRelationshipHelpers,
+	writeFactory,
+} = require('../src/generators/factory');
+
+suite('Factory Generator', () => {
+	test('suggests states from boolean, enum and nullable timestamp columns', () => {
+		const { fields } = parseFieldDefinitions(
+			'is_featured:boolean, status:enum(draft,published), published_at:timestamp:nullable, email_verified_at:timestamp:nullable'
+		);
+
+		assert.deepStrictEqual(suggestFactoryStates(fields, { softDeletes: true }), [
+			{ name: 'featured', attributes: { is_featured: 'true' } },
+			{ name: 'draft', attributes: { status: "'draft'" } },
+			{ name: 'published', attributes: { status: "'published'" } },
+			{ name: 'unverified', attributes: { email_verified_at: 'null' } },
+			{ name: 'trashed', attributes: { deleted_at: 'now()' } },
+		]);
+	});
+
+	test('suggests relationship helpers', () => {
+		const helpers = suggestRelationshipHelpers([
+			{ type: 'belongsTo', method: 'author', model: 'User' },
+			{ type: 'hasMany', method: 'comments', related: 'Comment' },
+			{ type: 'morphTo', method: 'commentable' },
+		]);
+
+		assert.deepStrictEqual(helpers.map((helper) => helper.name), ['forAuthor', 'withComments']);
+	});
+
+	suite('writeFactory', () => {
+		let root;
+
+		setup(() => {
+			root = fs.mkdtempSync(path.join(os.tmpdir(), 'factory-'));
+			fs.mkdirSync(path.join(root, 'app', 'Models', 'Admin'), { recursive: true });
+			fs.writeFileSync(
+				path.join(root, 'app', 'Models', 'Admin', 'Report.php'),
+				'<?php\n\nnamespace App\\Models\\Admin;\n\nuse Illuminate\\Database\\Eloquent\\Model;\n\nclass Report extends Model\n{\n}\n'
+			);
+		});
+
+		teardown(() => {
+			fs.rmSync(root, { recursive: true, force: true });
+		});
+
+		test('imports related models from their subdirectory namespace', () => {
+			const { fields } = parseFieldDefinitions('report_id:foreignId:constrained, user_id:foreignId:constrained');
+
+			writeFactory(root, { name: 'Comment' }, fields);
+
+			const content = fs.readFileSync(path.join(root, 'database', 'factories', 'CommentFactory.php'), 'utf8');
+			assert.match(content, /^use App\\Models\\Admin\\Report;$/m);
+			assert.match(content, /^use App\\Models\\User;$/m);
+			assert.match(content, /'report_id' => Report::factory\(\),/);
+		});
+
+		test('writes factories of models in subdirectories to the same subdirectory', () => {
+			writeFactory(root, { name: 'Report', subdirectory: 'Admin' }, parseFieldDefinitions('title:string').fields);
+
+			const content = fs.readFileSync(path.join(root, 'database', 'factories', 'Admin', 'ReportFactory.php'), 'utf8');
+			assert.match(content, /^namespace Database\\Factories\\Admin;$/m);
+			assert.match(content, /App\\Models\\Admin\\Report/);
+		});
+	});
+});
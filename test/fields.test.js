@@ -0,0 +1,72 @@
+const assert = require('assert');
+const {
+	parseFieldDefinitions,
+	validateFieldDefinitions,
+	formatFieldDefinitions,
+	getColumnDefinition,
+	getValidationRules,
+	generateRelationshipMethod,
+} = require('../src/utils/fields');
+
+suite('Field Definitions', () => {
+	test('parses types, arguments and modifiers', () => {
+		const { fields } = parseFieldDefinitions(
+			'title:string(150):unique, price:decimal(8,2):nullable, status:enum(draft,published):default(draft)'
+		);
+
+		assert.deepStrictEqual(fields, [
+			{ name: 'title', type: 'string', length: 150, unique: true },
+			{ name: 'price', type: 'decimal', precision: 8, scale: 2, nullable: true },
+			{ name: 'status', type: 'enum', values: ['draft', 'published'], defaultValue: 'draft' },
+		]);
+		assert.deepStrictEqual(fields.map(getColumnDefinition), [
+			"$table->string('title', 150)->unique();",
+			"$table->decimal('price', 8, 2)->nullable();",
+			"$table->enum('status', ['draft', 'published'])->default('draft');",
+		]);
+	});
+
+	test('round-trips definitions through formatFieldDefinitions', () => {
+		const input = 'title:string(150):unique, status:enum(draft,published):default(draft)';
+
+		assert.strictEqual(formatFieldDefinitions(parseFieldDefinitions(input).fields), input);
+	});
+
+	test('reports invalid definitions', () => {
+		assert.strictEqual(validateFieldDefinitions('title:strin'), 'Unknown type "strin" in "title:strin"');
+		assert.strictEqual(validateFieldDefinitions('', { required: true }), 'At least one field is required');
+		assert.strictEqual(validateFieldDefinitions('title:string'), null);
+	});
+
+	test('rejects arguments the column type does not take', () => {
+		assert.strictEqual(
+			validateFieldDefinitions('title:string(10,2)'),
+			'"string" takes a single length, got 2 arguments in "title:string(10,2)"'
+		);
+		assert.strictEqual(
+			validateFieldDefinitions('price:decimal(8,2,1)'),
+			'"decimal" takes a precision and a scale, got 3 arguments in "price:decimal(8,2,1)"'
+		);
+		assert.strictEqual(
+			validateFieldDefinitions('views:integer(11)'),
+			'"integer" does not take a length or precision ("views:integer(11)")'
+		);
+		assert.strictEqual(validateFieldDefinitions('price:decimal(8,2), code:char(3)'), null);
+	});
+
+	test('derives validation rules from the column', () => {
+		const { fields } = parseFieldDefinitions('title:string(150):unique, owner_id:foreignId:constrained(users)');
+
+		assert.strictEqual(getValidationRules(fields[0], { table: 'posts' }), 'required|string|max:150|unique:posts,title');
+		assert.strictEqual(getValidationRules(fields[1], { table: 'posts' }), 'required|integer|exists:users,id');
+	});
+
+	test('names the related model of a constrained foreign key', () => {
+		const { relationships } = parseFieldDefinitions('owner_id:foreignId:constrained(users)');
+
+		assert.deepStrictEqual(relationships, [
+			{ type: 'belongsTo', method: 'owner', model: 'User', foreignKey: 'owner_id' },
+		]);
+		assert.match(generateRelationshipMethod(relationships[0]), /return \$this->belongsTo\(User::class, 'owner_id'\);/);
+	});
+});
@@ -0,0 +1,115 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { readMigrationSchema, createTimestampSequence } = require('../src/utils/migrationSchema');
+
+function migration(up) {
+	return `<?php
+
+use Illuminate\\Database\\Migrations\\Migration;
+use Illuminate\\Database\\Schema\\Blueprint;
+use Illuminate\\Support\\Facades\\Schema;
+
+return new class extends Migration
+{
+    public function up(): void
+    {
+${up}
+    }
+
+    public function down(): void
+    {
+        Schema::dropIfExists('ignored');
+    }
+};
+`;
+}
+
+suite('Migration Schema', () => {
+	let root;
+
+	setup(() => {
+		root = fs.mkdtempSync(path.join(os.tmpdir(), 'schema-'));
+		fs.mkdirSync(path.join(root, 'database', 'migrations'), { recursive: true });
+	});
+
+	teardown(() => {
+		fs.rmSync(root, { recursive: true, force: true });
+	});
+
+	function write(file, up) {
+		fs.writeFileSync(path.join(root, 'database', 'migrations', file), migration(up));
+	}
+
+	test('returns no tables without a migrations directory', () => {
+		assert.strictEqual(readMigrationSchema(path.join(root, 'missing')).size, 0);
+	});
+
+	test('reads the columns of a created table', () => {
+		write('2024_01_01_000000_create_posts_table.php', `
+        Schema::create('posts', function (Blueprint $table) {
+            $table->id();
+            $table->string('title', 150)->unique();
+            $table->decimal('price', 8, 2)->nullable();
+            $table->enum('status', ['draft', 'published'])->default('draft');
+            // $table->string('commented');
+            $table->foreignId('user_id')->constrained()->onDelete('cascade');
+            $table->timestamps();
+        });`);
+
+		assert.deepStrictEqual(readMigrationSchema(root).get('posts'), [
+			{ name: 'title', type: 'string', length: 150, unique: true },
+			{ name: 'price', type: 'decimal', precision: 8, scale: 2, nullable: true },
+			{ name: 'status', type: 'enum', values: ['draft', 'published'], defaultValue: 'draft' },
+			{ name: 'user_id', type: 'foreignId', constrained: true, cascadeOnDelete: true },
+		]);
+	});
+
+	test('replays later migrations in order', () => {
+		write('2024_01_01_000000_create_posts_table.php', `
+        Schema::create('posts', function (Blueprint $table) {
+            $table->id();
+            $table->string('title');
+            $table->text('body');
+            $table->unsignedBigInteger('author_id');
+            $table->foreign('author_id')->references('id')->on('users');
+        });`);
+		write('2024_02_01_000000_update_posts_table.php', `
+        Schema::table('posts', function (Blueprint $table) {
+            $table->renameColumn('title', 'headline');
+            $table->dropColumn(['body']);
+            $table->boolean('published')->default(false);
+        });
+        Schema::rename('posts', 'articles');`);
+
+		const tables = readMigrationSchema(root);
+
+		assert.strictEqual(tables.has('posts'), false);
+		assert.deepStrictEqual(tables.get('articles'), [
+			{ name: 'headline', type: 'string' },
+			{ name: 'author_id', type: 'foreignId', constrained: 'users' },
+			{ name: 'published', type: 'boolean', defaultValue: 'false' },
+		]);
+	});
+
+	test('forgets dropped tables', () => {
+		write('2024_01_01_000000_create_drafts_table.php', `
+        Schema::create('drafts', function (Blueprint $table) {
+            $table->string('title');
+        });`);
+		write('2024_02_01_000000_drop_drafts_table.php', `
+        Schema::dropIfExists('drafts');`);
+
+		assert.strictEqual(readMigrationSchema(root).has('drafts'), false);
+	});
+
+	test('hands out migration timestamps one second apart', () => {
+		const next = createTimestampSequence();
+		const [first, second] = [next(), next()];
+
+		assert.match(first, /^\d{4}_\d{2}_\d{2}_\d{6}$/);
+		assert.notStrictEqual(first, second);
+		assert.ok(second > first);
+	});
+});
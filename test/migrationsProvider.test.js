@@ -0,0 +1,70 @@
+const assert = require('assert');
+const { parseMigrateStatus, getBatchRollback } = require('../src/dashboard/migrationsProvider');
+
+suite('Migrations Explorer', () => {
+	test('parses the dotted migrate:status output', () => {
+		const statuses = parseMigrateStatus([
+			'',
+			'  Migration name .............................................. Batch / Status  ',
+			'  0001_01_01_000000_create_users_table .............................. [1] Ran  ',
+			'  2024_05_01_120000_create_posts_table ............................. [2] Ran  ',
+			'  2024_06_01_120000_add_slug_to_posts_table ........................ Pending  ',
+		].join('\n'));
+
+		assert.deepStrictEqual([...statuses], [
+			['0001_01_01_000000_create_users_table', { ran: true, batch: 1 }],
+			['2024_05_01_120000_create_posts_table', { ran: true, batch: 2 }],
+			['2024_06_01_120000_add_slug_to_posts_table', { ran: false, batch: null }],
+		]);
+	});
+
+	test('parses the table output of older Laravel versions', () => {
+		const statuses = parseMigrateStatus([
+			'+------+------------------------------------------------+-------+',
+			'| Ran? | Migration                                      | Batch |',
+			'+------+------------------------------------------------+-------+',
+			'| Yes  | 2014_10_12_000000_create_users_table           | 1     |',
+			'| No   | 2024_06_01_120000_add_slug_to_posts_table      |       |',
+			'+------+------------------------------------------------+-------+',
+		].join('\r\n'));
+
+		assert.deepStrictEqual([...statuses], [
+			['2014_10_12_000000_create_users_table', { ran: true, batch: 1 }],
+			['2024_06_01_120000_add_slug_to_posts_table', { ran: false, batch: null }],
+		]);
+	});
+
+	suite('Batch rollback', () => {
+		const migrations = [
+			{ ran: true, batch: 1 },
+			{ ran: true, batch: 2 },
+			{ ran: true, batch: 3 },
+			{ ran: true, batch: 3 },
+			{ ran: false, batch: null },
+		];
+
+		test('uses --batch on Laravel 11', () => {
+			assert.deepStrictEqual(getBatchRollback(2, migrations, 'v11.9.0'), { options: ' --batch=2', warning: '' });
+		});
+
+		test('rolls back the latest batch without options before Laravel 11', () => {
+			assert.deepStrictEqual(getBatchRollback(3, migrations, 'v10.48.0'), { options: '', warning: '' });
+		});
+
+		test('steps back through the later batches before Laravel 11', () => {
+			const { options, warning } = getBatchRollback(2, migrations, 'v10.48.0');
+
+			assert.strictEqual(options, ' --step=3');
+			assert.match(warning, /Laravel 10 has no --batch option: batches 2 to 3 \(3 migrations\)/);
+		});
+
+		test('steps back when the Laravel version is unknown', () => {
+			assert.deepStrictEqual(getBatchRollback(3, migrations, null), { options: '', warning: '' });
+
+			const { options, warning } = getBatchRollback(2, migrations, null);
+
+			assert.strictEqual(options, ' --step=3');
+			assert.match(warning, /version is unknown, so --batch is not used: batches 2 to 3/);
+		});
+	});
+});
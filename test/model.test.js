@@ -0,0 +1,61 @@
+const assert = require('assert');
+const { parseFieldDefinitions } = require('../src/utils/fields');
+const { getMigrationColumns } = require('../src/generators/model');
+
+suite('Model Generator', () => {
+	test('adds the foreign keys of belongsTo relationships before the fields', () => {
+		const { fields } = parseFieldDefinitions('title:string');
+		const relationships = [
+			{ type: 'belongsTo', method: 'category', model: 'Category' },
+			{ type: 'belongsTo', method: 'author', model: 'User' },
+			{ type: 'hasMany', method: 'comments', model: 'Comment' },
+		];
+
+		assert.deepStrictEqual(getMigrationColumns(fields, ['timestamps', 'softDeletes'], relationships), [
+			'$table->id();',
+			"$table->foreignId('category_id')->constrained();",
+			"$table->foreignId('author_id')->constrained('users');",
+			"$table->string('title');",
+			'$table->timestamps();',
+			'$table->softDeletes();',
+		]);
+	});
+
+	test('does not repeat foreign keys defined as fields', () => {
+		const { fields } = parseFieldDefinitions('category_id:foreignId:constrained:cascade');
+
+		assert.deepStrictEqual(
+			getMigrationColumns(fields, [], [{ type: 'belongsTo', method: 'category', model: 'Category' }]),
+			['$table->id();', "$table->foreignId('category_id')->constrained()->cascadeOnDelete();"]
+		);
+	});
+
+	test('adds morph columns for morphTo and the tenant key', () => {
+		assert.deepStrictEqual(getMigrationColumns([], ['tenant'], [{ type: 'morphTo', method: 'commentable' }]), [
+			'$table->id();',
+			"$table->foreignId('tenant_id')->index();",
+			"$table->morphs('commentable');",
+		]);
+	});
+
+	test('follows the primary key of the model', () => {
+		assert.deepStrictEqual(getMigrationColumns([], ['uuid'], []), ["$table->uuid('id')->primary();"]);
+		assert.deepStrictEqual(getMigrationColumns([], [], [], { name: 'code', type: 'string' }), [
+			"$table->string('code')->primary();",
+		]);
+		assert.deepStrictEqual(getMigrationColumns([], [], [], { name: 'product_id', type: 'int' }), [
+			"$table->id('product_id');",
+		]);
+	});
+
+	test('constrains custom owner keys to their column', () => {
+		const relationships = [
+			{ type: 'belongsTo', method: 'country', model: 'Country', foreignKey: 'country_code', localKey: 'code' },
+		];
+
+		assert.deepStrictEqual(getMigrationColumns([], [], relationships), [
+			'$table->id();',
+			"$table->foreignId('country_code')->constrained('countries', 'code');",
+		]);
+	});
+});
@@ -0,0 +1,102 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+	resolveClassFile,
+	findMethodLine,
+	addUseStatements,
+	parseProperties,
+	formatPromotedParameters,
+} = require('../src/utils/phpClasses');
+
+suite('PHP Classes', () => {
+	suite('Class files', () => {
+		let root;
+
+		setup(() => {
+			root = fs.mkdtempSync(path.join(os.tmpdir(), 'classes-'));
+			fs.mkdirSync(path.join(root, 'app', 'Http', 'Controllers'), { recursive: true });
+			fs.mkdirSync(path.join(root, 'modules', 'Billing'), { recursive: true });
+			fs.writeFileSync(
+				path.join(root, 'app', 'Http', 'Controllers', 'PostController.php'),
+				'<?php\n\nnamespace App\\Http\\Controllers;\n\nclass PostController\n{\n    public function index()\n    {\n    }\n}\n'
+			);
+			fs.writeFileSync(path.join(root, 'modules', 'Billing', 'Invoice.php'), '<?php\n');
+		});
+
+		teardown(() => {
+			fs.rmSync(root, { recursive: true, force: true });
+		});
+
+		test('resolves classes through the PSR-4 map of composer.json', () => {
+			fs.writeFileSync(
+				path.join(root, 'composer.json'),
+				JSON.stringify({ autoload: { 'psr-4': { 'App\\': 'app/', 'Modules\\': 'modules/' } } })
+			);
+
+			assert.strictEqual(
+				resolveClassFile(root, '\\App\\Http\\Controllers\\PostController'),
+				path.join(root, 'app', 'Http', 'Controllers', 'PostController.php')
+			);
+			assert.strictEqual(
+				resolveClassFile(root, 'Modules\\Billing\\Invoice'),
+				path.join(root, 'modules', 'Billing', 'Invoice.php')
+			);
+			assert.strictEqual(resolveClassFile(root, 'App\\Missing'), null);
+		});
+
+		test('falls back to App\\ without composer.json', () => {
+			assert.strictEqual(
+				resolveClassFile(root, 'App\\Http\\Controllers\\PostController'),
+				path.join(root, 'app', 'Http', 'Controllers', 'PostController.php')
+			);
+		});
+
+		test('finds the line of a method, or of the class', () => {
+			const filePath = path.join(root, 'app', 'Http', 'Controllers', 'PostController.php');
+
+			assert.strictEqual(findMethodLine(filePath, 'index'), 6);
+			assert.strictEqual(findMethodLine(filePath, 'store'), 4);
+		});
+	});
+
+	test('adds imports after the last use statement', () => {
+		const source = '<?php\n\nnamespace App\\Listeners;\n\nuse App\\Events\\OrderShipped;\n\nclass X {}\n';
+
+		assert.strictEqual(
+			addUseStatements(source, ['App\\Events\\OrderShipped', 'Illuminate\\Contracts\\Queue\\ShouldQueue']),
+			'<?php\n\nnamespace App\\Listeners;\n\nuse App\\Events\\OrderShipped;\nuse Illuminate\\Contracts\\Queue\\ShouldQueue;\n\nclass X {}\n'
+		);
+	});
+
+	test('adds imports after the namespace of a file without any', () => {
+		assert.strictEqual(
+			addUseStatements('<?php\n\nnamespace App\\Providers;\n\nclass X {}\n', ['App\\Events\\OrderShipped']),
+			'<?php\n\nnamespace App\\Providers;\n\nuse App\\Events\\OrderShipped;\n\nclass X {}\n'
+		);
+	});
+
+	test('parses constructor properties', () => {
+		assert.deepStrictEqual(parseProperties('order:Order, shipped_at:?\\Carbon\\Carbon'), [
+			{ name: 'order', type: 'Order', nullable: false },
+			{ name: 'shippedAt', type: 'Carbon\\Carbon', nullable: true },
+		]);
+		assert.throws(() => parseProperties('order'), /Invalid property "order", use name:Type/);
+		assert.throws(() => parseProperties('order:Order, order:int'), /Property "order" is defined twice/);
+	});
+
+	test('only defaults trailing nullable properties to null', () => {
+		const parameters = formatPromotedParameters([
+			{ name: 'note', type: 'string', nullable: true },
+			{ name: 'order', type: 'Order', nullable: false },
+			{ name: 'reason', type: 'string', nullable: true },
+		]);
+
+		assert.strictEqual(parameters, [
+			'        public ?string $note,',
+			'        public Order $order,',
+			'        public ?string $reason = null,',
+		].join('\n'));
+	});
+});
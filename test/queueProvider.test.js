@@ -0,0 +1,54 @@
+const assert = require('assert');
+const { parseFailedJobs } = require('../src/dashboard/queueProvider');
+
+suite('Queue Explorer', () => {
+	test('parses the queue:failed output', () => {
+		const jobs = parseFailedJobs([
+			'',
+			'  2024-05-01 10:00:00 9b2c1d3e-5f6a-4b7c-8d9e-0f1a2b3c4d5e ........ database@default App\\Jobs\\ProcessPodcast  ',
+			'  2024-05-02 08:30:12 4 ................................................ redis@emails App\\Jobs\\SendWelcome',
+			'',
+		].join('\n'));
+
+		assert.deepStrictEqual(jobs, [
+			{
+				failedAt: '2024-05-01 10:00:00',
+				id: '9b2c1d3e-5f6a-4b7c-8d9e-0f1a2b3c4d5e',
+				connection: 'database',
+				queue: 'default',
+				className: 'App\\Jobs\\ProcessPodcast',
+			},
+			{
+				failedAt: '2024-05-02 08:30:12',
+				id: '4',
+				connection: 'redis',
+				queue: 'emails',
+				className: 'App\\Jobs\\SendWelcome',
+			},
+		]);
+	});
+
+	test('parses the table output of older Laravel versions', () => {
+		const jobs = parseFailedJobs([
+			'+----+------------+---------+-------------------------+---------------------+',
+			'| ID | Connection | Queue   | Class                   | Failed At           |',
+			'+----+------------+---------+-------------------------+---------------------+',
+			'| 4  | database   | default | App\\Jobs\\ProcessPodcast | 2024-05-01 10:00:00 |',
+			'+----+------------+---------+-------------------------+---------------------+',
+		].join('\n'));
+
+		assert.deepStrictEqual(jobs, [
+			{
+				id: '4',
+				connection: 'database',
+				queue: 'default',
+				className: 'App\\Jobs\\ProcessPodcast',
+				failedAt: '2024-05-01 10:00:00',
+			},
+		]);
+	});
+
+	test('returns no jobs when none failed', () => {
+		assert.deepStrictEqual(parseFailedJobs('\n   INFO  No failed jobs found.\n'), []);
+	});
+});
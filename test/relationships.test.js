@@ -0,0 +1,133 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { generateRelationshipMethod } = require('../src/utils/fields');
+const { inspectModel } = require('../src/utils/modelInspector');
+const { writeRelationshipScaffolding } = require('../src/generators/relationships');
+
+suite('Relationships', () => {
+	let root;
+
+	setup(() => {
+		root = fs.mkdtempSync(path.join(os.tmpdir(), 'relationships-'));
+		fs.mkdirSync(path.join(root, 'app', 'Models'), { recursive: true });
+		fs.mkdirSync(path.join(root, 'database', 'migrations'), { recursive: true });
+	});
+
+	teardown(() => {
+		fs.rmSync(root, { recursive: true, force: true });
+	});
+
+	function writeModel(name, body) {
+		const filePath = path.join(root, 'app', 'Models', `${name}.php`);
+		fs.writeFileSync(
+			filePath,
+			`<?php\n\nnamespace App\\Models;\n\nuse Illuminate\\Database\\Eloquent\\Model;\n\nclass ${name} extends Model\n{\n${body}\n}\n`
+		);
+		return filePath;
+	}
+
+	function scaffold(model, relationships) {
+		let second = 0;
+		writeRelationshipScaffolding(root, model, relationships, () => `2024_01_01_00000${second++}`);
+		return fs.readdirSync(path.join(root, 'database', 'migrations'));
+	}
+
+	function readMigration(file) {
+		return fs.readFileSync(path.join(root, 'database', 'migrations', file), 'utf8');
+	}
+
+	test('reads the table and key of a model', () => {
+		const filePath = writeModel('Country', [
+			"    protected $table = 'country_list';",
+			"    protected $primaryKey = 'code';",
+			"    protected $keyType = 'string';",
+		].join('\n'));
+
+		const { table, primaryKey } = inspectModel(filePath, root);
+
+		assert.strictEqual(table, 'country_list');
+		assert.deepStrictEqual(primaryKey, { name: 'code', type: 'string' });
+	});
+
+	test('passes the keys of a self-referencing pivot to belongsToMany', () => {
+		const method = generateRelationshipMethod({
+			type: 'belongsToMany',
+			method: 'followers',
+			model: 'User',
+			pivot: {
+				table: 'user_followers',
+				foreignPivotKey: 'user_id',
+				relatedPivotKey: 'follower_id',
+				fields: [{ name: 'muted', type: 'boolean' }],
+				timestamps: true,
+			},
+		});
+
+		assert.match(method, /belongsToMany\(User::class, 'user_followers', 'user_id', 'follower_id'\)\n/);
+		assert.match(method, /->withPivot\('muted'\)\n\s+->withTimestamps\(\);/);
+	});
+
+	test('writes a self-referencing pivot with two distinct keys', () => {
+		const files = scaffold({ name: 'User', subdirectory: '' }, [
+			{
+				type: 'belongsToMany',
+				method: 'followers',
+				model: 'User',
+				pivot: {
+					table: 'user_followers',
+					fields: [],
+					timestamps: false,
+					foreignPivotKey: 'user_id',
+					relatedPivotKey: 'follower_id',
+				},
+			},
+		]);
+
+		assert.deepStrictEqual(files, ['2024_01_01_000000_create_user_followers_table.php']);
+		const migration = readMigration(files[0]);
+		assert.match(migration, /\$table->foreignId\('user_id'\)->constrained\(\)->cascadeOnDelete\(\);/);
+		assert.match(migration, /\$table->foreignId\('follower_id'\)->constrained\('users'\)->cascadeOnDelete\(\);/);
+		assert.match(migration, /\$table->primary\(\['user_id', 'follower_id'\]\);/);
+	});
+
+	test('references the real table and key of the related model', () => {
+		writeModel('Country', [
+			"    protected $table = 'country_list';",
+			"    protected $primaryKey = 'code';",
+			"    protected $keyType = 'string';",
+		].join('\n'));
+
+		const files = scaffold({ name: 'Product', subdirectory: '', uuid: true }, [
+			{
+				type: 'belongsToMany',
+				method: 'countries',
+				model: 'Country',
+				pivot: { table: 'country_product', fields: [], timestamps: true },
+			},
+		]);
+
+		const migration = readMigration(files[0]);
+		assert.match(migration, /\$table->foreignUuid\('product_id'\)->constrained\(\)->cascadeOnDelete\(\);/);
+		assert.match(migration, /\$table->string\('country_id'\);/);
+		assert.match(
+			migration,
+			/\$table->foreign\('country_id'\)->references\('code'\)->on\('country_list'\)->cascadeOnDelete\(\);/
+		);
+		assert.match(migration, /\$table->timestamps\(\);/);
+	});
+
+	test('does not write a migration for an existing pivot table', () => {
+		const files = scaffold({ name: 'Post', subdirectory: '' }, [
+			{
+				type: 'belongsToMany',
+				method: 'tags',
+				model: 'Tag',
+				pivot: { table: 'taggables', fields: [], timestamps: false, existing: true },
+			},
+		]);
+
+		assert.deepStrictEqual(files, []);
+	});
+});
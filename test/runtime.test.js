@@ -0,0 +1,46 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { detectDockerService } = require('../src/utils/runtime');
+
+suite('Runtimes', () => {
+	let root;
+
+	setup(() => {
+		root = fs.mkdtempSync(path.join(os.tmpdir(), 'runtime-'));
+	});
+
+	teardown(() => {
+		fs.rmSync(root, { recursive: true, force: true });
+	});
+
+	function compose(...services) {
+		fs.writeFileSync(
+			path.join(root, 'docker-compose.yml'),
+			['services:', ...services.flatMap((name) => [`  ${name}:`, '    image: example'])].join('\n')
+		);
+	}
+
+	test('picks the PHP application service', () => {
+		compose('mysql', 'phpmyadmin', 'nginx', 'app');
+
+		assert.strictEqual(detectDockerService(root), 'app');
+	});
+
+	test('never picks services that only look like PHP', () => {
+		compose('phpmyadmin', 'web', 'nginx', 'backend-db');
+
+		assert.strictEqual(detectDockerService(root), null);
+	});
+
+	test('does not guess between several PHP services', () => {
+		compose('app', 'php-fpm');
+
+		assert.strictEqual(detectDockerService(root), null);
+	});
+
+	test('returns null without a compose file', () => {
+		assert.strictEqual(detectDockerService(root), null);
+	});
+});
@@ -0,0 +1,121 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+	writeSeeder,
+	registerSeeder,
+	getSeederDependencies,
+} = require('../src/generators/seeder');
+
+function databaseSeeder(body) {
+	return `<?php
+
+namespace Database\\Seeders;
+
+use Illuminate\\Database\\Seeder;
+
+class DatabaseSeeder extends Seeder
+{
+    public function run(): void
+    {
+${body}
+    }
+}
+`;
+}
+
+suite('Seeder Generator', () => {
+	let root;
+	let seederPath;
+
+	setup(() => {
+		root = fs.mkdtempSync(path.join(os.tmpdir(), 'seeder-'));
+		fs.mkdirSync(path.join(root, 'database', 'seeders'), { recursive: true });
+		fs.mkdirSync(path.join(root, 'app', 'Models'), { recursive: true });
+		seederPath = path.join(root, 'database', 'seeders', 'DatabaseSeeder.php');
+	});
+
+	teardown(() => {
+		fs.rmSync(root, { recursive: true, force: true });
+	});
+
+	test('seeds models with their relationships through the factory', () => {
+		writeSeeder(root, 'PostSeeder', {
+			modelClass: 'App\\Models\\Post',
+			source: 'factory',
+			count: 10,
+			fanOut: [
+				{ type: 'hasMany', method: 'comments', modelClass: 'App\\Models\\Comment', count: 3 },
+				{ type: 'belongsToMany', method: 'tags', modelClass: 'App\\Models\\Tag', count: 2 },
+			],
+		});
+
+		const content = fs.readFileSync(path.join(root, 'database', 'seeders', 'PostSeeder.php'), 'utf8');
+		assert.match(content, /^use App\\Models\\Comment;$/m);
+		assert.match(content, /Post::factory\(\)\n\s+->count\(10\)\n\s+->has\(Comment::factory\(\)->count\(3\), 'comments'\)\n\s+->hasAttached\(Tag::factory\(\)->count\(2\), \[\], 'tags'\)\n\s+->create\(\);/);
+	});
+
+	test('finds the seeders to run before and after a model', () => {
+		fs.writeFileSync(
+			path.join(root, 'app', 'Models', 'Comment.php'),
+			'<?php\n\nnamespace App\\Models;\n\nuse Illuminate\\Database\\Eloquent\\Model;\n\nclass Comment extends Model\n{\n    public function post()\n    {\n        return $this->belongsTo(Post::class);\n    }\n}\n'
+		);
+
+		assert.deepStrictEqual(
+			getSeederDependencies(root, 'Post', [{ type: 'belongsTo', related: 'App\\Models\\User' }]),
+			{ parents: ['UserSeeder'], children: ['CommentSeeder'] }
+		);
+	});
+
+	test('does nothing without a DatabaseSeeder', () => {
+		assert.strictEqual(registerSeeder(root, 'PostSeeder', { parents: [], children: [] }), false);
+	});
+
+	test('replaces the placeholder of an empty run()', () => {
+		fs.writeFileSync(seederPath, databaseSeeder('        //'));
+
+		assert.strictEqual(registerSeeder(root, 'PostSeeder', { parents: [], children: [] }), true);
+		assert.strictEqual(fs.readFileSync(seederPath, 'utf8'), databaseSeeder('        $this->call(PostSeeder::class);'));
+	});
+
+	test('calls the seeder between its parents and children', () => {
+		fs.writeFileSync(seederPath, databaseSeeder([
+			'        $this->call([',
+			'            UserSeeder::class,',
+			'            CommentSeeder::class,',
+			'        ]);',
+		].join('\n')));
+
+		registerSeeder(root, 'PostSeeder', { parents: ['UserSeeder'], children: ['CommentSeeder'] });
+
+		assert.strictEqual(fs.readFileSync(seederPath, 'utf8'), databaseSeeder([
+			'        $this->call([',
+			'            UserSeeder::class,',
+			'            PostSeeder::class,',
+			'            CommentSeeder::class,',
+			'        ]);',
+		].join('\n')));
+	});
+
+	test('inserts a call before the first child seeder', () => {
+		fs.writeFileSync(seederPath, databaseSeeder([
+			'        $this->call(CommentSeeder::class);',
+			'        $this->call(TagSeeder::class);',
+		].join('\n')));
+
+		registerSeeder(root, 'PostSeeder', { parents: [], children: ['CommentSeeder'] });
+
+		assert.strictEqual(fs.readFileSync(seederPath, 'utf8'), databaseSeeder([
+			'        $this->call(PostSeeder::class);',
+			'        $this->call(CommentSeeder::class);',
+			'        $this->call(TagSeeder::class);',
+		].join('\n')));
+	});
+
+	test('does not register a seeder twice', () => {
+		fs.writeFileSync(seederPath, databaseSeeder('        $this->call(PostSeeder::class);'));
+
+		assert.strictEqual(registerSeeder(root, 'PostSeeder', { parents: [], children: [] }), false);
+	});
+});
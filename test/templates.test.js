@@ -0,0 +1,97 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const vscode = require('vscode');
+const {
+	renderString,
+	findTemplateOverride,
+	buildTemplateVariables,
+	TEMPLATES_DIR,
+} = require('../src/utils/templates');
+
+suite('Templates', () => {
+	test('replaces variables and nested properties', () => {
+		assert.strictEqual(
+			renderString('class {{ class }} in {{model.table}}: {{ fields }} {{ missing }}', {
+				class: 'Post',
+				model: { table: 'posts' },
+				fields: ['title', 'body'],
+			}),
+			'class Post in posts: title, body {{ missing }}'
+		);
+	});
+
+	test('renders #if blocks, treating empty lists as false', () => {
+		const source = '{{#if softDeletes}}use SoftDeletes;{{else}}plain{{/if}}|{{#if traits}}traits{{/if}}';
+
+		assert.strictEqual(renderString(source, { softDeletes: true, traits: [] }), 'use SoftDeletes;|');
+		assert.strictEqual(renderString(source, { softDeletes: false, traits: ['HasUuids'] }), 'plain|traits');
+	});
+
+	test('renders #each blocks with the item and loop variables', () => {
+		const source = '{{#each fields}}{{ @index }}:{{ name }}{{#if @last}}.{{else}}, {{/if}}{{/each}}';
+
+		assert.strictEqual(
+			renderString(source, { fields: [{ name: 'title' }, { name: 'body' }] }),
+			'0:title, 1:body.'
+		);
+		assert.strictEqual(renderString('{{#each names}}[{{ this }}]{{/each}}', { names: ['a', 'b'] }), '[a][b]');
+		assert.strictEqual(renderString('{{#each missing}}x{{/each}}', {}), '');
+	});
+
+	test('pluralizes the model names', () => {
+		const variables = buildTemplateVariables('Category');
+
+		assert.strictEqual(variables.pluralName, 'Categories');
+		assert.strictEqual(variables.pluralVariable, 'categories');
+		assert.strictEqual(variables.table, 'categories');
+		assert.strictEqual(variables.tableName, 'categories');
+		assert.strictEqual(buildTemplateVariables('BlogPost').routeName, 'blog-posts');
+	});
+
+	suite('overrides', () => {
+		let dir;
+
+		setup(() => {
+			dir = fs.mkdtempSync(path.join(os.tmpdir(), 'templates-'));
+			fs.mkdirSync(path.join(dir, TEMPLATES_DIR), { recursive: true });
+			fs.mkdirSync(path.join(dir, 'stubs'));
+		});
+
+		teardown(async () => {
+			fs.rmSync(dir, { recursive: true, force: true });
+			await vscode.workspace
+				.getConfiguration('laravelToolkit')
+				.update('useLaravelStubs', undefined, vscode.ConfigurationTarget.Global);
+		});
+
+		function stub(...parts) {
+			const filePath = path.join(dir, ...parts);
+			fs.writeFileSync(filePath, '');
+			return filePath;
+		}
+
+		test('prefers the full template name, then the generic name', () => {
+			const generic = stub(TEMPLATES_DIR, 'model.stub');
+			assert.strictEqual(findTemplateOverride('crud.model', dir), generic);
+
+			const full = stub(TEMPLATES_DIR, 'crud.model.stub');
+			assert.strictEqual(findTemplateOverride('crud.model', dir), full);
+			assert.strictEqual(findTemplateOverride('crud.controller.web', dir), null);
+		});
+
+		test('falls back to Laravel stubs only when enabled', async () => {
+			const laravelStub = stub('stubs', 'controller.model.stub');
+			assert.strictEqual(findTemplateOverride('crud.controller.web', dir), null);
+
+			await vscode.workspace
+				.getConfiguration('laravelToolkit')
+				.update('useLaravelStubs', true, vscode.ConfigurationTarget.Global);
+			assert.strictEqual(findTemplateOverride('crud.controller.web', dir), laravelStub);
+
+			const generic = stub(TEMPLATES_DIR, 'controller.web.stub');
+			assert.strictEqual(findTemplateOverride('crud.controller.web', dir), generic);
+		});
+	});
+});